@@ -0,0 +1,260 @@
+import { Component }          from './component'
+import { InputField }         from './InputField'
+import {
+	debounce,
+	debounceCancel
+}                            from './miscellaneous'
+import { BGError }            from './BGError'
+
+// each AutocompleteField needs unique ids to connect its input to its list with aria attributes
+var autocompleteCount = 0;
+
+
+// AutocompleteField is an Editbox that shows a dropdown list of suggestions as the user types. The suggestions come from a
+// suggest(text) function that can return them directly or return a Promise (or BGPromise) that resolves to them so that they can
+// be fetched from a server or a slow index.
+//
+// suggest is not called on every keystroke. The calls are debounced so that it is called after the user pauses typing for <delay>
+// milliseconds. When suggest is asynchronous, the results of a call are discarded if the user has typed more since the call was
+// made so that a slow response can not replace the suggestions for the newer text.
+//
+// The part of each suggestion that matches the typed text is wrapped in a <mark> element. ArrowDown and ArrowUp move the highlight
+// through the list, Enter chooses the highlighted suggestion and Escape closes the list. Clicking a suggestion also chooses it.
+// Choosing a suggestion sets the value of the input and commits it so the onActivatedCB callbacks are called and bindings are
+// written back just like when the user commits typed text. The chosen suggestion is available as field.selectedSuggestion.
+//
+// Params:
+//    <tagIDClasses>:string : [name:][<tagName>][#<idName>][.className1[.className2...]][ labelHTML with optional <input/>]
+//    <namedParams>         : object with named parameters. See InputField
+// Named Params:
+//    suggest:function      : suggest(text, field) returns an array of suggestions or a promise that resolves to one. A suggestion
+//                            is a string or an object {value, label} where label is displayed and value is put in the input.
+//    delay:number          : the number of milliseconds to wait after typing before calling suggest. default is 200
+//    minChars:number       : suggest is not called until at least this many characters are typed. default is 1
+//    maxSuggestions:number : the maximum number of suggestions displayed. default is 10
+//    onSuggestError:function: called as onSuggestError(error, field) when suggest throws or its promise rejects. The list is
+//                            closed either way. default logs the error with BGError.logErrorToConsole
+//    onActivatedCB:function: (default for unnamed functions) called as onActivatedCB(field, event) when the user commits a value
+//                            by choosing a suggestion or by committing the typed text
+// Example:
+//    new AutocompleteField('city: City <input/>', {
+//        suggest: (text)=>fetch('/cities?q='+text).then((res)=>res.json())
+//    }, (field)=>console.log('picked', field.value))
+// See Also:
+//    InputField, debounce
+export class AutocompleteField extends InputField {
+	static styles = {
+		position: 'relative',
+		'.bg-autocomplete-list': {
+			position     : 'absolute',
+			left         : 0,
+			top          : '100%',
+			zIndex       : 100,
+			margin       : 0,
+			padding      : 0,
+			listStyle    : 'none',
+			minWidth     : '100%',
+			maxHeight    : '20em',
+			overflowY    : 'auto',
+			background   : 'var(--cBackground)',
+			border       : '1px solid var(--cBorders)'
+		},
+		'.bg-autocomplete-list[hidden]': {display:'none'},
+		'.bg-autocomplete-list > li.highlighted': {background:'var(--cHighlight)', color:'var(--cBackground)'}
+	}
+
+	constructor(tagIDClasses, ...p) {
+		const id = 'bg-autocomplete-'+(++autocompleteCount);
+		super({
+			inputCntr : new Component("$input", {type:"text", autocomplete:"off", role:"combobox"}),
+			paramNames: "suggest delay minChars maxSuggestions onSuggestError"
+		}, tagIDClasses, ...p)
+
+		if (typeof this.optParams.suggest != 'function')
+			throw new BGError("AutocompleteField requires a suggest function", {optParams:this.optParams});
+
+		this.listID             = id+'-list';
+		this.delay              = (this.optParams.delay != null) ? this.optParams.delay : 200;
+		this.minChars           = (this.optParams.minChars != null) ? this.optParams.minChars : 1;
+		this.maxSuggestions     = this.optParams.maxSuggestions || 10;
+		this.suggestions        = [];
+		this.highlightIndex     = -1;
+		this.requestCount       = 0;      // incremented for each change of text so that stale results can be recognized
+		this.selectedSuggestion = null;
+
+		this.adoptOrMount("suggestionList", new Component("suggestionList:$ul.bg-autocomplete-list", {id:this.listID, role:"listbox", hidden:true}));
+		// a hydrated list keeps the id that it was rendered with
+		this.listID = this.suggestionList.el.id || this.listID;
+
+		const inputEl = this.inputCntr.el;
+		inputEl.setAttribute('aria-autocomplete', 'list');
+		inputEl.setAttribute('aria-controls', this.listID);
+		inputEl.setAttribute('aria-expanded', 'false');
+		inputEl.addEventListener('keydown', (e)=>this.onKeyDown(e));
+		inputEl.addEventListener('blur',    ()=>this.closeSuggestions());
+
+		// mousedown would take the focus from the input and close the list before the click arrives
+		this.suggestionList.el.addEventListener('mousedown', (e)=>e.preventDefault());
+		this.suggestionList.el.addEventListener('click', (e)=>{
+			const itemEl = e.target.closest('li');
+			itemEl && this.chooseSuggestion(Number(itemEl.dataset.index));
+		});
+	}
+
+	destroy() {
+		// a debounced request must not run after the field is gone
+		debounceCancel(this);
+		super.destroy();
+	}
+
+	rawOnTyping(...e) {
+		super.rawOnTyping(...e);
+		// any results from calls made for the previous text are now stale
+		const requestNum = ++this.requestCount;
+		this.selectedSuggestion = null;
+		const text = this.inputCntr.el.value;
+		if (text.length < this.minChars) {
+			this.closeSuggestions();
+			return;
+		}
+		debounce(this, this.delay, ()=>this.requestSuggestions(text, requestNum));
+	}
+
+	// usage: <Promise> requestSuggestions(<string> text [, <number> requestNum])
+	// call suggest(text) and display the results unless the text has changed by the time they arrive. This is called by typing but
+	// it can be called directly to open the list (for example, ArrowDown calls it when the list is closed).
+	// The returned promise does not reject. If suggest fails, the list is closed and the error goes to onSuggestError.
+	requestSuggestions(text=this.inputCntr.el.value, requestNum=this.requestCount) {
+		return new Promise((resolve)=>resolve(this.optParams.suggest(text, this))).then((suggestions)=>{
+			// the field may have been destroyed while suggest was pending
+			if (!this.el || requestNum != this.requestCount || this.inputCntr.el !== document.activeElement)
+				return;
+			this.showSuggestions(suggestions || [], text);
+		}).catch((e)=>{
+			// a failure of a stale request does not close the list that a newer request may be showing
+			if (this.el && requestNum == this.requestCount)
+				this.closeSuggestions();
+			if (typeof this.optParams.onSuggestError == 'function')
+				this.optParams.onSuggestError(e, this);
+			else
+				BGError.logErrorToConsole(e, "AutocompleteField suggest()");
+		});
+	}
+
+	// display the suggestions with the parts that match <text> highlighted. null entries are ignored.
+	showSuggestions(suggestions, text) {
+		this.suggestions = suggestions.filter((suggestion)=>suggestion != null).slice(0, this.maxSuggestions).map((suggestion)=>
+			(typeof suggestion == 'object') ? {...suggestion, label:String((suggestion.label != null) ? suggestion.label : suggestion.value)} : {value:suggestion, label:String(suggestion)}
+		);
+		this.highlightIndex = -1;
+
+		const listEl = this.suggestionList.el;
+		listEl.replaceChildren(...this.suggestions.map((suggestion, i)=>{
+			const itemEl = document.createElement('li');
+			itemEl.id = this.listID+'-'+i;
+			itemEl.dataset.index = i;
+			itemEl.setAttribute('role', 'option');
+			itemEl.append(...highlightMatches(suggestion.label, text));
+			return itemEl;
+		}));
+
+		const isOpen = this.suggestions.length > 0;
+		listEl.hidden = !isOpen;
+		this.inputCntr.el.setAttribute('aria-expanded', String(isOpen));
+		this.inputCntr.el.removeAttribute('aria-activedescendant');
+	}
+
+	closeSuggestions() {
+		this.requestCount++;
+		this.suggestions = [];
+		this.highlightIndex = -1;
+		this.suggestionList.el.replaceChildren();
+		this.suggestionList.el.hidden = true;
+		this.inputCntr.el.setAttribute('aria-expanded', 'false');
+		this.inputCntr.el.removeAttribute('aria-activedescendant');
+	}
+
+	get isOpen() { return this.suggestions.length > 0; }
+
+	// move the highlight to the suggestion at <index> (-1 for none)
+	highlight(index) {
+		const items = this.suggestionList.el.children;
+		const prevEl = items[this.highlightIndex];
+		if (prevEl) {
+			prevEl.classList.remove('highlighted');
+			prevEl.removeAttribute('aria-selected');
+		}
+		this.highlightIndex = index;
+		const itemEl = items[index];
+		if (itemEl) {
+			itemEl.classList.add('highlighted');
+			itemEl.setAttribute('aria-selected', 'true');
+			itemEl.scrollIntoView && itemEl.scrollIntoView({block:'nearest'});
+			this.inputCntr.el.setAttribute('aria-activedescendant', itemEl.id);
+		} else
+			this.inputCntr.el.removeAttribute('aria-activedescendant');
+	}
+
+	// usage: <void> chooseSuggestion(<number> index)
+	// put the value of the suggestion in the input and commit it. This is what Enter and clicking do.
+	chooseSuggestion(index) {
+		const suggestion = this.suggestions[index];
+		if (!suggestion)
+			return;
+		this.closeSuggestions();
+		this.inputCntr.el.value = String(suggestion.value);
+		this.selectedSuggestion = suggestion;
+		this.inputCntr.el.dispatchEvent(new Event('change', {bubbles:true}));
+	}
+
+	onKeyDown(e) {
+		switch (e.key) {
+			case 'ArrowDown':
+				e.preventDefault();
+				if (!this.isOpen)
+					this.requestSuggestions();
+				else
+					this.highlight((this.highlightIndex+1) % this.suggestions.length);
+				break;
+			case 'ArrowUp':
+				if (!this.isOpen)
+					return;
+				e.preventDefault();
+				this.highlight((this.highlightIndex <= 0) ? this.suggestions.length-1 : this.highlightIndex-1);
+				break;
+			case 'Enter':
+				if (this.isOpen && this.highlightIndex != -1) {
+					e.preventDefault();
+					this.chooseSuggestion(this.highlightIndex);
+				}
+				break;
+			case 'Escape':
+				if (this.isOpen) {
+					e.preventDefault();
+					e.stopPropagation();
+					this.closeSuggestions();
+				}
+				break;
+		}
+	}
+}
+
+// private helper that returns the text and <mark> nodes that display <label> with each case insensitive occurrence of <text> marked
+function highlightMatches(label, text) {
+	const nodes = [];
+	if (!text)
+		return [label];
+	const lowerLabel = label.toLowerCase(), lowerText = text.toLowerCase();
+	var start = 0, found;
+	while ((found = lowerLabel.indexOf(lowerText, start)) != -1) {
+		if (found > start)
+			nodes.push(label.slice(start, found));
+		const mark = document.createElement('mark');
+		mark.textContent = label.slice(found, found+text.length);
+		nodes.push(mark);
+		start = found + text.length;
+	}
+	if (start < label.length)
+		nodes.push(label.slice(start));
+	return nodes;
+}
@@ -1,4 +1,17 @@
 
+// BGStylesheet manages a <style> element in the document head whose rules are changed dynamically.
+// There are two ways to manage its rules.
+//    * ruleIDs : addRule(cssText) returns a numeric ruleID that can be passed to updateRule and deleteRule. Deleted rules leave a
+//                placeholder so that the ruleIDs of the other rules stay valid.
+//    * handles : rule(selector, styles) returns a BGStyleRule handle that builds the css text from a styles object and can be
+//                updated or removed. This is the preferred way.
+// Example:
+//    const sheet = new BGStylesheet();
+//    const layout = sheet.rule('.myView .cntr1', {color:'blue', gridTemplateColumns:'1fr 4px 2fr'});
+//    layout.update({gridTemplateColumns:'1fr 4px 3fr'});   // e.g. while dragging a splitter
+//    layout.remove();
+// See Also:
+//    BGStyleRule
 export class BGStylesheet {
 	constructor() {
 		var styleEl = document.createElement("style");
@@ -10,7 +23,8 @@ export class BGStylesheet {
 		//window.r=this; // for console inspection
 	}
 
-	isEmpty() { return this.dynStyles.cssRules.length == 0}
+	// the placeholder rule at index 0 is always there so the sheet is empty when it is the only rule
+	isEmpty() { return this.dynStyles.cssRules.length <= 1}
 
 	addRule(cssText) {
 		if (this.freeIDs.length > 0) {
@@ -34,16 +48,292 @@ export class BGStylesheet {
 		this.freeIDs.push(ruleID);
 		return 0;
 	}
+	// remove all rules except the placeholder at index 0 which keeps 0 from being used as a ruleID. BGStyleRule handles notice that
+	// their rules are gone and add them again the next time they are updated. (before 3.0.0 the placeholder was removed too)
 	deleteAllRules() {
-		while (this.dynStyles.cssRules.length > 0) {
+		while (this.dynStyles.cssRules.length > 1) {
 			this.dynStyles.deleteRule(this.dynStyles.cssRules.length -1);
 		}
 		this.freeIDs = [];
 	}
+	// replace all rules (except the placeholder) with the css text in ruleArray. ruleArray[i] is at index i+1 in dynStyles.cssRules
 	addAllRules(ruleArray) {
 		this.deleteAllRules();
 		for (var i=0; i< ruleArray.length; i++) {
-			this.dynStyles.insertRule(ruleArray[i], i);
+			this.dynStyles.insertRule(ruleArray[i], i+1);
 		}
 	}
+
+	// usage: <BGStyleRule> rule(<string> selector, <object> styles)
+	// add the rules made from <styles> for <selector> and return a handle to update or remove them. See BGStyleRule
+	rule(selector, styles) {
+		return new BGStyleRule(this, selector, styles);
+	}
+}
+
+
+// BGStyleRule is a handle to the css rules made from one selector and styles object in a BGStylesheet. It is returned by
+// BGStylesheet.rule(). Unlike ruleIDs, the handle refers to the CSSRule objects so it is not affected by the positions of other
+// rules changing.
+//
+// The styles object uses the DOM style property names (camelCase) or css names. Keys whose values are objects make nested rules.
+//    '&<...>'           : the '&' is replaced with the parent selector. e.g. '&:hover', '&.selected', '& > .child'
+//    <selector>         : without a '&', the selector is a descendant of the parent selector
+//    '@media <query>'   : the styles inside apply to the parent selector when the query matches (also @supports, @container)
+//    '--<name>'         : custom properties are set as is so they can be used by var(--<name>) in this or descendant rules
+// A value can end in '!important'.
+// Example:
+//    sheet.rule('.myView', {
+//        display:'grid',
+//        '--gutter':'4px',
+//        '& > .dragger': {background:'var(--cBorders)'},
+//        '.cntr1': {padding:'var(--gutter)'},
+//        '@media (max-width:600px)': {display:'block', '.cntr1': {padding:0}}
+//    });
+// See Also:
+//    CSSScopedRules : builds the css text for the handle
+export class BGStyleRule {
+	constructor(sheet, selector, styles) {
+		this.sheet    = sheet;
+		this.selector = selector;
+		this.styles   = {};
+		this.cssRules = [];
+		this.update(styles || {});
+	}
+
+	// true after remove() or if the rules were removed by BGStylesheet.deleteAllRules
+	get isRemoved() {
+		return this.cssRules.length == 0 || this.cssRules.every((cssRule)=>this.indexOf(cssRule) == -1);
+	}
+
+	// usage: <BGStyleRule> update(<object|string> styles)
+	// merge <styles> into the current styles of this handle. A null or '' value removes that property or nested rule. When only
+	// top level properties change, the existing CSSRule is modified in place which is efficient enough to do on each mousemove.
+	// <styles> can also be css text in the form accepted by CSSScopedRules (e.g. '& {display:flex} .label {color:red}') which
+	// replaces the current styles instead of being merged.
+	update(styles) {
+		const isText = typeof styles == 'string' || typeof this.styles == 'string';
+		const inPlace = !isText && isFlatStyles(styles) && isFlatStyles(this.styles) && this.cssRules.length == 1
+			&& this.cssRules[0].style && this.indexOf(this.cssRules[0]) != -1;
+		if (typeof styles == 'string')
+			this.styles = styles;
+		else if (typeof this.styles == 'string')
+			this.styles = mergeStyles({}, styles);
+		else
+			mergeStyles(this.styles, styles);
+
+		if (inPlace) {
+			const style = this.cssRules[0].style;
+			for (const name in styles) {
+				const value = styles[name];
+				if (value == null || value === '')
+					style.removeProperty(CSSPropertyName(name));
+				else {
+					const [, text, important] = /^(.*?)\s*(!important)?$/.exec(String(value));
+					style.setProperty(CSSPropertyName(name), text, important ? 'important' : '');
+				}
+			}
+			return this;
+		}
+
+		this.releaseRules();
+		for (const cssText of CSSScopedRules(this.styles, this.selector)) {
+			const ruleID = this.sheet.addRule(cssText);
+			this.cssRules.push(this.sheet.dynStyles.cssRules[ruleID]);
+		}
+		return this;
+	}
+
+	// usage: <void> remove()
+	// remove the rules of this handle from the stylesheet. Calling update() afterwards adds them again.
+	remove() {
+		this.releaseRules();
+		this.styles = {};
+	}
+
+	// private helper to delete our CSSRules from the sheet. The slots are left for reuse (see BGStylesheet.deleteRule)
+	releaseRules() {
+		for (const cssRule of this.cssRules) {
+			const ruleID = this.indexOf(cssRule);
+			if (ruleID > 0)
+				this.sheet.deleteRule(ruleID);
+		}
+		this.cssRules = [];
+	}
+
+	// private helper to find the current index of one of our CSSRules in the sheet (-1 if it is not there)
+	indexOf(cssRule) {
+		return Array.prototype.indexOf.call(this.sheet.dynStyles.cssRules, cssRule);
+	}
+}
+
+// private helper. true if styles does not contain any nested rules
+function isFlatStyles(styles) {
+	for (const key in styles)
+		if (styles[key] && typeof styles[key] == 'object')
+			return false;
+	return true;
+}
+
+// private helper to merge the changes in styles into target. null values delete the key and nested objects are merged recursively
+function mergeStyles(target, styles) {
+	for (const key in styles) {
+		const value = styles[key];
+		if (value == null || value === '')
+			delete target[key];
+		else if (typeof value == 'object')
+			mergeStyles((target[key] && typeof target[key] == 'object') ? target[key] : (target[key] = {}), value);
+		else
+			target[key] = value;
+	}
+	return target;
+}
+
+
+// usage: <string> CSSPropertyName(<string> name)
+// return the css property name for a DOM style property name. e.g. 'gridTemplateColumns' -> 'grid-template-columns'. Custom
+// properties (--*) and names that are already in css form are returned unchanged.
+export function CSSPropertyName(name) {
+	if (name == 'cssFloat')
+		return 'float';
+	if (name.startsWith('--'))
+		return name;
+	return name.replace(/[A-Z]/g, (c)=>'-'+c.toLowerCase());
+}
+
+// usage: <string> CSSDeclarations(<object|string> declarations)
+// return the text of a css declaration block (without the braces) from an object like {color:'blue', marginTop:'4px'}. Entries
+// whose value is null or '' are left out. A string is returned as is so that it can already be css text.
+export function CSSDeclarations(declarations) {
+	if (typeof declarations == 'string')
+		return declarations.trim();
+	const parts = [];
+	for (const name in declarations) {
+		const value = declarations[name];
+		if (value == null || value === '' || typeof value == 'object')
+			continue;
+		parts.push(CSSPropertyName(name)+': '+value+';');
+	}
+	return parts.join(' ');
+}
+
+// usage: <string> CSSScopeSelector(<string> selectorList, <string> scopeSelector)
+// return <selectorList> with each selector made relative to <scopeSelector>. A '&' in a selector is replaced by <scopeSelector>.
+// Selectors without a '&' become descendants of <scopeSelector>.
+// Example:
+//    CSSScopeSelector('&.selected, .label', '.bgs-Tab-1')  // -> '.bgs-Tab-1.selected, .bgs-Tab-1 .label'
+export function CSSScopeSelector(selectorList, scopeSelector) {
+	const scopes = splitSelectorList(scopeSelector);
+	return splitSelectorList(selectorList)
+		.flatMap((selector)=>scopes.map((scope)=>(selector.includes('&')) ? selector.replace(/&/g, scope) : scope+' '+selector))
+		.join(', ');
+}
+
+// usage: <Array> CSSRules(<string> selector, <object> styles)
+// return an array of css rule texts for <selector> made from a styles object that can contain nested rules. See BGStyleRule for
+// the syntax. The rule for the top level declarations comes first followed by the nested rules in the order of their keys.
+// Example:
+//    CSSRules('.myView', {color:'blue', '&:hover':{color:'red'}})  // -> ['.myView { color: blue; }', '.myView:hover { color: red; }']
+export function CSSRules(selector, styles) {
+	const rules = [];
+	const declarations = CSSDeclarations(styles);
+	if (declarations)
+		rules.push(selector+' { '+declarations+' }');
+	for (const key in styles) {
+		const value = styles[key];
+		if (!value || typeof value != 'object')
+			continue;
+		if (/^@(media|supports|container|layer)\b/.test(key))
+			rules.push(key+' { '+CSSRules(selector, value).join(' ')+' }');
+		else if (key.startsWith('@'))
+			rules.push(key+' { '+atRuleBody(value)+' }');
+		else
+			rules.push(...CSSRules(CSSScopeSelector(key, selector), value));
+	}
+	return rules;
+}
+
+// usage: <Array> CSSScopedRules(<string|object> styles, <string> scopeSelector)
+// return an array of css rule texts made from <styles> where every selector is scoped to <scopeSelector> (see CSSScopeSelector).
+// @media, @supports and @container blocks are kept and the rules inside them are scoped. Other at-rules like @keyframes and
+// @font-face are not scoped.
+// Params:
+//    <styles> : the styles can be given as css text or as an object.
+//         string : '& {display:flex} .label {font-weight:bold} @media (max-width:600px) {.label {display:none}}'
+//         object : {
+//                      display:'flex',                          // declarations at the top level apply to the scope itself
+//                      '.label': {fontWeight:'bold'},           // rules. The keys are selectors and values are declarations
+//                      '@media (max-width:600px)': {'.label': {display:'none'}}
+//                  }
+//                  The object form can nest rules to any depth (see CSSRules)
+export function CSSScopedRules(styles, scopeSelector) {
+	const rules = [];
+	if (!styles)
+		return rules;
+
+	if (typeof styles == 'string') {
+		for (const {prelude, body} of splitCSSBlocks(styles)) {
+			if (/^@(media|supports|container|layer)\b/.test(prelude))
+				rules.push(prelude+' { '+CSSScopedRules(body, scopeSelector).join(' ')+' }');
+			else if (prelude.startsWith('@'))
+				rules.push(prelude+' { '+body+' }');
+			else
+				rules.push(CSSScopeSelector(prelude, scopeSelector)+' { '+body.trim()+' }');
+		}
+		return rules;
+	}
+
+	return CSSRules(scopeSelector, styles);
+}
+
+// private helper to make the body of an unscoped at-rule like @keyframes (whose values are blocks) or @font-face (declarations)
+function atRuleBody(value) {
+	const blocks = [];
+	for (const key in value)
+		if (value[key] && typeof value[key] == 'object')
+			blocks.push(key+' { '+CSSDeclarations(value[key])+' }');
+	return (blocks.length > 0) ? blocks.join(' ') : CSSDeclarations(value);
+}
+
+// private helper to split a selector list at the commas that are not inside parenthesis or brackets (like :is(a,b))
+function splitSelectorList(selectorList) {
+	const selectors = [];
+	var depth = 0, start = 0;
+	for (var i=0; i<selectorList.length; i++) {
+		const c = selectorList[i];
+		if (c == '(' || c == '[') depth++;
+		else if (c == ')' || c == ']') depth--;
+		else if (c == ',' && depth == 0) {
+			selectors.push(selectorList.slice(start, i).trim());
+			start = i+1;
+		}
+	}
+	selectors.push(selectorList.slice(start).trim());
+	return selectors.filter((selector)=>selector);
+}
+
+// private helper to split css text into its top level blocks. Each block is returned as {prelude, body} where prelude is the
+// text before the '{' (a selector list or at-rule) and body is the text between the matching braces.
+function splitCSSBlocks(cssText) {
+	cssText = cssText.replace(/\/\*[\s\S]*?\*\//g, '');
+	const blocks = [];
+	var i = 0;
+	while (i < cssText.length) {
+		const open = cssText.indexOf('{', i);
+		if (open == -1)
+			break;
+		var depth = 1, j = open+1, quote = null;
+		for (; j<cssText.length && depth>0; j++) {
+			const c = cssText[j];
+			if (quote) { if (c == quote && cssText[j-1] != '\\') quote = null; }
+			else if (c == '"' || c == "'") quote = c;
+			else if (c == '{') depth++;
+			else if (c == '}') depth--;
+		}
+		// statement at-rules like @import end with ';' and are not blocks so skip over them
+		const prelude = cssText.slice(i, open).replace(/^[\s;]*(@[^{;]*;[\s;]*)*/, '').trim();
+		blocks.push({prelude, body:cssText.slice(open+1, j-1)});
+		i = j;
+	}
+	return blocks;
 }
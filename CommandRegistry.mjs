@@ -0,0 +1,373 @@
+import { RegisterGlobalService } from './GlobalServices'
+import { ComponentToEl }         from './componentCore'
+import { Disposable }            from './Disposables'
+import { BGError }               from './BGError'
+import { tooltips }              from './Tooltips'
+
+// the number of milliseconds that a partially typed multi-stroke key sequence waits for its next keystroke
+const pendingStrokeTimeout = 1000;
+
+const modifierOrder = ['ctrl', 'alt', 'shift', 'cmd'];
+const modifierKeys  = new Set(['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'CapsLock']);
+const keyNames      = {' ':'space', ArrowUp:'up', ArrowDown:'down', ArrowLeft:'left', ArrowRight:'right', Esc:'escape'};
+
+
+// CommandRegistry is a registry of named commands for applications that do not run in atom. Its methods have the same signatures
+// as the atom.commands methods that bg-dom uses so that CommandButton and tooltips work the same with either one.
+//
+// A command is registered for a target which is either a CSS selector or a specific DOM element. Dispatching a command to a DOM
+// element looks for a handler starting at that element and going up through its ancestors so the same command name can do
+// different things in different parts of the UI. Handlers registered on the same element (or matching the same element) are
+// called in the reverse order that they were added, and a handler can call event.stopPropagation() to prevent the ancestors from
+// getting the command.
+//
+// Command names have the form '<package>:<command-name>' like atom. The displayName defaults to the command name converted to words
+// ('editor:toggle-wrap' becomes 'Editor: Toggle Wrap').
+//
+// The global instance is bg.commands (also exported as commands). The keymap that invokes commands from the keyboard is bg.keymaps.
+// Example:
+//    commands.add('.my-editor', 'editor:save', (event)=>this.save(event.target));
+//    commands.add(this.el, {
+//        'editor:undo': ()=>this.undo(),
+//        'editor:redo': {didDispatch:()=>this.redo(), displayName:'Redo', description:'Redo the last change that was undone'}
+//    });
+//    commands.dispatch(document.activeElement, 'editor:save');
+// See Also:
+//    KeymapManager, CommandButton
+export class CommandRegistry {
+	constructor(prevRegistry) {
+		this.listeners = (prevRegistry) ? prevRegistry.listeners : new Map();   // commandName -> [{target, didDispatch, displayName, description}]
+	}
+
+	// usage: <Disposable> add(<selectorOrBGComp> target, <string> commandName, <function|object> handler)
+	//        <Disposable> add(<selectorOrBGComp> target, <object> commandsByName)
+	// Register one or more commands.
+	// Params:
+	//    <target>         : a CSS selector string or a BGComp (DOM element or component) that the commands apply to
+	//    <commandName>    : the name of the command like 'editor:save'
+	//    <handler>        : a function called as handler(event) or an object {didDispatch, displayName, description}
+	//    <commandsByName> : an object whose keys are command names and whose values are handlers
+	// Return Value:
+	//    a Disposable that removes the commands
+	add(target, commandName, handler) {
+		if (typeof commandName == 'object') {
+			const disposables = Object.keys(commandName).map((name)=>this.add(target, name, commandName[name]));
+			return new Disposable(()=>disposables.forEach((disposable)=>disposable.dispose()));
+		}
+		if (typeof target != 'string')
+			target = ComponentToEl(target);
+		if (!target)
+			throw new BGError("commands.add: target must be a CSS selector or a BGComp", {target, commandName});
+		if (typeof handler == 'function')
+			handler = {didDispatch:handler};
+		if (!handler || typeof handler.didDispatch != 'function')
+			throw new BGError("commands.add: handler must be a function or an object with a didDispatch method", {commandName, handler});
+
+		const listener = {
+			target,
+			didDispatch : handler.didDispatch,
+			displayName : handler.displayName || humanizeCommandName(commandName),
+			description : handler.description || handler.displayName || humanizeCommandName(commandName)
+		};
+		if (!this.listeners.has(commandName))
+			this.listeners.set(commandName, []);
+		this.listeners.get(commandName).push(listener);
+
+		return new Disposable(()=>{
+			const listeners = this.listeners.get(commandName);
+			const index = listeners ? listeners.indexOf(listener) : -1;
+			if (index != -1)
+				listeners.splice(index, 1);
+			if (listeners && listeners.length == 0)
+				this.listeners.delete(commandName);
+		});
+	}
+
+	// usage: <array> findCommands({target})
+	// return the commands that can be dispatched to <target> as [{name, displayName, description}, ...]. If a command has handlers
+	// at more than one level, the one closest to target provides the displayName and description.
+	findCommands({target}={}) {
+		const targetEl = ComponentToEl(target) || document.body;
+		const found = new Map();
+		for (var el = targetEl; el; el = el.parentElement) {
+			for (const [name, listeners] of this.listeners) {
+				if (found.has(name))
+					continue;
+				const listener = findLast(listeners, (listener)=>listenerMatches(listener, el));
+				if (listener)
+					found.set(name, {name, displayName:listener.displayName, description:listener.description});
+			}
+		}
+		return [...found.values()];
+	}
+
+	// usage: <boolean> dispatch(<BGComp> target, <string> commandName [, <any> detail])
+	// invoke the handlers of <commandName> for <target> and its ancestors. Each handler is called with an event object that has
+	// type, target, currentTarget, detail, stopPropagation() and stopImmediatePropagation().
+	// Return Value:
+	//    true if at least one handler was invoked
+	dispatch(target, commandName, detail) {
+		const targetEl = ComponentToEl(target);
+		const listeners = this.listeners.get(commandName);
+		if (!targetEl || !listeners)
+			return false;
+
+		var propagationStopped = false, immediatePropagationStopped = false, handled = false;
+		const event = {
+			type   : commandName,
+			target : targetEl,
+			currentTarget : null,
+			detail,
+			stopPropagation()          { propagationStopped = true; },
+			stopImmediatePropagation() { propagationStopped = immediatePropagationStopped = true; }
+		};
+		for (var el = targetEl; el && !propagationStopped; el = el.parentElement) {
+			event.currentTarget = el;
+			// copy the list so that handlers can add and remove commands
+			for (const listener of listeners.slice().reverse()) {
+				if (!listenerMatches(listener, el))
+					continue;
+				handled = true;
+				listener.didDispatch.call(el, event);
+				if (immediatePropagationStopped)
+					break;
+			}
+		}
+		return handled;
+	}
+}
+
+
+// KeymapManager maps keystrokes to commands for applications that do not run in atom. Its methods have the same signatures as the
+// atom.keymaps methods so that bindings can be written once in the atom keymap format.
+//
+// Bindings are grouped by CSS selector. When a key is pressed, the bindings whose selector matches the focused element (or one of
+// its ancestors) are searched, closest element first, and the matching command is dispatched to the focused element through
+// bg.commands. If several bindings for the same keystrokes match the same element, the one added last wins.
+//
+// Keystrokes are written as modifiers and a key joined with '-' like 'ctrl-s', 'ctrl-shift-p', 'alt-up' or 'cmd-enter'. An upper
+// case letter implies shift ('ctrl-S' is 'ctrl-shift-s'). Multi-stroke sequences are keystrokes separated by spaces like
+// 'ctrl-k ctrl-c'. While a sequence is partially typed, its keystrokes are not passed on to the page. If the next keystroke does
+// not continue a sequence (or it is not typed within a second), the pending keystrokes are dropped.
+//
+// Keystrokes are ignored when the keydown event has already been handled (defaultPrevented) so components like AutocompleteField
+// that handle their own keys do not trigger bindings for those keys.
+//
+// The global instance is bg.keymaps (also exported as keymaps). It installs its keydown listener on the document when the first
+// bindings are added. It also becomes the keymap lookup of bg.tooltips so that tooltips display the keystrokes of their
+// keyBindingCommand.
+// Example:
+//    keymaps.add('my-app', {
+//        'body'       : {'ctrl-s':'app:save', 'ctrl-k ctrl-c':'editor:comment'},
+//        '.my-editor' : {'ctrl-z':'editor:undo', 'ctrl-shift-z':'editor:redo'}
+//    });
+// See Also:
+//    CommandRegistry
+export class KeymapManager {
+	constructor(prevKeymaps) {
+		this.bindings      = (prevKeymaps) ? prevKeymaps.bindings : [];   // [{source, selector, keystrokes, command}]
+		this.pending       = [];      // the keystrokes typed so far of a multi-stroke sequence
+		this.pendingTimer  = null;
+		this.listening     = false;
+		this.onKeyDown     = (e)=>this.handleKeyboardEvent(e);
+		if (prevKeymaps && prevKeymaps.listening) {
+			document.removeEventListener('keydown', prevKeymaps.onKeyDown);
+			this.listen();
+		}
+	}
+
+	// usage: <Disposable> add(<string> source, <object> bindingsBySelector)
+	// Add key bindings.
+	// Params:
+	//    <source>             : a name for where the bindings come from (like a package name). It is kept with each binding.
+	//    <bindingsBySelector> : {<selector>: {<keystrokes>:<commandName>, ...}, ...}
+	// Return Value:
+	//    a Disposable that removes the bindings
+	add(source, bindingsBySelector) {
+		const added = [];
+		for (const selector in bindingsBySelector) {
+			for (const keystrokes in bindingsBySelector[selector]) {
+				const binding = {
+					source,
+					selector,
+					keystrokes : keystrokes.trim().split(/\s+/).map(normalizeKeystroke).join(' '),
+					command    : bindingsBySelector[selector][keystrokes]
+				};
+				this.bindings.push(binding);
+				added.push(binding);
+			}
+		}
+		this.listen();
+		return new Disposable(()=>{
+			this.bindings = this.bindings.filter((binding)=>!added.includes(binding));
+		});
+	}
+
+	// usage: <array> findKeyBindings({[command] [, keystrokes] [, target]})
+	// return the bindings that match all the given criteria, most recently added first. When target is given, only bindings whose
+	// selector matches target or one of its ancestors are returned.
+	findKeyBindings({command, keystrokes, target}={}) {
+		if (keystrokes)
+			keystrokes = keystrokes.trim().split(/\s+/).map(normalizeKeystroke).join(' ');
+		const targetEl = target && ComponentToEl(target);
+		return this.bindings.filter((binding)=>
+			   (!command    || binding.command == command)
+			&& (!keystrokes || binding.keystrokes == keystrokes)
+			&& (!targetEl   || !!targetEl.closest(binding.selector))
+		).reverse();
+	}
+
+	// usage: <string> keystrokesFor(<string> command)
+	// return the keystrokes of the most recent binding of <command> formatted for display (like 'Ctrl-Shift-P') or null if it has
+	// no binding. This is the keymap lookup used by bg.tooltips.
+	keystrokesFor(command) {
+		const [binding] = this.findKeyBindings({command});
+		return (binding) ? formatKeystrokes(binding.keystrokes) : null;
+	}
+
+	// usage: <string> keystrokeForKeyboardEvent(<KeyboardEvent> event)
+	// return the normalized keystroke of event (like 'ctrl-shift-p') or null if the event is only a modifier key being pressed
+	keystrokeForKeyboardEvent(e) {
+		if (modifierKeys.has(e.key))
+			return null;
+		var key = keyNames[e.key] || e.key;
+		const modifiers = [];
+		e.ctrlKey && modifiers.push('ctrl');
+		e.altKey  && modifiers.push('alt');
+		// shift is implied by characters like '?' so it is only included for letters and named keys
+		e.shiftKey && (key.length > 1 || /[a-z]/i.test(key)) && modifiers.push('shift');
+		e.metaKey && modifiers.push('cmd');
+		return [...modifiers, key.toLowerCase()].join('-');
+	}
+
+	// usage: <boolean> handleKeyboardEvent(<KeyboardEvent> event)
+	// match the keystroke of event against the bindings and dispatch the command of a complete match. This is called by the document
+	// keydown listener but it can be called directly for keyboard events of other documents.
+	// Return Value:
+	//    true if the keystroke was used by a binding (either completing or continuing a sequence)
+	handleKeyboardEvent(e) {
+		if (e.defaultPrevented)
+			return false;
+		const keystroke = this.keystrokeForKeyboardEvent(e);
+		if (!keystroke)
+			return false;
+
+		const sequence = [...this.pending, keystroke].join(' ');
+		const match = this.matchSequence(e.target, sequence);
+		if (!match && this.pending.length > 0) {
+			// the keystroke did not continue the pending sequence so try it on its own
+			this.clearPending();
+			return this.handleKeyboardEvent(e);
+		}
+		if (!match)
+			return false;
+
+		e.preventDefault();
+		if (match.partial) {
+			this.pending.push(keystroke);
+			clearTimeout(this.pendingTimer);
+			this.pendingTimer = setTimeout(()=>this.clearPending(), pendingStrokeTimeout);
+			return true;
+		}
+		this.clearPending();
+		e.stopPropagation();
+		global.bg.commands.dispatch(e.target, match.binding.command, {originalEvent:e, keystrokes:sequence});
+		return true;
+	}
+
+	// private helper that returns {binding} for a binding that matches sequence exactly, {partial:true} if sequence is the start of
+	// a longer binding or null. The element closest to target decides.
+	matchSequence(target, sequence) {
+		for (var el = (target && target.nodeType == 1) ? target : document.body; el; el = el.parentElement) {
+			var partial = false;
+			for (const binding of this.bindings.slice().reverse()) {
+				if (!el.matches(binding.selector))
+					continue;
+				if (binding.keystrokes == sequence)
+					return {binding};
+				if (binding.keystrokes.startsWith(sequence+' '))
+					partial = true;
+			}
+			if (partial)
+				return {partial};
+		}
+		return null;
+	}
+
+	clearPending() {
+		clearTimeout(this.pendingTimer);
+		this.pendingTimer = null;
+		this.pending = [];
+	}
+
+	// private helper that installs the document keydown listener once
+	listen() {
+		if (this.listening || typeof document == 'undefined')
+			return;
+		this.listening = true;
+		document.addEventListener('keydown', this.onKeyDown);
+	}
+}
+
+RegisterGlobalService('1.0.0', null,      'bg',       ()=>Object.create(null));
+RegisterGlobalService('1.0.0', global.bg, 'commands', (prevRegistry)=>new CommandRegistry(prevRegistry));
+RegisterGlobalService('1.0.0', global.bg, 'keymaps',  (prevKeymaps)=>new KeymapManager(prevKeymaps));
+export const commands = global.bg.commands;
+export const keymaps  = global.bg.keymaps;
+
+if (!tooltips.keymapLookup)
+	tooltips.setKeymapLookup((command)=>global.bg.keymaps.keystrokesFor(command));
+
+
+// usage: <object> CommandHost()
+// return {commands, keymaps, defaultTarget} for the environment. In atom these are atom.commands, atom.keymaps and the workspace
+// element. Otherwise they are bg.commands, bg.keymaps and document.body. CommandButton uses this so it works the same in both.
+export function CommandHost() {
+	if (typeof atom != 'undefined' && atom && atom.commands)
+		return {commands:atom.commands, keymaps:atom.keymaps, defaultTarget:atom.workspace.getElement()};
+	return {commands:global.bg.commands, keymaps:global.bg.keymaps, defaultTarget:document.body};
+}
+
+
+// private helper that returns true if listener was registered for el (by selector or by element)
+function listenerMatches(listener, el) {
+	return (typeof listener.target == 'string') ? el.matches(listener.target) : listener.target === el;
+}
+
+function findLast(list, predicate) {
+	for (var i=list.length-1; i>=0; i--)
+		if (predicate(list[i]))
+			return list[i];
+}
+
+// 'editor:toggle-soft-wrap' -> 'Editor: Toggle Soft Wrap'
+function humanizeCommandName(commandName) {
+	const words = (name)=>name.split(/[-_\s]+/).filter(Boolean).map((word)=>word[0].toUpperCase()+word.slice(1)).join(' ');
+	const [namespace, name] = commandName.includes(':') ? commandName.split(/:(.*)/) : [null, commandName];
+	return (namespace) ? words(namespace)+': '+words(name) : words(name);
+}
+
+// 'Ctrl-S' -> 'ctrl-shift-s', 'shift-ctrl-a' -> 'ctrl-shift-a', 'ctrl--' -> 'ctrl--'
+function normalizeKeystroke(keystroke) {
+	const parts = keystroke.split('-');
+	var key = parts.pop();
+	if (key === '' && parts.length) {       // the key is '-' itself
+		parts.pop();
+		key = '-';
+	}
+	const modifiers = new Set(parts.map((part)=>part.toLowerCase()).map((part)=>(part=='meta' || part=='command') ? 'cmd' : (part=='control') ? 'ctrl' : part));
+	for (const modifier of modifiers)
+		if (!modifierOrder.includes(modifier))
+			throw new BGError("keymaps: unknown modifier '"+modifier+"' in keystroke '"+keystroke+"'", {keystroke});
+	if (/^[A-Z]$/.test(key))
+		modifiers.add('shift');
+	key = keyNames[key] || key;
+	return [...modifierOrder.filter((modifier)=>modifiers.has(modifier)), key.toLowerCase()].join('-');
+}
+
+// 'ctrl-k ctrl-shift-c' -> 'Ctrl-K Ctrl-Shift-C'
+function formatKeystrokes(keystrokes) {
+	return keystrokes.split(' ').map((keystroke)=>
+		keystroke.split(/-(?!$)/).map((part)=>part[0].toUpperCase()+part.slice(1)).join('-')
+	).join(' ');
+}
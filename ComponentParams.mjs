@@ -1,5 +1,9 @@
 import { BGError }            from './BGError';
-import { ComponentConstruct } from './componentCore'
+
+// compiled common Regular Expressions (re-exported by componentCore)
+export const reEmpty        = /^\s*$/;
+export const reHTMLContent  = /^\s*<[^>]+>/;
+export const reVarName      = /^[_a-zA-Z][_a-zA-Z0-9]*(\[.*\])?$/;
 
 // This is the regex used to parse tagIDClasses strings (any strings that is pass directly into a ctro is considered a tagIDClasses)
 // Note that the re group names are the parameter names. This re must match '' (all groups are optional)
@@ -18,6 +22,18 @@ export const reContentIDClassesClassifiers = {
 
 export const reDOMCallbackProp = /^on[a-z]/;
 
+// DOMNode properties that ComponentMakeDOMNode sets without the element getting an attribute for them. componentRender can not
+// express them in the markup so ComponentHydrate sets them on the adopted node. value is only one of these on form controls. On
+// other elements like <option> and <button> it is reflected to the value attribute.
+const propertyOnlyProps = new Set(['checked', 'selected', 'indeterminate', 'scrollTop', 'scrollLeft']);
+const formControlTags   = new Set(['input', 'select', 'textarea']);
+
+// usage: <boolean> ComponentIsPropertyOnly(<string> tagName, <string> propName)
+// return true if setting propName on an element of type tagName does not create an attribute. See propertyOnlyProps.
+export function ComponentIsPropertyOnly(tagName, propName) {
+	return propertyOnlyProps.has(propName) || (propName == 'value' && formControlTags.has(String(tagName || 'div').toLowerCase()));
+}
+
 // This map looks up a name and returns true if it is a known style property name. It is used to move options object's member names
 // that the user puts at the top level into the 'style' sub-member. This makes it easier for users to specify just a few styles.
 // without having the verbosity of creating the style sub-object.
@@ -332,6 +348,9 @@ const knownStyleProperties = {
 //                                function possible from the 'Constructor' param.
 //    defaultChildConstructor:classFn: <classFn> will become the value of defaultConstructor when children are created from construction
 //                                parameters.
+//    hydrateNode   :DOMNode    : an existing DOMNode (typically from server rendered markup) that the BGComp should adopt instead of
+//                                creating a new one. The node's label and content already exist so the builder should not create them.
+//                                See ComponentHydrate.
 //    paramNames    :stringSet  : space separated list of parameter names that extend this list of named parameters. Other parameters
 //                                matching these names will be placed in the optParams sub-object.
 //                                'paramNames' values are hoisted so that they will identifiy other parameters regardless of order.
@@ -352,6 +371,10 @@ const knownStyleProperties = {
 //    props         :object     : Attributes / Properties to be set in the created DOM node. Keys of this object can be any property
 //                                supportted by the DOM
 //    styles        :object     : css styles to be set in the created DOM node. Keys of this object can be any style property name
+//    bind          :object     : data bindings. Keys are property names of the BGComp (like 'label' or 'value') and values are the
+//                                DependentsGraph source that the property follows. The source can be [<model>,<channel>] or
+//                                {obj:<model>, channel:<channel>} where model[channel] is the value. See ComponentBind.
+//                                bind is only valid as an explicit container. Unlike the others, its keys are never flattened to the top.
 //
 // Flattening the Property, Styles, and optParam Namespaces:
 //    An important way to make the syntax to build components more compact is the support to specify any (name,value) pair at the
@@ -400,7 +423,7 @@ const knownStyleProperties = {
 //           callbacks in the corresponding array (if any). unnamed callbacks are stored under the name 'defaultCB'. If defaultCBName
 //           is specified callbacks named with its value will also be stored under the name 'defaultCB'. When calling getCompositeCB(),
 //           'defaultCB', defaultCBName, or not providing a name will all return the callback correspnding to 'defaultCB'.
-//     optParams,props,styles : these are containers of named data and each key is treated separately according to its name.
+//     optParams,props,styles,bind : these are containers of named data and each key is treated separately according to its name.
 //
 // Canonical Data:
 // After processing the incoming parameter list, the ComponentParams instance will contain the state that describes how the BGComp
@@ -416,6 +439,7 @@ const knownStyleProperties = {
 //   props     : an object of (name,value) pairs of the DOMNode properties to be used to create the DOMNode.
 //   optParams : an object of (name,value) pairs that can enfluence the BGComp in some way determined by the component type author
 //   styles    : an object of (name,value) pairs of css styles that should be applied directly to the DOMNode when its created
+//   bind      : an object of (name,source) pairs that the builder should pass to ComponentBind after the BGComp is created.
 //   content   : an array where each element is a child BGComp that should be mounted in order as children. The elements are in the
 //               order that they were encounted from left to right.
 //   label     : text content that can be interpretted by the code that uses ComponentParams. Often its the inner text or html before
@@ -428,6 +452,7 @@ const knownStyleProperties = {
 //   callbacks : these are typically accessed via getCompositeCB(name='defaultCB'). Note that callback names that match reDOMCallbackProp
 //               are be moved out of here and into the props object so that they are applied directly to the created DOMNode.
 //   trace     : if the trace member is truthy, it indicates that the BGComp being created should trigger trace statements for debugging.
+//   hydrateNode : if set, the builder should link the BGComp to this existing DOMNode instead of creating a new one.
 export class ComponentParams
 {
 	// return the tagIDClasses string that represents the <el> passed in.
@@ -464,11 +489,13 @@ export class ComponentParams
 		this.Constructor             = undefined;   // added to support dynamic construction. The BGComp *should* be created with this.
 		this.defaultConstructor      = undefined;   // The BGComp *may* be created with this if the builder does not have a better one
 		this.defaultChildConstructor = undefined;   // when child are specified as construction params, this is added as their defaultConstructor
+		this.hydrateNode             = undefined;   // an existing DOMNode to adopt instead of creating a new one (see ComponentHydrate)
 		this.className     = '';
 		this.content       = [];
 		this.optParams     = {};
 		this.paramNames    = {label:true, icon:true};
 		this.props         = {};
+		this.bind          = {};
 		this.styles        = {};
 		this.style         = {};
 		this.defaultCBName = {defaultCB:true, '':true};
@@ -609,7 +636,7 @@ export class ComponentParams
 
 		// these are container param names whose purpose is to explicitly state that the attributes in their object values are
 		// to be classified as such. Its only valid for their values to be objects
-		else if (/^(props|style[s]?|optParams)$/.test(name)) {
+		else if (/^(props|style[s]?|optParams|bind)$/.test(name)) {
 			classifier = (name=='style') ? 'styles' : name;
 			if (valueType != 'object')
 				throw new BGError("This parameter name is meant to be a container for other named parameters of that type. The value must be an object", {name,value,classifier,valueType});
@@ -630,7 +657,7 @@ export class ComponentParams
 			classifier = 'content';
 
 		// these are top level attributes of the described component
-		else if (/(tagName|name|idName|Constructor|defaultConstructor|defaultChildConstructor|trace|root)/.test(name))
+		else if (/(tagName|name|idName|Constructor|defaultConstructor|defaultChildConstructor|hydrateNode|trace|root)/.test(name))
 			classifier = 'top';
 
 		// functions can only be a callback or a Constructor and Constructors have already been identified so they must be callbacks now
@@ -758,15 +785,16 @@ export class ComponentParams
 				this.setSingleValuedAttr(this.optParams, classifier,  name, value);
 			return;
 
-			// caller passed in {props:{...}}, or {styles:{...}}, or {optParams:{...}}
+			// caller passed in {props:{...}}, or {styles:{...}}, or {optParams:{...}}, or {bind:{...}}
 			// the value is an object that contains name/value pairs of the named type
 			case 'props':
 			case 'styles':
 			case 'optParams':
+			case 'bind':
 				if (valueType != 'object')
 					throw new BGError(`A parameter to ComponentParams named '%s' must be an object containing name/value pairs of that type. A '%s' was passed in instead of an object. details=%O`,
 					 					name, valueType, {ComponentParams:this, name, classifier, valueType, value});
-				var singularClassifier = classifier.slice(0,-1);
+				var singularClassifier = (classifier=='bind') ? 'bind' : classifier.slice(0,-1);
 				for (const key in value)
 					this.setSingleValuedAttr(this[classifier], singularClassifier,  key, value[key]);
 			return;
@@ -788,7 +816,7 @@ export class ComponentParams
 
 
 	getClassNames() {
-		var ret = this.name+' '+this.className;
+		var ret = (this.name || '')+' '+this.className;
 		return ret.trim().replace(/\s+/g,' ');
 	}
 
@@ -823,6 +851,8 @@ export class ComponentParams
 
 // OBSOLETE? this wrapNode mechanism was created for OnDemandComponet (used by ComponentGetParent(... 'ondemand')) but I removed that.
 //           we are leaning into DOMNodes (aka HTMLElement) being valid BGComp(onents) and we dont need to wrap them.
+//           To adopt existing DOM (like server rendered markup) into the named child system, use the hydrateNode param and
+//           ComponentHydrate instead.
 // When this static property of ComponentParams is passed to the ComponentParams ctor, it indicates that it should not process the
 // arguments pass and it should return as soon as possible because the caller is not going to use the parameters.
 // A component hierarchy can use this to support wrapping around an existing DOMnode instead of creating a new one.
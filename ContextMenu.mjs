@@ -0,0 +1,380 @@
+import { Component }          from './component'
+import { ComponentToEl }      from './componentCore'
+import { Disposables }        from './Disposables'
+import { BGError }            from './BGError'
+
+// the top level menu that is open. Only one context menu can be open at a time.
+var openMenu = null;
+
+
+// ContextMenu is a popup menu of items that the user can activate with the mouse or the keyboard. It is typically attached to a
+// BGComp with Component.addContextMenu so that it opens where the user right-clicks (or presses the context menu key) but it can
+// also be opened directly with open(x,y).
+//
+// Items:
+// The items use the same format as atom and electron menu templates. An item is '-' (a separator) or an object with these fields.
+//    label:string        : the text displayed
+//    click:function      : click(item, target, event) called when the item is activated. target is the BGComp that the menu was
+//                          opened for
+//    submenu:array       : items of a nested menu that opens to the side of this item
+//    type:string         : 'normal' (the default), 'separator', 'checkbox' or 'radio'. checkbox items toggle item.checked when
+//                          activated and radio items set item.checked and clear it in the other radio items of the same menu.
+//    checked:boolean     : display a check mark
+//    enabled:boolean     : false to display the item disabled. default is true
+//    visible:boolean     : false to leave the item out. default is true
+// The items array can also be a function(target, event) that returns the items so that they can depend on the state at the time
+// the menu opens.
+//
+// Keyboard:
+// ArrowDown/ArrowUp move between the enabled items, ArrowRight (or Enter) opens a submenu, ArrowLeft closes it, Enter or Space
+// activates the item, Home/End go to the first/last item and Escape closes the menu. Clicking outside the menu also closes it.
+//
+// Submenus and the top level menu are positioned so that they stay within the viewport.
+//
+// Params:
+//    <items>               : the items array (or function that returns it)
+//    <tagIDClasses>:string : [name:][<tagName>][#<idName>][.className1[.className2...]]
+//    <namedParams>         : object with named parameters. See Component
+// Example:
+//    Component.addContextMenu(fileView, (target)=>[
+//        {label:'Open',   click:()=>target.open()},
+//        {label:'Rename', click:()=>target.rename(), enabled:!target.readOnly},
+//        '-',
+//        {label:'Sort By', submenu:[
+//            {label:'Name', type:'radio', checked:true,  click:()=>target.sortBy('name')},
+//            {label:'Date', type:'radio', checked:false, click:()=>target.sortBy('date')}
+//        ]},
+//        {label:'Show Hidden', type:'checkbox', checked:target.showHidden, click:(item)=>target.setShowHidden(item.checked)}
+//    ]);
+//
+//    new ContextMenu([{label:'Paste', click:paste}]).open(e.clientX, e.clientY);
+// See Also:
+//    ComponentAddContextMenu
+export class ContextMenu extends Component {
+	static styles = {
+		position      : 'fixed',
+		zIndex        : 2000,
+		margin        : 0,
+		padding       : '4px 0',
+		listStyle     : 'none',
+		minWidth      : '10em',
+		background    : 'var(--cBackground)',
+		color         : 'var(--cForeground)',
+		border        : '1px solid var(--cBorders)',
+		boxShadow     : '0 2px 8px rgba(0,0,0,0.25)',
+		'> li'        : {display:'flex', alignItems:'center', padding:'3px 1.5em 3px 0.5em', whiteSpace:'nowrap', cursor:'default', outline:'none'},
+		'> li::before': {content:'""', display:'inline-block', width:'1.2em'},
+		'> li[aria-checked="true"]::before': {content:'"\\2713"'},
+		'> li.has-submenu::after': {content:'"\\25B8"', marginLeft:'auto', paddingLeft:'1em'},
+		'> li:focus, > li.submenu-open': {background:'var(--cHighlight)', color:'var(--cBackground)'},
+		'> li[aria-disabled="true"]': {opacity:0.5},
+		'> li.separator': {padding:0, margin:'4px 0', borderTop:'1px solid var(--cBorders)', height:0},
+		'> li.separator::before': {display:'none'}
+	}
+
+	constructor(items, ...p) {
+		super('$ul.bg-context-menu', {
+			role        : 'menu',
+			tabIndex    : -1,
+			onkeydown   : (e)=>this.onKeyDown(e),
+			onclick     : (e)=>this.onItemClick(e),
+			onmouseover : (e)=>this.onItemHover(e),
+			oncontextmenu: (e)=>e.preventDefault()
+		}, ...p);
+		this.items      = items;
+		this.parentMenu = null;     // the menu that opened this one as a submenu
+		this.submenu    = null;     // the submenu that this menu has open
+		this.target     = null;
+		this.isOpen     = false;
+		this.onDocumentMouseDown = (e)=>{ if (!this.containsEvent(e)) this.close(); };
+	}
+
+	// usage: <void> open(<number> x, <number> y [, <BGComp> target] [, <Event> event])
+	// display the menu with its top left corner at the viewport coordinates x,y (or moved so that it fits in the viewport) and
+	// give the focus to its first item. Any other open context menu is closed.
+	open(x, y, target=null, event=null) {
+		if (!this.parentMenu) {
+			openMenu && openMenu !== this && openMenu.close();
+			openMenu = this;
+			this.previousFocus = document.activeElement;
+			document.addEventListener('mousedown', this.onDocumentMouseDown, true);
+		}
+		this.target = target;
+		this.event  = event;
+		this.renderItems((typeof this.items == 'function') ? this.items(target, event) : this.items);
+
+		if (!this.isOpen) {
+			document.body.appendChild(this.el);
+			this.isOpen = true;
+		}
+		this.positionAt(x, y);
+		this.focusItem(0);
+	}
+
+	// usage: <void> close()
+	// close this menu and its submenus. Closing the top level menu returns the focus to where it was when it opened.
+	close() {
+		if (!this.isOpen)
+			return;
+		this.closeSubmenu();
+		this.isOpen = false;
+		this.el.remove();
+		if (this.parentMenu) {
+			this.parentMenu.submenu = null;
+		} else {
+			document.removeEventListener('mousedown', this.onDocumentMouseDown, true);
+			if (openMenu === this)
+				openMenu = null;
+			if (this.previousFocus && this.previousFocus.isConnected)
+				this.previousFocus.focus();
+			this.previousFocus = null;
+		}
+	}
+
+	// close this menu and all the menus above it
+	closeAll() {
+		var top = this;
+		while (top.parentMenu)
+			top = top.parentMenu;
+		top.close();
+	}
+
+	// private helper to make the <li> elements for the items
+	renderItems(items) {
+		this.closeSubmenu();
+		this.itemEls = [];
+		this.el.replaceChildren();
+		for (const item of items || []) {
+			if (item && item.visible === false)
+				continue;
+			const li = document.createElement('li');
+			if (item == '-' || item.type == 'separator') {
+				li.className = 'separator';
+				li.setAttribute('role', 'separator');
+			} else {
+				if (typeof item != 'object' || item.label == null)
+					throw new BGError("ContextMenu: each item must be '-' or an object with a label", {item});
+				li.textContent = item.label;
+				li.tabIndex = -1;
+				li.setAttribute('role', (item.type == 'checkbox') ? 'menuitemcheckbox' : (item.type == 'radio') ? 'menuitemradio' : 'menuitem');
+				if (item.type == 'checkbox' || item.type == 'radio' || item.checked != null)
+					li.setAttribute('aria-checked', String(!!item.checked));
+				if (item.enabled === false)
+					li.setAttribute('aria-disabled', 'true');
+				if (item.submenu) {
+					li.classList.add('has-submenu');
+					li.setAttribute('aria-haspopup', 'menu');
+					li.setAttribute('aria-expanded', 'false');
+				}
+				li.menuItem = item;
+				this.itemEls.push(li);
+			}
+			this.el.appendChild(li);
+		}
+	}
+
+	// private helper to place the menu at x,y but inside the viewport. If it does not fit to the right or below, it is placed to the
+	// left or above of the point. altX is the left edge to use instead when it does not fit to the right (submenus use the left side
+	// of the parent menu).
+	positionAt(x, y, altX) {
+		const rect = this.el.getBoundingClientRect();
+		const viewWidth  = window.innerWidth  || document.documentElement.clientWidth;
+		const viewHeight = window.innerHeight || document.documentElement.clientHeight;
+		if (x + rect.width > viewWidth)
+			x = (altX != null) ? altX - rect.width : x - rect.width;
+		if (y + rect.height > viewHeight)
+			y = viewHeight - rect.height;
+		this.el.style.left = Math.max(0, x)+'px';
+		this.el.style.top  = Math.max(0, y)+'px';
+	}
+
+	// the enabled items that the focus can move to
+	getFocusableItems() {
+		return this.itemEls.filter((li)=>li.getAttribute('aria-disabled') != 'true');
+	}
+
+	// give the focus to the item at index in the focusable items. Negative indexes count from the end.
+	focusItem(index) {
+		const focusable = this.getFocusableItems();
+		const li = focusable[(index < 0) ? focusable.length + index : index];
+		if (li)
+			li.focus();
+		else
+			this.el.focus();
+	}
+
+	// usage: <void> openSubmenu(<li> itemEl [, <boolean> focusFirst])
+	openSubmenu(li, focusFirst=false) {
+		if (this.submenu && this.submenu.openerEl === li) {
+			focusFirst && this.submenu.focusItem(0);
+			return;
+		}
+		this.closeSubmenu();
+		const item = li.menuItem;
+		if (!item || !item.submenu || item.enabled === false)
+			return;
+		const submenu = new ContextMenu(item.submenu);
+		submenu.parentMenu = this;
+		submenu.openerEl   = li;
+		this.submenu = submenu;
+		li.classList.add('submenu-open');
+		li.setAttribute('aria-expanded', 'true');
+
+		submenu.target = this.target;
+		submenu.renderItems((typeof item.submenu == 'function') ? item.submenu(this.target, this.event) : item.submenu);
+		document.body.appendChild(submenu.el);
+		submenu.isOpen = true;
+		const itemRect = li.getBoundingClientRect();
+		const menuRect = this.el.getBoundingClientRect();
+		submenu.positionAt(menuRect.right, itemRect.top, menuRect.left);
+		focusFirst && submenu.focusItem(0);
+	}
+
+	closeSubmenu() {
+		if (!this.submenu)
+			return;
+		const submenu = this.submenu;
+		submenu.openerEl.classList.remove('submenu-open');
+		submenu.openerEl.setAttribute('aria-expanded', 'false');
+		submenu.close();
+		submenu.destroy();
+		this.submenu = null;
+	}
+
+	// usage: <void> activateItem(<li> itemEl [, <Event> event])
+	// do what the item does when it is clicked. Items with submenus open them and disabled items do nothing.
+	activateItem(li, event) {
+		const item = li.menuItem;
+		if (!item || item.enabled === false)
+			return;
+		if (item.submenu) {
+			this.openSubmenu(li, true);
+			return;
+		}
+		if (item.type == 'checkbox')
+			item.checked = !item.checked;
+		else if (item.type == 'radio') {
+			for (const other of this.itemEls)
+				if (other.menuItem.type == 'radio')
+					other.menuItem.checked = false;
+			item.checked = true;
+		}
+		const target = this.target;
+		this.closeAll();
+		item.click && item.click(item, target, event);
+	}
+
+	// true if the event happened inside this menu or one of its open submenus
+	containsEvent(e) {
+		for (var menu=this; menu; menu=menu.submenu)
+			if (menu.el.contains(e.target))
+				return true;
+		return false;
+	}
+
+	onItemClick(e) {
+		const li = e.target.closest('li');
+		li && li.menuItem && this.activateItem(li, e);
+	}
+
+	onItemHover(e) {
+		const li = e.target.closest('li');
+		if (!li || !li.menuItem)
+			return;
+		if (li.getAttribute('aria-disabled') != 'true')
+			li.focus();
+		if (li.menuItem.submenu)
+			this.openSubmenu(li);
+		else
+			this.closeSubmenu();
+	}
+
+	onKeyDown(e) {
+		const focusable = this.getFocusableItems();
+		const i = focusable.indexOf(document.activeElement);
+		switch (e.key) {
+			case 'ArrowDown': this.focusItem((i+1) % focusable.length);                        break;
+			case 'ArrowUp':   this.focusItem((i <= 0) ? focusable.length-1 : i-1);               break;
+			case 'Home':      this.focusItem(0);                                                 break;
+			case 'End':       this.focusItem(-1);                                                break;
+			case 'ArrowRight':
+				if (focusable[i] && focusable[i].menuItem.submenu)
+					this.openSubmenu(focusable[i], true);
+				break;
+			case 'ArrowLeft':
+				if (!this.parentMenu)
+					break;
+				// fall through to close this submenu and return to the item that opened it
+			case 'Escape': {
+				const opener = this.openerEl;
+				const parentMenu = this.parentMenu;
+				if (parentMenu) {
+					parentMenu.closeSubmenu();
+					opener.focus();
+				} else
+					this.close();
+				break;
+			}
+			case 'Enter':
+			case ' ':
+				focusable[i] && this.activateItem(focusable[i], e);
+				break;
+			case 'Tab':
+				this.closeAll();
+				break;
+			default:
+				return;
+		}
+		e.preventDefault();
+		e.stopPropagation();
+	}
+
+	destroy() {
+		this.close();
+		super.destroy();
+	}
+
+	// usage: <Disposables> ContextMenu.attach(<BGComp> comp, <array|function> items)
+	// See ComponentAddContextMenu
+	static attach($comp, items) {
+		return ComponentAddContextMenu($comp, items);
+	}
+}
+
+
+// usage: <Disposables> ComponentAddContextMenu(<BGComp> comp, <array|function> items)
+// Open a ContextMenu with <items> when the user right-clicks on comp or presses the context menu key while comp has the focus. The
+// menu is positioned at the mouse or, for the keyboard, at the top left of comp. The target passed to the item click callbacks and
+// to the items function is comp.
+// This is also available as Component.addContextMenu(comp, items).
+// Return Value:
+//    a Disposables that removes the context menu from comp. If comp has a disposables member, it is also added there so that it is
+//    removed when comp is destroyed.
+export function ComponentAddContextMenu($comp, items) {
+	const el = ComponentToEl($comp);
+	var menu = null;
+	const onContextMenu = (e)=>{
+		e.preventDefault();
+		e.stopPropagation();
+		menu && menu.destroy();
+		menu = new ContextMenu(items);
+		var x = e.clientX, y = e.clientY;
+		// the context menu key fires the event without a mouse position
+		if (!x && !y) {
+			const rect = el.getBoundingClientRect();
+			x = rect.left;
+			y = rect.bottom;
+		}
+		menu.open(x, y, $comp, e);
+	};
+	el.addEventListener('contextmenu', onContextMenu);
+	const disposable = new Disposables(()=>{
+		el.removeEventListener('contextmenu', onContextMenu);
+		menu && menu.destroy();
+		menu = null;
+	});
+	$comp.disposables && $comp.disposables.add(disposable);
+	return disposable;
+}
+
+Component.addContextMenu = ComponentAddContextMenu;
@@ -0,0 +1,337 @@
+import { Component }          from './component'
+import                             './DependentsGraph'
+import { ComponentToBG }      from './componentCore'
+import { Dragger }            from './miscellaneous'
+import { BGError }            from './BGError'
+
+
+// DataTable is a Component that displays an array of row data in a <table> with a header row made from column definitions.
+//
+// The rows are a named array of DataTableRows and each row has a named array of cells keyed by the column keys so that any cell
+// can be reached through the name system.
+//    table.rows[3].cells.amount        // the <td> Component of the amount column in the 4th displayed row
+//    table.rows[3].data                // the row data that it displays
+// setRows(rows) updates the body to display new data without rebuilding the header. Rows are matched to the existing DataTableRows
+// by the rowKey (see ComponentReconcile) so the rows of data items that are still present are reused.
+//
+// Sorting:
+// Clicking a sortable column header sorts the rows by that column. Clicking it again reverses the order. The sorted column's
+// header gets aria-sort and the 'sort-asc' or 'sort-desc' class.
+//
+// Resizing:
+// Each header has a resize handle on its right edge. Dragging it changes the width of the column. The handle is a Dragger so it
+// captures the pointer while dragging.
+//
+// Selection:
+// If selectable is set, clicking a row selects it. In 'multiple' mode, Ctrl/Cmd-click toggles a row and Shift-click selects a
+// range. Selection changes fire the 'selection' channel of the table in the DependentsGraph with the array of selected row data.
+//    deps.add({obj:table, channel:'selection'}, this, (change, selectedRows)=>this.showDetails(selectedRows));
+//
+// Params:
+//    <tagIDClasses>:string : [name:][<tagName>][#<idName>][.className1[.className2...]]
+//    <namedParams>         : object with named parameters. See Component
+// Named Params:
+//    columns:array         : the column definitions. Each is a string (the key) or an object with these fields
+//         key:string             : the property of the row data displayed in the column. Also the name of the cell in row.cells
+//         label:string           : the header text. default is key
+//         formatter:function     : formatter(value, rowData, column) returns the cell content as text, a DOMNode or a BGComp.
+//                                  default is the value as a string
+//         width:string|number    : the initial width (numbers are pixels). default is automatic
+//         minWidth:number        : the minimum width in pixels when resizing. default is 30
+//         sortable:boolean       : default is true
+//         compare:function       : compare(valueA, valueB, rowDataA, rowDataB) for sorting. default compares numbers by value and
+//                                  everything else as strings
+//         align:string           : text-align of the cells
+//    rows:array            : the initial row data
+//    rowKey:string|function: the property name or function(rowData, index) that identifies each row. default is the row data
+//                            object itself
+//    selectable:string     : 'single', 'multiple' or false (the default)
+//    <DOM properties and styles and content> : Any key supported by Component.
+// Example:
+//    const table = new DataTable('invoices:', {
+//        columns: [
+//            {key:'number', label:'#', width:60},
+//            {key:'customer'},
+//            {key:'amount', label:'Amount', align:'right', formatter:(v)=>v.toFixed(2)}
+//        ],
+//        rows      : invoices,
+//        rowKey    : 'id',
+//        selectable: 'multiple'
+//    });
+//    table.setRows(updatedInvoices);
+//    table.sortBy('amount', 'desc');
+// See Also:
+//    ComponentReconcile, Dragger
+export class DataTable extends Component {
+	static styles = {
+		tableLayout    : 'fixed',
+		borderCollapse : 'collapse',
+		'th'           : {position:'relative', textAlign:'left', userSelect:'none', overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap'},
+		'th.sortable'  : {cursor:'pointer'},
+		'th.sort-asc::after' : {content:'" \\25B2"', fontSize:'0.7em'},
+		'th.sort-desc::after': {content:'" \\25BC"', fontSize:'0.7em'},
+		'td'           : {overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap'},
+		'.bg-column-resizer': {position:'absolute', top:0, right:0, bottom:0, width:'5px', cursor:'col-resize', zIndex:1},
+		'tr.selected'  : {background:'var(--cHighlight)', color:'var(--cBackground)'}
+	}
+
+	constructor(...p) {
+		super('$table.bg-data-table', {
+			paramNames: 'columns rows rowKey selectable',
+			onclick   : (e)=>this.onClick(e)
+		}, ...p);
+
+		const rowKey = this.optParams.rowKey;
+		this.rowKeyFn   = (typeof rowKey == 'function') ? rowKey
+			: (rowKey != null) ? (rowData)=>rowData[rowKey]
+			: (rowData, i)=>(rowData !== null && typeof rowData == 'object') ? rowData : i;
+		this.selectable = this.optParams.selectable || false;
+		if (this.selectable && !/^(single|multiple)$/.test(this.selectable))
+			throw new BGError("DataTable: selectable must be 'single', 'multiple' or false", {selectable:this.selectable});
+		if (this.selectable == 'multiple')
+			this.el.setAttribute('aria-multiselectable', 'true');
+
+		this.data       = [];           // the row data in the order it was given
+		this.sortKey    = null;
+		this.sortDir    = 'asc';
+		this.selection  = new Set();    // the selected row data
+		this.anchorData = null;         // the row data of the last clicked row for shift-click ranges
+
+		this.mount([
+			new Component('colgroup:$colgroup'),
+			new Component('head:$thead', [new Component('headerRow:$tr')]),
+			new Component('body:$tbody')
+		]);
+
+		this.setColumns(this.optParams.columns || []);
+		this.setRows(this.optParams.rows || []);
+	}
+
+	// the displayed DataTableRows in display order. This is the named array of the tbody so table.rows[i] is the same as
+	// table.body.rows[i]
+	get rows() {
+		return this.body.rows || [];
+	}
+
+	// usage: <void> setColumns(<array> columns)
+	// replace the column definitions. This rebuilds the header and all the rows.
+	setColumns(columns) {
+		this.columns = columns.map((column)=>{
+			column = (typeof column == 'string') ? {key:column} : Object.assign({}, column);
+			if (column.key == null || /\s/.test(column.key))
+				throw new BGError("DataTable: each column needs a key without spaces", {column});
+			column.label    = (column.label != null) ? column.label : column.key;
+			column.minWidth = column.minWidth || 30;
+			column.sortable = column.sortable !== false;
+			return column;
+		});
+
+		Component.replaceChildren(this.colgroup, ...this.columns.map((column)=>new Component('$col', {
+			style: {width: (typeof column.width == 'number') ? column.width+'px' : (column.width || '')}
+		})));
+
+		// the header cells are named like the row cells so table.headerCells.amount is the <th> of the amount column
+		Component.replaceChildren(this.head.headerRow);
+		for (const column of this.columns) {
+			const th = new Component('$th', {scope:'col', textAlign:column.align || ''}, [
+				new Component('label:$span', {innerText:String(column.label)}),
+				new ColumnResizer(this, column)
+			]);
+			column.sortable && th.el.classList.add('sortable');
+			th.column = column;
+			Component.mount(this.head.headerRow, 'cells['+column.key+']', th);
+		}
+		this.headerCells = this.head.headerRow.cells;
+
+		// the existing rows have the old cells so they need to be remade
+		Component.replaceChildren(this.body);
+		this.renderRows();
+		this.updateSortIndicator();
+	}
+
+	// usage: <void> setRows(<array> rows)
+	// display new row data. The header is not rebuilt and rows whose key still exists are reused (and updated).
+	setRows(rows) {
+		this.data = rows.slice();
+		// forget the selection of rows that are gone
+		const present = new Set(this.data);
+		for (const rowData of Array.from(this.selection))
+			!present.has(rowData) && this.selection.delete(rowData);
+		this.renderRows();
+	}
+
+	// usage: <void> sortBy(<string> key [, <string> direction])
+	// sort the displayed rows by the column with key. direction is 'asc' or 'desc'. If not given, it is 'asc' unless the table is
+	// already sorted by this column in which case the direction is reversed. A null key removes the sort.
+	sortBy(key, direction) {
+		if (key != null && !this.columns.some((column)=>column.key == key))
+			throw new BGError("DataTable: there is no column with that key", {key});
+		this.sortDir = direction || ((key == this.sortKey && this.sortDir == 'asc') ? 'desc' : 'asc');
+		this.sortKey = key;
+		this.updateSortIndicator();
+		this.renderRows();
+	}
+
+	// return the row data in display order
+	getSortedData() {
+		const column = this.sortKey != null && this.columns.find((column)=>column.key == this.sortKey);
+		if (!column)
+			return this.data.slice();
+		const compare = column.compare || defaultCompare;
+		const dir = (this.sortDir == 'desc') ? -1 : 1;
+		// Array.sort is stable so equal rows keep their original order
+		return this.data.slice().sort((a,b)=>dir * compare(a[column.key], b[column.key], a, b));
+	}
+
+	// private helper to make the tbody reflect the data in sorted order
+	renderRows() {
+		this.body.reconcile('rows[]', this.getSortedData(), this.rowKeyFn,
+			(rowData)=>new DataTableRow(this, rowData),
+			(row, rowData)=>row.update(rowData)
+		);
+		for (const row of this.rows)
+			row.setSelected(this.selection.has(row.data));
+	}
+
+	updateSortIndicator() {
+		for (const column of this.columns) {
+			const th = this.headerCells[column.key];
+			const isSorted = column.key == this.sortKey;
+			th.el.classList.toggle('sort-asc',  isSorted && this.sortDir == 'asc');
+			th.el.classList.toggle('sort-desc', isSorted && this.sortDir == 'desc');
+			if (column.sortable)
+				th.el.setAttribute('aria-sort', (!isSorted) ? 'none' : (this.sortDir == 'asc') ? 'ascending' : 'descending');
+		}
+	}
+
+	// usage: <array> getSelectedRows()
+	// return the selected row data in display order
+	getSelectedRows() {
+		return this.rows.filter((row)=>this.selection.has(row.data)).map((row)=>row.data);
+	}
+
+	// usage: <void> select(<object> rowData [, <object> options])
+	// change the selection.
+	// Options:
+	//    add:boolean    : add to the selection instead of replacing it (only in 'multiple' mode)
+	//    toggle:boolean : remove rowData if it is already selected
+	//    range:boolean  : select the displayed rows from the last selected row to rowData (only in 'multiple' mode)
+	select(rowData, {add=false, toggle=false, range=false}={}) {
+		if (!this.selectable)
+			return;
+		if (this.selectable != 'multiple')
+			add = range = false;
+		const displayed = this.rows.map((row)=>row.data);
+		if (!add)
+			this.selection.clear();
+		if (range && this.anchorData != null && displayed.includes(this.anchorData)) {
+			const [a, b] = [displayed.indexOf(this.anchorData), displayed.indexOf(rowData)].sort((x,y)=>x-y);
+			for (const rangeData of displayed.slice(a, b+1))
+				this.selection.add(rangeData);
+		} else {
+			if (toggle && this.selection.has(rowData))
+				this.selection.delete(rowData);
+			else if (rowData != null)
+				this.selection.add(rowData);
+			this.anchorData = rowData;
+		}
+		for (const row of this.rows)
+			row.setSelected(this.selection.has(row.data));
+		deps.fire({obj:this, channel:'selection'}, this.getSelectedRows());
+	}
+
+	onClick(e) {
+		var th = null, row = null;
+		for (var el=e.target; el && el !== this.el; el=el.parentElement) {
+			const obj = ComponentToBG(el, 'null');
+			if (obj && obj.column && el.localName == 'th')
+				th = obj;
+			else if (obj instanceof DataTableRow)
+				row = obj;
+		}
+		if (th && th.column.sortable)
+			this.sortBy(th.column.key);
+		else if (row && this.selectable) {
+			const multi = e.ctrlKey || e.metaKey;
+			this.select(row.data, {add:multi || e.shiftKey, toggle:multi, range:e.shiftKey});
+		}
+	}
+
+	destroy() {
+		deps.objectDestroyed(this);
+		super.destroy();
+	}
+}
+
+
+// DataTableRow is a <tr> that displays one row data item in a DataTable. Its cells are a named array keyed by the column keys.
+//    row.cells.amount  : the <td> Component of the amount column
+//    row.data          : the row data item
+export class DataTableRow extends Component {
+	constructor(table, rowData) {
+		super('$tr');
+		this.table = table;
+		for (const column of table.columns)
+			Component.mount(this, 'cells['+column.key+']', new Component('$td', {textAlign:column.align || ''}));
+		this.update(rowData);
+	}
+
+	// usage: <void> update(<object> rowData)
+	// display rowData in the cells
+	update(rowData) {
+		this.data = rowData;
+		for (const column of this.table.columns) {
+			const cell = this.cells[column.key];
+			const value = (rowData != null) ? rowData[column.key] : undefined;
+			const content = (column.formatter) ? column.formatter(value, rowData, column) : value;
+			if (content != null && typeof content == 'object')
+				Component.replaceChildren(cell, content);
+			else {
+				Component.replaceChildren(cell);
+				cell.el.textContent = (content == null) ? '' : String(content);
+			}
+		}
+	}
+
+	setSelected(isSelected) {
+		this.el.classList.toggle('selected', isSelected);
+		if (this.table.selectable)
+			this.el.setAttribute('aria-selected', String(isSelected));
+	}
+}
+
+
+// ColumnResizer is the Dragger in a DataTable header cell that changes the width of its column
+class ColumnResizer extends Dragger {
+	constructor(table, column) {
+		super('$div.bg-column-resizer', {onclick:(e)=>e.stopPropagation()}, (delta)=>this.resize(delta));
+		this.table  = table;
+		this.column = column;
+	}
+
+	onDragStart(e) {
+		super.onDragStart(e);
+		e.preventDefault();
+		this.startWidth = this.parent.el.getBoundingClientRect().width;
+	}
+
+	resize(delta) {
+		const width = Math.max(this.column.minWidth, this.startWidth + delta.x);
+		const col = this.table.colgroup.el.children[this.table.columns.indexOf(this.column)];
+		this.column.width = width;
+		col && (col.style.width = width+'px');
+	}
+}
+
+// private helper that is the default sort order. Empty values sort first and numbers compare numerically.
+function defaultCompare(a, b) {
+	if (a == null || a === '')
+		return (b == null || b === '') ? 0 : -1;
+	if (b == null || b === '')
+		return 1;
+	if (typeof a == 'number' && typeof b == 'number')
+		return a - b;
+	if (a instanceof Date && b instanceof Date)
+		return a.getTime() - b.getTime();
+	return String(a).localeCompare(String(b), undefined, {numeric:true});
+}
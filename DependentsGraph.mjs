@@ -1,8 +1,6 @@
 import { Disposables } from './Disposables'
 import { RegisterGlobalService } from './GlobalServices'
-
-// CRITICALTODO: This mechanism is almost done and is used by some things (mostly the atom polyfils) but it needs a significant
-//               refactoring to resolve the relation between channels, propagationFn, and propagationFnParams
+import { BGError } from './BGError'
 
 
 // enum for whether the get[O|C]Node methods should create the node on demand or return undefined if it does not exist
@@ -79,6 +77,7 @@ export class ChannelNode {
 		this.defaultTargetMethodName = undefined;
 		this.contextCount = 0;
 		this.params = [];
+		this.records = [];   // the ChangeRecords of the fires made between changeStart and changeEnd
 		this.disposables = new Disposables();
 		this.legacyDisposablesID = new Set();
 		this._isNew = true;  // will be true if its empty when its retrieved
@@ -115,6 +114,65 @@ export class ChannelNode {
 }
 
 
+// ChangeRecord describes one change to a source. fire() creates one for each call and passes it (merged with the other changes
+// being propagated together) to every propagationFn and onDepChanged. See Change Records in DependentsGraph.
+// Fields:
+//    source   : the object that changed (obj1)
+//    obj      : the same as source so that a ChangeRecord can be passed to the deps methods that take a $obj1
+//    channel  : the channel that was fired
+//    kind     : the type of change
+//                  'change'     : a fire(obj, ...p) that did not pass a ChangeRecord. newValue is p[0] and params is p
+//                  'set'        : a property was assigned (observables). property is the property name
+//                  'delete'     : a property was deleted (observables). property is the property name
+//                  'splice'     : an array was modified (observables). index, removed:[...] and added:[...] describe it
+//                  'invalidate' : a Computed became stale. oldValue is the cached value
+//    oldValue : the value before the change if known
+//    newValue : the value after the change if known
+//    sourceParams : only in the record that a transaction passes to a merged onDepChanged. The list of {obj, channel, params} of
+//               each source that was merged into the call where params are the params of that source's last fire.
+// Other keys given to the constructor are copied into the record.
+// Example:
+//    deps.fire({obj:this, channel:'title'}, new ChangeRecord({source:this, channel:'title', kind:'set', oldValue, newValue:title}));
+export class ChangeRecord {
+	constructor({source, channel, kind='change', oldValue, newValue, ...details}) {
+		this.source   = source;
+		this.obj      = source;
+		this.channel  = channel;
+		this.kind     = kind;
+		this.oldValue = oldValue;
+		this.newValue = newValue;
+		Object.assign(this, details);
+	}
+
+	// usage: <ChangeRecord> ChangeRecord.FromFireParams(<object> source, <any> channel, <array> p)
+	// return the record for a call to fire(source/channel, ...p). If p[0] is a ChangeRecord it is used as is.
+	static FromFireParams(source, channel, p) {
+		if (p[0] instanceof ChangeRecord)
+			return p[0];
+		return new ChangeRecord({source, channel, kind:'change', newValue:p[0], params:p});
+	}
+
+	// usage: <ChangeRecord> ChangeRecord.Merge(<array> records)
+	// return the record that summarizes a list of records. This is the first argument of propagationFn and onDepChanged. Its
+	// source, channel and oldValue come from the first record and its newValue from the last record of that same source and channel.
+	// kind is the kind of the records if they are all the same and 'change' otherwise. changes is the list of records.
+	// Return Value:
+	//    the merged ChangeRecord or null if records is empty
+	static Merge(records) {
+		records = [...new Set(records)];
+		if (records.length == 0)
+			return null;
+		const first = records[0];
+		var last = first;
+		for (const record of records)
+			if (record.source === first.source && record.channel === first.channel)
+				last = record;
+		const kind = records.every((record)=>record.kind == first.kind) ? first.kind : 'change';
+		return new ChangeRecord({...first, kind, oldValue:first.oldValue, newValue:last.newValue, changes:records});
+	}
+}
+
+
 // DependentsGraph is the class of the global.deps object. It is an alternative to the emitter pattern. The idea is that reactive
 // programming has a core component that JS objects depend on other JS objects. This standardizes that functionality into a global
 // dependency graph that records what is dependent on what and vice-a-versa.  It considers functional programming of callbacks as an
@@ -178,6 +236,39 @@ export class ChannelNode {
 //                               recognized keys.
 //                               <debounce> : integer value to debounce the propagation. if 0, the default value will be used (500ms)
 //                               <propagationFn> : the function to invoke after applying any other specified attributes (like debounnce)
+//
+// Channels, PropagationFn and Change Records:
+//    A channel names a part of obj1 that can change independently. fire($obj1, ...p) notifies the relations of exactly that
+//    {obj1,channel} (firing a channel does not fire deps.fAll) and creates a ChangeRecord {source, channel, kind, oldValue, newValue}
+//    that describes the change. Pass a ChangeRecord as p[0] to describe the change precisely. Otherwise a record of kind 'change'
+//    is created with newValue=p[0] and params=p.
+//    The propagationFnParams given to add() are only the specification used to create the relation's propagationFn. They are not
+//    passed to it. Every propagationFn is called as propagationFn(change, ...p) where change is a ChangeRecord that summarizes the
+//    changes being propagated and change.changes is the list of their records (see ChangeRecord.Merge) and p are the params of
+//    the fire. The default propagationFn calls obj2.onDepChanged(change, ...p) (or the method named by the cnode's
+//    defaultTargetMethodName, like onConfigChanged) so those methods receive the same arguments. When obj2 has neither method,
+//    the default propagationFn fires obj2 with the same ChangeRecords so the objects that depend on obj2 see the original changes.
+//    Several changes are merged into one propagation when...
+//          * fires happen between changeStart and changeEnd. changes is the list of all of their records in order.
+//          * fires happen in a transaction. A dependent is notified once with the records of all its changed sources.
+//          * a propagationFn is debounced. changes is the list of the records of all the calls that were debounced.
+//
+// Cycles and Propagation Order:
+//    The default propagation is recursive. fire() calls each propagationFn directly and a dependent without onDepChanged fires its
+//    own dependents from inside that call. This is simple and returns the results of the propagationFn but in a diamond shaped
+//    graph (B and C depend on A and D depends on B and C) D is notified twice, the first time while C still has the old state,
+//    and a cycle loops forever.
+//    Setting deps.propagationMode='topological' makes every fire() propagate like the end of a transaction. The dependents
+//    reachable from the source are collected first and each one is notified once, after everything it depends on. In a cycle,
+//    each object in the cycle is notified at most once per propagation. fire() returns undefined in this mode.
+//    deps.cycleMode determines if add() checks whether the new relation creates a cycle. The check follows the channels. An
+//    object that is notified by the default propagationFn and has no method to receive the change fires deps.fAll so only its
+//    fAll relations can continue the cycle. Any other notified object runs code that may fire any of its channels so the cycle
+//    through it is only possible, not certain.
+//          'ignore' : add the relation without checking. The check walks the objects reachable from obj2 on each add() so a
+//                     large graph that is known to be correct can turn it off.
+//          'warn'   : (default) console.warn the objects in the cycle and add the relation
+//          'throw'  : throw a BGError and do not add the relation if the cycle is certain. A possible cycle is only warned about
 export class DependentsGraph {
 	constructor() {
 		this.nodes = new Map();
@@ -187,6 +278,12 @@ export class DependentsGraph {
 		this.cnodeClassesExistsCheck = new Set();
 		this.fireCount = 0;
 		this.fAll = Symbol('fAll');
+		this.transactionDepth = 0;
+		this.pendingFires = new Map();   // cnode -> {cnode, records, params, fires, remaining:Set(obj2)} of fires deferred by transaction()
+		this.transactionFrames = [];     // the active transactions in start order. Each owns the fires deferred while it is the last one
+		this.propagationMode = 'recursive';   // 'recursive' or 'topological'. See Cycles and Propagation Order
+		this.cycleMode = 'warn';              // 'ignore', 'warn' or 'throw'. See Cycles and Propagation Order
+		this.trackingFrames = [];             // a stack of Map(obj -> Set(channel)) recording the sources read by computed values
 	}
 	destroy() {
 		this.nodes.forEach((node)=>{node.destroy()})
@@ -247,8 +344,8 @@ export class DependentsGraph {
 	//    <obj2>  : this object is depedent on the state of obj1 and will receive a propagation call when <obj1> fires
 	//    <propagationFnParams> : this is the callback that handles the the proagation of change from obj1 to obj2
 	//               (null)     : if none is provided, the default behavior is defined in the defaultPropagationFn method of this class.
-	//               (function) : if a function is provided, it will be called like callback(obj2, ...p) where <obj> is the target
-	//                            being notified that a dependent has changed and ...p are passed from the call to deps.fire(obj1, ...p)
+	//               (function) : if a function is provided, it will be called like callback(change, ...p) where <change> is the
+	//                            ChangeRecord of the change and ...p are passed from the call to deps.fire(obj1, ...p)
 	//               (object)   : if an object is passed in for this parameter createPropagationFn will create a custom PropagationFn
 	//                            that reflects the specifications provide.
 	// See Also:
@@ -256,6 +353,19 @@ export class DependentsGraph {
 	add($obj1, obj2, propagationFnParams) {
 		const [obj1, channel] = this._normalizeSourceObject($obj1);
 		const cnode1 = this.getCNode(obj1, channel);
+		if (this.cycleMode != 'ignore') {
+			const found = this.findCycle(cnode1, obj2, !propagationFnParams);
+			if (found) {
+				const {cycle, certain} = found;
+				if (this.cycleMode == 'throw' && certain) {
+					const onode1 = this.getONode(obj1, GetMode.NoCreate);
+					onode1.releaseCNode(cnode1);
+					this.releaseONode(onode1);
+					throw new BGError("DependentsGraph: adding this relation would create a dependency cycle", {obj1, channel, obj2, cycle});
+				}
+				console.warn("DependentsGraph: adding this relation "+(certain ? "creates" : "may create")+" a dependency cycle", {obj1, channel, obj2, cycle});
+			}
+		}
 		const onode2 = this.getONode(obj2);
 
 		// if we are registering this relationship a second time, what should we do?
@@ -282,6 +392,78 @@ export class DependentsGraph {
 		return cnode1;
 	}
 
+	// usage: <array> findPath(<object> fromObj, <object> toObj)
+	// return the objects [fromObj, ..., toObj] of a chain of relations where each object depends on the one before it or null if
+	// changes to fromObj do not reach toObj. Relations from any channel are followed. The walk uses an explicit stack so that
+	// long chains of relations do not overflow the call stack.
+	findPath(fromObj, toObj) {
+		const reachedFrom = new Map([[fromObj, null]]);   // obj -> the obj whose relation reached it first
+		const toVisit = [fromObj];
+		while (toVisit.length > 0) {
+			const obj = toVisit.pop();
+			if (obj === toObj) {
+				const path = [];
+				for (var pathObj = obj; pathObj !== null; pathObj = reachedFrom.get(pathObj))
+					path.unshift(pathObj);
+				return path;
+			}
+			const onode = this.getONode(obj, GetMode.NoCreate);
+			if (onode)
+				for (const cnode of onode.channels.values())
+					for (const obj2 of cnode.targets.keys())
+						if (!reachedFrom.has(obj2)) {
+							reachedFrom.set(obj2, obj);
+							toVisit.push(obj2);
+						}
+		}
+		return null;
+	}
+
+	// private helper for add() that looks for a chain of relations by which notifying obj2 through a new relation from cnode1 leads
+	// back to obj1 firing cnode1's channel. isDefault is true if the new relation uses the default propagationFn. The chains that
+	// only go through objects that pass the change on with deps.fAll (see Cycles and Propagation Order) are certain so they are
+	// looked for first.
+	// Return Value:
+	//    {cycle:[obj1, obj2, ..., obj1], certain:<boolean>} or null if there is no cycle
+	findCycle(cnode1, obj2, isDefault) {
+		const {obj1, channel} = cnode1;
+		// the channels that obj fires when notified through a relation from cnode or null if it could fire any of them
+		const firedChannels = (obj, cnode, isDefaultFn)=>
+			(isDefaultFn && typeof obj[cnode.defaultTargetMethodName] != 'function' && typeof obj.onDepChanged != 'function') ? [this.fAll] : null;
+
+		for (const certainOnly of [true, false]) {
+			const visited = new Map();   // obj -> the channels it was reached with. null (any channel) includes [fAll]
+			const toVisit = [{obj:obj2, channels:firedChannels(obj2, cnode1, isDefault), from:null}];
+			while (toVisit.length > 0) {
+				const state = toVisit.pop();
+				const {obj, channels} = state;
+				if (obj === obj1 && (channels ? channels.includes(channel) : !certainOnly)) {
+					const cycle = [];
+					for (var pathState = state; pathState; pathState = pathState.from)
+						cycle.unshift(pathState.obj);
+					return {cycle:[obj1, ...cycle], certain:certainOnly};
+				}
+				if (!channels && certainOnly)
+					continue;
+				const onode = this.getONode(obj, GetMode.NoCreate);
+				if (!onode)
+					continue;
+				for (const cnode of onode.channels.values()) {
+					if (channels && !channels.includes(cnode.channel))
+						continue;
+					for (const [target, propagationFn] of cnode.targets) {
+						const targetChannels = firedChannels(target, cnode, propagationFn.isDefault);
+						if (visited.has(target) && (visited.get(target) === null || targetChannels !== null))
+							continue;
+						visited.set(target, targetChannels);
+						toVisit.push({obj:target, channels:targetChannels, from:state});
+					}
+				}
+			}
+		}
+		return null;
+	}
+
 	// this is a convience method for integrating with other people's code that uses the pattern that  has callback register methods
 	// that return a disposable to undo the registration. Note that because deps always have obj1 and ob2 associated with them
 	// we can undo them whenever obj1 or obj2 is destroyed so add() does not return a disposable.
@@ -403,6 +585,59 @@ export class DependentsGraph {
 		return changingCnodes;
 	}
 
+	// usage: <Computed> computed(<function> fn [, <object> options])
+	// return a Computed whose value is the cached result of fn(). The sources that fn reads with deps.get() or deps.track() are
+	// recorded and the Computed depends on them so it is invalidated when any of them fires. See Computed.
+	// Example:
+	//    const total = deps.computed(()=>deps.get(cart,'items').reduce((sum,item)=>sum+deps.get(item,'price'), 0));
+	//    new Component('$span', {bind:{label:[total,'value']}});
+	computed(fn, options) {
+		return new Computed(fn, options);
+	}
+
+	// usage: <void> track(<$obj1> source)
+	// record that the Computed being evaluated reads source ({obj,channel} or obj for the fAll channel). It does nothing when no
+	// Computed is being evaluated so models can call it from their getters unconditionally.
+	track($obj1) {
+		const frame = this.trackingFrames[this.trackingFrames.length-1];
+		if (!frame)
+			return;
+		const [obj1, channel] = this._normalizeSourceObject($obj1);
+		if (!frame.has(obj1))
+			frame.set(obj1, new Set());
+		frame.get(obj1).add(channel);
+	}
+
+	// usage: <any> get(<object> obj, <string> propName)
+	// the tracked accessor. Return obj[propName] and track({obj, channel:propName}). This follows the convention that a model
+	// fires a channel with the name of a property when the property changes.
+	get(obj, propName) {
+		this.track({obj, channel:propName});
+		return obj[propName];
+	}
+
+	// usage: <any> untracked(<function> fn)
+	// call fn and return its result without tracking what it reads
+	untracked(fn) {
+		this.trackingFrames.push(null);
+		try {
+			return fn();
+		} finally {
+			this.trackingFrames.pop();
+		}
+	}
+
+	// usage: <Proxy> observable(<object|array> target)
+	// return an observable proxy of target that fires the DependentsGraph when it is changed. See ObservableModel.
+	observable(target) {
+		return MakeObservable(target);
+	}
+
+	// usage: <boolean> isObservable(<any> value)
+	isObservable(value) {
+		return observableProxies.has(value);
+	}
+
 	// changeStart/changeEnd should be called in pairs to start and end a sub transaction.
 	// alternatively, fire(obj, ...p) can be called after the change if there are not multiple steps in the algorithm making the
 	// change.  All 3 methods nest correctly so that an algorithm that starts the change on obj can directly or indirectly call
@@ -414,41 +649,282 @@ export class DependentsGraph {
 		this.getCNode(obj1, channel).contextCount++;
 	}
 
-	// complement to changeStart. If this is the topmost pair for obj, it will result in fire(obj) being called to propagate changes.
-	// if extra parameters, p, are provided, they will be used in the call to fire(obj, p) but if not, the parameters provided by
-	// the last nested call to changeEnd(obj,...p) or fire(obj,...p) that provided parameters will be used.
-	// TODO: consider if params should be merged or composited using some yet to be determined algorithm if more than one nested
-	//       call provides parameters
+	// complement to changeStart. If this is the topmost pair for obj, the changes are propagated.
+	// The ChangeRecords of the fire(obj,...p) calls made since the topmost changeStart and of the changeEnd(obj,...p) calls that
+	// provide parameters are merged into one list so the propagationFn receives all of them in change.changes (see ChangeRecord).
+	// If the pair contained no fire, one record of kind 'change' is propagated. The params passed along after the change are p if
+	// provided, or else the params of the last nested call to changeEnd(obj,...p) or fire(obj,...p) that provided parameters.
 	changeEnd($obj1, ...p) {
 		const [obj1, channel] = this._normalizeSourceObject($obj1);
 		const cnode1 = this.getCNode(obj1, channel);
 		console.assert((cnode1 && cnode1.contextCount>0), "unmatched DependentsGraph::changeEnd called. Better debugger will be coming. See comments on changeEnd");
+		if (p.length > 0) {
+			cnode1.records.push(ChangeRecord.FromFireParams(obj1, channel, p));
+			cnode1.params = p;
+		}
 		if (cnode1.contextCount>1) {
 			cnode1.contextCount--;
-			if (p.length >0)
-				cnode1.params = p;
 		} else {
-			if (p.length==0)
-				p = cnode1.params;
+			const records = cnode1.records;
+			p = cnode1.params;
 			cnode1.contextCount=0;
 			cnode1.params = [];
-			this.fire($obj1, p);
+			cnode1.records = [];
+			if (records.length == 0)
+				records.push(ChangeRecord.FromFireParams(obj1, channel, p));
+			return this.fireRecords(obj1, channel, records, p);
 		}
 	}
 
+	// usage: <any> transaction(<function> fn)
+	// Call fn() and defer every fire() (including the fire at the end of a changeStart/changeEnd pair) until it returns. Then
+	// propagate all the changes together so that dependents never see the intermediate states of an algorithm that changes several
+	// sources. Transactions nest, and only the outermost one propagates.
+	// When the transaction ends...
+	//    * repeated fires of the same {obj,channel} are coalesced into one. Their ChangeRecords are kept in a list and the params
+	//      of the last fire that provided params are used.
+	//    * the dependents are visited in topological order (a dependent is visited after the dependents it depends on) so that
+	//      each one is notified once with the final state.
+	//    * a dependent whose relations use the default propagation gets one onDepChanged call for all of its changed sources. The
+	//      first argument is ChangeRecord.Merge of all of their records so change.changes lists every change. The params after it
+	//      are those of the last merged source and change.sourceParams lists the params of each merged source.
+	//    * relations with a custom propagationFn get one call per relation with the merged records of that source.
+	// Fires made by the dependents while they are notified are deferred and ordered the same way so they are part of the same pass.
+	// If fn throws, the fires deferred while it ran are discarded and nothing is propagated for them. In a nested transaction, the
+	// fires deferred by the outer transaction are kept and the fires of a nested transaction that completed become part of the outer
+	// one.
+	// Return Value:
+	//    the return value of fn. fire() returns undefined while it is deferred.
+	// Example:
+	//    deps.transaction(()=>{
+	//        account1.withdraw(100);     // each fires its 'balance' channel
+	//        account2.deposit(100);
+	//    });                             // the total view's onDepChanged is called once with both changes
+	// See Also:
+	//    transactionAsync
+	transaction(fn) {
+		const frame = this.startTransaction();
+		try {
+			var result = fn();
+		} catch (e) {
+			this.abortTransaction(frame);
+			throw e;
+		}
+		this.endTransaction(frame);
+		return result;
+	}
+
+	// usage: <Promise> transactionAsync(<async function> fn)
+	// like transaction but awaits the promise returned by fn before propagating the changes. Note that fires made by any code that
+	// runs while fn is waiting are also deferred until the transaction ends. They belong to the transaction that started last so
+	// when transactionAsync calls overlap, a rejection discards the fires made since the rejected one started but not those of the
+	// others, and the changes propagate when the last active transaction ends, whether it resolves or rejects.
+	async transactionAsync(fn) {
+		const frame = this.startTransaction();
+		try {
+			var result = await fn();
+		} catch (e) {
+			this.abortTransaction(frame);
+			throw e;
+		}
+		this.endTransaction(frame);
+		return result;
+	}
+
+	// private helper that starts a transaction and returns its frame. The frame lists the fires deferred while it is the last
+	// active transaction so that abortTransaction can discard exactly those.
+	startTransaction() {
+		this.transactionDepth++;
+		const frame = {fires:[]};
+		this.transactionFrames.push(frame);
+		return frame;
+	}
+
+	// private helper that ends a transaction whose fn succeeded. Its fires become part of the transaction that started before it
+	// and the last one to end propagates the deferred fires.
+	endTransaction(frame) {
+		const i = this.transactionFrames.indexOf(frame);
+		this.transactionFrames.splice(i, 1);
+		(i > 0) && this.transactionFrames[i-1].fires.push(...frame.fires);
+		if (--this.transactionDepth == 0)
+			this.flushTransaction();
+	}
+
+	// private helper that ends a transaction whose fn threw. Its fires are removed from the pending fires. If it was the last active
+	// transaction, the fires of the others that already ended are propagated.
+	abortTransaction(frame) {
+		this.transactionFrames.splice(this.transactionFrames.indexOf(frame), 1);
+		for (const fire of frame.fires) {
+			const pending = this.pendingFires.get(fire.cnode);
+			if (!pending)
+				continue;
+			pending.fires = pending.fires.filter((other)=>other !== fire);
+			pending.records = pending.records.filter((record)=>!fire.records.includes(record));
+			if (pending.fires.length == 0) {
+				this.pendingFires.delete(fire.cnode);
+				continue;
+			}
+			const withParams = pending.fires.filter((other)=>other.p.length > 0);
+			pending.params = (withParams.length > 0) ? withParams[withParams.length-1].p : pending.fires[0].p;
+		}
+		if (--this.transactionDepth == 0 && this.pendingFires.size > 0)
+			this.flushTransaction();
+	}
+
+	// private helper for fire() to defer a fire until the transaction ends
+	queueFire(cnode1, records, p) {
+		const fire = {cnode:cnode1, records, p};
+		const frame = this.transactionFrames[this.transactionFrames.length-1];
+		frame && frame.fires.push(fire);
+		const pending = this.pendingFires.get(cnode1);
+		if (!pending) {
+			this.pendingFires.set(cnode1, {cnode:cnode1, records:[...records], params:p, fires:[fire], remaining:new Set(cnode1.targets.keys())});
+			return;
+		}
+		pending.fires.push(fire);
+		pending.records.push(...records);
+		if (p.length > 0)
+			pending.params = p;
+		// if some dependents were already notified, they need to be notified again of this new change
+		for (const obj2 of cnode1.targets.keys())
+			pending.remaining.add(obj2);
+	}
+
+	// private helper that propagates the fires deferred by the transaction
+	flushTransaction() {
+		// fires made during propagation are deferred too so that they join the ordered pass
+		this.transactionDepth++;
+		const notifiedInCycle = new Set();
+		try {
+			var rounds = 0;
+			while (this.pendingFires.size > 0) {
+				if (++rounds > 100) {
+					console.error("DependentsGraph: transaction propagation did not settle after 100 rounds", {pending:[...this.pendingFires.values()]});
+					break;
+				}
+				const {sorted, cyclic} = this.sortDependents([...this.pendingFires.values()]);
+				for (const obj2 of sorted) {
+					const changes = [];
+					for (const pending of this.pendingFires.values()) {
+						if (pending.remaining.delete(obj2) && pending.cnode.targets.has(obj2))
+							changes.push(pending);
+						if (pending.remaining.size == 0)
+							this.pendingFires.delete(pending.cnode);
+					}
+					if (changes.length == 0)
+						continue;
+					// an object in a cycle would be notified again by its own change so it is only notified once per propagation
+					if (cyclic.has(obj2)) {
+						if (notifiedInCycle.has(obj2)) {
+							(this.cycleMode != 'ignore') && console.warn("DependentsGraph: stopped propagation around a dependency cycle", {obj:obj2, changes});
+							continue;
+						}
+						notifiedInCycle.add(obj2);
+					}
+					this.notifyDependent(obj2, changes);
+				}
+			}
+		} finally {
+			this.pendingFires.clear();
+			this.transactionDepth--;
+		}
+	}
+
+	// private helper that returns {sorted, cyclic} where sorted is the dependents reachable from the pending fires in topological
+	// order and cyclic is the Set of those that could not be ordered because they are in (or depend on) a cycle. The cyclic objects
+	// are at the end of sorted.
+	sortDependents(pendingList) {
+		const edges = new Map();   // obj -> Set(obj2)
+		const inDegree = new Map();
+		const toVisit = [];
+		for (const {remaining} of pendingList)
+			toVisit.push(...remaining);
+		while (toVisit.length > 0) {
+			const obj = toVisit.pop();
+			if (edges.has(obj))
+				continue;
+			const targets = new Set();
+			const onode = this.getONode(obj, GetMode.NoCreate);
+			if (onode)
+				for (const cnode of onode.channels.values())
+					for (const obj2 of cnode.targets.keys())
+						targets.add(obj2);
+			edges.set(obj, targets);
+			inDegree.has(obj) || inDegree.set(obj, 0);
+			for (const obj2 of targets) {
+				inDegree.set(obj2, (inDegree.get(obj2) || 0) + 1);
+				toVisit.push(obj2);
+			}
+		}
+
+		const sorted = [];
+		const ready = [...edges.keys()].filter((obj)=>inDegree.get(obj) == 0);
+		while (ready.length > 0) {
+			const obj = ready.shift();
+			sorted.push(obj);
+			for (const obj2 of edges.get(obj)) {
+				inDegree.set(obj2, inDegree.get(obj2) - 1);
+				inDegree.get(obj2) == 0 && ready.push(obj2);
+			}
+		}
+		const cyclic = new Set();
+		if (sorted.length < edges.size)
+			for (const obj of edges.keys())
+				if (inDegree.get(obj) > 0) {
+					cyclic.add(obj);
+					sorted.push(obj);
+				}
+		return {sorted, cyclic};
+	}
+
+	// private helper that notifies obj2 of the changes of one or more pending fires. The relations that use the default propagation
+	// to onDepChanged are merged into one call. That call receives the params of the last merged fire after the change argument and
+	// change.sourceParams has the {obj, channel, params} of every merged source so that none of their params are lost.
+	notifyDependent(obj2, changes) {
+		const merged = [];
+		for (const pending of changes) {
+			const {cnode, records, params} = pending;
+			const propagationFn = cnode.targets.get(obj2);
+			this.fireCount++;
+			if (propagationFn.isDefault && typeof obj2[cnode.defaultTargetMethodName] != 'function')
+				merged.push(pending);
+			else
+				propagationFn(ChangeRecord.Merge(records), ...params);
+		}
+		if (merged.length == 0)
+			return;
+		const {params} = merged[merged.length-1];
+		const change = ChangeRecord.Merge(merged.flatMap(({records})=>records));
+		change.sourceParams = merged.map(({cnode, params})=>({obj:cnode.obj1, channel:cnode.channel, params}));
+		if (typeof obj2.onDepChanged == 'function')
+			obj2.onDepChanged(change, ...params);
+		else
+			this.fireRecords(obj2, this.fAll, change.changes, params);
+	}
+
 	// Alternative to changeStart/changeEnd that indicates that obj has changed and its deps should be notified according to the
 	// PropagationFn registered for the relationship. note that we do not propagate changes past the first relationship because that
 	// is handled by the PropagationFn of each relationship. The default propagationFn will continue to fire events to its deps if the object
 	// does not implement an onDepChanged but if it does, the onDepChanged implementation is responsible to propagate changes if needed.
+	// The ChangeRecord of the change is p[0] if it is a ChangeRecord or else one of kind 'change' is created.
 	fire($obj1, ...p) {
 		const [obj1, channel] = this._normalizeSourceObject($obj1);
+		return this.fireRecords(obj1, channel, null, p);
+	}
+
+	// private helper for fire() and changeEnd() that propagates <records> (or the record made from p if records is null)
+	fireRecords(obj1, channel, records, p) {
 		const onode1 = this.getONode(obj1, GetMode.NoCreate);
 		const toFire = [];
 		if (onode1) {
 			const cnode1 = onode1.getCNode(channel, GetMode.NoCreate);
 			if (cnode1) {
+				records = records || [ChangeRecord.FromFireParams(obj1, channel, p)];
 				if (cnode1.contextCount>0) {
+					cnode1.records.push(...records);
 					if (p.length>0) cnode1.params = p;
+				} else if (this.transactionDepth>0 || this.propagationMode == 'topological') {
+					cnode1.isEmpty() || this.queueFire(cnode1, records, p);
 				} else {
 					for (const [obj2,propagationFn] of cnode1.targets) {
 						this.fireCount++;
@@ -459,9 +935,15 @@ export class DependentsGraph {
 			}
 			this.releaseONode(onode1);
 		}
+		// in topological mode, a fire outside of a transaction propagates right away the same way a transaction does
+		if (this.transactionDepth == 0 && this.pendingFires.size > 0) {
+			this.flushTransaction();
+			return;
+		}
 		const results = [];
+		const change = (toFire.length > 0) ? ChangeRecord.Merge(records) : null;
 		for (const propFn of toFire) {
-			const result = propFn(...p);
+			const result = propFn(change, ...p);
 			if (result)
 				results.push(result);
 		}
@@ -476,16 +958,18 @@ export class DependentsGraph {
 	// the default is ...
 	//    1) invoke the obj2 method passed in from the cnode of the relationship (defaultTargetMethodName) if it exists
 	//    2) invoke the gerenic onDepChanged method on obj2 if that exists
-	//    3) dont invoke any method, but fire the generic change event for obj2 to pass through the change propagation
+	//    3) dont invoke any method, but fire the generic change event for obj2 with the same ChangeRecords to pass through the change
+	//       propagation
 	// Params:
-	//    <context>  : keys are obj1(source), obj2(destination) and defaultTargetMethodName(method to call on obj2 if it exists)
-	defaultPropagationFn(context, ...p) {
+	//    <context>  : keys are obj1(source), channel, obj2(destination) and defaultTargetMethodName(method to call on obj2 if it exists)
+	//    <change>   : the ChangeRecord passed to every propagationFn. The obj2 method receives it as its first argument
+	defaultPropagationFn(context, change, ...p) {
 		if (typeof context.obj2[context.defaultTargetMethodName] == 'function')
-			return context.obj2[context.defaultTargetMethodName](...p);
+			return context.obj2[context.defaultTargetMethodName](change, ...p);
 		else if (typeof context.obj2.onDepChanged == 'function')
-			return context.obj2.onDepChanged({obj:context.obj1,channel:context.channel}, ...p)
+			return context.obj2.onDepChanged(change, ...p)
 		else
-			return this.fire(context.obj2, ...p);
+			return this.fireRecords(context.obj2, this.fAll, change && change.changes, p);
 	}
 
 	// This handles the case when an object is passed to add() as the propagationFn parameter. It takes the object as a parameter and
@@ -504,10 +988,13 @@ export class DependentsGraph {
 	//    .debounce : (integer) this will cause the PropagationFn to be wrapped in a debouncer. A value of 0 or null will result in
 	//               the default value of 500 (ms) being used. Otherwise its value should be the number of ms that the PropagationFn
 	//               will be invoked after the last change happens.  This is done last so the PropagationFn that gets called after
-	//               the timeout will be what ever the other properties result in.
+	//               the timeout will be what ever the other properties result in. The ChangeRecords of all the debounced calls are
+	//               merged so the PropagationFn receives all of them in change.changes.
 	//    .onDestroy : (function) this function will be invoked when the relationship is removed.
 	createPropagationFn(cnode1, onode2, params) {
-		var fn = (...p)=>{return this.defaultPropagationFn({obj1:cnode1.obj1,obj2:onode2.obj,defaultTargetMethodName:cnode1.defaultTargetMethodName}, ...p)};
+		var fn = (...p)=>{return this.defaultPropagationFn({obj1:cnode1.obj1,channel:cnode1.channel,obj2:onode2.obj,defaultTargetMethodName:cnode1.defaultTargetMethodName}, ...p)};
+		// transactions merge the relations that use the default propagation into one onDepChanged call
+		fn.isDefault = !params;
 		if (params) switch (typeof params) {
 			case 'function' : return params;
 			case 'object'   :
@@ -515,14 +1002,22 @@ export class DependentsGraph {
 				if (params.propagationFn)
 					fn = (...p)=>params.propagationFn(...p);
 
-				if (params.prevPropFn)
-					fn = (...p)=>{params.prevPropFn(...p);fn(...p)};
+				if (params.prevPropFn) {
+					const nextFn = fn;
+					fn = (...p)=>{params.prevPropFn(...p); return nextFn(...p)};
+				}
 
 				if (typeof params.debounce != "undefined") {
-					let timeout;
-					fn = (...p)=>{
+					const debouncedFn = fn;
+					let timeout, records = [];
+					fn = (change, ...p)=>{
+						records.push(...(change ? change.changes : []));
 						clearTimeout(timeout);
-						timeout = setTimeout(()=>{fn(...p)}, params.debounce || 500);
+						timeout = setTimeout(()=>{
+							const merged = ChangeRecord.Merge(records);
+							records = [];
+							debouncedFn(merged, ...p);
+						}, params.debounce || 500);
 					}
 				}
 				break;
@@ -531,6 +1026,307 @@ export class DependentsGraph {
 	}
 }
 
+// Computed is a derived value on top of the DependentsGraph. It replaces objects whose only job is to recompute a value in their
+// onDepChanged. Create them with deps.computed(fn).
+//
+// Reading computed.value calls fn() the first time and returns the cached result after that. While fn runs, every source it reads
+// through deps.get(obj,propName) or deps.track($obj) is recorded and the Computed is added as a dependent of those sources
+// (relations to sources that fn no longer reads are removed). When one of the sources fires, the Computed is only marked invalid
+// and fn is not called again until the next time value is read.
+//
+// A Computed is also a source. When it is invalidated it fires its 'value' channel and its fAll channel so objects can depend on it
+// with deps.add(computed, obj2) or deps.add({obj:computed, channel:'value'}, obj2), bind to [computed,'value'] or read it from
+// another Computed (reading value tracks it).
+// Params:
+//    <fn>      : the function that calculates the value. Its this is the Computed.
+//    <options> : (optional) object with these keys
+//          name  : a name for debugging
+// Example:
+//    const fullName = deps.computed(()=>deps.get(person,'first')+' '+deps.get(person,'last'));
+//    fullName.value;                                // 'Ada Lovelace'
+//    person.last='Byron'; deps.fire({obj:person, channel:'last'});
+//    fullName.value;                                // fn runs again -> 'Ada Byron'
+//    fullName.dispose();                            // remove its relations
+export class Computed {
+	constructor(fn, {name}={}) {
+		this.fn      = fn;
+		this.name    = name;
+		this.isValid = false;
+		this.cached  = undefined;
+		this.sources = new Map();   // obj -> Set(channel) read by the last evaluation
+	}
+
+	get value() {
+		deps.track({obj:this, channel:'value'});
+		if (!this.isValid)
+			this.evaluate();
+		return this.cached;
+	}
+
+	// usage: <any> peek()
+	// return the value without tracking it
+	peek() {
+		return deps.untracked(()=>this.value);
+	}
+
+	// usage: <void> invalidate()
+	// mark the cached value as stale and fire the channels of this Computed. This is what happens when a source fires.
+	invalidate() {
+		if (!this.isValid)
+			return;
+		this.isValid = false;
+		const record = new ChangeRecord({source:this, channel:'value', kind:'invalidate', oldValue:this.cached});
+		deps.fire({obj:this, channel:'value'}, record);
+		deps.fire(this, record);
+	}
+
+	// private helper that calls fn and updates the relations to the sources that it read
+	evaluate() {
+		const frame = new Map();
+		deps.trackingFrames.push(frame);
+		try {
+			this.cached = this.fn.call(this);
+			this.isValid = true;
+		} finally {
+			deps.trackingFrames.pop();
+			frame.delete(this);
+			this.updateSources(frame);
+		}
+	}
+
+	// private helper that changes the relations from the previous set of sources to <sources>
+	updateSources(sources) {
+		for (const [obj, channels] of this.sources)
+			for (const channel of channels)
+				if (!(sources.has(obj) && sources.get(obj).has(channel)))
+					deps.remove({obj, channel}, this);
+		for (const [obj, channels] of sources)
+			for (const channel of channels)
+				if (!(this.sources.has(obj) && this.sources.get(obj).has(channel)))
+					// each relation needs its own function because the graph keeps its back link (bkobj) on the function
+					deps.add({obj, channel}, this, ()=>this.invalidate());
+		this.sources = sources;
+	}
+
+	dispose() {
+		this.sources = new Map();
+		this.isValid = false;
+		this.cached  = undefined;
+		deps.objectDestroyed(this);
+	}
+	destroy() {this.dispose()}
+}
+
+// the observable proxies and the proxy of each target so that a target always gets the same proxy
+const observableProxies = new WeakSet();
+const observableByTarget = new WeakMap();
+const arrayMutators = new Set(['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin']);
+
+// ObservableModel is a base class for models that fire their DependentsGraph channels automatically. Its constructor returns an
+// observable Proxy of the new object (deps.observable(this)) so that every property assignment, including those in the derived
+// class constructors and methods, fires a channel named after the property.
+//
+// deps.observable(obj) does the same for plain objects and arrays.
+//
+// Changes Fired:
+// Each change fires a ChangeRecord (also passed as the first param after the change argument).
+//    object property set    : fires {obj:proxy, channel:<propName>} and the fAll channel of proxy with the record
+//                             {source:proxy, channel:<propName>, kind:'set', property, oldValue, newValue}. Assigning the same value
+//                             does not fire.
+//    object property delete : same channels with {kind:'delete', property, oldValue, newValue:undefined}
+//    array mutation         : push, pop, shift, unshift, splice, sort, reverse, fill, copyWithin, assigning an index or length fire
+//                             the fAll channel of the array proxy once with {kind:'splice', index, removed:[...], added:[...]}
+//                             (sort, reverse, fill and copyWithin report the whole array as removed and added)
+// So existing consumers work unchanged...
+//    deps.add({obj:model, channel:'title'}, this)   // this.onDepChanged(change, record) where change.newValue is the new title
+//    new Component('$h1', {bind:{label:[model,'title']}})
+//
+// Nested plain objects and arrays become observable when they are assigned (and when the object is made observable) so
+// model.address.city='x' fires the 'city' channel of model.address. Class instances other than ObservableModel are left alone.
+//
+// Reading a property of an observable inside a Computed tracks it (arrays track their fAll channel) so computed values that read
+// observables do not need to call deps.get.
+//
+// Private class fields (#name) do not work through a Proxy so an ObservableModel can not use them.
+// Example:
+//    class Todo extends ObservableModel {
+//        constructor(title) { super(); this.title = title; this.done = false; this.tags = []; }
+//        toggle() { this.done = !this.done; }     // fires 'done'
+//    }
+//    const todo = new Todo('write docs');
+//    todo.tags.push('docs');                       // fires todo.tags with {kind:'splice', index:0, removed:[], added:['docs']}
+//    const settings = deps.observable({theme:'dark', recent:[]});
+// See Also:
+//    deps.computed
+export class ObservableModel {
+	constructor() {
+		return MakeObservable(this);
+	}
+}
+
+// usage: <Proxy> MakeObservable(<object|array> target)
+// the implementation of deps.observable(target). See ObservableModel.
+export function MakeObservable(target) {
+	if (!target || typeof target != 'object' || observableProxies.has(target))
+		return target;
+	if (observableByTarget.has(target))
+		return observableByTarget.get(target);
+
+	const isArray = Array.isArray(target);
+	const proxy = new Proxy(target, isArray ? observableArrayHandler : observableObjectHandler);
+	observableProxies.add(proxy);
+	observableByTarget.set(target, proxy);
+
+	for (const key of Object.keys(target))
+		target[key] = observableValue(target[key]);
+	return proxy;
+}
+
+// private helper that makes plain objects and arrays observable and returns any other value unchanged
+function observableValue(value) {
+	if (!value || typeof value != 'object' || observableProxies.has(value))
+		return value;
+	const proto = Object.getPrototypeOf(value);
+	return (Array.isArray(value) || proto === Object.prototype || proto === null) ? MakeObservable(value) : value;
+}
+
+// private helper that fires the property channel and the fAll channel of proxy. They are fired in a transaction so that a dependent
+// of both is notified once but a transaction is only started when none is active because the active one already defers them.
+function fireObservableProperty(proxy, property, kind, oldValue, newValue) {
+	const record = new ChangeRecord({source:proxy, channel:property, kind, property, oldValue, newValue});
+	const fireChannels = ()=>{
+		deps.fire({obj:proxy, channel:property}, record);
+		deps.fire({obj:proxy, channel:deps.fAll}, record);
+	};
+	(deps.transactionDepth > 0) ? fireChannels() : deps.transaction(fireChannels);
+}
+
+function fireObservableSplice(proxy, index, removed, added) {
+	deps.fire({obj:proxy, channel:deps.fAll}, new ChangeRecord({source:proxy, channel:deps.fAll, kind:'splice', index, removed, added}));
+}
+
+const observableObjectHandler = {
+	get(target, property, receiver) {
+		(typeof property == 'string') && deps.track({obj:receiver, channel:property});
+		return Reflect.get(target, property, receiver);
+	},
+	set(target, property, newValue, receiver) {
+		if (receiver !== observableByTarget.get(target))
+			return Reflect.set(target, property, newValue, receiver);
+		const oldValue = target[property];
+		newValue = observableValue(newValue);
+		const hadProperty = Object.prototype.hasOwnProperty.call(target, property);
+		if (!Reflect.set(target, property, newValue))
+			return false;
+		if (oldValue !== newValue || !hadProperty)
+			fireObservableProperty(receiver, property, 'set', oldValue, newValue);
+		return true;
+	},
+	defineProperty(target, property, descriptor) {
+		const hadProperty = Object.prototype.hasOwnProperty.call(target, property);
+		const oldValue = target[property];
+		if ('value' in descriptor)
+			descriptor = {...descriptor, value:observableValue(descriptor.value)};
+		if (!Reflect.defineProperty(target, property, descriptor))
+			return false;
+		if ('value' in descriptor && (oldValue !== descriptor.value || !hadProperty))
+			fireObservableProperty(observableByTarget.get(target), property, 'set', oldValue, descriptor.value);
+		return true;
+	},
+	deleteProperty(target, property) {
+		if (!Object.prototype.hasOwnProperty.call(target, property))
+			return true;
+		const oldValue = target[property];
+		if (!Reflect.deleteProperty(target, property))
+			return false;
+		fireObservableProperty(observableByTarget.get(target), property, 'delete', oldValue, undefined);
+		return true;
+	}
+};
+
+const observableArrayHandler = {
+	get(target, property, receiver) {
+		if (typeof property == 'string' && arrayMutators.has(property))
+			return (...args)=>mutateObservableArray(target, receiver, property, args);
+		deps.track({obj:receiver, channel:deps.fAll});
+		return Reflect.get(target, property, receiver);
+	},
+	set(target, property, newValue, receiver) {
+		const oldLength = target.length;
+		if (property === 'length') {
+			const removed = target.slice(newValue);
+			if (!Reflect.set(target, property, newValue))
+				return false;
+			if (newValue != oldLength)
+				fireObservableSplice(receiver, Math.min(newValue, oldLength), removed, []);
+			return true;
+		}
+		if (typeof property != 'string' || !/^(0|[1-9]\d*)$/.test(property))
+			return Reflect.set(target, property, newValue);
+		const index = Number(property);
+		const removed = (index < oldLength) ? [target[index]] : [];
+		newValue = observableValue(newValue);
+		if (!Reflect.set(target, property, newValue))
+			return false;
+		if (removed.length == 0 || removed[0] !== newValue)
+			fireObservableSplice(receiver, index, removed, [newValue]);
+		return true;
+	},
+	deleteProperty(target, property) {
+		const index = Number(property);
+		const oldValue = target[property];
+		if (!Reflect.deleteProperty(target, property))
+			return false;
+		if (Number.isInteger(index) && index < target.length)
+			fireObservableSplice(observableByTarget.get(target), index, [oldValue], [undefined]);
+		return true;
+	}
+};
+
+// private helper that runs an array mutator method on the raw array and fires one splice record for the whole change
+function mutateObservableArray(target, proxy, method, args) {
+	const oldLength = target.length;
+	var splice;
+	switch (method) {
+		case 'push':
+			args = args.map(observableValue);
+			splice = {index:oldLength, removed:[], added:args};
+			break;
+		case 'unshift':
+			args = args.map(observableValue);
+			splice = {index:0, removed:[], added:args};
+			break;
+		case 'pop':
+			splice = oldLength && {index:oldLength-1, removed:[target[oldLength-1]], added:[]};
+			break;
+		case 'shift':
+			splice = oldLength && {index:0, removed:[target[0]], added:[]};
+			break;
+		case 'splice': {
+			if (args.length == 0)
+				return [];
+			const [start, deleteCount, ...items] = args;
+			const index = (start < 0) ? Math.max(oldLength+start, 0) : Math.min(start || 0, oldLength);
+			const added = items.map(observableValue);
+			args = (args.length < 2) ? [start] : [start, deleteCount, ...added];
+			const result = target.splice(...args);
+			(result.length || added.length) && fireObservableSplice(proxy, index, result, added);
+			return result;
+		}
+		default: {
+			const removed = target.slice();
+			const result = target[method](...args);
+			const added = target.slice();
+			added.some((value, i)=>value !== removed[i]) && fireObservableSplice(proxy, 0, removed, added);
+			// these methods return the array itself which must be the proxy
+			return (result === target) ? proxy : result;
+		}
+	}
+	const result = target[method](...args);
+	splice && (splice.removed.length || splice.added.length) && fireObservableSplice(proxy, splice.index, splice.removed, splice.added);
+	return result;
+}
+
 // since DependentsGraph is a very common api, we create a global shortcut so that we can access it more tersely;
 RegisterGlobalService('1.0.0', null,      'deps',             ()=>{return new DependentsGraph()});
 RegisterGlobalService('1.0.0', null,      'bg',               ()=>{return Object.create(null)});
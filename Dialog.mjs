@@ -0,0 +1,242 @@
+import { Component }          from './component'
+import { ComponentParams }    from './ComponentParams'
+import { Panel, PanelHeader, PanelBody } from './panels'
+import { Button }             from './buttons'
+import { Editbox }            from './InputField'
+import { BGPromise }          from './BGPromise'
+import { BGError }            from './BGError'
+
+// the elements inside a dialog that can receive the keyboard focus by tabbing
+const focusableSelector = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+// the dialogs that are open in the order they were shown. Only the last one (the top) traps the focus.
+const openDialogs = [];
+
+
+// Dialog is a modal Panel with a title, content and a row of buttons. show() displays it over an overlay that blocks the rest of
+// the page and returns a BGPromise that resolves with the name of the button that closed it.
+//
+// While it is open...
+//    * Tab and Shift-Tab cycle through the focusable elements inside the dialog and focus can not move outside of it
+//    * Escape closes it as if the cancelButton was activated (resolving with null if there is no cancelButton)
+//    * Enter activates the defaultButton unless the focus is in a textarea or on another button
+// When it closes, the focus returns to the element that had it when show() was called. A dialog can show another dialog in which
+// case the newer one traps the focus until it closes.
+//
+// The dialog is not destroyed when it closes so it can be shown again. Call destroy() when it is no longer needed. The confirm and
+// prompt helpers destroy the dialogs that they create.
+//
+// Params:
+//    <tagIDClasses>:string : [name:][<tagName>][#<idName>][.className1[.className2...]][ textContent]
+//    <content>:<multi>     : the content displayed in the body of the dialog. See Component
+//    <namedParams>         : object with named parameters. See Component
+// Named Params:
+//    title:string          : text displayed in the header. If not given, there is no header.
+//    buttons:<multi>       : the buttons in the button row. default is {ok:'OK', cancel:'Cancel'}
+//                               object : {<name>:<label>,...}
+//                               array  : [<name>,...] the name is also the label
+//    defaultButton:string  : the name of the button activated by Enter. default is the first button
+//    cancelButton:string   : the name of the button activated by Escape. default is 'cancel' if there is such a button
+//    <DOM properties and styles and content> : Any key supported by Component.
+// Example:
+//    const dlg = new Dialog({title:'Save Changes?', buttons:{save:'Save', discard:"Don't Save", cancel:'Cancel'}},
+//        'The document has unsaved changes.');
+//    switch (await dlg.show()) {
+//        case 'save':    ...
+//        case 'discard': ...
+//    }
+//    dlg.destroy();
+//
+//    if (await Dialog.confirm('Delete the file?')) ...
+//    const name = await Dialog.prompt('New name:', oldName);   // null if cancelled
+// See Also:
+//    Panel, Button
+export class Dialog extends Panel {
+	static styles = {
+		position      : 'fixed',
+		top           : '50%',
+		left          : '50%',
+		transform     : 'translate(-50%, -50%)',
+		minWidth      : '20em',
+		maxWidth      : '90vw',
+		maxHeight     : '90vh',
+		overflow      : 'auto',
+		zIndex        : 1001,
+		'.bg-dialog-buttons': {display:'flex', justifyContent:'flex-end', gap:'0.5em', paddingTop:'1em'}
+	}
+
+	constructor(...p) {
+		const componentParams = new ComponentParams('$atom-panel.bg-dialog', ...p, {
+			paramNames: 'title buttons defaultButton cancelButton',
+			tabIndex  : -1,
+			role      : 'dialog',
+			onkeydown : (e)=>this.onKeyDown(e)
+		});
+		const optParams = componentParams.optParams;
+
+		// normalize the buttons param to [[name,label],...]
+		var buttons = optParams.buttons || {ok:'OK', cancel:'Cancel'};
+		buttons = Array.isArray(buttons) ? buttons.map((name)=>[name, name]) : Object.entries(buttons);
+		if (buttons.length == 0)
+			throw new BGError("Dialog needs at least one button to close it", {buttons:optParams.buttons});
+
+		// the text and content given by the caller go in the body between the header and the button row
+		const bodyContent = componentParams.content;
+		componentParams.content = [];
+		if (optParams.title)
+			componentParams.content.push(new PanelHeader('header: '+optParams.title));
+		componentParams.content.push(
+			new PanelBody('body:', {label:optParams.label}, bodyContent),
+			new Component('buttonBar:$div.bg-dialog-buttons', buttons.map(([name,label])=>
+				new Button(name+': '+label, ()=>this.close(name))
+			))
+		);
+		delete optParams.label;
+
+		super(componentParams);
+
+		this.defaultButton = optParams.defaultButton || buttons[0][0];
+		this.cancelButton  = optParams.cancelButton  || (buttons.some(([name])=>name=='cancel') ? 'cancel' : null);
+		this.buttonBar[this.defaultButton] && this.buttonBar[this.defaultButton].el.classList.add('btn-primary');
+
+		this.result   = null;
+		this.overlay  = null;
+		this.onFocusIn = (e)=>{ if (openDialogs[openDialogs.length-1] === this && !this.el.contains(e.target)) this.focusFirst(); };
+	}
+
+	get isOpen() { return !!this.result; }
+
+	// usage: <BGPromise> show()
+	// display the dialog as a modal and return a promise that resolves with the name of the button that closes it. If it is
+	// already open, the same promise is returned.
+	show() {
+		if (this.result)
+			return this.result;
+		this.result = new BGPromise();
+		this.previousFocus = document.activeElement;
+
+		this.overlay = new Component('$div.bg-dialog-overlay', {
+			position:'fixed', top:0, left:0, right:0, bottom:0, zIndex:1000, background:'rgba(0,0,0,0.3)'
+		});
+		document.body.appendChild(this.overlay.el);
+		this.overlay.mount(this);
+		document.addEventListener('focusin', this.onFocusIn, true);
+		openDialogs.push(this);
+
+		this.focusFirst();
+		return this.result;
+	}
+
+	// usage: <void> close(<string> buttonName)
+	// close the dialog and resolve the promise returned by show() with <buttonName>. This is what the buttons do when activated.
+	close(buttonName) {
+		if (!this.result)
+			return;
+		const result = this.result;
+		this.result = null;
+
+		document.removeEventListener('focusin', this.onFocusIn, true);
+		openDialogs.splice(openDialogs.indexOf(this), 1);
+		this.overlay.unmount(this);
+		this.overlay.destroy();
+		this.overlay = null;
+
+		if (this.previousFocus && this.previousFocus.isConnected)
+			this.previousFocus.focus();
+		this.previousFocus = null;
+
+		result.resolve(buttonName);
+	}
+
+	destroy() {
+		this.close(null);
+		super.destroy();
+	}
+
+	// return the elements inside the dialog that can be tabbed to in tab order
+	getFocusable() {
+		return Array.from(this.el.querySelectorAll(focusableSelector)).filter((el)=>!el.disabled && !el.hidden);
+	}
+
+	// give the focus to the first element with the autofocus attribute, the first input, the default button or else the dialog itself
+	focusFirst() {
+		const target = this.el.querySelector('[autofocus]')
+			|| this.el.querySelector('.panel-body input, .panel-body select, .panel-body textarea')
+			|| (this.buttonBar[this.defaultButton] && this.buttonBar[this.defaultButton].el)
+			|| this.el;
+		target.focus();
+	}
+
+	onKeyDown(e) {
+		if (!this.result)
+			return;
+		switch (e.key) {
+			case 'Escape':
+				e.preventDefault();
+				e.stopPropagation();
+				this.close(this.cancelButton);
+				break;
+
+			case 'Enter':
+				if (/^(textarea|button)$/i.test(e.target.nodeName) || !this.buttonBar[this.defaultButton])
+					return;
+				e.preventDefault();
+				this.buttonBar[this.defaultButton].el.click();
+				break;
+
+			// keep the focus inside the dialog by wrapping around at the first and last focusable elements
+			case 'Tab': {
+				const focusable = this.getFocusable();
+				if (focusable.length == 0) {
+					e.preventDefault();
+					return;
+				}
+				const first = focusable[0], last = focusable[focusable.length-1];
+				const active = document.activeElement;
+				if (e.shiftKey && (active === first || !this.el.contains(active) || active === this.el)) {
+					e.preventDefault();
+					last.focus();
+				} else if (!e.shiftKey && (active === last || !this.el.contains(active))) {
+					e.preventDefault();
+					first.focus();
+				}
+				break;
+			}
+		}
+	}
+
+	// usage: <BGPromise> Dialog.confirm(<string> message [, <object> options])
+	// show a dialog with OK and Cancel buttons. The promise resolves true if OK was activated and false otherwise. The message is
+	// displayed as plain text so it can contain text from the user without it being parsed as html.
+	// Options:
+	//    Any Dialog named params like title or buttons:{ok:'Delete', cancel:'Keep'}. The button named 'ok' means true.
+	static confirm(message, options={}) {
+		const dlg = new Dialog({buttons:{ok:'OK', cancel:'Cancel'}}, options, [new Component('message:$div', {textContent:String(message)})]);
+		const answer = new BGPromise();
+		dlg.show().then((buttonName)=>{
+			dlg.destroy();
+			answer.resolve(buttonName == 'ok');
+		});
+		return answer;
+	}
+
+	// usage: <BGPromise> Dialog.prompt(<string> message [, <string> defaultValue] [, <object> options])
+	// show a dialog with an Editbox for the user to enter a value. The promise resolves with the text entered if OK was activated
+	// (Enter in the Editbox activates OK) or null if the dialog was cancelled.
+	static prompt(message, defaultValue='', options={}) {
+		const editbox = new Editbox('answer: <input/>');
+		editbox.inputCntr.el.value = defaultValue;
+		const dlg = new Dialog({buttons:{ok:'OK', cancel:'Cancel'}}, options, [
+			new Component('message:$div', {textContent:String(message)}),
+			editbox
+		]);
+		const answer = new BGPromise();
+		dlg.show().then((buttonName)=>{
+			const value = (buttonName == 'ok') ? editbox.value : null;
+			dlg.destroy();
+			answer.resolve(value);
+		});
+		editbox.inputCntr.el.select && editbox.inputCntr.el.select();
+		return answer;
+	}
+}
@@ -158,7 +158,7 @@ class DOMTreeConnectWatcher_nodePrototypePatchMethod {
 
 	append(...children) {
 		const connectingChildren = [];
-		for (const child of children) if ((sConnectWatchTag in child) && !child.isConnected)
+		for (const child of children) if ((typeof child == 'object') && (sConnectWatchTag in child) && !child.isConnected)
 			connectingChildren.push(child);
 
 		if ( !this.isConnected && (connectingChildren.length>0) ) {
@@ -181,7 +181,7 @@ class DOMTreeConnectWatcher_nodePrototypePatchMethod {
 	}
 	prepend(...children) {
 		const connectingChildren = [];
-		for (const child of children) if ((sConnectWatchTag in child) && !child.isConnected)
+		for (const child of children) if ((typeof child == 'object') && (sConnectWatchTag in child) && !child.isConnected)
 			connectingChildren.push(child);
 
 		if ( !this.isConnected && (connectingChildren.length>0) ) {
@@ -204,7 +204,7 @@ class DOMTreeConnectWatcher_nodePrototypePatchMethod {
 	}
 	replaceChildren(...children) {
 		const connectingChildren = [];
-		for (const child of children) if ((sConnectWatchTag in child) && !child.isConnected)
+		for (const child of children) if ((typeof child == 'object') && (sConnectWatchTag in child) && !child.isConnected)
 			connectingChildren.push(child);
 		const disconnectingChildren = [];
 		for (const child of this.children) if ((sConnectWatchTag in child) && child.isConnected)
@@ -248,7 +248,7 @@ class DOMTreeConnectWatcher_nodePrototypePatchMethod {
 	}
 	replaceWith(...children) {
 		const connectingChildren = [];
-		for (const child of children) if ((sConnectWatchTag in child) && !child.isConnected)
+		for (const child of children) if ((typeof child == 'object') && (sConnectWatchTag in child) && !child.isConnected)
 			connectingChildren.push(child);
 
 		if ( !this.isConnected && (connectingChildren.length>0) ) {
@@ -273,7 +273,7 @@ class DOMTreeConnectWatcher_nodePrototypePatchMethod {
 	}
 	after(...children) {
 		const connectingChildren = [];
-		for (const child of children) if ((sConnectWatchTag in child) && !child.isConnected)
+		for (const child of children) if ((typeof child == 'object') && (sConnectWatchTag in child) && !child.isConnected)
 			connectingChildren.push(child);
 
 		if ( !this.isConnected && (connectingChildren.length>0) ) {
@@ -296,7 +296,7 @@ class DOMTreeConnectWatcher_nodePrototypePatchMethod {
 	}
 	before(...children) {
 		const connectingChildren = [];
-		for (const child of children) if ((sConnectWatchTag in child) && !child.isConnected)
+		for (const child of children) if ((typeof child == 'object') && (sConnectWatchTag in child) && !child.isConnected)
 			connectingChildren.push(child);
 
 		if ( !this.isConnected && (connectingChildren.length>0) ) {
@@ -0,0 +1,1705 @@
+// Library DomShim
+// This is a small, pure javascript implementation of the parts of the DOM that bg-dom and typical Components use. Its purpose is
+// to run Components in plain nodejs (e.g. in unit tests) where there is no browser or electron. See the testing library which
+// is the normal way to use it.
+//
+// Importing this module installs the DOM globals (window, document, Node, Element, HTMLElement, Event, ...) if there is not
+// already a global document. It must be imported before any module that uses the DOM at load time (DomHooks.mjs patches the
+// Node and Element prototypes when it is loaded) so it should be the first import of a test program.
+//    import 'bg-dom/testing';     // testing imports this first
+//
+// What is Supported:
+//    * the Node tree -- Document, DocumentFragment, Element, Text, Comment and the Node, ParentNode and ChildNode methods.
+//    * attributes including the id, className, classList, style, and dataset views of them
+//    * innerHTML/outerHTML parsing and serialization (a forgiving parser, not the full HTML5 algorithm)
+//    * events -- addEventListener/dispatchEvent with capture and bubble phases and the on<event> properties
+//    * focus/blur and document.activeElement
+//    * form controls -- input (text, checkbox, radio), textarea, select/option values and the click() activation behavior
+//    * querySelector/querySelectorAll/matches/closest with the common css selectors
+//    * <style>.sheet with insertRule/deleteRule (used by BGStylesheet)
+//
+// What is not Supported:
+//    There is no layout or rendering. Size and position properties (clientHeight, getBoundingClientRect(), etc...) are 0 but tests
+//    can define them on an instance with Object.defineProperty. getComputedStyle returns the element's inline style.
+
+
+const HTMLns = 'http://www.w3.org/1999/xhtml';
+const SVGns  = 'http://www.w3.org/2000/svg';
+
+// these elements do not have a closing tag in HTML
+const voidElements = new Set(['area','base','br','col','embed','hr','img','input','link','meta','param','source','track','wbr']);
+
+// the content of these elements is not parsed as HTML
+const rawTextElements = new Set(['script','style','textarea','title']);
+
+// private state is kept in symbol properties so that it does not appear as properties in tests that inspect nodes
+const sAttrs     = Symbol('DomShim_attrs');
+const sListeners = Symbol('DomShim_listeners');
+const sStyle     = Symbol('DomShim_style');
+const sStyleProxy= Symbol('DomShim_styleProxy');
+const sValue     = Symbol('DomShim_value');
+const sChecked   = Symbol('DomShim_checked');
+const sSelected  = Symbol('DomShim_selected');
+
+
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// Events
+
+export class Event {
+	constructor(type, init={}) {
+		this.type             = String(type);
+		this.bubbles          = !!init.bubbles;
+		this.cancelable       = !!init.cancelable;
+		this.composed         = !!init.composed;
+		this.defaultPrevented = false;
+		this.target           = null;
+		this.currentTarget    = null;
+		this.eventPhase       = 0;
+		this.isTrusted        = false;
+		this.timeStamp        = Date.now();
+		this.propagationStopped = false;
+		this.immediatePropagationStopped = false;
+	}
+	preventDefault()           { if (this.cancelable) this.defaultPrevented = true; }
+	stopPropagation()          { this.propagationStopped = true; }
+	stopImmediatePropagation() { this.propagationStopped = this.immediatePropagationStopped = true; }
+	composedPath() {
+		const path = [];
+		for (var node=this.target; node; node=node.parentNode)
+			path.push(node);
+		// events that reach the document continue to its window
+		const top = path[path.length-1];
+		if (top && top.nodeType == Node.DOCUMENT_NODE && top.defaultView)
+			path.push(top.defaultView);
+		return path;
+	}
+}
+Event.NONE=0; Event.CAPTURING_PHASE=1; Event.AT_TARGET=2; Event.BUBBLING_PHASE=3;
+
+export class CustomEvent extends Event {
+	constructor(type, init={}) {
+		super(type, init);
+		this.detail = (init.detail !== undefined) ? init.detail : null;
+	}
+}
+
+export class UIEvent extends Event {
+	constructor(type, init={}) {
+		super(type, init);
+		this.view   = init.view || null;
+		this.detail = init.detail || 0;
+	}
+}
+
+export class FocusEvent extends UIEvent {
+	constructor(type, init={}) {
+		super(type, init);
+		this.relatedTarget = init.relatedTarget || null;
+	}
+}
+
+export class MouseEvent extends UIEvent {
+	constructor(type, init={}) {
+		super(type, init);
+		for (const name of ['screenX','screenY','clientX','clientY','offsetX','offsetY','movementX','movementY','button','buttons'])
+			this[name] = init[name] || 0;
+		for (const name of ['ctrlKey','shiftKey','altKey','metaKey'])
+			this[name] = !!init[name];
+		this.pageX = this.clientX;
+		this.pageY = this.clientY;
+		this.relatedTarget = init.relatedTarget || null;
+	}
+	get x() { return this.clientX; }
+	get y() { return this.clientY; }
+	getModifierState(key) { return !!this[key.toLowerCase()+'Key']; }
+}
+
+export class PointerEvent extends MouseEvent {
+	constructor(type, init={}) {
+		super(type, init);
+		this.pointerId   = init.pointerId || 1;
+		this.pointerType = init.pointerType || 'mouse';
+		this.isPrimary   = (init.isPrimary !== undefined) ? !!init.isPrimary : true;
+	}
+}
+
+export class KeyboardEvent extends UIEvent {
+	constructor(type, init={}) {
+		super(type, init);
+		this.key      = init.key  || '';
+		this.code     = init.code || '';
+		this.location = init.location || 0;
+		this.repeat   = !!init.repeat;
+		this.isComposing = !!init.isComposing;
+		for (const name of ['ctrlKey','shiftKey','altKey','metaKey'])
+			this[name] = !!init[name];
+	}
+	getModifierState(key) { return !!this[key.toLowerCase()+'Key']; }
+}
+
+export class InputEvent extends UIEvent {
+	constructor(type, init={}) {
+		super(type, init);
+		this.data        = (init.data !== undefined) ? init.data : null;
+		this.inputType   = init.inputType || '';
+		this.isComposing = !!init.isComposing;
+	}
+}
+
+
+export class EventTarget {
+	addEventListener(type, listener, options) {
+		if (!listener) return;
+		const capture = (typeof options == 'boolean') ? options : !!(options && options.capture);
+		const once    = !!(options && options.once);
+		if (!this[sListeners]) this[sListeners] = new Map();
+		if (!this[sListeners].has(type)) this[sListeners].set(type, []);
+		const list = this[sListeners].get(type);
+		if (!list.some((l)=>l.listener===listener && l.capture===capture))
+			list.push({listener, capture, once});
+	}
+
+	removeEventListener(type, listener, options) {
+		const capture = (typeof options == 'boolean') ? options : !!(options && options.capture);
+		const list = this[sListeners] && this[sListeners].get(type);
+		if (!list) return;
+		const i = list.findIndex((l)=>l.listener===listener && l.capture===capture);
+		(i != -1) && list.splice(i,1);
+	}
+
+	dispatchEvent(event) {
+		event.target = this;
+		const path = event.composedPath().slice(1);
+
+		// capture phase from the top down to the target's parent
+		event.eventPhase = Event.CAPTURING_PHASE;
+		for (var i=path.length-1; i>=0 && !event.propagationStopped; i--)
+			invokeListeners(path[i], event, 'capture');
+
+		// target phase
+		event.eventPhase = Event.AT_TARGET;
+		if (!event.propagationStopped)
+			invokeListeners(this, event, 'target');
+
+		// bubble phase from the target's parent up to the top
+		event.eventPhase = Event.BUBBLING_PHASE;
+		if (event.bubbles)
+			for (var i=0; i<path.length && !event.propagationStopped; i++)
+				invokeListeners(path[i], event, 'bubble');
+
+		event.eventPhase = Event.NONE;
+		event.currentTarget = null;
+		return !event.defaultPrevented;
+	}
+}
+
+// private helper to call the listeners of one node in the event path. <phase> is 'capture', 'target' or 'bubble'
+function invokeListeners(node, event, phase) {
+	event.currentTarget = node;
+
+	// the on<type> property acts like a bubble listener registered first
+	const handler = node['on'+event.type];
+	if (phase != 'capture' && typeof handler == 'function') {
+		if (handler.call(node, event) === false)
+			event.preventDefault();
+		if (event.immediatePropagationStopped)
+			return;
+	}
+
+	const list = node[sListeners] && node[sListeners].get(event.type);
+	if (!list) return;
+	for (const entry of list.slice()) {
+		if (phase == 'capture' && !entry.capture) continue;
+		if (phase == 'bubble'  &&  entry.capture) continue;
+		if (entry.once)
+			node.removeEventListener(event.type, entry.listener, entry.capture);
+		if (typeof entry.listener == 'function')
+			entry.listener.call(node, event);
+		else if (entry.listener && typeof entry.listener.handleEvent == 'function')
+			entry.listener.handleEvent(event);
+		if (event.immediatePropagationStopped)
+			return;
+	}
+}
+
+
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// Node Tree
+
+export class Node extends EventTarget {
+	constructor(ownerDocument) {
+		super();
+		this.ownerDocument = ownerDocument || null;
+		this.parentNode    = null;
+		this.childNodes    = [];
+	}
+
+	get firstChild()      { return this.childNodes[0] || null; }
+	get lastChild()       { return this.childNodes[this.childNodes.length-1] || null; }
+	get nextSibling()     { return siblingOf(this,  1); }
+	get previousSibling() { return siblingOf(this, -1); }
+	get parentElement()   { return (this.parentNode && this.parentNode.nodeType == Node.ELEMENT_NODE) ? this.parentNode : null; }
+	get isConnected()     { return this.getRootNode().nodeType == Node.DOCUMENT_NODE; }
+	get nodeValue()       { return null; }
+
+	get textContent() {
+		var text = '';
+		for (const child of this.childNodes)
+			if (child.nodeType == Node.TEXT_NODE || child.nodeType == Node.ELEMENT_NODE || child.nodeType == Node.DOCUMENT_FRAGMENT_NODE)
+				text += child.textContent;
+		return text;
+	}
+	set textContent(text) {
+		removeAllChildren(this);
+		if (text != null && text !== '')
+			insertNode(this, this.ownerDocumentOrSelf().createTextNode(String(text)), null);
+	}
+
+	hasChildNodes() { return this.childNodes.length > 0; }
+
+	getRootNode() {
+		var node = this;
+		while (node.parentNode) node = node.parentNode;
+		return node;
+	}
+
+	contains(other) {
+		for (var node=other; node; node=node.parentNode)
+			if (node === this) return true;
+		return false;
+	}
+
+	appendChild(child)          { return insertNode(this, child, null); }
+	insertBefore(child, ref)    { return insertNode(this, child, ref || null); }
+	removeChild(child) {
+		if (!child || child.parentNode !== this)
+			throw new Error("NotFoundError: the node to be removed is not a child of this node");
+		detachNode(child);
+		return child;
+	}
+	replaceChild(newChild, oldChild) {
+		if (!oldChild || oldChild.parentNode !== this)
+			throw new Error("NotFoundError: the node to be replaced is not a child of this node");
+		if (newChild !== oldChild) {
+			insertNode(this, newChild, oldChild);
+			detachNode(oldChild);
+		}
+		return oldChild;
+	}
+
+	cloneNode(deep) {
+		const copy = this.cloneShallow();
+		if (deep)
+			for (const child of this.childNodes)
+				insertNode(copy, child.cloneNode(true), null);
+		return copy;
+	}
+
+	isEqualNode(other) {
+		return !!other && serializeNode(this) == serializeNode(other);
+	}
+
+	// private helpers
+	ownerDocumentOrSelf() { return this.ownerDocument || this; }
+}
+Node.ELEMENT_NODE           = 1;
+Node.ATTRIBUTE_NODE         = 2;
+Node.TEXT_NODE              = 3;
+Node.COMMENT_NODE           = 8;
+Node.DOCUMENT_NODE          = 9;
+Node.DOCUMENT_FRAGMENT_NODE = 11;
+for (const name of ['ELEMENT_NODE','ATTRIBUTE_NODE','TEXT_NODE','COMMENT_NODE','DOCUMENT_NODE','DOCUMENT_FRAGMENT_NODE'])
+	Node.prototype[name] = Node[name];
+
+
+// private helper to return the sibling of <node> at the offset <direction> from it
+function siblingOf(node, direction) {
+	if (!node.parentNode) return null;
+	const siblings = node.parentNode.childNodes;
+	return siblings[siblings.indexOf(node)+direction] || null;
+}
+
+// private helper that does the work of the various insert methods. Note that this does not call any of the public methods because
+// DomHooks patches those and a native DOM implementation would not call the patched versions either.
+function insertNode(parent, node, ref) {
+	if (!node || !(node instanceof Node))
+		throw new TypeError("the node to insert is not a Node");
+	if (ref && ref.parentNode !== parent)
+		throw new Error("NotFoundError: the reference node is not a child of this node");
+	if (node.contains(parent))
+		throw new Error("HierarchyRequestError: the new child is an ancestor of the parent");
+
+	if (node.nodeType == Node.DOCUMENT_FRAGMENT_NODE) {
+		for (const child of node.childNodes.slice())
+			insertNode(parent, child, ref);
+		return node;
+	}
+
+	if (node === ref)
+		ref = node.nextSibling;
+	if (node.parentNode)
+		detachNode(node);
+	const index = (ref) ? parent.childNodes.indexOf(ref) : parent.childNodes.length;
+	parent.childNodes.splice(index, 0, node);
+	node.parentNode = parent;
+	return node;
+}
+
+// private helper to remove node from its parent
+function detachNode(node) {
+	const parent = node.parentNode;
+	if (!parent) return;
+
+	// if focus is in the subtree being removed, it goes back to the body
+	const doc = node.ownerDocument;
+	if (doc && doc.activeElementRaw && node.contains(doc.activeElementRaw))
+		doc.activeElementRaw = null;
+
+	parent.childNodes.splice(parent.childNodes.indexOf(node), 1);
+	node.parentNode = null;
+}
+
+function removeAllChildren(parent) {
+	for (const child of parent.childNodes.slice())
+		detachNode(child);
+}
+
+// private helper to convert the arguments of append() and friends to nodes. Strings become Text nodes.
+function nodesFromArgs(parent, nodes) {
+	const doc = parent.ownerDocumentOrSelf();
+	const result = [];
+	for (const node of nodes) {
+		if (node instanceof DocumentFragment)
+			result.push(...node.childNodes.slice());
+		else
+			result.push((node instanceof Node) ? node : doc.createTextNode(String(node)));
+	}
+	return result;
+}
+
+
+// these methods are shared by Document, DocumentFragment and Element
+const ParentNodeMixin = {
+	get children()          { return this.childNodes.filter((n)=>n.nodeType == Node.ELEMENT_NODE); },
+	get childElementCount() { return this.children.length; },
+	get firstElementChild() { return this.children[0] || null; },
+	get lastElementChild()  { const children=this.children; return children[children.length-1] || null; },
+
+	append(...nodes)  { for (const node of nodesFromArgs(this, nodes)) insertNode(this, node, null); },
+	prepend(...nodes) { const ref=this.firstChild; for (const node of nodesFromArgs(this, nodes)) insertNode(this, node, ref); },
+	replaceChildren(...nodes) {
+		const newNodes = nodesFromArgs(this, nodes);
+		removeAllChildren(this);
+		for (const node of newNodes) insertNode(this, node, null);
+	},
+
+	getElementsByTagName(tagName) {
+		tagName = String(tagName).toLowerCase();
+		return descendantElements(this).filter((el)=>tagName=='*' || el.localName.toLowerCase()==tagName);
+	},
+	getElementsByClassName(classNames) {
+		const names = String(classNames).split(/\s+/).filter((n)=>n);
+		return descendantElements(this).filter((el)=>names.every((name)=>el.classList.contains(name)));
+	},
+	querySelector(selectors) {
+		const selectorList = parseSelectorList(selectors);
+		return descendantElements(this).find((el)=>matchesSelectorList(el, selectorList, this)) || null;
+	},
+	querySelectorAll(selectors) {
+		const selectorList = parseSelectorList(selectors);
+		return descendantElements(this).filter((el)=>matchesSelectorList(el, selectorList, this));
+	}
+};
+
+// these methods are shared by Element and CharacterData (Text and Comment)
+const ChildNodeMixin = {
+	get nextElementSibling()     { var n=this.nextSibling;     while (n && n.nodeType!=Node.ELEMENT_NODE) n=n.nextSibling;     return n; },
+	get previousElementSibling() { var n=this.previousSibling; while (n && n.nodeType!=Node.ELEMENT_NODE) n=n.previousSibling; return n; },
+
+	remove() {
+		detachNode(this);
+	},
+	before(...nodes) {
+		const parent = this.parentNode;
+		if (!parent) return;
+		for (const node of nodesFromArgs(parent, nodes)) insertNode(parent, node, this);
+	},
+	after(...nodes) {
+		const parent = this.parentNode;
+		if (!parent) return;
+		const ref = this.nextSibling;
+		for (const node of nodesFromArgs(parent, nodes)) insertNode(parent, node, ref);
+	},
+	replaceWith(...nodes) {
+		const parent = this.parentNode;
+		if (!parent) return;
+		const ref = this.nextSibling;
+		const newNodes = nodesFromArgs(parent, nodes);
+		detachNode(this);
+		for (const node of newNodes) insertNode(parent, node, (ref && ref.parentNode===parent) ? ref : null);
+	}
+};
+
+// private helper to copy the getters and methods of a mixin object into a class prototype
+function mixin(Class, mixinObj) {
+	for (const name of Object.getOwnPropertyNames(mixinObj))
+		Object.defineProperty(Class.prototype, name, Object.getOwnPropertyDescriptor(mixinObj, name));
+}
+
+// return an array of all the descendant elements of node in document order
+function descendantElements(node, result=[]) {
+	for (const child of node.childNodes) {
+		if (child.nodeType == Node.ELEMENT_NODE) {
+			result.push(child);
+			descendantElements(child, result);
+		}
+	}
+	return result;
+}
+
+
+export class CharacterData extends Node {
+	constructor(ownerDocument, data) {
+		super(ownerDocument);
+		this.data = String(data);
+	}
+	get nodeValue()       { return this.data; }
+	set nodeValue(value)  { this.data = String(value); }
+	get textContent()     { return this.data; }
+	set textContent(value){ this.data = (value == null) ? '' : String(value); }
+	get length()          { return this.data.length; }
+}
+mixin(CharacterData, ChildNodeMixin);
+
+export class Text extends CharacterData {
+	get nodeType()   { return Node.TEXT_NODE; }
+	get nodeName()   { return '#text'; }
+	get wholeText()  { return this.data; }
+	cloneShallow()   { return new Text(this.ownerDocument, this.data); }
+}
+
+export class Comment extends CharacterData {
+	get nodeType()   { return Node.COMMENT_NODE; }
+	get nodeName()   { return '#comment'; }
+	get textContent(){ return this.data; }
+	set textContent(value){ this.data = (value == null) ? '' : String(value); }
+	cloneShallow()   { return new Comment(this.ownerDocument, this.data); }
+}
+
+export class DocumentFragment extends Node {
+	get nodeType()   { return Node.DOCUMENT_FRAGMENT_NODE; }
+	get nodeName()   { return '#document-fragment'; }
+	getElementById(id) { return descendantElements(this).find((el)=>el.id==id) || null; }
+	cloneShallow()   { return new DocumentFragment(this.ownerDocument); }
+}
+mixin(DocumentFragment, ParentNodeMixin);
+
+
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// Elements
+
+export class Element extends Node {
+	constructor(ownerDocument, localName, namespaceURI=HTMLns) {
+		super(ownerDocument);
+		this.localName    = localName;
+		this.namespaceURI = namespaceURI;
+		this[sAttrs]      = new Map();
+		this.scrollTop    = 0;
+		this.scrollLeft   = 0;
+	}
+
+	get nodeType() { return Node.ELEMENT_NODE; }
+	get tagName()  { return (this.namespaceURI == HTMLns) ? this.localName.toUpperCase() : this.localName; }
+	get nodeName() { return this.tagName; }
+
+	// Attributes
+
+	get attributes() {
+		const attrs = Array.from(this[sAttrs], ([name,value])=>({name, localName:name, value, nodeName:name, nodeValue:value}));
+		attrs.getNamedItem = (name)=>attrs.find((a)=>a.name==this.normalizeAttrName(name)) || null;
+		attrs.item = (i)=>attrs[i] || null;
+		return attrs;
+	}
+	getAttributeNames()        { return Array.from(this[sAttrs].keys()); }
+	hasAttributes()            { return this[sAttrs].size > 0; }
+	hasAttribute(name)         { return this[sAttrs].has(this.normalizeAttrName(name)); }
+	getAttribute(name) {
+		name = this.normalizeAttrName(name);
+		return this[sAttrs].has(name) ? this[sAttrs].get(name) : null;
+	}
+	setAttribute(name, value) {
+		name = this.normalizeAttrName(name);
+		if (!/^[^\s"'>\/=]+$/.test(name))
+			throw new Error(`InvalidCharacterError: '${name}' is not a valid attribute name`);
+		value = String(value);
+		this[sAttrs].set(name, value);
+		(name == 'style') && this[sStyle] && this[sStyle].parse(value);
+	}
+	removeAttribute(name) {
+		name = this.normalizeAttrName(name);
+		this[sAttrs].delete(name);
+		(name == 'style') && this[sStyle] && this[sStyle].parse('');
+	}
+	toggleAttribute(name, force) {
+		const present = this.hasAttribute(name);
+		const want = (force === undefined) ? !present : !!force;
+		if (want && !present)  this.setAttribute(name, '');
+		if (!want && present)  this.removeAttribute(name);
+		return want;
+	}
+	// namespaced attributes (like xlink:href) are stored by their qualified name
+	getAttributeNS(ns, localName)     { return this.getAttribute(this.qualifiedAttrName(ns, localName)); }
+	setAttributeNS(ns, qName, value)  { this.setAttribute(qName, value); }
+	removeAttributeNS(ns, localName)  { this.removeAttribute(this.qualifiedAttrName(ns, localName)); }
+	hasAttributeNS(ns, localName)     { return this.hasAttribute(this.qualifiedAttrName(ns, localName)); }
+
+	get id()             { return this.getAttribute('id') || ''; }
+	set id(value)        { this.setAttribute('id', value); }
+	get className()      { return this.getAttribute('class') || ''; }
+	set className(value) { this.setAttribute('class', value); }
+	get classList()      { return new DOMTokenList(this, 'class'); }
+	get slot()           { return this.getAttribute('slot') || ''; }
+	set slot(value)      { this.setAttribute('slot', value); }
+
+	// Content
+
+	get innerHTML() {
+		return serializeChildren(this.contentNode());
+	}
+	set innerHTML(html) {
+		const target = this.contentNode();
+		removeAllChildren(target);
+		insertNode(target, parseHTML(String(html == null ? '' : html), this), null);
+	}
+	get outerHTML() {
+		return serializeNode(this);
+	}
+	set outerHTML(html) {
+		if (!this.parentNode)
+			throw new Error("NoModificationAllowedError: the element has no parent");
+		insertNode(this.parentNode, parseHTML(String(html), this.parentNode), this);
+		detachNode(this);
+	}
+	insertAdjacentHTML(position, html) {
+		this.insertAdjacentElementOrNode(position, parseHTML(String(html), this));
+	}
+	insertAdjacentElement(position, el) {
+		return this.insertAdjacentElementOrNode(position, el);
+	}
+	insertAdjacentText(position, text) {
+		this.insertAdjacentElementOrNode(position, this.ownerDocument.createTextNode(text));
+	}
+
+	// Selectors
+
+	matches(selectors) {
+		return matchesSelectorList(this, parseSelectorList(selectors), null);
+	}
+	closest(selectors) {
+		const selectorList = parseSelectorList(selectors);
+		for (var el=this; el && el.nodeType==Node.ELEMENT_NODE; el=el.parentNode)
+			if (matchesSelectorList(el, selectorList, null))
+				return el;
+		return null;
+	}
+
+	// Geometry. There is no layout so these are all 0 but tests can define them on instances.
+
+	get clientWidth()   { return 0; }
+	get clientHeight()  { return 0; }
+	get clientTop()     { return 0; }
+	get clientLeft()    { return 0; }
+	get scrollWidth()   { return this.clientWidth; }
+	get scrollHeight()  { return this.clientHeight; }
+	getBoundingClientRect() {
+		return {x:0, y:0, top:0, left:0, right:0, bottom:0, width:0, height:0};
+	}
+	getClientRects() { return []; }
+	scrollIntoView() {}
+	scrollTo(x, y) {
+		if (typeof x == 'object') { y = x.top; x = x.left; }
+		if (x != null) this.scrollLeft = x;
+		if (y != null) this.scrollTop  = y;
+	}
+
+	// Pointer capture is recorded but has no other effect
+	setPointerCapture(pointerId)     { (this.capturedPointers || (this.capturedPointers = new Set())).add(pointerId); }
+	releasePointerCapture(pointerId) { this.capturedPointers && this.capturedPointers.delete(pointerId); }
+	hasPointerCapture(pointerId)     { return !!this.capturedPointers && this.capturedPointers.has(pointerId); }
+
+	// private helpers
+
+	normalizeAttrName(name) {
+		name = String(name);
+		return (this.namespaceURI == HTMLns) ? name.toLowerCase() : name;
+	}
+	qualifiedAttrName(ns, localName) {
+		if (ns == 'http://www.w3.org/1999/xlink')          return 'xlink:'+localName;
+		if (ns == 'http://www.w3.org/XML/1998/namespace')  return 'xml:'+localName;
+		return localName;
+	}
+	// the node that holds the children for innerHTML. Its different for <template>
+	contentNode() { return this; }
+	cloneShallow() {
+		const copy = this.ownerDocument.createElementNS(this.namespaceURI, this.localName);
+		for (const [name,value] of this[sAttrs])
+			copy.setAttribute(name, value);
+		return copy;
+	}
+	insertAdjacentElementOrNode(position, node) {
+		switch (String(position).toLowerCase()) {
+			case 'beforebegin': this.parentNode && insertNode(this.parentNode, node, this); break;
+			case 'afterbegin':  insertNode(this, node, this.firstChild); break;
+			case 'beforeend':   insertNode(this, node, null); break;
+			case 'afterend':    this.parentNode && insertNode(this.parentNode, node, this.nextSibling); break;
+			default: throw new Error(`SyntaxError: '${position}' is not a valid position`);
+		}
+		return node;
+	}
+}
+mixin(Element, ParentNodeMixin);
+mixin(Element, ChildNodeMixin);
+
+
+// DOMTokenList is the live view of a space separated attribute like class
+export class DOMTokenList {
+	constructor(el, attrName) {
+		this.el = el;
+		this.attrName = attrName;
+	}
+	get tokens()  { return (this.el.getAttribute(this.attrName) || '').split(/\s+/).filter((t)=>t); }
+	get length()  { return this.tokens.length; }
+	get value()   { return this.el.getAttribute(this.attrName) || ''; }
+	set value(v)  { this.el.setAttribute(this.attrName, v); }
+	item(i)       { return this.tokens[i] || null; }
+	contains(token) { return this.tokens.includes(String(token)); }
+	add(...tokens) {
+		const current = this.tokens;
+		for (const token of tokens.map(validToken))
+			current.includes(token) || current.push(token);
+		this.el.setAttribute(this.attrName, current.join(' '));
+	}
+	remove(...tokens) {
+		tokens = tokens.map(validToken);
+		if (!this.el.hasAttribute(this.attrName)) return;
+		this.el.setAttribute(this.attrName, this.tokens.filter((t)=>!tokens.includes(t)).join(' '));
+	}
+	toggle(token, force) {
+		token = validToken(token);
+		const want = (force === undefined) ? !this.contains(token) : !!force;
+		want ? this.add(token) : this.remove(token);
+		return want;
+	}
+	replace(oldToken, newToken) {
+		const current = this.tokens;
+		const i = current.indexOf(validToken(oldToken));
+		if (i == -1) return false;
+		current[i] = validToken(newToken);
+		this.el.setAttribute(this.attrName, Array.from(new Set(current)).join(' '));
+		return true;
+	}
+	forEach(cb, thisArg) { this.tokens.forEach((t,i)=>cb.call(thisArg, t, i, this)); }
+	entries()  { return this.tokens.entries(); }
+	keys()     { return this.tokens.keys(); }
+	values()   { return this.tokens.values(); }
+	toString() { return this.value; }
+	[Symbol.iterator]() { return this.tokens[Symbol.iterator](); }
+}
+
+function validToken(token) {
+	token = String(token);
+	if (token === '')
+		throw new Error("SyntaxError: the token must not be empty");
+	if (/\s/.test(token))
+		throw new Error(`InvalidCharacterError: the token '${token}' contains whitespace`);
+	return token;
+}
+
+
+// CSSStyleDeclaration holds the inline style of an element and keeps the element's style attribute in sync. Elements expose it
+// through a Proxy so that any camelCase css property name can be read and written (el.style.gridTemplateRows='1fr')
+export class CSSStyleDeclaration {
+	constructor(el) {
+		this.el = el;
+		this.props = new Map();
+	}
+	get cssText() {
+		return Array.from(this.props, ([name,value])=>`${name}: ${value};`).join(' ');
+	}
+	set cssText(text) {
+		this.parse(text);
+		this.sync();
+	}
+	get length()    { return this.props.size; }
+	item(i)         { return Array.from(this.props.keys())[i] || ''; }
+	getPropertyValue(name) { return this.props.get(cssPropertyName(name)) || ''; }
+	getPropertyPriority()  { return ''; }
+	setProperty(name, value) {
+		name = cssPropertyName(name);
+		if (value == null || value === '')
+			this.props.delete(name);
+		else
+			this.props.set(name, String(value));
+		this.sync();
+	}
+	removeProperty(name) {
+		name = cssPropertyName(name);
+		const old = this.props.get(name) || '';
+		this.props.delete(name);
+		this.sync();
+		return old;
+	}
+
+	// private helpers
+	parse(text) {
+		this.props.clear();
+		for (const decl of String(text||'').split(';')) {
+			const i = decl.indexOf(':');
+			if (i == -1) continue;
+			const name = decl.slice(0,i).trim(), value = decl.slice(i+1).trim();
+			name && value && this.props.set(cssPropertyName(name), value);
+		}
+	}
+	sync() {
+		const text = this.cssText;
+		if (text)
+			this.el[sAttrs].set('style', text);
+		else
+			this.el[sAttrs].delete('style');
+	}
+}
+
+// convert a js style property name (gridTemplateRows, cssFloat, webkitTransform) to its css name. Names with a '-' are already
+// css names (including custom properties like --my-color)
+function cssPropertyName(name) {
+	name = String(name);
+	if (name.includes('-'))   return name.startsWith('--') ? name : name.toLowerCase();
+	if (name == 'cssFloat')   return 'float';
+	return name.replace(/^(webkit|moz|ms)(?=[A-Z])/, '-$1').replace(/[A-Z]/g, (c)=>'-'+c.toLowerCase());
+}
+
+function makeStyleProxy(style) {
+	return new Proxy(style, {
+		get(target, prop) {
+			if (typeof prop == 'symbol' || prop in target) {
+				const value = target[prop];
+				return (typeof value == 'function') ? value.bind(target) : value;
+			}
+			if (/^[0-9]+$/.test(prop)) return target.item(Number(prop));
+			return target.getPropertyValue(prop);
+		},
+		set(target, prop, value) {
+			if (typeof prop == 'symbol' || prop in target)
+				target[prop] = value;
+			else
+				target.setProperty(prop, value);
+			return true;
+		}
+	});
+}
+
+// el.dataset is a view of the data-* attributes with camelCase names
+function makeDatasetProxy(el) {
+	const attrName = (key)=>'data-'+String(key).replace(/[A-Z]/g, (c)=>'-'+c.toLowerCase());
+	const keyName  = (name)=>name.slice(5).replace(/-([a-z])/g, (m,c)=>c.toUpperCase());
+	return new Proxy({}, {
+		get(target, key)        { return (typeof key == 'symbol' || !el.hasAttribute(attrName(key))) ? undefined : el.getAttribute(attrName(key)); },
+		set(target, key, value) { el.setAttribute(attrName(key), value); return true; },
+		has(target, key)        { return el.hasAttribute(attrName(key)); },
+		deleteProperty(target, key) { el.removeAttribute(attrName(key)); return true; },
+		ownKeys()               { return el.getAttributeNames().filter((n)=>n.startsWith('data-')).map(keyName); },
+		getOwnPropertyDescriptor(target, key) {
+			return el.hasAttribute(attrName(key))
+				? {value:el.getAttribute(attrName(key)), writable:true, enumerable:true, configurable:true}
+				: undefined;
+		}
+	});
+}
+
+
+// private helper to define properties on a class prototype that reflect attributes
+//    kind 'string' : missing attribute is ''
+//    kind 'bool'   : the presence of the attribute
+//    kind 'int'    : parsed integer with a default
+function reflect(Class, props) {
+	for (const [prop, attr, kind='string', defaultValue] of props) {
+		Object.defineProperty(Class.prototype, prop, {
+			configurable:true,
+			get() {
+				const value = this.getAttribute(attr);
+				switch (kind) {
+					case 'bool': return value !== null;
+					case 'int' : return (value !== null && !isNaN(parseInt(value))) ? parseInt(value) : (typeof defaultValue == 'function' ? defaultValue.call(this) : defaultValue);
+					default    : return (value !== null) ? value : (defaultValue || '');
+				}
+			},
+			set(value) {
+				if (kind == 'bool')
+					value ? this.setAttribute(attr, '') : this.removeAttribute(attr);
+				else
+					this.setAttribute(attr, (kind=='int') ? parseInt(value) : value);
+			}
+		});
+	}
+}
+
+
+export class HTMLElement extends Element {
+	get style()   { return this[sStyleProxy] || this.makeStyle(); }
+	set style(v)  { this.style.cssText = v; }
+	get dataset() { return this.datasetProxy || (this.datasetProxy = makeDatasetProxy(this)); }
+
+	get innerText()       { return this.textContent; }
+	set innerText(text)   { this.textContent = text; }
+	get outerText()       { return this.textContent; }
+
+	// elements that can be focused without a tabindex
+	get isFocusable() {
+		return this.hasAttribute('tabindex') || this.hasAttribute('contenteditable')
+			|| (/^(input|select|textarea|button)$/.test(this.localName) && !this.disabled)
+			|| (this.localName=='a' && this.hasAttribute('href'));
+	}
+
+	focus() {
+		const doc = this.ownerDocument;
+		if (!this.isConnected || !this.isFocusable || doc.activeElementRaw === this)
+			return;
+		const previous = doc.activeElementRaw;
+		doc.activeElementRaw = this;
+		if (previous) {
+			previous.dispatchEvent(new FocusEvent('blur',     {relatedTarget:this}));
+			previous.dispatchEvent(new FocusEvent('focusout', {relatedTarget:this, bubbles:true}));
+		}
+		this.dispatchEvent(new FocusEvent('focus',   {relatedTarget:previous}));
+		this.dispatchEvent(new FocusEvent('focusin', {relatedTarget:previous, bubbles:true}));
+	}
+
+	blur() {
+		const doc = this.ownerDocument;
+		if (doc.activeElementRaw !== this)
+			return;
+		doc.activeElementRaw = null;
+		this.dispatchEvent(new FocusEvent('blur'));
+		this.dispatchEvent(new FocusEvent('focusout', {bubbles:true}));
+	}
+
+	// click() dispatches the event and then performs the element's activation behavior (like toggling a checkbox) unless the event
+	// was canceled
+	click() {
+		if (this.disabled)
+			return;
+		const undo = this.preActivation();
+		const notCanceled = this.dispatchEvent(new MouseEvent('click', {bubbles:true, cancelable:true, composed:true, detail:1}));
+		if (notCanceled)
+			this.activation();
+		else
+			undo && undo();
+	}
+
+	// private helpers for click(). Derived classes override these
+	preActivation() {}
+	activation() {}
+	makeStyle() {
+		this[sStyle] = new CSSStyleDeclaration(this);
+		this[sStyle].parse(this.getAttribute('style'));
+		return this[sStyleProxy] = makeStyleProxy(this[sStyle]);
+	}
+}
+reflect(HTMLElement, [
+	['title','title'], ['lang','lang'], ['dir','dir'], ['hidden','hidden','bool'], ['accessKey','accesskey'],
+	['tabIndex','tabindex','int', function() {return this.isFocusable ? 0 : -1}],
+	['contentEditable','contenteditable','string','inherit'], ['draggable','draggable','bool']
+]);
+
+
+// the state of a form control. These are shared by the control classes below
+const formControlProps = [['name','name'], ['disabled','disabled','bool'], ['autofocus','autofocus','bool'], ['required','required','bool']];
+
+export class HTMLInputElement extends HTMLElement {
+	get type()  { const type = (this.getAttribute('type')||'').toLowerCase(); return type || 'text'; }
+	set type(v) { this.setAttribute('type', v); }
+
+	// the value comes from the value attribute until the value property is set (which is what the user typing does)
+	get value() {
+		if (this[sValue] !== undefined) return this[sValue];
+		const value = this.getAttribute('value');
+		if (value === null) return (this.type=='checkbox' || this.type=='radio') ? 'on' : '';
+		return value;
+	}
+	set value(v)       { this[sValue] = (v == null) ? '' : String(v); }
+	get defaultValue() { return this.getAttribute('value') || ''; }
+	set defaultValue(v){ this.setAttribute('value', v); }
+	get valueAsNumber(){ return (this.value === '') ? NaN : Number(this.value); }
+	set valueAsNumber(v){ this.value = isNaN(v) ? '' : String(v); }
+
+	get checked() { return (this[sChecked] !== undefined) ? this[sChecked] : this.hasAttribute('checked'); }
+	set checked(v) {
+		this[sChecked] = !!v;
+		if (v && this.type == 'radio')
+			for (const other of this.radioGroup())
+				(other !== this) && (other[sChecked] = false);
+	}
+	get defaultChecked()  { return this.hasAttribute('checked'); }
+	set defaultChecked(v) { this.toggleAttribute('checked', !!v); }
+	get indeterminate()   { return !!this.indeterminateState; }
+	set indeterminate(v)  { this.indeterminateState = !!v; }
+
+	get selectionStart() { return (this.selectionStartPos != null) ? this.selectionStartPos : this.value.length; }
+	set selectionStart(v){ this.selectionStartPos = v; }
+	get selectionEnd()   { return (this.selectionEndPos != null) ? this.selectionEndPos : this.value.length; }
+	set selectionEnd(v)  { this.selectionEndPos = v; }
+	setSelectionRange(start, end) { this.selectionStartPos = start; this.selectionEndPos = end; }
+	select() { this.setSelectionRange(0, this.value.length); }
+
+	// checkboxes and radios change state before the click event is dispatched and fire input and change after it
+	preActivation() {
+		if (this.type == 'checkbox') {
+			const old = this.checked;
+			this.checked = !old;
+			return ()=>{this.checked = old};
+		}
+		if (this.type == 'radio') {
+			const group = this.radioGroup();
+			const old = group.find((r)=>r.checked);
+			this.checked = true;
+			return ()=>{this.checked = false; old && (old.checked = true)};
+		}
+	}
+	activation() {
+		if (this.type == 'checkbox' || this.type == 'radio') {
+			this.dispatchEvent(new InputEvent('input', {bubbles:true, composed:true}));
+			this.dispatchEvent(new Event('change', {bubbles:true}));
+		}
+	}
+	radioGroup() {
+		if (!this.name) return [this];
+		const root = this.closest('form') || this.getRootNode();
+		return (root.querySelectorAll ? root.querySelectorAll('input') : []).filter((el)=>el.type=='radio' && el.name==this.name);
+	}
+	cloneShallow() {
+		const copy = super.cloneShallow();
+		copy[sValue]   = this[sValue];
+		copy[sChecked] = this[sChecked];
+		return copy;
+	}
+}
+reflect(HTMLInputElement, [...formControlProps,
+	['placeholder','placeholder'], ['readOnly','readonly','bool'], ['multiple','multiple','bool'], ['min','min'], ['max','max'],
+	['step','step'], ['accept','accept'], ['pattern','pattern'], ['size','size','int',20], ['maxLength','maxlength','int',-1],
+	['autocomplete','autocomplete'], ['list','list']
+]);
+
+export class HTMLTextAreaElement extends HTMLElement {
+	get type()         { return 'textarea'; }
+	get value()        { return (this[sValue] !== undefined) ? this[sValue] : this.textContent; }
+	set value(v)       { this[sValue] = (v == null) ? '' : String(v); }
+	get defaultValue() { return this.textContent; }
+	set defaultValue(v){ this.textContent = v; }
+	get selectionStart() { return this.value.length; }
+	get selectionEnd()   { return this.value.length; }
+	setSelectionRange() {}
+	select() {}
+}
+reflect(HTMLTextAreaElement, [...formControlProps,
+	['placeholder','placeholder'], ['readOnly','readonly','bool'], ['rows','rows','int',2], ['cols','cols','int',20], ['wrap','wrap']
+]);
+
+export class HTMLOptionElement extends HTMLElement {
+	get value()       { const v = this.getAttribute('value'); return (v !== null) ? v : this.text; }
+	set value(v)      { this.setAttribute('value', v); }
+	get text()        { return this.textContent.replace(/\s+/g,' ').trim(); }
+	set text(v)       { this.textContent = v; }
+	get label()       { const v = this.getAttribute('label'); return (v !== null) ? v : this.text; }
+	set label(v)      { this.setAttribute('label', v); }
+	get selected()    { return (this[sSelected] !== undefined) ? this[sSelected] : this.hasAttribute('selected'); }
+	set selected(v) {
+		this[sSelected] = !!v;
+		const select = this.closest('select');
+		if (v && select && !select.multiple)
+			for (const option of select.options)
+				(option !== this) && (option[sSelected] = false);
+	}
+	get defaultSelected()  { return this.hasAttribute('selected'); }
+	set defaultSelected(v) { this.toggleAttribute('selected', !!v); }
+	get index() { const select = this.closest('select'); return select ? select.options.indexOf(this) : 0; }
+	get form()  { return this.closest('form'); }
+}
+reflect(HTMLOptionElement, [['disabled','disabled','bool']]);
+
+export class HTMLOptGroupElement extends HTMLElement {}
+reflect(HTMLOptGroupElement, [['disabled','disabled','bool'], ['label','label']]);
+
+export class HTMLSelectElement extends HTMLElement {
+	get type() { return this.multiple ? 'select-multiple' : 'select-one'; }
+
+	// options is a snapshot array with the methods of HTMLOptionsCollection
+	get options() {
+		const options = this.getElementsByTagName('option');
+		options.add    = (option, before)=>this.add(option, before);
+		options.remove = (index)=>this.remove(index);
+		Object.defineProperty(options, 'selectedIndex', {get:()=>this.selectedIndex, set:(v)=>{this.selectedIndex=v}});
+		return options;
+	}
+	get length() { return this.options.length; }
+	get selectedOptions() { return this.options.filter((o)=>o.selected); }
+
+	// a single select always has one selected option if it has any options
+	get selectedIndex() {
+		const options = this.options;
+		const i = options.findIndex((o)=>o.selected);
+		return (i != -1 || this.multiple) ? i : (options.length>0 && !(this.size>1)) ? 0 : -1;
+	}
+	set selectedIndex(index) {
+		this.options.forEach((o,i)=>{o[sSelected] = (i == index)});
+	}
+	get value() {
+		const i = this.selectedIndex;
+		return (i == -1) ? '' : this.options[i].value;
+	}
+	set value(v) {
+		const options = this.options;
+		options.forEach((o)=>{o[sSelected] = false});
+		const match = options.find((o)=>o.value == v);
+		match && (match[sSelected] = true);
+	}
+	item(i) { return this.options[i] || null; }
+	namedItem(name) { return this.options.find((o)=>o.id==name || o.getAttribute('name')==name) || null; }
+
+	// overloaded like the DOM. With an index, its HTMLSelectElement.remove, otherwise its ChildNode.remove
+	add(option, before) {
+		const ref = (typeof before == 'number') ? this.options[before] : before;
+		ref ? insertNode(ref.parentNode, option, ref) : insertNode(this, option, null);
+	}
+	remove(index) {
+		if (arguments.length == 0)
+			return ChildNodeMixin.remove.call(this);
+		const option = this.options[index];
+		option && detachNode(option);
+	}
+}
+reflect(HTMLSelectElement, [...formControlProps, ['multiple','multiple','bool'], ['size','size','int',0]]);
+
+export class HTMLButtonElement extends HTMLElement {
+	get type()  { const type = (this.getAttribute('type')||'').toLowerCase(); return /^(submit|reset|button)$/.test(type) ? type : 'submit'; }
+	set type(v) { this.setAttribute('type', v); }
+	get value() { return this.getAttribute('value') || ''; }
+	set value(v){ this.setAttribute('value', v); }
+}
+reflect(HTMLButtonElement, formControlProps);
+
+// clicking a label activates its control
+export class HTMLLabelElement extends HTMLElement {
+	get control() {
+		if (this.htmlFor)
+			return this.ownerDocument.getElementById(this.htmlFor);
+		return this.querySelector('input,select,textarea,button');
+	}
+	click() {
+		if (this.dispatchEvent(new MouseEvent('click', {bubbles:true, cancelable:true, composed:true, detail:1})))
+			this.activation();
+	}
+	activation() {
+		const control = this.control;
+		if (control && control.closest('label') !== this)
+			control.click();
+		else if (control)
+			HTMLElement.prototype.click.call(control);
+	}
+}
+reflect(HTMLLabelElement, [['htmlFor','for']]);
+
+export class HTMLAnchorElement extends HTMLElement {}
+reflect(HTMLAnchorElement, [['href','href'], ['target','target'], ['rel','rel'], ['download','download']]);
+
+export class HTMLImageElement extends HTMLElement {}
+reflect(HTMLImageElement, [['src','src'], ['alt','alt'], ['width','width','int',0], ['height','height','int',0]]);
+
+export class HTMLFormElement extends HTMLElement {
+	get elements() { return this.querySelectorAll('input,select,textarea,button'); }
+	submit() {}
+	requestSubmit() {
+		if (this.dispatchEvent(new Event('submit', {bubbles:true, cancelable:true})))
+			this.submit();
+	}
+	reset() {
+		for (const el of this.elements) {
+			el[sValue] = undefined;
+			el[sChecked] = undefined;
+		}
+		this.dispatchEvent(new Event('reset', {bubbles:true, cancelable:true}));
+	}
+}
+reflect(HTMLFormElement, [['name','name'], ['action','action'], ['method','method']]);
+
+// the children of a template are kept in its content fragment
+export class HTMLTemplateElement extends HTMLElement {
+	get content() { return this.templateContent || (this.templateContent = this.ownerDocument.createDocumentFragment()); }
+	contentNode() { return this.content; }
+	cloneNode(deep) {
+		const copy = this.cloneShallow();
+		if (deep)
+			for (const child of this.content.childNodes)
+				insertNode(copy.content, child.cloneNode(true), null);
+		return copy;
+	}
+}
+
+// <style> elements have a minimal CSSStyleSheet that BGStylesheet uses
+export class HTMLStyleElement extends HTMLElement {
+	get sheet() { return this.styleSheet || (this.styleSheet = new CSSStyleSheet(this)); }
+}
+
+export class CSSStyleSheet {
+	constructor(ownerNode) {
+		this.ownerNode = ownerNode || null;
+		this.cssRules = [];
+	}
+	get rules() { return this.cssRules; }
+	insertRule(cssText, index=0) {
+		if (index < 0 || index > this.cssRules.length)
+			throw new Error("IndexSizeError: the index is out of range");
+		const rule = makeCSSRule(String(cssText), this);
+		this.cssRules.splice(index, 0, rule);
+		return index;
+	}
+	deleteRule(index) {
+		if (index < 0 || index >= this.cssRules.length)
+			throw new Error("IndexSizeError: the index is out of range");
+		this.cssRules.splice(index, 1);
+	}
+	replaceSync(text) {
+		this.cssRules = splitCSSRules(String(text)).map((ruleText)=>makeCSSRule(ruleText, this));
+	}
+}
+
+// rules keep their text. Style rules also have selectorText and a style declaration. Rules that start with '@' and contain a
+// block (@media, @supports) have nested cssRules
+function makeCSSRule(cssText, parentStyleSheet) {
+	cssText = cssText.trim();
+	const open = cssText.indexOf('{');
+	if (open == -1 || !cssText.endsWith('}'))
+		throw new Error(`SyntaxError: failed to parse the rule '${cssText}'`);
+	const prelude = cssText.slice(0, open).trim();
+	const body = cssText.slice(open+1, -1);
+	const rule = {cssText, parentStyleSheet};
+	if (prelude.startsWith('@')) {
+		rule.conditionText = prelude.replace(/^@\S+\s*/, '');
+		rule.media = {mediaText:rule.conditionText};
+		rule.cssRules = splitCSSRules(body).map((text)=>makeCSSRule(text, parentStyleSheet));
+	} else {
+		rule.selectorText = prelude;
+		const style = new CSSStyleDeclaration({[sAttrs]:new Map()});
+		style.parse(body);
+		rule.style = makeStyleProxy(style);
+		// the text of a style rule follows changes made through rule.style
+		Object.defineProperty(rule, 'cssText', {get:()=>rule.selectorText+' { '+style.cssText+' }', enumerable:true});
+	}
+	return rule;
+}
+
+// split css text into its top level rules by matching braces
+function splitCSSRules(text) {
+	const rules = [];
+	var depth = 0, start = 0;
+	for (var i=0; i<text.length; i++) {
+		if (text[i] == '{') depth++;
+		else if (text[i] == '}' && --depth == 0) {
+			rules.push(text.slice(start, i+1).trim());
+			start = i+1;
+		}
+	}
+	return rules.filter((r)=>r);
+}
+
+
+export class SVGElement extends Element {
+	get style()   { return this[sStyleProxy] || HTMLElement.prototype.makeStyle.call(this); }
+	get dataset() { return this.datasetProxy || (this.datasetProxy = makeDatasetProxy(this)); }
+	get className() { return {baseVal:this.getAttribute('class')||'', animVal:this.getAttribute('class')||''}; }
+	set className(v){ this.setAttribute('class', v); }
+	focus() {}
+	blur() {}
+}
+
+// the element class used for each HTML tag name. Other names use HTMLElement
+const htmlElementClasses = {
+	input:HTMLInputElement, textarea:HTMLTextAreaElement, select:HTMLSelectElement, option:HTMLOptionElement,
+	optgroup:HTMLOptGroupElement, button:HTMLButtonElement, label:HTMLLabelElement, a:HTMLAnchorElement, img:HTMLImageElement,
+	form:HTMLFormElement, template:HTMLTemplateElement, style:HTMLStyleElement
+};
+
+
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// Document and Window
+
+export class Document extends Node {
+	constructor() {
+		super(null);
+		this.defaultView      = null;
+		this.activeElementRaw = null;
+		const html = this.createElement('html');
+		insertNode(html, this.createElement('head'), null);
+		insertNode(html, this.createElement('body'), null);
+		insertNode(this, html, null);
+	}
+
+	get nodeType()        { return Node.DOCUMENT_NODE; }
+	get nodeName()        { return '#document'; }
+	get textContent()     { return null; }
+	set textContent(v)    {}
+	get documentElement() { return this.firstElementChild; }
+	get head()            { return this.documentElement && this.documentElement.children.find((el)=>el.localName=='head') || null; }
+	get body()            { return this.documentElement && this.documentElement.children.find((el)=>el.localName=='body') || null; }
+	get activeElement()   { const el = this.activeElementRaw; return (el && el.isConnected) ? el : this.body; }
+	hasFocus()            { return true; }
+
+	createElement(tagName) {
+		const localName = String(tagName).toLowerCase();
+		const Class = htmlElementClasses[localName] || HTMLElement;
+		return new Class(this, localName, HTMLns);
+	}
+	createElementNS(namespaceURI, qualifiedName) {
+		if (namespaceURI == HTMLns)
+			return this.createElement(qualifiedName);
+		if (namespaceURI == SVGns)
+			return new SVGElement(this, qualifiedName, SVGns);
+		return new Element(this, qualifiedName, namespaceURI);
+	}
+	createTextNode(data)      { return new Text(this, data); }
+	createComment(data)       { return new Comment(this, data); }
+	createDocumentFragment()  { return new DocumentFragment(this); }
+	getElementById(id)        { return descendantElements(this).find((el)=>el.id==id) || null; }
+	cloneShallow()            { return new Document(); }
+}
+mixin(Document, ParentNodeMixin);
+
+
+export class Window extends EventTarget {
+	constructor() {
+		super();
+		this.window = this;
+		this.self   = this;
+		this.document = new Document();
+		this.document.defaultView = this;
+		this.navigator = {userAgent:'bg-dom DomShim', language:'en-US', languages:['en-US'], platform:process.platform};
+		this.location  = {href:'about:blank', protocol:'about:', host:'', hostname:'', pathname:'blank', search:'', hash:''};
+		this.innerWidth  = 1024;
+		this.innerHeight = 768;
+		this.devicePixelRatio = 1;
+		Object.assign(this, domClasses);
+	}
+
+	// there is no css cascade so the computed style is the inline style
+	getComputedStyle(el) { return el.style; }
+
+	matchMedia(media) {
+		return {matches:false, media, onchange:null, addEventListener(){}, removeEventListener(){}, addListener(){}, removeListener(){}};
+	}
+}
+
+
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// HTML Parsing and Serialization
+
+const namedEntities = {amp:'&', lt:'<', gt:'>', quot:'"', apos:"'", nbsp:' ', copy:'©', reg:'®', hellip:'…', mdash:'—', ndash:'–'};
+
+function decodeEntities(text) {
+	return text.replace(/&(#[xX][0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity)=>{
+		if (entity[0] == '#')
+			return String.fromCodePoint((entity[1]=='x' || entity[1]=='X') ? parseInt(entity.slice(2),16) : parseInt(entity.slice(1),10));
+		return (entity in namedEntities) ? namedEntities[entity] : match;
+	});
+}
+
+// parse html text into a DocumentFragment. <contextEl> is the element the content is for and determines the namespace.
+// This is a forgiving parser. It does not implement the implied end tags of the HTML5 algorithm but unmatched end tags are
+// ignored and open elements are closed at the end.
+export function parseHTML(html, contextEl) {
+	const doc  = (contextEl && (contextEl.ownerDocument || contextEl)) || global.document;
+	const frag = doc.createDocumentFragment();
+	const stack = [frag];
+	const current = ()=>stack[stack.length-1];
+	const currentEl = ()=>{ const n=current(); return (n.nodeType==Node.ELEMENT_NODE) ? n : (n.templateHost || contextEl || null); };
+	const inSVG = ()=>{ const el=currentEl(); return !!el && el.namespaceURI==SVGns && el.localName!='foreignObject'; };
+
+	var i = 0;
+	while (i < html.length) {
+		// comments and doctype
+		if (html.startsWith('<!--', i)) {
+			const end = html.indexOf('-->', i+4);
+			insertNode(current(), doc.createComment(html.slice(i+4, (end==-1) ? html.length : end)), null);
+			i = (end==-1) ? html.length : end+3;
+			continue;
+		}
+		if (html.startsWith('<!', i) || html.startsWith('<?', i)) {
+			const end = html.indexOf('>', i);
+			i = (end==-1) ? html.length : end+1;
+			continue;
+		}
+
+		// end tag
+		var match;
+		if ((match = /^<\/([a-zA-Z][^\s\/>]*)\s*>/.exec(html.slice(i, i+200)))) {
+			const name = match[1].toLowerCase();
+			for (var j=stack.length-1; j>0; j--) {
+				const node = stack[j];
+				const el = (node.nodeType==Node.ELEMENT_NODE) ? node : node.templateHost;
+				if (el.localName.toLowerCase() == name) {
+					stack.length = j;
+					break;
+				}
+			}
+			i += match[0].length;
+			continue;
+		}
+
+		// start tag
+		if (html[i] == '<' && /[a-zA-Z]/.test(html[i+1] || '')) {
+			var j = i+1;
+			while (j < html.length && !/[\s\/>]/.test(html[j])) j++;
+			var tagName = html.slice(i+1, j);
+			const svg = inSVG() || tagName.toLowerCase() == 'svg';
+			const el = svg
+				? doc.createElementNS(SVGns, (tagName.toLowerCase()=='svg') ? 'svg' : tagName)
+				: doc.createElement(tagName);
+
+			// attributes
+			var selfClosing = false;
+			while (j < html.length) {
+				while (/\s/.test(html[j])) j++;
+				if (html[j] == '>') { j++; break; }
+				if (html[j] == '/') {
+					if (html[j+1] == '>') { selfClosing = true; j+=2; break; }
+					j++; continue;
+				}
+				var k = j;
+				while (k < html.length && !/[\s\/>=]/.test(html[k])) k++;
+				const attrName = html.slice(j, k);
+				var attrValue = '';
+				j = k;
+				while (/\s/.test(html[j])) j++;
+				if (html[j] == '=') {
+					j++;
+					while (/\s/.test(html[j])) j++;
+					if (html[j] == '"' || html[j] == "'") {
+						const quote = html[j];
+						const end = html.indexOf(quote, j+1);
+						attrValue = html.slice(j+1, (end==-1) ? html.length : end);
+						j = (end==-1) ? html.length : end+1;
+					} else {
+						k = j;
+						while (k < html.length && !/[\s>]/.test(html[k])) k++;
+						attrValue = html.slice(j, k);
+						j = k;
+					}
+				} else {
+					k = j;
+				}
+				if (attrName && !el.hasAttribute(attrName))
+					el.setAttribute(attrName, decodeEntities(attrValue));
+			}
+			i = j;
+			insertNode(current(), el, null);
+
+			const localName = el.localName.toLowerCase();
+			if (selfClosing || (!svg && voidElements.has(localName)))
+				continue;
+
+			// the content of raw text elements is taken literally up to the end tag
+			if (!svg && rawTextElements.has(localName)) {
+				const endRe = new RegExp('</'+localName+'\\s*>', 'i');
+				const rest = html.slice(i);
+				const endMatch = endRe.exec(rest);
+				const text = rest.slice(0, endMatch ? endMatch.index : rest.length);
+				if (text)
+					insertNode(el, doc.createTextNode((localName=='textarea' || localName=='title') ? decodeEntities(text) : text), null);
+				i += endMatch ? endMatch.index + endMatch[0].length : rest.length;
+				continue;
+			}
+
+			if (el instanceof HTMLTemplateElement) {
+				el.content.templateHost = el;
+				stack.push(el.content);
+			} else
+				stack.push(el);
+			continue;
+		}
+
+		// text up to the next thing that looks like markup
+		var end = i+1;
+		while (end < html.length && !(html[end]=='<' && /[a-zA-Z\/!?]/.test(html[end+1] || ''))) end++;
+		const text = decodeEntities(html.slice(i, end));
+		const last = current().lastChild;
+		if (last && last.nodeType == Node.TEXT_NODE)
+			last.data += text;
+		else
+			insertNode(current(), doc.createTextNode(text), null);
+		i = end;
+	}
+	return frag;
+}
+
+
+function escapeText(text)      { return text.replace(/&/g,'&amp;').replace(/ /g,'&nbsp;').replace(/</g,'&lt;').replace(/>/g,'&gt;'); }
+function escapeAttribute(text) { return text.replace(/&/g,'&amp;').replace(/ /g,'&nbsp;').replace(/"/g,'&quot;'); }
+
+// return the html text of node
+export function serializeNode(node) {
+	switch (node.nodeType) {
+		case Node.TEXT_NODE: {
+			const parent = node.parentNode;
+			const raw = parent && parent.nodeType==Node.ELEMENT_NODE && parent.namespaceURI==HTMLns && /^(script|style)$/.test(parent.localName);
+			return raw ? node.data : escapeText(node.data);
+		}
+		case Node.COMMENT_NODE:
+			return '<!--'+node.data+'-->';
+		case Node.ELEMENT_NODE: {
+			var html = '<'+node.localName;
+			for (const [name,value] of node[sAttrs])
+				html += ' '+name+'="'+escapeAttribute(value)+'"';
+			html += '>';
+			if (node.namespaceURI == HTMLns && voidElements.has(node.localName))
+				return html;
+			return html + serializeChildren(node.contentNode()) + '</'+node.localName+'>';
+		}
+		default:
+			return serializeChildren(node);
+	}
+}
+
+function serializeChildren(node) {
+	return node.childNodes.map(serializeNode).join('');
+}
+
+
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// CSS Selectors
+// Supported: type, universal, #id, .class, [attr], [attr=v] (and ~= ^= $= *= |=), the descendant, child (>), next sibling (+) and
+// subsequent sibling (~) combinators, selector lists (,) and the pseudo classes :first-child, :last-child, :only-child,
+// :nth-child(), :not(), :is(), :where(), :checked, :disabled, :enabled, :focus, :empty, :root and :scope
+
+const selectorCache = new Map();
+
+function parseSelectorList(text) {
+	text = String(text);
+	if (selectorCache.has(text))
+		return selectorCache.get(text);
+
+	var i = 0;
+	const fail = ()=>{ throw new Error(`SyntaxError: '${text}' is not a valid selector`); };
+	const readIdent = ()=>{
+		var ident = '';
+		while (i < text.length) {
+			const c = text[i];
+			if (c == '\\') { ident += text[i+1] || ''; i+=2; }
+			else if (/[\w\- -￿]/.test(c)) { ident += c; i++; }
+			else break;
+		}
+		ident || fail();
+		return ident;
+	};
+	const readUntilClose = ()=>{
+		var depth = 1, start = i;
+		while (i < text.length && depth > 0) {
+			if (text[i] == '(') depth++;
+			else if (text[i] == ')') depth--;
+			i++;
+		}
+		depth == 0 || fail();
+		return text.slice(start, i-1);
+	};
+
+	const list = [];
+	var complex = [], compound = null, combinator = null;
+	const newCompound = ()=>({tag:null, id:null, classes:[], attrs:[], pseudos:[]});
+	const endCompound = ()=>{
+		if (compound) {
+			complex.push({compound, combinator});
+			compound = null;
+			combinator = null;
+		}
+	};
+
+	while (i < text.length) {
+		const c = text[i];
+		if (/\s/.test(c)) {
+			i++;
+			if (compound) { endCompound(); combinator = ' '; }
+			continue;
+		}
+		if (c == '>' || c == '+' || c == '~') {
+			endCompound();
+			(complex.length > 0) || fail();
+			combinator = c;
+			i++;
+			continue;
+		}
+		if (c == ',') {
+			endCompound();
+			(complex.length > 0) || fail();
+			list.push(complex);
+			complex = [];
+			combinator = null;
+			i++;
+			continue;
+		}
+		compound = compound || newCompound();
+		if (c == '*')      { i++; compound.tag = '*'; }
+		else if (c == '#') { i++; compound.id = readIdent(); }
+		else if (c == '.') { i++; compound.classes.push(readIdent()); }
+		else if (c == '[') {
+			const end = text.indexOf(']', i);
+			(end != -1) || fail();
+			const attrMatch = /^\s*([^\s~|^$*=\]]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\s\]]+))\s*(i)?)?\s*$/.exec(text.slice(i+1, end));
+			attrMatch || fail();
+			compound.attrs.push({name:attrMatch[1], op:attrMatch[2], value:(attrMatch[3] != null) ? attrMatch[3] : (attrMatch[4] != null) ? attrMatch[4] : attrMatch[5], ignoreCase:!!attrMatch[6]});
+			i = end+1;
+		}
+		else if (c == ':') {
+			i++;
+			if (text[i] == ':') i++;
+			const name = readIdent().toLowerCase();
+			var arg = null;
+			if (text[i] == '(') { i++; arg = readUntilClose().trim(); }
+			if (/^(not|is|where)$/.test(name))
+				arg = parseSelectorList(arg);
+			compound.pseudos.push({name, arg});
+		}
+		else
+			compound.tag = readIdent();
+	}
+	endCompound();
+	(complex.length > 0 && combinator == null) || fail();
+	list.push(complex);
+
+	selectorCache.set(text, list);
+	return list;
+}
+
+function matchesSelectorList(el, list, scope) {
+	return list.some((complex)=>matchesComplex(el, complex, complex.length-1, scope));
+}
+
+function matchesComplex(el, complex, index, scope) {
+	const {compound, combinator} = complex[index];
+	if (!matchesCompound(el, compound, scope))
+		return false;
+	if (index == 0)
+		return true;
+	switch (combinator) {
+		case '>':
+			return !!el.parentElement && matchesComplex(el.parentElement, complex, index-1, scope);
+		case '+':
+			return !!el.previousElementSibling && matchesComplex(el.previousElementSibling, complex, index-1, scope);
+		case '~':
+			for (var sib=el.previousElementSibling; sib; sib=sib.previousElementSibling)
+				if (matchesComplex(sib, complex, index-1, scope)) return true;
+			return false;
+		default:
+			for (var anc=el.parentElement; anc; anc=anc.parentElement)
+				if (matchesComplex(anc, complex, index-1, scope)) return true;
+			return false;
+	}
+}
+
+function matchesCompound(el, compound, scope) {
+	if (compound.tag && compound.tag != '*') {
+		if (el.namespaceURI == HTMLns ? el.localName != compound.tag.toLowerCase() : el.localName != compound.tag)
+			return false;
+	}
+	if (compound.id != null && el.id != compound.id)
+		return false;
+	for (const className of compound.classes)
+		if (!el.classList.contains(className)) return false;
+	for (const attr of compound.attrs) {
+		var value = el.getAttribute(attr.name);
+		if (value === null) return false;
+		if (!attr.op) continue;
+		var expected = attr.value;
+		if (attr.ignoreCase) { value = value.toLowerCase(); expected = expected.toLowerCase(); }
+		switch (attr.op) {
+			case '=' : if (value !== expected) return false; break;
+			case '~=': if (!value.split(/\s+/).includes(expected)) return false; break;
+			case '^=': if (!expected || !value.startsWith(expected)) return false; break;
+			case '$=': if (!expected || !value.endsWith(expected)) return false; break;
+			case '*=': if (!expected || !value.includes(expected)) return false; break;
+			case '|=': if (value !== expected && !value.startsWith(expected+'-')) return false; break;
+		}
+	}
+	for (const {name, arg} of compound.pseudos) {
+		const parent = el.parentElement;
+		const siblings = parent ? parent.children : [el];
+		switch (name) {
+			case 'first-child': if (siblings[0] !== el) return false; break;
+			case 'last-child' : if (siblings[siblings.length-1] !== el) return false; break;
+			case 'only-child' : if (siblings.length != 1) return false; break;
+			case 'nth-child'  : if (!matchesNth(siblings.indexOf(el)+1, arg)) return false; break;
+			case 'not'        : if (matchesSelectorList(el, arg, scope)) return false; break;
+			case 'is'         :
+			case 'where'      : if (!matchesSelectorList(el, arg, scope)) return false; break;
+			case 'checked'    : if (!(el.checked || el.selected)) return false; break;
+			case 'disabled'   : if (!el.disabled) return false; break;
+			case 'enabled'    : if (el.disabled !== false) return false; break;
+			case 'focus'      : if (!el.ownerDocument || el.ownerDocument.activeElementRaw !== el) return false; break;
+			case 'empty'      : if (el.childNodes.some((n)=>n.nodeType==Node.ELEMENT_NODE || (n.nodeType==Node.TEXT_NODE && n.data))) return false; break;
+			case 'root'       : if (!el.ownerDocument || el.ownerDocument.documentElement !== el) return false; break;
+			case 'scope'      : if (scope ? (el !== scope) : (!el.ownerDocument || el.ownerDocument.documentElement !== el)) return false; break;
+			default: throw new Error(`SyntaxError: the pseudo class ':${name}' is not supported by DomShim`);
+		}
+	}
+	return true;
+}
+
+// match the 1 based position against an+b, odd, or even
+function matchesNth(position, arg) {
+	arg = String(arg).replace(/\s+/g,'').toLowerCase();
+	if (arg == 'odd')  arg = '2n+1';
+	if (arg == 'even') arg = '2n';
+	const match = /^([+-]?\d*)n([+-]\d+)?$/.exec(arg);
+	if (!match)
+		return position == parseInt(arg);
+	const a = (match[1]=='' || match[1]=='+') ? 1 : (match[1]=='-') ? -1 : parseInt(match[1]);
+	const b = match[2] ? parseInt(match[2]) : 0;
+	return (a == 0) ? position == b : ((position - b) / a >= 0 && (position - b) % a == 0);
+}
+
+
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// Install
+
+// the classes that are installed as globals and as properties of the window
+const domClasses = {
+	EventTarget, Event, CustomEvent, UIEvent, FocusEvent, MouseEvent, PointerEvent, KeyboardEvent, InputEvent,
+	Node, CharacterData, Text, Comment, DocumentFragment, Document, Element, HTMLElement, SVGElement, DOMTokenList,
+	CSSStyleDeclaration, CSSStyleSheet,
+	HTMLInputElement, HTMLTextAreaElement, HTMLSelectElement, HTMLOptionElement, HTMLOptGroupElement, HTMLButtonElement,
+	HTMLLabelElement, HTMLAnchorElement, HTMLImageElement, HTMLFormElement, HTMLTemplateElement, HTMLStyleElement,
+	Window
+};
+
+// usage: <Window> InstallDomShim()
+// Create a new Window and make it and its document the global window and document. The DOM classes are also made global.
+// This is called automatically when this module is loaded if there is no global document.
+export function InstallDomShim() {
+	const win = new Window();
+	global.window   = win;
+	global.document = win.document;
+	for (const name in domClasses)
+		global[name] = domClasses[name];
+	global.getComputedStyle = (el)=>win.getComputedStyle(el);
+	if (typeof global.navigator == 'undefined')
+		global.navigator = win.navigator;
+	return win;
+}
+
+// true if this module installed the DOM globals. False means that a real DOM (e.g. electron) or another shim was already present
+export const domShimInstalled = (typeof global.document == 'undefined');
+if (domShimInstalled)
+	InstallDomShim();
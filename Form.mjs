@@ -0,0 +1,271 @@
+import { Component }          from './component'
+import { ComponentToBG }      from './componentCore'
+import { InputField }         from './InputField'
+import { BGError }            from './BGError'
+
+
+// Form is a Component that aggregates the InputFields under it. It finds the fields by walking its named-child hierarchy so the
+// fields can be arranged in any layout of child Components. The mounted name of each field is its key in the values.
+//
+// Values:
+// getValues() returns an object with a key for each field. Fields in a named array like 'phones[]' are returned as an array
+// (e.g. {phones:['555-1234','555-9876']}). setValues(obj) sets the fields whose keys are in obj and makes those the new clean values.
+//
+// Dirty Tracking:
+// The value of each field when it is first seen by the form (or last set by setValues or markClean) is its clean value. A field is
+// dirty when its current value is different. Dirty fields get the 'dirty' class and the form gets the 'dirty' class when any field
+// is dirty.
+//
+// Validation:
+// Each InputField can be given a 'validate' named param which is a function (or an array of functions) called as
+// validate(value, field, form). A validator returns a string error message if the value is not valid and anything else (true,
+// undefined, '') if it is. When a field is invalid, it gets the 'invalid' class and the error message is displayed in a
+// '.bg-field-error' element right after its <label>. A field is validated again each time it changes after it has been found
+// invalid and all fields are validated by validate() and on submit.
+//
+// Params:
+//    <tagIDClasses>:string : [name:][<tagName>][#<idName>][.className1[.className2...]][ textContent]
+//    <content>:<multi>     : the fields and other content. See Component
+//    <namedParams>         : object with named parameters. See Component
+// Named Params:
+//    onSubmitCB:function   : (default for unnamed functions) called as onSubmitCB(values, form) when the form is submitted and all
+//                            fields are valid. It is not called if any field is invalid.
+//    validateOnChange:bool : validate each field when it changes even if it has not been found invalid yet. default is false
+//    <DOM properties and styles and content> : Any key supported by Component.
+// Example:
+//    const form = new Form('settings:', (values)=>saveSettings(values), [
+//        new Editbox('userName: User Name <input/>', {validate:(v)=>(v.trim()=='') ? 'user name is required' : true}),
+//        new Checkbox('notify: <input/> Send me notifications'),
+//        new Button('submit:$button.btn Save', {type:'submit'})
+//    ]);
+//    form.setValues({userName:'bob', notify:true});
+//    form.isDirty();      // false until the user changes something
+// See Also:
+//    InputField
+export class Form extends Component {
+	constructor(...p) {
+		super('$form.bg-form', {
+			paramNames    : 'validateOnChange',
+			defaultCBName : 'onSubmitCB',
+			onsubmit      : (e)=>{ e.preventDefault(); this.submit(); },
+			oninput       : (e)=>this.onFieldEvent(e),
+			onchange      : (e)=>this.onFieldEvent(e)
+		}, ...p);
+
+		this.onSubmitCB       = this.componentParams.getCompositeCB('onSubmitCB');
+		this.validateOnChange = !!this.optParams.validateOnChange;
+		this.cleanValues      = new WeakMap();   // field -> the clean value of the field
+		this.errorEls         = new WeakMap();   // field -> the element that displays its error message
+		this.errors           = {};              // key -> error message of the fields that are invalid
+
+		// record the clean values of the fields that exist now
+		this.getFields();
+	}
+
+	// usage: <Map> getFields()
+	// return a Map of key -> InputField for all the fields in the named-child hierarchy under this form. The hierarchy is walked
+	// each time so fields that are mounted or unmounted after the form is created are found.
+	getFields() {
+		const fields = new Map();
+		const walk = (node)=>{
+			for (const name of node.mounted || []) {
+				const match = /^(?<basename>[^[]+)\[(?<index>.*)\]$/.exec(name);
+				const child = (match) ? node[match.groups.basename][match.groups.index] : node[name];
+				visit(child, name);
+			}
+			for (const child of node.mountedUnamed || [])
+				visit(child, null);
+		};
+		const visit = (child, name)=>{
+			if (!child)
+				return;
+			if (child instanceof InputField) {
+				if (name) {
+					fields.set(name, child);
+					if (!this.cleanValues.has(child))
+						this.cleanValues.set(child, child.value);
+				}
+			} else {
+				const childObj = (child.nodeType) ? ComponentToBG(child, 'null') : child;
+				childObj && walk(childObj);
+			}
+		};
+		walk(this);
+		return fields;
+	}
+
+	// usage: <object> getValues()
+	// return the values of all the fields keyed by their mounted name. Fields in named arrays are returned as arrays.
+	getValues() {
+		const values = {};
+		for (const [key, field] of this.getFields()) {
+			const match = /^(?<basename>[^[]+)\[(?<index>.*)\]$/.exec(key);
+			if (match)
+				(values[match.groups.basename] || (values[match.groups.basename] = []))[match.groups.index] = field.value;
+			else
+				values[key] = field.value;
+		}
+		return values;
+	}
+
+	// usage: <void> setValues(<object> values)
+	// set the fields whose keys are in <values> and make them clean. An array value sets the fields of a named array.
+	setValues(values) {
+		for (const [key, field] of this.getFields()) {
+			const match = /^(?<basename>[^[]+)\[(?<index>.*)\]$/.exec(key);
+			var value;
+			if (match && Array.isArray(values[match.groups.basename]))
+				value = values[match.groups.basename][match.groups.index];
+			else if (key in values)
+				value = values[key];
+			else
+				continue;
+			field.value = value;
+			this.cleanValues.set(field, field.value);
+			this.updateField(field);
+		}
+		this.updateDirtyClass();
+	}
+
+	// usage: <boolean> isDirty([<string> key])
+	// return true if the field named <key> (or any field if <key> is not given) has changed from its clean value
+	isDirty(key) {
+		if (key) {
+			const field = this.getFields().get(key);
+			if (!field)
+				throw new BGError("Form.isDirty: there is no field with that name", {key, form:this});
+			return !valuesEqual(field.value, this.cleanValues.get(field));
+		}
+		return this.getDirtyFields().length > 0;
+	}
+
+	// return the keys of the fields that have changed from their clean values
+	getDirtyFields() {
+		const dirty = [];
+		for (const [key, field] of this.getFields())
+			if (!valuesEqual(field.value, this.cleanValues.get(field)))
+				dirty.push(key);
+		return dirty;
+	}
+
+	// make the current values the clean values. Call this after the values have been saved.
+	markClean() {
+		for (const [key, field] of this.getFields()) {
+			this.cleanValues.set(field, field.value);
+			field.el.classList.remove('dirty');
+		}
+		this.updateDirtyClass();
+	}
+
+	// usage: <boolean> validate()
+	// run the validators of all the fields, display their error messages and return true if they are all valid
+	validate() {
+		this.errors = {};
+		for (const [key, field] of this.getFields())
+			this.validateField(field, key);
+		return Object.keys(this.errors).length == 0;
+	}
+
+	// usage: <string> validateField(<InputField> field [, <string> key])
+	// run the validators of one field, display or clear its error message and return the message ('' if it is valid)
+	validateField(field, key) {
+		if (!key)
+			for (const [fieldKey, f] of this.getFields())
+				if (f === field) { key = fieldKey; break; }
+		var message = '';
+		var validators = field.optParams && field.optParams.validate;
+		validators = (!validators) ? [] : Array.isArray(validators) ? validators : [validators];
+		for (const validator of validators) {
+			const result = validator(field.value, field, this);
+			if (typeof result == 'string' && result) {
+				message = result;
+				break;
+			}
+			if (result === false) {
+				message = 'invalid value';
+				break;
+			}
+		}
+
+		if (message)
+			this.errors[key] = message;
+		else
+			delete this.errors[key];
+		this.showError(field, message);
+		return message;
+	}
+
+	// usage: <boolean> submit()
+	// validate the form and, if it is valid, call the onSubmitCB callbacks with the values. If it is not valid, the first invalid
+	// field gets the focus.
+	// Return Value:
+	//    true if the form was valid and submitted
+	submit() {
+		if (!this.validate()) {
+			const fields = this.getFields();
+			const firstInvalid = fields.get(Object.keys(this.errors)[0]);
+			firstInvalid && firstInvalid.inputCntr && firstInvalid.inputCntr.el.focus();
+			return false;
+		}
+		this.onSubmitCB && this.onSubmitCB(this.getValues(), this);
+		return true;
+	}
+
+	// display or clear the error message of a field. The message element is placed right after the field's <label>
+	showError(field, message) {
+		var errorEl = this.errorEls.get(field);
+		if (message) {
+			if (!errorEl) {
+				errorEl = document.createElement('div');
+				errorEl.className = 'bg-field-error';
+				errorEl.setAttribute('role', 'alert');
+				this.errorEls.set(field, errorEl);
+			}
+			errorEl.textContent = message;
+			if (errorEl.previousSibling !== field.el)
+				field.el.after(errorEl);
+			field.el.classList.add('invalid');
+			field.inputCntr && field.inputCntr.el.setAttribute('aria-invalid', 'true');
+		} else {
+			errorEl && errorEl.remove();
+			field.el.classList.remove('invalid');
+			field.inputCntr && field.inputCntr.el.removeAttribute('aria-invalid');
+		}
+	}
+
+	// input and change events from the fields bubble up to the form element
+	onFieldEvent(e) {
+		var field = null;
+		for (var el=e.target; el && el !== this.el && !field; el=el.parentElement) {
+			const obj = ComponentToBG(el, 'null');
+			if (obj instanceof InputField)
+				field = obj;
+		}
+		if (!field)
+			return;
+		this.updateField(field);
+		if (this.validateOnChange || field.el.classList.contains('invalid'))
+			this.validateField(field);
+		this.updateDirtyClass();
+	}
+
+	// private helper to set the dirty class of a field
+	updateField(field) {
+		field.el.classList.toggle('dirty', !valuesEqual(field.value, this.cleanValues.get(field)));
+	}
+
+	// private helper to set the dirty class of the form
+	updateDirtyClass() {
+		this.el.classList.toggle('dirty', this.isDirty());
+	}
+}
+
+// private helper to compare field values. Some fields have array values (like multiple selections) that need to be compared by
+// their elements and DateField makes a new Date each time its value is read
+function valuesEqual(a, b) {
+	if (Array.isArray(a) && Array.isArray(b))
+		return a.length == b.length && a.every((item,i)=>valuesEqual(item, b[i]));
+	if (a instanceof Date && b instanceof Date)
+		return a.getTime() === b.getTime() || (isNaN(a) && isNaN(b));
+	return a === b;
+}
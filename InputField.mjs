@@ -3,9 +3,14 @@ import { ComponentParams }   from './ComponentParams';
 import {
 	reHTMLContent,
 	ComponentMakeDOMNode,
-	ComponentDestroyDOMNode
+	ComponentDestroyDOMNode,
+	ComponentBind,
+	ComponentBindRefresh,
+	ComponentBindWriteBack,
+	ComponentMountAdd
 }                            from './componentCore';
 import { Disposables }       from './Disposables';
+import { BGError }           from './BGError';
 
 
 // InputField is based on the construct of assocating an input tag with its label tag by making the input contained within the label
@@ -28,13 +33,16 @@ import { Disposables }       from './Disposables';
 //                       is committed. Commiting the input is typically pressing <enter> or <tab> or leaving the control.
 //       onTypingCB    : functions named onTypingCB will be aggregated together and called while the user is typing after a brief
 //                       pause with no typing. For example text inputs call this as the user types
+// Validation:
+//       validate      : a function (or array of functions) called as validate(value, field, form) by a Form that contains the field.
+//                       It returns a string error message when the value is not valid. See Form
 // Examples:
 //      new Checkbox("chkbox1: Do you ken it? <input>") // label to the left of checkbox
 //      new Checkbox("chkbox1: <input> Do you ken it?") // label to the right of checkbox
 //
 export class InputField {
 	constructor(...p) {
-		const componentParams = new ComponentParams(...p, "$label", {paramNames:"inputCntr inputCntrTag onTypingCB", defaultCBName:'onActivatedCB'});
+		const componentParams = new ComponentParams(...p, "$label", {paramNames:"inputCntr inputCntrTag onTypingCB validate", defaultCBName:'onActivatedCB'});
 
 		// this implements dynamic construction where the parameters determine the specific component class to construct
 		if (componentParams.Constructor && componentParams.Constructor  != new.target)
@@ -59,20 +67,33 @@ export class InputField {
 			Component.unCollectedCount++;
 		}
 
+		// when hydrating, the label and the inputCntr already exist in the adopted node (see ComponentHydrate)
+		const hydrating = !!componentParams.hydrateNode;
+
 		// the caller can provide html text for the inner field of the <label>.
 		if (this.optParams.label) {
 			this.label = this.optParams.label;
-			this.el.innerHTML = this.label;
+			hydrating || (this.el.innerHTML = this.label);
 		}
 
 		// If the innerHTML includes the placeholder '<input/>' then that will determine where we place the inputCntr.
-		var placeholder = this.el.getElementsByTagName(this.inputCntrTag)
+		// When hydrating, the inputCntr itself is already there and it may contain more <input>s (e.g. the radios of a RadioField)
+		var placeholder = (hydrating) ? [] : this.el.getElementsByTagName(this.inputCntrTag)
 		if (placeholder.length > 1)
 			throw new BGError("constructing an Inputfield, more than one <input> child was specified in the innerHTML")
 		placeholder = (placeholder.length >0) ? placeholder[0] : null;
 
 		// the most declarative way to specify the input control is in the 'input' optional parameter
-		if ("inputCntr" in this.optParams) {
+		if (hydrating && ("inputCntr" in this.optParams)) {
+			this.optParams["inputCntr"].name="inputCntr"
+			this.optParams["inputCntr"] = this.adoptOrMount("inputCntr", this.optParams["inputCntr"]);
+			this.inputCntrTag = this.inputCntr.el.nodeName.toLowerCase()
+		} else if (hydrating) {
+			const inputCntr = this.el.querySelector('.inputCntr') || this.el.querySelector(this.inputCntrTag);
+			if (inputCntr)
+				Component.mountAdd(this, "inputCntr", inputCntr);
+			this.componentParams.content=null
+		} else if ("inputCntr" in this.optParams) {
 			this.optParams["inputCntr"].name="inputCntr"
 			Component.replaceChild(this, placeholder, this.optParams["inputCntr"])
 			console.assert(this.inputCntr);
@@ -80,7 +101,7 @@ export class InputField {
 		}
 
 		// the caller may alternatively provide the input in the normal [...] content
-		if (!this.inputCntr && this.componentParams.content, this.componentParams.content.length>0) {
+		if (!this.inputCntr && this.componentParams.content && this.componentParams.content.length>0) {
 			Component.replaceChild(this, placeholder, ...this.componentParams.content)
 			this.componentParams.content=null
 
@@ -112,6 +133,9 @@ export class InputField {
 		//       the outer/containing content
 		for (var propName in this.componentParams.props)
 			this.inputCntr.el[propName] = this.componentParams.props[propName];
+
+		// {bind:{value:[model,'amount']}} makes our value follow the model and rawOnChange writes it back
+		ComponentBind(this, componentParams.bind);
 	}
 
 	_setInputCntr(inputCntr) {
@@ -140,6 +164,22 @@ export class InputField {
 		ComponentDestroyDOMNode(this);
 	}
 
+	// usage: <BGComp> adoptOrMount(<string> name, <BGComp> comp)
+	// mount comp as the named child <name>. Classes use this for the parts that they build themselves (like the inputCntr). When the
+	// field is being hydrated, the part is already in the adopted node so comp is discarded and a BGComp of the same class is made
+	// from its params to adopt the existing element instead.
+	adoptOrMount(name, comp) {
+		const existingEl = this.componentParams.hydrateNode && this.el.querySelector('.'+name);
+		if (!existingEl)
+			return Component.mount(this, name, comp);
+		const params = comp.componentParams;
+		comp.destroy();
+		params.hydrateNode = existingEl;
+		const adopted = new comp.constructor(params);
+		ComponentMountAdd(this, name, adopted);
+		return adopted;
+	}
+
 
 	setLabel(label) {
 		const inputCntr = this.inputCntr;
@@ -159,6 +199,7 @@ export class InputField {
 	//      and not worry about forgetting to call super.onActivated (unless they also set a callback which would be redundant if
 	//      they override onActivated).
 	rawOnChange(...e) {
+		ComponentBindWriteBack(this);
 		this.onActivated(...e);
 	}
 	onActivated(...e) {
@@ -179,8 +220,9 @@ export class InputField {
 	set value(v) {
 		if (this.inputCntr && this.inputCntr.el) {
 			// the value attribute of <input> are only sync'd by the DOM from the attribute to the java object, not the other way
-			// around like most standard attributes
+			// around like most standard attributes. The attribute only sets the value until the user changes it so set both
 			this.inputCntr.el.setAttribute('value', v);
+			this.inputCntr.el.value = v;
 		}
 	}
 }
@@ -207,25 +249,227 @@ export class Editbox extends InputField {
 }
 
 
+// NumberField is an <input type="number">. Its value is a Number or null when the input is empty.
+// Params:
+//    min, max, step : the standard <input> properties. e.g. new NumberField('qty: Quantity <input/>', {min:1, max:99, step:1})
+export class NumberField extends InputField {
+	constructor(tagIDClasses,  ...p) {
+		super({inputCntr: new Component("$input", {type:"number"})}, tagIDClasses,  ...p)
+	}
+
+	get value() {
+		if (!this.inputCntr || !this.inputCntr.el)
+			return null;
+		const text = this.inputCntr.el.value;
+		return (text === '' || isNaN(Number(text))) ? null : Number(text);
+	}
+	set value(v) {
+		super.value = (v == null || v === '') ? '' : String(v);
+	}
+}
+
+// RangeField is a slider (<input type="range">) with a readout of its current value that follows the slider while it is dragged.
+// Its value is a Number. onTypingCB callbacks are called while the slider is dragged and onActivatedCB when it is released.
+// Named Params:
+//    formatReadout:function : (optional) formatReadout(value) returns the text displayed in the readout. default is the number
+//    min, max, step         : the standard <input> properties
+// Example:
+//    new RangeField('volume: Volume <input/>', {min:0, max:100, formatReadout:(v)=>v+'%'})
+export class RangeField extends InputField {
+	constructor(tagIDClasses,  ...p) {
+		super({
+			inputCntr: new Component("$input", {type:"range"}),
+			paramNames: "formatReadout"
+		}, tagIDClasses,  ...p)
+		this.adoptOrMount("readout", new Component("readout:$output.bg-range-readout"))
+		this.updateReadout();
+	}
+
+	get value() {
+		return (this.inputCntr && this.inputCntr.el) ? Number(this.inputCntr.el.value) : null;
+	}
+	set value(v) {
+		super.value = String(v);
+		this.updateReadout();
+	}
+
+	rawOnTyping(...e) {
+		this.updateReadout();
+		super.rawOnTyping(...e);
+	}
+
+	updateReadout() {
+		if (this.readout)
+			this.readout.el.textContent = (this.optParams.formatReadout) ? this.optParams.formatReadout(this.value) : String(this.value);
+	}
+}
+
+// DateField is an <input type="date">. Its value is a Date at local midnight of the selected day or null when no date is selected.
+// The value can be set with a Date or a 'YYYY-MM-DD' string.
+export class DateField extends InputField {
+	constructor(tagIDClasses,  ...p) {
+		super({inputCntr: new Component("$input", {type:"date"})}, tagIDClasses,  ...p)
+	}
+
+	get value() {
+		if (!this.inputCntr || !this.inputCntr.el)
+			return null;
+		const match = /^(\d{4,})-(\d{2})-(\d{2})$/.exec(this.inputCntr.el.value);
+		return (match) ? new Date(Number(match[1]), Number(match[2])-1, Number(match[3])) : null;
+	}
+	set value(v) {
+		if (v instanceof Date)
+			v = isNaN(v) ? '' : [
+				String(v.getFullYear()).padStart(4,'0'),
+				String(v.getMonth()+1).padStart(2,'0'),
+				String(v.getDate()).padStart(2,'0')
+			].join('-');
+		super.value = v || '';
+	}
+}
+
+// ColorField is an <input type="color">. Its value is a '#rrggbb' string. onTypingCB callbacks are called as the user picks
+// colors in the color chooser and onActivatedCB when the chooser is closed.
+export class ColorField extends InputField {
+	constructor(tagIDClasses,  ...p) {
+		super({inputCntr: new Component("$input", {type:"color"})}, tagIDClasses,  ...p)
+	}
+
+	get value() {
+		return (this.inputCntr && this.inputCntr.el) ? this.inputCntr.el.value.toLowerCase() : null;
+	}
+	set value(v) {
+		super.value = v;
+	}
+}
+
+// TextAreaField is a multi-line text input (<textarea>). The '<input/>' placeholder in the label marks where the textarea goes.
+// By default, the textarea grows taller as lines are added so that it never needs a scrollbar.
+// Named Params:
+//    autoGrow:boolean : (default true) adjust the height of the textarea to fit its content
+//    rows             : the standard <textarea> property. With autoGrow, this is the minimum height
+// Example:
+//    new TextAreaField('notes: Notes <br/><input/>', {rows:3})
+export class TextAreaField extends InputField {
+	constructor(tagIDClasses,  ...p) {
+		super({
+			inputCntr: new Component("$textarea"),
+			paramNames: "autoGrow"
+		}, tagIDClasses,  ...p)
+		this.autoGrow = this.optParams.autoGrow !== false;
+		if (this.autoGrow)
+			this.inputCntr.el.style.overflowY = 'hidden';
+	}
+
+	set value(v) {
+		// a textarea does not have a value attribute. Its default value is its text content
+		if (this.inputCntr && this.inputCntr.el)
+			this.inputCntr.el.value = (v == null) ? '' : v;
+		this.fitContent();
+	}
+	get value() {
+		return super.value;
+	}
+
+	rawOnTyping(...e) {
+		this.fitContent();
+		super.rawOnTyping(...e);
+	}
+
+	onConnected() {
+		this.fitContent();
+	}
+
+	// set the height to the height of the content. Setting it to auto first lets it shrink when lines are removed
+	fitContent() {
+		if (!this.autoGrow || !this.inputCntr || !this.inputCntr.el.isConnected)
+			return;
+		const el = this.inputCntr.el;
+		el.style.height = 'auto';
+		if (el.scrollHeight)
+			el.style.height = el.scrollHeight+'px';
+	}
+}
+
+// FileField is an <input type="file">. Its value is the selected File object (or null) or, if the 'multiple' property is set, an
+// array of the selected File objects. Browsers do not allow scripts to select files so the value can only be set to null to clear it.
+// Params:
+//    multiple, accept : the standard <input> properties. e.g. new FileField('images: Images <input/>', {multiple:true, accept:'image/*'})
+export class FileField extends InputField {
+	constructor(tagIDClasses,  ...p) {
+		super({inputCntr: new Component("$input", {type:"file"})}, tagIDClasses,  ...p)
+	}
+
+	get value() {
+		if (!this.inputCntr || !this.inputCntr.el)
+			return null;
+		const files = Array.from(this.inputCntr.el.files || []);
+		return (this.inputCntr.el.multiple) ? files : (files[0] || null);
+	}
+	set value(v) {
+		if (v != null && !(Array.isArray(v) && v.length == 0))
+			throw new BGError("FileField: the value can only be set to null to clear the selection", {value:v});
+		if (this.inputCntr && this.inputCntr.el)
+			this.inputCntr.el.value = '';
+	}
+}
+
+
+// parse a choice given as a string into an object. The string format is '[<value>[*]:]<label>' where '*' marks the choice as
+// selected. Objects are returned as is. This is the format of the choices of Selectbox and RadioField.
+export function ParseChoice(choice) {
+	if (typeof choice == "string") {
+		if (! /:/.test(choice)) choice=":"+choice
+		var [value,label]=choice.split(":")
+		choice={}
+		if (/[*]/.test(value)) {
+			choice.selected = true;
+			value = value.replace("*","")
+		}
+		choice.label = label;
+		if (value) choice.value = value;
+	}
+	return choice;
+}
+
 export class SelectOption extends Component {
 	constructor(choice) {
 		if (choice instanceof SelectOption)
 			return choice;
-		if (typeof choice == "string") {
-			if (! /:/.test(choice)) choice=":"+choice
-			var [value,label]=choice.split(":")
-			choice={}
-			if (/[*]/.test(value)) {
-				choice.selected = true;
-				value = value.replace("*","")
-			}
-			choice.label = label;
-			if (value) choice.value = value;
-		}
-		super("$option", choice);
+		super("$option", ParseChoice(choice));
+	}
+}
+
+// SelectOptionGroup is an <optgroup> of SelectOptions. It is made by Selectbox for choices that have a 'choices' list of their own.
+//    {label:'Fruit', choices:['apple','pear'], disabled:false}
+export class SelectOptionGroup extends Component {
+	constructor(group) {
+		if (group instanceof SelectOptionGroup)
+			return group;
+		super("$optgroup", {disabled:!!group.disabled},
+			((typeof group.choices == "string") ? group.choices.split(',') : group.choices).map((choice)=>new SelectOption(choice))
+		);
+		this.el.label = group.label || '';
 	}
 }
 
+// Selectbox is an InputField with a <select> input.
+// Named Params:
+//    choices:<multi> : the options of the select
+//         string : comma separated list of choices in the '[<value>[*]:]<label>' format. e.g. "s:Small,m*:Medium,l:Large"
+//         array  : array of these...
+//             string : a choice in the format above
+//             object : {value, label, selected, disabled} a choice. disabled choices are shown but can not be selected
+//             object : {label, choices, disabled} an <optgroup> titled <label> of the choices in its own choices list
+//    multiple:boolean : allow selecting more than one choice. The value is then an array of the selected values
+// The value is the value of the selected option (or null if there is none) or the array of selected values in multiple mode. Setting
+// the value selects the options by their value (not their label). In multiple mode it can be set with an array or a single value.
+// Example:
+//    new Selectbox('fontSize: Font Size <input/>', {choices:[
+//        {label:'Small',  choices:'10,11,12'},
+//        {label:'Large',  choices:'14,16*:16,18'},
+//        {value:'custom', label:'Custom...', disabled:true}
+//    ]})
 export class Selectbox extends InputField {
 	static optionsFromMap(map) {
 		const ret=[];
@@ -244,7 +488,10 @@ export class Selectbox extends InputField {
 			paramNames: "choices"
 		}, ...p)
 
-		if (this.optParams.choices) {
+		// when hydrating, the options are already in the adopted <select>
+		if (this.componentParams.hydrateNode && this.inputCntr.el.options.length > 0)
+			ComponentBindRefresh(this);
+		else if (this.optParams.choices) {
 			this.replaceOptions(this.optParams.choices);
 		}
 	}
@@ -255,12 +502,169 @@ export class Selectbox extends InputField {
 
 		const newChoices=[]
 		for (const choice of choices) {
-			newChoices.push(new SelectOption(choice))
+			newChoices.push(this.makeOption(choice))
 		}
 		Component.replaceChildren(this.inputCntr, ...newChoices)
+		// the base constructor applied our bindings before there were any options to select
+		ComponentBindRefresh(this);
 	}
 
 	addOption(choice) {
-		Component.appendChild(this.inputCntr, new SelectOption(choice))
+		Component.appendChild(this.inputCntr, this.makeOption(choice))
+		ComponentBindRefresh(this);
+	}
+
+	// private helper to make a SelectOption or a SelectOptionGroup if the choice has its own choices
+	makeOption(choice) {
+		return (choice && typeof choice == "object" && !(choice instanceof SelectOption) && choice.choices)
+			? new SelectOptionGroup(choice)
+			: new SelectOption(choice);
+	}
+
+	get multiple() {
+		return !!(this.inputCntr && this.inputCntr.el.multiple);
+	}
+
+	get value() {
+		if (!this.inputCntr || !this.inputCntr.el)
+			return null;
+		const options = Array.from(this.inputCntr.el.options);
+		if (this.multiple)
+			return options.filter((option)=>option.selected).map((option)=>option.value);
+		const selected = options.find((option)=>option.selected);
+		return (selected) ? selected.value : null;
+	}
+	set value(v) {
+		if (!this.inputCntr || !this.inputCntr.el)
+			return;
+		const values = new Set(((v == null) ? [] : Array.isArray(v) ? v : [v]).map(String));
+		if (!this.multiple && values.size > 1)
+			throw new BGError("Selectbox: only one value can be selected unless it is multiple", {value:v});
+		for (const option of this.inputCntr.el.options)
+			option.selected = values.has(option.value);
+		if (values.size == 0 && !this.multiple)
+			this.inputCntr.el.selectedIndex = -1;
+	}
+}
+
+
+// RadioField is a group of <input type="radio"> elements built from a list of choices. It is a single InputField whose value is
+// the value of the checked radio (or null if none is checked) so it can be used like a Selectbox that shows all its choices at once.
+// The '<input/>' placeholder in the label marks where the group goes.
+//
+// The group has role="radiogroup" and only the checked radio is in the tab order. When a radio has the focus, the arrow keys move
+// the selection to the next or previous enabled choice (wrapping at the ends) and Home and End move it to the first and last.
+// Changing the selection with the keyboard fires onTypingCB and onActivatedCB just like clicking a radio.
+// Named Params:
+//    choices:<multi> : the radios in the group in the same forms that Selectbox accepts
+//         string : comma separated list of choices in the '[<value>[*]:]<label>' format. e.g. "s:Small,m*:Medium,l:Large"
+//         array  : array of choice strings or {value, label, selected, disabled} objects
+//    orientation:string : 'vertical' or 'horizontal' (default). Only affects the layout and aria-orientation.
+// Example:
+//    new RadioField('size: Size <input/>', {choices:'s:Small,m*:Medium,l:Large'}, (field)=>console.log(field.value))
+//    new RadioField('color: <input/>', {choices:Selectbox.optionsFromMap({r:'Red', g:'Green'})})
+export class RadioField extends InputField {
+	static radioGroupCount = 0;
+
+	constructor(...p) {
+		super({
+			inputCntr: new Component("$span.bg-radio-group", {role:"radiogroup"}),
+			paramNames: "choices orientation"
+		}, ...p)
+
+		// the radios get a unique group name even when the field has a name. Two fields with the same name (e.g. bound to the same
+		// model value in different views) would otherwise become one native group where checking a radio in one unchecks the other.
+		this.groupName = 'bg-radio-'+(++RadioField.radioGroupCount);
+		this.inputCntr.el.classList.add((this.optParams.orientation == 'vertical') ? 'vertical' : 'horizontal');
+		this.inputCntr.el.setAttribute('aria-orientation', (this.optParams.orientation == 'vertical') ? 'vertical' : 'horizontal');
+		this.inputCntr.el.addEventListener('keydown', (e)=>this.onKeyDown(e));
+		this.inputCntr.el.addEventListener('change', ()=>this.updateTabOrder());
+
+		// when hydrating, the radios are already in the adopted group
+		if (this.componentParams.hydrateNode && this.getRadios().length > 0) {
+			ComponentBindRefresh(this);
+			this.updateTabOrder();
+		} else if (this.optParams.choices)
+			this.replaceOptions(this.optParams.choices);
+	}
+
+	// usage: <void> replaceOptions(<multi> choices)
+	// replace the radios with new choices. See the choices param for the formats.
+	replaceOptions(choices) {
+		if (typeof choices == "string")
+			choices=choices.split(',');
+		Component.replaceChildren(this.inputCntr, ...choices.map((choice)=>this.makeRadio(choice)))
+		// the base constructor applied our bindings before there were any radios to check
+		ComponentBindRefresh(this);
+		this.updateTabOrder();
+	}
+
+	addOption(choice) {
+		Component.appendChild(this.inputCntr, this.makeRadio(choice))
+		ComponentBindRefresh(this);
+		this.updateTabOrder();
+	}
+
+	// return the <input type="radio"> elements of the group
+	getRadios() {
+		return Array.from(this.inputCntr.el.querySelectorAll('input[type="radio"]'));
+	}
+
+	get value() {
+		const checked = this.getRadios().find((radio)=>radio.checked);
+		return (checked) ? checked.value : null;
+	}
+	set value(v) {
+		for (const radio of this.getRadios())
+			radio.checked = (v != null && radio.value == String(v));
+		this.updateTabOrder();
+	}
+
+	// private helper to make the <label> with the radio for one choice
+	makeRadio(choice) {
+		choice = ParseChoice(choice);
+		const label = (choice.label != null) ? String(choice.label) : String(choice.value);
+		const radio = document.createElement('input');
+		radio.type     = 'radio';
+		radio.name     = this.groupName;
+		radio.value    = (choice.value != null) ? String(choice.value) : label;
+		radio.checked  = !!choice.selected;
+		radio.disabled = !!choice.disabled;
+		const radioLabel = document.createElement('label');
+		radioLabel.className = 'bg-radio';
+		radioLabel.append(radio, ' '+label);
+		return radioLabel;
+	}
+
+	// only the checked radio (or the first enabled one if none is checked) can be reached with tab. The arrow keys move within the group
+	updateTabOrder() {
+		const radios = this.getRadios();
+		const current = radios.find((radio)=>radio.checked && !radio.disabled) || radios.find((radio)=>!radio.disabled);
+		for (const radio of radios)
+			radio.tabIndex = (radio === current) ? 0 : -1;
+	}
+
+	onKeyDown(e) {
+		const radios = this.getRadios().filter((radio)=>!radio.disabled);
+		var i = radios.indexOf(e.target);
+		if (i == -1 || radios.length == 0)
+			return;
+		switch (e.key) {
+			case 'ArrowDown':
+			case 'ArrowRight': i = (i+1) % radios.length; break;
+			case 'ArrowUp':
+			case 'ArrowLeft':  i = (i-1+radios.length) % radios.length; break;
+			case 'Home':       i = 0; break;
+			case 'End':        i = radios.length-1; break;
+			default: return;
+		}
+		e.preventDefault();
+		const radio = radios[i];
+		radio.focus();
+		if (!radio.checked) {
+			radio.checked = true;
+			radio.dispatchEvent(new Event('input',  {bubbles:true}));
+			radio.dispatchEvent(new Event('change', {bubbles:true}));
+		}
 	}
 }
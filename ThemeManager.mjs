@@ -0,0 +1,209 @@
+import { RegisterGlobalService } from './GlobalServices'
+import                             './DependentsGraph'
+import { BGStylesheet }          from './BGStylesheet'
+import {
+	ComponentToEl,
+	ComponentToBG
+}                                from './componentCore'
+import { BGError }               from './BGError'
+
+
+// ThemeManager switches the colors (and any other themable values) of the UI by changing css custom properties. The bg-dom css
+// and Component styles refer to the values with var(--<name>) (e.g. Tabs.less uses var(--cBorders)) so applying a different theme
+// restyles everything without changing any classes.
+//
+// A theme is a named map of css custom properties. Applying a theme writes its properties into a BGStylesheet rule for ':root' so
+// that they apply to the whole document, or for a generated class that is added to a component's element so that they apply only
+// to that subtree (custom properties are inherited by descendants).
+//
+// The global instance is bg.themeManager (also exported as themeManager). The name of the document theme is saved in localStorage
+// (when it exists) and restoreTheme() selects it again in the next session.
+//
+// Changes fire the 'theme' channel of the themeManager in the DependentsGraph with ({themeName, scope}) where scope is null for the
+// document theme. Components can follow it like any other data source.
+//    deps.add({obj:themeManager, channel:'theme'}, this, ()=>this.redrawChart());
+//    new Component('$span', {bind:{label:[themeManager,'theme']}});   // themeManager.theme is the name of the document theme
+//
+// A scoped theme is removed when the BGComp it was applied to is destroyed. When the scope is a plain DOMNode, call
+// applyTheme(null, node) when it is no longer needed so that its rule is removed.
+//
+// Example:
+//    themeManager.defineTheme('solarized', {cBorders:'#93a1a1', cBackground:'#fdf6e3', cTabColor:'#073642'}, 'light');
+//    themeManager.restoreTheme('light');           // at startup
+//    themeManager.applyTheme('dark');              // the whole document
+//    themeManager.applyTheme('solarized', myView); // only myView and its descendants
+// See Also:
+//    BGStylesheet.rule()
+export class ThemeManager {
+	constructor(prevManager) {
+		this.themes      = new Map();   // themeName -> {<--propName>:value,...}
+		this.theme       = null;        // the name of the theme applied to the document (:root)
+		this.scopes      = new Map();   // scopeEl -> {manager, themeName, scopeClass, rule}
+		this.storageKey  = 'bg-dom.theme';
+		this.sheet       = null;
+		this.rootRule    = null;
+		this.scopeCount  = 0;
+
+		this.defineTheme('light', {
+			cBackground : '#ffffff',
+			cForeground : '#24292f',
+			cBorders    : '#d0d7de',
+			cTabColor   : '#57606a',
+			cHighlight  : '#0969da'
+		});
+		this.defineTheme('dark', {
+			cBackground : '#22272e',
+			cForeground : '#adbac7',
+			cBorders    : '#444c56',
+			cTabColor   : '#768390',
+			cHighlight  : '#539bf5'
+		});
+
+		// when a newer version of this service replaces an older one, keep the themes and the selection. The scoped themes keep
+		// their scopeClass because it is already on their elements but their rules move to our sheet. The records are reused so
+		// that the disposables that remove them when their components are destroyed now remove them from us.
+		if (prevManager) {
+			for (const [themeName, properties] of prevManager.themes || [])
+				this.themes.set(themeName, properties);
+			if (prevManager.theme) {
+				prevManager.rootRule && prevManager.rootRule.remove();
+				this.applyTheme(prevManager.theme, null, {persist:false});
+			}
+			this.scopeCount = prevManager.scopeCount || 0;
+			for (const [scopeEl, scope] of prevManager.scopes || []) {
+				scope.rule && scope.rule.remove();
+				this.sheet = this.sheet || new BGStylesheet();
+				scope.manager = this;
+				scope.rule = this.sheet.rule('.'+scope.scopeClass, this.themes.get(scope.themeName));
+				this.scopes.set(scopeEl, scope);
+			}
+			prevManager.scopes = new Map();
+		}
+	}
+
+	// usage: <void> defineTheme(<string> themeName, <object> properties [, <string> baseThemeName])
+	// Add or replace a theme. If the theme is currently applied anywhere, those places are updated.
+	// Params:
+	//    <themeName>     : the name used to apply the theme
+	//    <properties>    : map of custom property names to values. The leading '--' is optional so {cBorders:'#ccc'} defines --cBorders
+	//    <baseThemeName> : (optional) the properties of this theme are copied first so <properties> only needs the differences
+	defineTheme(themeName, properties, baseThemeName) {
+		if (baseThemeName && !this.themes.has(baseThemeName))
+			throw new BGError("ThemeManager: the base theme is not defined", {themeName, baseThemeName});
+		const theme = Object.assign({}, baseThemeName ? this.themes.get(baseThemeName) : null);
+		for (const propName in properties)
+			theme[propName.startsWith('--') ? propName : '--'+propName] = properties[propName];
+		this.themes.set(themeName, theme);
+
+		if (this.theme == themeName)
+			this.applyTheme(themeName, null, {persist:false});
+		for (const [scopeEl, scope] of this.scopes)
+			if (scope.themeName == themeName)
+				this.applyTheme(themeName, scopeEl);
+	}
+
+	// return the custom properties of the theme or undefined if it is not defined
+	getTheme(themeName) {
+		return this.themes.get(themeName);
+	}
+
+	get themeNames() {
+		return Array.from(this.themes.keys());
+	}
+
+	// usage: <void> applyTheme(<string> themeName [, <BGComp> scope] [, <object> options])
+	// Make <themeName> the theme of the document or of the <scope> subtree.
+	// Params:
+	//    <themeName> : a defined theme or null to remove the theme. A <scope> without a theme inherits the document theme.
+	//    <scope>     : (optional) a BGNode or DOMNode whose subtree gets the theme. The default is the whole document.
+	//    <options>   :
+	//         persist:boolean : (default true) save the document theme so that restoreTheme() selects it in the next session
+	applyTheme(themeName, $scope, {persist=true}={}) {
+		if (themeName != null && !this.themes.has(themeName))
+			throw new BGError("ThemeManager: the theme is not defined", {themeName, themeNames:this.themeNames});
+		if (!this.sheet)
+			this.sheet = new BGStylesheet();
+
+		var scopeEl = null;
+		if (!$scope) {
+			if (this.rootRule)
+				this.rootRule.remove();
+			this.rootRule = (themeName) ? this.sheet.rule(':root', this.themes.get(themeName)) : null;
+			this.theme = themeName;
+			persist && themeName && this.saveTheme(themeName);
+		} else {
+			scopeEl = ComponentToEl($scope);
+			var scope = this.scopes.get(scopeEl);
+			if (themeName == null) {
+				if (!this.removeScope(scopeEl))
+					return;
+			} else {
+				if (!scope) {
+					scope = {manager:this, scopeClass:'bg-theme-'+(++this.scopeCount)};
+					this.scopes.set(scopeEl, scope);
+					scopeEl.classList.add(scope.scopeClass);
+					// scope.manager changes if a newer manager takes over the scope (see the constructor)
+					const bgComp = ComponentToBG(scopeEl, 'null');
+					bgComp && bgComp.disposables && bgComp.disposables.add(()=>scope.manager.removeScope(scopeEl));
+				} else
+					scope.rule.remove();
+				scope.themeName = themeName;
+				scope.rule = this.sheet.rule('.'+scope.scopeClass, this.themes.get(themeName));
+			}
+		}
+		deps.fire({obj:this, channel:'theme'}, {themeName, scope:scopeEl});
+	}
+
+	// usage: <string> restoreTheme(<string> defaultThemeName)
+	// apply the document theme that was saved by the last applyTheme or <defaultThemeName> if there is none (or it is no longer
+	// defined). Call this at startup after any custom themes are defined.
+	restoreTheme(defaultThemeName='light') {
+		var themeName = null;
+		try {
+			themeName = global.localStorage && global.localStorage.getItem(this.storageKey);
+		} catch (e) {}
+		if (!themeName || !this.themes.has(themeName))
+			themeName = defaultThemeName;
+		this.applyTheme(themeName, null, {persist:false});
+		return themeName;
+	}
+
+	// return the name of the theme that applies to the element of <comp>. This is the nearest scoped theme above it or the document
+	// theme
+	getThemeFor($comp) {
+		for (var el=ComponentToEl($comp); el; el=el.parentElement)
+			if (this.scopes.has(el))
+				return this.scopes.get(el).themeName;
+		return this.theme;
+	}
+
+	// return the value of the custom property <propName> in the theme that applies to <comp> (the document theme by default). This
+	// is useful for code that draws with the theme colors like a canvas.
+	getPropertyValue(propName, $comp) {
+		const themeName = ($comp) ? this.getThemeFor($comp) : this.theme;
+		const theme = themeName && this.themes.get(themeName);
+		return theme ? theme[propName.startsWith('--') ? propName : '--'+propName] : undefined;
+	}
+
+	// private helper to remove the rule and the scope class of a scoped theme. Returns false if scopeEl does not have one.
+	removeScope(scopeEl) {
+		const scope = this.scopes.get(scopeEl);
+		if (!scope)
+			return false;
+		scope.rule.remove();
+		scopeEl.classList.remove(scope.scopeClass);
+		this.scopes.delete(scopeEl);
+		return true;
+	}
+
+	// private helper to remember the document theme for restoreTheme
+	saveTheme(themeName) {
+		try {
+			global.localStorage && global.localStorage.setItem(this.storageKey, themeName);
+		} catch (e) {}
+	}
+}
+
+RegisterGlobalService('1.0.0', null,      'bg',           ()=>Object.create(null));
+RegisterGlobalService('1.0.0', global.bg, 'themeManager', (prevManager)=>new ThemeManager(prevManager));
+export const themeManager = global.bg.themeManager;
@@ -0,0 +1,226 @@
+import { RegisterGlobalService } from './GlobalServices'
+import { ComponentToEl, ComponentMount, ComponentUnmount, ComponentDestroyDOMNode } from './componentCore'
+import { Disposable }            from './Disposables'
+import { BGError }               from './BGError'
+
+// the gap in pixels between the tooltip and its target
+const tooltipGap = 6;
+
+
+// TooltipManager displays tooltips without depending on atom. Its add() method has the same signature as atom.tooltips.add so
+// the code that creates tooltips can use either one. Component.addTooltip and Button.addTooltip use atom.tooltips when running
+// in atom and this otherwise (see ComponentAddTooltip).
+//
+// The tooltip appears after the mouse rests on the target (or the target gets the keyboard focus) for <delay> milliseconds and
+// disappears when the mouse leaves, the focus leaves, a mouse button is pressed or Escape is pressed. It is placed on the preferred
+// side of the target and flipped to the opposite side when there is not enough room in the viewport.
+//
+// There is one tooltip element that is shared by all targets. It has role="tooltip" and the target gets aria-describedby while
+// it is displayed.
+//
+// Key Binding Hints:
+// If a keyBindingCommand is given, the keystrokes that invoke the command are displayed after the title. The keystrokes come from
+// the keymap lookup function which the application (or a keymap library) installs with setKeymapLookup.
+//    bg.tooltips.setKeymapLookup((commandName)=>myKeymap.keystrokesFor(commandName));   // return a string like 'Ctrl-S' or null
+//
+// The global instance is bg.tooltips (also exported as tooltips).
+// Example:
+//    this.disposables.add(tooltips.add(saveButton, {title:'Save the file', keyBindingCommand:'core:save'}));
+//    tooltips.add(statusIcon, {title:()=>new StatusDetails(status), placement:'bottom'});
+// See Also:
+//    ComponentAddTooltip
+export class TooltipManager {
+	constructor(prevManager) {
+		this.delay         = 500;
+		this.keymapLookup  = (prevManager) ? prevManager.keymapLookup : null;
+		this.tooltipEl     = null;
+		this.current       = null;   // {targetEl, options, content, ownsContent} of the tooltip being displayed
+		this.timer         = null;
+	}
+
+	// usage: <Disposable> add(<BGComp> target, <object> options)
+	// Show a tooltip for target.
+	// Options:
+	//    title:<multi>             : the content of the tooltip. A string (text), a BGComp or DOMNode (rich content) or a function that
+	//                                returns one of those. The function is called each time the tooltip is displayed and the
+	//                                BGComp or DOMNode that it returns is destroyed when the tooltip is hidden so it should make a
+	//                                new one each time.
+	//    keyBindingCommand:string  : (optional) the command whose keystrokes are displayed after the title
+	//    placement:string          : 'top' (the default), 'bottom', 'left' or 'right'
+	//    delay:number              : milliseconds before the tooltip appears. default is bg.tooltips.delay (500)
+	//    class:string              : (optional) extra class for the tooltip element
+	// Return Value:
+	//    a Disposable that removes the tooltip from target
+	add($target, options={}) {
+		if (typeof options == 'string')
+			options = {title:options};
+		if (options.title == null)
+			throw new BGError("tooltips.add: the title option is required", {target:$target, options});
+		const targetEl = ComponentToEl($target);
+		const listeners = {
+			mouseenter : ()=>this.scheduleShow(targetEl, options),
+			focusin    : ()=>this.scheduleShow(targetEl, options),
+			mouseleave : ()=>this.hide(targetEl),
+			focusout   : ()=>this.hide(targetEl),
+			mousedown  : ()=>this.hide(targetEl),
+			keydown    : (e)=>{ if (e.key == 'Escape') this.hide(targetEl); }
+		};
+		for (const eventName in listeners)
+			targetEl.addEventListener(eventName, listeners[eventName]);
+
+		return new Disposable(()=>{
+			for (const eventName in listeners)
+				targetEl.removeEventListener(eventName, listeners[eventName]);
+			this.hide(targetEl);
+		});
+	}
+
+	// usage: <void> setKeymapLookup(<function> lookup)
+	// install the function that returns the keystrokes (a string) for a command name or null if the command has no binding
+	setKeymapLookup(lookup) {
+		this.keymapLookup = lookup;
+	}
+
+	// private helper that starts the delay before a tooltip is shown
+	scheduleShow(targetEl, options) {
+		if (this.current && this.current.targetEl === targetEl)
+			return;
+		clearTimeout(this.timer);
+		const delay = (options.delay != null) ? options.delay : this.delay;
+		// once a tooltip is displayed, moving to another target shows its tooltip right away like native tooltips
+		if (this.current || delay <= 0)
+			this.show(targetEl, options);
+		else
+			this.timer = setTimeout(()=>this.show(targetEl, options), delay);
+	}
+
+	// usage: <void> show(<BGComp> target, <object> options)
+	// display the tooltip for target now. This is what happens after the delay but it can be called directly too.
+	show($target, options) {
+		const targetEl = ComponentToEl($target);
+		clearTimeout(this.timer);
+		this.timer = null;
+		if (!targetEl.isConnected)
+			return;
+		this.hide();
+
+		if (!this.tooltipEl) {
+			this.tooltipEl = document.createElement('div');
+			this.tooltipEl.className = 'bg-tooltip';
+			this.tooltipEl.id = 'bg-tooltip';
+			this.tooltipEl.setAttribute('role', 'tooltip');
+			Object.assign(this.tooltipEl.style, {
+				position     : 'fixed',
+				zIndex       : '3000',
+				pointerEvents: 'none',
+				maxWidth     : '30em',
+				padding      : '3px 6px',
+				background   : 'var(--cBackground)',
+				border       : '1px solid var(--cBorders)'
+			});
+		}
+		const tooltipEl = this.tooltipEl;
+		tooltipEl.className = 'bg-tooltip' + (options.class ? ' '+options.class : '');
+
+		const ownsContent = typeof options.title == 'function';
+		var content = (ownsContent) ? options.title() : options.title;
+		if (content != null && typeof content == 'object')
+			ComponentMount(tooltipEl, content);
+		else
+			tooltipEl.textContent = String(content);
+
+		const keystrokes = options.keyBindingCommand && this.keymapLookup && this.keymapLookup(options.keyBindingCommand);
+		if (keystrokes) {
+			const keystrokeEl = document.createElement('span');
+			keystrokeEl.className = 'keystroke';
+			keystrokeEl.textContent = keystrokes;
+			tooltipEl.append(' ', keystrokeEl);
+		}
+
+		document.body.appendChild(tooltipEl);
+		this.current = {targetEl, options, content, ownsContent};
+		targetEl.setAttribute('aria-describedby', tooltipEl.id);
+		this.position(targetEl, options.placement || 'top');
+	}
+
+	// usage: <void> hide([<BGComp> target])
+	// remove the tooltip. If target is given, it is only removed if it is the tooltip of target.
+	hide($target) {
+		const targetEl = $target && ComponentToEl($target);
+		if (targetEl && (!this.current || this.current.targetEl !== targetEl)) {
+			// the tooltip for this target may be waiting for its delay
+			if (!this.current) {
+				clearTimeout(this.timer);
+				this.timer = null;
+			}
+			return;
+		}
+		clearTimeout(this.timer);
+		this.timer = null;
+		if (!this.current)
+			return;
+		const {content, ownsContent} = this.current;
+		this.current.targetEl.removeAttribute('aria-describedby');
+		if (content != null && typeof content == 'object') {
+			ComponentUnmount(this.tooltipEl, content);
+			// content made by a title function is only used for this showing of the tooltip
+			if (ownsContent)
+				(typeof content.destroy == 'function') ? content.destroy() : ComponentDestroyDOMNode(content);
+		}
+		this.tooltipEl.replaceChildren();
+		this.tooltipEl.remove();
+		this.current = null;
+	}
+
+	// private helper to place the tooltip on the preferred side of the target, flipping to the other side if it does not fit and
+	// keeping it inside the viewport along the other axis
+	position(targetEl, placement) {
+		const target = targetEl.getBoundingClientRect();
+		const tip    = this.tooltipEl.getBoundingClientRect();
+		const viewWidth  = window.innerWidth  || document.documentElement.clientWidth;
+		const viewHeight = window.innerHeight || document.documentElement.clientHeight;
+
+		const fits = {
+			top    : target.top    - tip.height - tooltipGap >= 0,
+			bottom : target.bottom + tip.height + tooltipGap <= viewHeight,
+			left   : target.left   - tip.width  - tooltipGap >= 0,
+			right  : target.right  + tip.width  + tooltipGap <= viewWidth
+		};
+		const opposite = {top:'bottom', bottom:'top', left:'right', right:'left'};
+		if (!fits[placement] && fits[opposite[placement]])
+			placement = opposite[placement];
+
+		var x, y;
+		switch (placement) {
+			case 'bottom': x = target.left + (target.width-tip.width)/2;  y = target.bottom + tooltipGap;          break;
+			case 'left':   x = target.left - tip.width - tooltipGap;      y = target.top + (target.height-tip.height)/2; break;
+			case 'right':  x = target.right + tooltipGap;                 y = target.top + (target.height-tip.height)/2; break;
+			default:       x = target.left + (target.width-tip.width)/2;  y = target.top - tip.height - tooltipGap; break;
+		}
+		x = Math.max(0, Math.min(x, viewWidth  - tip.width));
+		y = Math.max(0, Math.min(y, viewHeight - tip.height));
+		this.tooltipEl.style.left = x+'px';
+		this.tooltipEl.style.top  = y+'px';
+		this.tooltipEl.dataset.placement = placement;
+	}
+}
+
+RegisterGlobalService('1.0.0', null,      'bg',       ()=>Object.create(null));
+RegisterGlobalService('1.0.0', global.bg, 'tooltips', (prevManager)=>new TooltipManager(prevManager));
+export const tooltips = global.bg.tooltips;
+
+
+// usage: <Disposable> ComponentAddTooltip(<BGComp> comp, <multi> title [, <string> cmdForKeyBinding])
+// Add a tooltip to comp using atom.tooltips when running in atom and bg.tooltips otherwise. Component.addTooltip and
+// Button.addTooltip call this and add the returned Disposable to their disposables.
+// Params:
+//    <comp>             : the BGComp that the tooltip is for
+//    <title>            : the text or (outside of atom) a BGComp or function. See TooltipManager.add
+//    <cmdForKeyBinding> : (optional) the command whose key binding is displayed in the tooltip
+export function ComponentAddTooltip($comp, title, cmdForKeyBinding) {
+	const options = {title};
+	if (cmdForKeyBinding)
+		options.keyBindingCommand = cmdForKeyBinding;
+	const manager = (typeof atom != 'undefined' && atom && atom.tooltips) ? atom.tooltips : global.bg.tooltips;
+	return manager.add(ComponentToEl($comp), options);
+}
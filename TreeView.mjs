@@ -0,0 +1,534 @@
+import { Component }          from './component'
+import                             './DependentsGraph'
+import { ComponentToBG }      from './componentCore'
+import { BGError }            from './BGError'
+
+// the type-ahead buffer is cleared when the user pauses typing for this many milliseconds
+const typeAheadTimeout = 500;
+
+
+// TreeView is a Component that displays a hierarchy of TreeNodes that the user can expand, collapse, navigate and select. The
+// children of a node are not created until it is first expanded. They come from a loadChildren(node) callback that can return them
+// directly or return a Promise (or BGPromise) so that they can be read from the file system or a server.
+//
+// Items:
+// loadChildren returns an array of items that describe the nodes. An item is a string (the name) or an object with these fields.
+//    name:string         : the name of the node. If it is a valid identifier that does not conflict with a property of the parent,
+//                          the node is mounted with this name in its parent's childList (e.g. tree.src.childList.lib). Any node
+//                          can be found with parentNode.getChild(name) or tree.getNode(['src','main.js'])
+//    label:string        : the text displayed. default is name
+//    icon:string         : the name of an octicon (@primer/octicons) displayed before the label. default is 'file-directory' for
+//                          nodes with children and 'file' for leaves
+//    hasChildren:boolean : true if the node can be expanded. default is true if the item has a children array and false otherwise
+//    children:array      : (optional) the child items if they are already known. loadChildren is not called for this node.
+// The item object is available as node.item so it can carry any other data that the application needs (e.g. a file path).
+//
+// Selection:
+// Click selects a node, Ctrl/Cmd-click adds or removes a node from the selection and Shift-click selects the range of visible nodes
+// from the last clicked node. The selection changes fire the 'selection' channel of the TreeView in the DependentsGraph with the
+// array of selected nodes.
+//    deps.add({obj:tree, channel:'selection'}, this, (change, selectedNodes)=>this.showDetails(selectedNodes));
+//
+// Keyboard:
+//    ArrowDown/ArrowUp  : move the focus to the next/previous visible node (Shift extends the selection)
+//    ArrowRight         : expand the focused node or, if it is already expanded, move to its first child
+//    ArrowLeft          : collapse the focused node or, if it is already collapsed, move to its parent
+//    Home/End           : move to the first/last visible node
+//    Enter              : call the onActivatedCB callbacks with the focused node
+//    Space              : toggle the selection of the focused node (Ctrl-Space adds to the selection)
+//    <printable chars>  : type-ahead. Move to the next visible node whose label starts with the characters typed
+//
+// Params:
+//    <tagIDClasses>:string : [name:][<tagName>][#<idName>][.className1[.className2...]]
+//    <namedParams>         : object with named parameters. See Component
+// Named Params:
+//    loadChildren:function : loadChildren(node) returns the array of child items of <node> or a promise that resolves to it. The
+//                            root items are loaded with loadChildren(tree.root) unless the items param is given. If it throws
+//                            or rejects, the error is logged, the node gets the 'error' class and is collapsed. Expanding it
+//                            again calls loadChildren again.
+//    items:array           : (optional) the root items.
+//    rootItem:object       : (optional) the item of tree.root. It is not displayed but loadChildren receives it for the root.
+//    multiSelect:boolean   : allow more than one selected node. default is true
+//    onActivatedCB:function: (default for unnamed functions) called as onActivatedCB(node, tree) on Enter or double-click
+//    <DOM properties and styles and content> : Any key supported by Component.
+// Example:
+//    const tree = new TreeView('files:', {
+//        loadChildren: (node)=>fs.promises.readdir(node.item.path, {withFileTypes:true}).then((entries)=>entries.map((entry)=>({
+//            name        : entry.name,
+//            path        : node.item.path+'/'+entry.name,
+//            hasChildren : entry.isDirectory()
+//        }))),
+//        rootItem: {path:'/home/me'}
+//    }, (node)=>openFile(node.item.path));
+// See Also:
+//    TreeNode
+export class TreeView extends Component {
+	static styles = {
+		listStyle     : 'none',
+		margin        : 0,
+		padding       : 0,
+		userSelect    : 'none',
+		'ul'          : {listStyle:'none', margin:0, paddingLeft:'1.2em'},
+		'.bg-tree-row': {display:'flex', alignItems:'center', gap:'0.3em', cursor:'default', whiteSpace:'nowrap'},
+		'.bg-tree-row > svg': {fill:'currentColor', flexShrink:0},
+		'.bg-tree-toggle': {transition:'transform 0.1s'},
+		'.bg-tree-node.expanded > .bg-tree-row > .bg-tree-toggle': {transform:'rotate(90deg)'},
+		'.bg-tree-node.leaf > .bg-tree-row > .bg-tree-toggle': {visibility:'hidden'},
+		'.bg-tree-node:not(.expanded) > .bg-tree-children': {display:'none'},
+		'.bg-tree-node.selected > .bg-tree-row': {background:'var(--cHighlight)', color:'var(--cBackground)'},
+		'.bg-tree-node:focus': {outline:'none'},
+		'.bg-tree-node:focus > .bg-tree-row': {outline:'1px dotted var(--cHighlight)'}
+	}
+
+	constructor(...p) {
+		super('$ul.bg-tree-view', {
+			paramNames    : 'loadChildren items multiSelect rootItem',
+			defaultCBName : 'onActivatedCB',
+			role          : 'tree',
+			onclick       : (e)=>this.onClick(e),
+			ondblclick    : (e)=>this.onDblClick(e),
+			onkeydown     : (e)=>this.onKeyDown(e)
+		}, ...p);
+
+		if (typeof this.optParams.loadChildren != 'function' && !this.optParams.items)
+			throw new BGError("TreeView requires a loadChildren function or an items array", {optParams:this.optParams});
+
+		this.loadChildrenCB = this.optParams.loadChildren;
+		this.onActivatedCB  = this.componentParams.getCompositeCB('onActivatedCB');
+		this.multiSelect    = this.optParams.multiSelect !== false;
+		this.selection      = new Set();
+		this.anchorNode     = null;     // the end of the shift-click range that stays put
+		this.focusedNode    = null;
+		this.typeAhead      = '';
+		this.typeAheadTime  = 0;
+		this.el.setAttribute('aria-multiselectable', String(this.multiSelect));
+
+		// the root is not displayed. Its children are the top level nodes which are mounted directly in the tree
+		this.root = new TreeNode({tree:this, item:Object.assign({hasChildren:true}, this.optParams.rootItem, {children:this.optParams.items}), depth:0, isRoot:true});
+		this.rootLoaded = this.root.expand();
+	}
+
+	// usage: <TreeNode[]> getSelection()
+	// return the selected nodes in the order they are displayed
+	getSelection() {
+		return this.getVisibleNodes().filter((node)=>this.selection.has(node))
+			.concat(Array.from(this.selection).filter((node)=>!node.isVisible()));
+	}
+
+	// usage: <void> select(<TreeNode> node [, <object> options])
+	// change the selection.
+	// Options:
+	//    add:boolean    : add node to the selection instead of replacing it (ignored if multiSelect is false)
+	//    toggle:boolean : remove node if it is already selected
+	//    range:boolean  : select the visible nodes from the anchor node to node
+	select(node, {add=false, toggle=false, range=false}={}) {
+		if (!this.multiSelect)
+			add = range = false;
+		if (range && this.anchorNode) {
+			const visible = this.getVisibleNodes();
+			const [a, b] = [visible.indexOf(this.anchorNode), visible.indexOf(node)].sort((x,y)=>x-y);
+			if (a != -1) {
+				if (!add)
+					this.clearSelection(false);
+				for (const rangeNode of visible.slice(a, b+1))
+					this.setNodeSelected(rangeNode, true);
+				this.fireSelectionChanged();
+				return;
+			}
+		}
+		if (!add)
+			for (const selected of Array.from(this.selection))
+				(selected !== node) && this.setNodeSelected(selected, false);
+		this.setNodeSelected(node, (toggle) ? !this.selection.has(node) : true);
+		this.anchorNode = node;
+		this.fireSelectionChanged();
+	}
+
+	clearSelection(fire=true) {
+		for (const node of Array.from(this.selection))
+			this.setNodeSelected(node, false);
+		fire && this.fireSelectionChanged();
+	}
+
+	// private helper that sets the selected state of one node without firing the channel
+	setNodeSelected(node, isSelected) {
+		if (isSelected)
+			this.selection.add(node);
+		else
+			this.selection.delete(node);
+		node.el.classList.toggle('selected', isSelected);
+		node.el.setAttribute('aria-selected', String(isSelected));
+	}
+
+	fireSelectionChanged() {
+		deps.fire({obj:this, channel:'selection'}, this.getSelection());
+	}
+
+	// usage: <void> focusNode(<TreeNode> node)
+	// give the keyboard focus to node. Only the focused node is in the tab order so tabbing into the tree returns to it.
+	focusNode(node) {
+		if (!node)
+			return;
+		if (this.focusedNode && this.focusedNode !== node)
+			this.focusedNode.el.tabIndex = -1;
+		this.focusedNode = node;
+		node.el.tabIndex = 0;
+		node.el.focus();
+		node.el.scrollIntoView && node.el.scrollIntoView({block:'nearest'});
+	}
+
+	// return the nodes that are displayed (their ancestors are all expanded) in display order
+	getVisibleNodes() {
+		const visible = [];
+		const walk = (node)=>{
+			for (const child of node.childNodes) {
+				visible.push(child);
+				child.isExpanded && walk(child);
+			}
+		};
+		walk(this.root);
+		return visible;
+	}
+
+	// usage: <TreeNode> getNode(<string[]> path)
+	// return the node found by following the names in path from the root or undefined if a name is not found. The nodes along the
+	// path must already be loaded. Use expandPath to load them.
+	getNode(path) {
+		var node = this.root;
+		for (const name of path) {
+			node = node.getChild(name);
+			if (!node)
+				return undefined;
+		}
+		return node;
+	}
+
+	// usage: <Promise<TreeNode>> expandPath(<string[]> path)
+	// expand each node along path (loading children as needed) and resolve to the last node or undefined if a name is not found
+	async expandPath(path) {
+		var node = this.root;
+		await this.rootLoaded;
+		for (const name of path) {
+			await node.expand();
+			node = node.getChild(name);
+			if (!node)
+				return undefined;
+		}
+		return node;
+	}
+
+	// private helper to find the TreeNode that an event happened in
+	nodeFromEvent(e) {
+		for (var el=e.target; el && el !== this.el; el=el.parentElement) {
+			const obj = ComponentToBG(el, 'null');
+			if (obj instanceof TreeNode)
+				return obj;
+		}
+		return null;
+	}
+
+	onClick(e) {
+		const node = this.nodeFromEvent(e);
+		if (!node)
+			return;
+		if (e.target.closest && e.target.closest('.bg-tree-toggle')) {
+			node.toggle();
+			return;
+		}
+		this.select(node, {add:e.ctrlKey || e.metaKey, toggle:e.ctrlKey || e.metaKey, range:e.shiftKey});
+		this.focusNode(node);
+	}
+
+	onDblClick(e) {
+		const node = this.nodeFromEvent(e);
+		if (!node || (e.target.closest && e.target.closest('.bg-tree-toggle')))
+			return;
+		node.hasChildren && node.toggle();
+		this.onActivatedCB && this.onActivatedCB(node, this);
+	}
+
+	onKeyDown(e) {
+		const node = this.focusedNode || this.getVisibleNodes()[0];
+		if (!node)
+			return;
+		const visible = this.getVisibleNodes();
+		const i = visible.indexOf(node);
+		var target = null;
+		switch (e.key) {
+			case 'ArrowDown': target = visible[Math.min(i+1, visible.length-1)]; break;
+			case 'ArrowUp':   target = visible[Math.max(i-1, 0)];                break;
+			case 'Home':      target = visible[0];                               break;
+			case 'End':       target = visible[visible.length-1];                break;
+			case 'ArrowRight':
+				if (node.hasChildren && !node.isExpanded)
+					node.expand();
+				else if (node.isExpanded)
+					target = node.childNodes[0];
+				break;
+			case 'ArrowLeft':
+				if (node.isExpanded)
+					node.collapse();
+				else if (!node.parentNode.isRoot)
+					target = node.parentNode;
+				break;
+			case 'Enter':
+				this.onActivatedCB && this.onActivatedCB(node, this);
+				break;
+			case ' ':
+				this.select(node, {add:e.ctrlKey || e.metaKey, toggle:true});
+				break;
+			default:
+				if (e.key.length == 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+					target = this.findTypeAhead(e.key, visible, i);
+					break;
+				}
+				return;
+		}
+		e.preventDefault();
+		if (target && target !== node) {
+			this.focusNode(target);
+			if (e.shiftKey && /^(ArrowDown|ArrowUp|Home|End)$/.test(e.key))
+				this.select(target, {range:true});
+			else if (!e.ctrlKey && !e.metaKey)
+				this.select(target);
+		}
+	}
+
+	// private helper for type-ahead. The typed characters accumulate until the user pauses. The search starts at the current node
+	// when the buffer is being extended so that 'ab' stays on 'abc' and starts after it for a new buffer.
+	findTypeAhead(ch, visible, i) {
+		const now = Date.now();
+		const extending = (now - this.typeAheadTime) < typeAheadTimeout && this.typeAhead != '';
+		this.typeAhead = (extending ? this.typeAhead : '') + ch.toLowerCase();
+		this.typeAheadTime = now;
+		// typing the same letter repeatedly cycles through the nodes that start with it
+		const repeated = this.typeAhead.split('').every((c)=>c == this.typeAhead[0]);
+		const prefix = (repeated) ? this.typeAhead[0] : this.typeAhead;
+		const start = (extending && !repeated) ? i : i+1;
+		for (var j=0; j<visible.length; j++) {
+			const candidate = visible[(start+j) % visible.length];
+			if (candidate.label.toLowerCase().startsWith(prefix))
+				return candidate;
+		}
+		return null;
+	}
+
+	destroy() {
+		this.root.destroyChildren(false);
+		deps.objectDestroyed(this);
+		super.destroy();
+	}
+}
+
+
+// TreeNode is one node of a TreeView. It is an <li> with a row (the toggle chevron, the icon and the label) and a <ul> childList
+// that holds the TreeNodes of its children. TreeView creates the nodes from the items returned by loadChildren.
+//
+// Its state is in these properties...
+//    item        : the item that it was made from
+//    itemName    : the name from the item. This is also its mounted name when it can be (see the name field of TreeView items)
+//    label       : the text displayed
+//    tree        : the TreeView it belongs to
+//    parentNode  : the parent TreeNode (tree.root for the top level nodes)
+//    childNodes  : the child TreeNodes in display order. Empty until the node is loaded.
+//    childItems  : the items that the child nodes are made from. It starts as item.children and is set to the items that
+//                  loadChildren returns. item is not modified.
+//    hasChildren : true if it can be expanded
+//    isExpanded  : true if its children are displayed
+//    isLoaded    : true if its children have been loaded
+//    loadError   : the error of the last load if it failed or null. The node (the TreeView for the root) has the 'error' class
+//                  while it is set.
+// See Also:
+//    TreeView
+export class TreeNode extends Component {
+	constructor({tree, item, parentNode=null, depth=0, isRoot=false}) {
+		if (typeof item == 'string')
+			item = {name:item};
+		const itemName = (item.name != null) ? String(item.name) : String(item.label);
+		const hasChildren = (item.hasChildren != null) ? !!item.hasChildren : Array.isArray(item.children);
+
+		if (isRoot) {
+			// the root node is never mounted. Its children are mounted in the tree
+			super('$div.bg-tree-root');
+		} else {
+			super('$li.bg-tree-node', {role:'treeitem', tabIndex:-1}, [
+				new Component('row:$div.bg-tree-row', [
+					new Component('toggle:$icon', {paramNames:'icon', icon:'chevron-right'}),
+					new Component('icon:$icon', {paramNames:'icon', icon:item.icon || (hasChildren ? 'file-directory' : 'file')}),
+					new Component('labelEl:$span.bg-tree-label', {innerText:(item.label != null) ? String(item.label) : itemName})
+				]),
+				new Component('childList:$ul.bg-tree-children', {role:'group'})
+			]);
+			// icons are made from the octicon svg so they do not get the classes from the tagIDClasses
+			this.row.toggle.el.classList.add('bg-tree-toggle');
+			this.row.icon.el.classList.add('bg-tree-icon');
+			this.el.classList.toggle('leaf', !hasChildren);
+			this.el.setAttribute('aria-level', String(depth));
+			hasChildren && this.el.setAttribute('aria-expanded', 'false');
+		}
+
+		this.tree        = tree;
+		this.item        = item;
+		this.itemName    = itemName;
+		this.label       = (item.label != null) ? String(item.label) : itemName;
+		this.parentNode  = parentNode;
+		this.depth       = depth;
+		this.isRoot      = isRoot;
+		this.hasChildren = hasChildren;
+		this.childNodes  = [];
+		this.childItems  = item.children || null;
+		this.isExpanded  = false;
+		this.isLoaded    = false;
+		this.loading     = null;
+		this.loadCount   = 0;      // incremented for each load so that the results of a stale load can be recognized
+		this.loadError   = null;
+	}
+
+	// usage: <TreeNode> getChild(<string> name)
+	// return the child node with name or undefined
+	getChild(name) {
+		return this.childNodes.find((child)=>child.itemName == name);
+	}
+
+	// true if all its ancestors are expanded
+	isVisible() {
+		for (var node=this.parentNode; node && !node.isRoot; node=node.parentNode)
+			if (!node.isExpanded)
+				return false;
+		return !!this.parentNode;
+	}
+
+	// usage: <Promise> expand()
+	// display the children of the node, loading them first if they have not been loaded. The promise resolves when they are displayed.
+	expand() {
+		if (!this.hasChildren)
+			return Promise.resolve(this);
+		this.isExpanded = true;
+		if (!this.isRoot) {
+			this.el.classList.add('expanded');
+			this.el.setAttribute('aria-expanded', 'true');
+		}
+		return this.load();
+	}
+
+	collapse() {
+		if (!this.isExpanded || this.isRoot)
+			return;
+		this.isExpanded = false;
+		this.el.classList.remove('expanded');
+		this.el.setAttribute('aria-expanded', 'false');
+		// if the focus was in the collapsed part, move it to this node
+		if (this.tree.focusedNode && this.tree.focusedNode !== this && !this.tree.focusedNode.isVisible())
+			this.tree.focusNode(this);
+	}
+
+	toggle() {
+		return (this.isExpanded) ? this.collapse() : this.expand();
+	}
+
+	// usage: <Promise> load()
+	// make the child nodes from childItems or loadChildren if they are not already loaded. The promise does not reject. When
+	// the load fails, it resolves with isLoaded still false and loadError set. If reload is called or the node is destroyed
+	// before loadChildren finishes, its result is discarded and the promise resolves without changing the node.
+	load() {
+		if (this.isLoaded)
+			return Promise.resolve(this);
+		if (this.loading)
+			return this.loading;
+		const loadNum = ++this.loadCount;
+		const isStale = ()=>loadNum != this.loadCount || !this.el || !this.tree.el;
+		!this.isRoot && this.el.classList.add('loading');
+		this.el.setAttribute('aria-busy', 'true');
+		var items;
+		try {
+			items = (this.childItems) ? this.childItems : this.tree.loadChildrenCB(this);
+		} catch (e) {
+			items = Promise.reject(e);
+		}
+		const errorEl = (this.isRoot) ? this.tree.el : this.el;
+		this.loading = Promise.resolve(items).then((items)=>{
+			if (isStale())
+				return this;
+			this.childItems = items || [];
+			this.setChildren(this.childItems);
+			this.loadError = null;
+			errorEl.classList.remove('error');
+			return this;
+		}).catch((e)=>{
+			if (isStale())
+				return this;
+			// isLoaded stays false so expanding the node again retries the load
+			this.loadError = e;
+			errorEl.classList.add('error');
+			this.collapse();
+			BGError.logErrorToConsole(e, "TreeView loadChildren");
+			return this;
+		}).finally(()=>{
+			if (isStale())
+				return;
+			this.loading = null;
+			!this.isRoot && this.el.classList.remove('loading');
+			this.el.removeAttribute('aria-busy');
+		});
+		return this.loading;
+	}
+
+	// usage: <Promise> reload()
+	// discard the children and load them again with loadChildren. The expanded state is kept. Without a loadChildren callback,
+	// the nodes are made again from the same items.
+	reload() {
+		// a load that is still pending would bring back the old children so make it stale
+		this.loadCount++;
+		this.loading = null;
+		!this.isRoot && this.el.classList.remove('loading');
+		this.el.removeAttribute('aria-busy');
+		this.destroyChildren();
+		this.isLoaded = false;
+		if (this.tree.loadChildrenCB)
+			this.childItems = null;
+		return (this.isExpanded) ? this.load() : Promise.resolve(this);
+	}
+
+	// private helper to replace the child nodes with nodes made from items
+	setChildren(items) {
+		this.destroyChildren();
+		for (const item of items) {
+			const child = new TreeNode({tree:this.tree, item, parentNode:this, depth:this.depth+1});
+			this.childNodes.push(child);
+			// name the child in the childList unless the name is not an identifier or would replace one of the childList's properties
+			const container = (this.isRoot) ? this.tree : this.childList;
+			if (!/^[a-zA-Z_$][\w$]*$/.test(child.itemName) || (child.itemName in container))
+				Component.mount(container, 'unnamed', child);
+			else
+				Component.mount(container, child.itemName, child);
+		}
+		this.isLoaded = true;
+		// the first node is in the tab order until the user focuses another
+		if (this.isRoot && !this.tree.focusedNode && this.childNodes[0])
+			this.childNodes[0].el.tabIndex = 0;
+	}
+
+	// private helper to remove and destroy the child nodes. Destroyed nodes are removed from the selection and, if that changes
+	// it, the 'selection' channel is fired unless fire is false. Returns true if the selection changed.
+	destroyChildren(fire=true) {
+		const container = (this.isRoot) ? this.tree : this.childList;
+		var deselected = false;
+		for (const child of this.childNodes) {
+			deselected = child.destroyChildren(false) || deselected;
+			if (this.tree.selection.has(child)) {
+				this.tree.setNodeSelected(child, false);
+				deselected = true;
+			}
+			if (this.tree.focusedNode === child)
+				this.tree.focusedNode = null;
+			if (this.tree.anchorNode === child)
+				this.tree.anchorNode = null;
+			Component.unmount(container, child);
+			child.destroy();
+		}
+		this.childNodes = [];
+		if (deselected && fire)
+			this.tree.fireSelectionChanged();
+		return deselected;
+	}
+}
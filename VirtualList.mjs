@@ -0,0 +1,200 @@
+import { Component }          from './component'
+import {
+	ComponentMount,
+	ComponentUnmount,
+	ComponentConstruct,
+	ComponentDestroyDOMNode
+}                             from './componentCore'
+import { BGError }            from './BGError'
+
+
+// VirtualList is a scrolling list Component that can display a very large number of rows by only mounting the rows that are in
+// the viewport (plus a few 'overscan' rows above and below). A spacer child is sized to the full height of all the rows so that the
+// scrollbar reflects the whole list and each mounted row is absolutely positioned at the offset of its item index.
+//
+// As rows scroll out of range, they are unmounted and kept in a pool. When rows scroll into range, a pooled row is reused by
+// calling <updateRow>(row, index) to make it display the new item. Because rows are really unmounted and mounted, they receive the
+// normal onMount/onUnmount and (when the list is in the document) onConnected/onDisconnected lifecycle events. A row Component can
+// use those to subscribe and unsubscribe to the data that it displays.
+//
+// If <updateRow> is not provided, rows are not recycled. They are destroyed when they leave the range and new rows are made with
+// <rowFactory> when needed.
+//
+// Limitations:
+//    * all rows have the same height (rowHeight). Style the rows so that their content fits.
+//    * the VirtualList needs a constrained height (e.g. from css or a 'height' style) for it to scroll.
+//
+// Params:
+//    <tagIDClasses>:string : [name:][<tagName>][#<idName>][.className1[.className2...]][ textContent]
+//    <namedParams>         : object with named parameters. See Component
+// Named Params:
+//    itemCount:number      : the number of items in the list. Use setItemCount() to change it later.
+//    rowFactory:function   : function(index) that returns the row for the item at index. It can return a BGComp or an array of
+//                            Component construction params like ["$div.myRow", {...}] which will be passed to ComponentConstruct.
+//    updateRow:function    : (optional) function(row, index) that makes an existing row display the item at index. Providing this
+//                            enables row recycling.
+//    rowHeight:number      : the height in pixels of each row. default is 20
+//    overscan:number       : the number of rows above and below the viewport to keep mounted. default is 5
+//    <DOM properties and styles and content> : Any key supported by Component.
+// Example:
+//    new VirtualList("files:", {
+//        itemCount : files.length,
+//        rowHeight : 22,
+//        rowFactory: (i)=>["$div.fileRow", files[i].name],
+//        updateRow : (row,i)=>row.setLabel(files[i].name)
+//    })
+// See Also:
+//    Component
+//    ComponentReconcile : for lists whose length is small enough that each item can have a mounted row
+export class VirtualList extends Component {
+	constructor(...p) {
+		super('$div.bg-virtual-list', {
+			paramNames: 'itemCount rowFactory updateRow rowHeight overscan',
+			styles    : {overflowY:'auto', position:'relative'},
+			onscroll  : ()=>this.onScroll()
+		}, ...p);
+
+		if (typeof this.optParams.rowFactory != 'function')
+			throw new BGError("VirtualList requires a rowFactory function", {optParams:this.optParams});
+
+		this.rowFactory = this.optParams.rowFactory;
+		this.updateRow  = this.optParams.updateRow;
+		this.rowHeight  = this.optParams.rowHeight || 20;
+		this.overscan   = (this.optParams.overscan != null) ? this.optParams.overscan : 5;
+		this.itemCount  = 0;
+
+		// visibleRows maps item index to the row that is mounted for it. rowPool holds unmounted rows that can be recycled.
+		this.visibleRows = new Map();
+		this.rowPool     = [];
+
+		this.mount('spacer', new Component('$div.bg-virtual-list-spacer', {styles:{position:'relative'}}));
+
+		// re-render when our viewport changes size
+		if (global.ResizeObserver) {
+			const resizeObserver = new ResizeObserver(()=>this.render());
+			resizeObserver.observe(this.el);
+			this.disposables.add({dispose:()=>resizeObserver.disconnect()});
+		}
+
+		this.setItemCount(this.optParams.itemCount || 0);
+	}
+
+	destroy() {
+		this.renderPending && global.cancelAnimationFrame && cancelAnimationFrame(this.renderPending);
+		for (const row of this.rowPool)
+			(typeof row.destroy == 'function') ? row.destroy() : ComponentDestroyDOMNode(row);
+		this.rowPool = [];
+		super.destroy();
+	}
+
+	// now that we are in the document, our viewport has a real size. FireDOMTreeEvent is still walking our children when this is
+	// called so we wait until it finishes. Otherwise the rows that we mount now would receive onConnected a second time.
+	onConnected() {
+		Promise.resolve().then(()=>this.render());
+	}
+
+	onScroll() {
+		this.scheduleRender();
+	}
+
+	// change the number of items in the list. Rows for items past the new end are removed. If the list got shorter than the
+	// scroll position, it is scrolled to the new end so that the viewport shows the last items instead of nothing.
+	setItemCount(itemCount) {
+		this.itemCount = Math.max(0, itemCount || 0);
+		this.spacer.el.style.height = (this.itemCount * this.rowHeight)+'px';
+		const maxScrollTop = Math.max(0, this.itemCount * this.rowHeight - this.el.clientHeight);
+		if (this.el.scrollTop > maxScrollTop)
+			this.el.scrollTop = maxScrollTop;
+		this.render();
+	}
+
+	// call this when the data of the items changed so that each mounted row is updated. Without updateRow, the rows are remade.
+	refresh() {
+		for (const index of Array.from(this.visibleRows.keys())) {
+			if (this.updateRow)
+				this.updateRow(this.visibleRows.get(index), index);
+			else {
+				this.releaseRow(index);
+				this.acquireRow(index);
+			}
+		}
+	}
+
+	// scroll so that the item at index is in the viewport
+	scrollToIndex(index) {
+		const top = index * this.rowHeight;
+		if (top < this.el.scrollTop)
+			this.el.scrollTop = top;
+		else if (top + this.rowHeight > this.el.scrollTop + this.el.clientHeight)
+			this.el.scrollTop = top + this.rowHeight - this.el.clientHeight;
+		this.render();
+	}
+
+	// return the row mounted for the item at index or undefined if its not in the mounted range
+	getRow(index) {
+		return this.visibleRows.get(index);
+	}
+
+	// scroll events can come faster than the display is updated so we only render once per animation frame
+	scheduleRender() {
+		if (!global.requestAnimationFrame)
+			return this.render();
+		if (!this.renderPending)
+			this.renderPending = requestAnimationFrame(()=>{this.renderPending = null; this.render()});
+	}
+
+	// make the mounted rows match the range of items that are in the viewport plus overscan
+	render() {
+		if (!this.el)
+			return;
+		const scrollTop = this.el.scrollTop;
+		const viewportHeight = this.el.clientHeight;
+		const first = Math.max(0, Math.floor(scrollTop / this.rowHeight) - this.overscan);
+		const last  = Math.min(this.itemCount, Math.ceil((scrollTop + viewportHeight) / this.rowHeight) + this.overscan);
+
+		// release first so that those rows can be recycled for the new ones
+		for (const index of Array.from(this.visibleRows.keys()))
+			if (index < first || index >= last)
+				this.releaseRow(index);
+
+		for (var index=first; index<last; index++)
+			if (!this.visibleRows.has(index))
+				this.acquireRow(index);
+	}
+
+	// mount a row for the item at index, recycling one from the pool if possible
+	acquireRow(index) {
+		var row = (this.updateRow) ? this.rowPool.pop() : null;
+		if (row) {
+			this.updateRow(row, index);
+		} else {
+			row = this.rowFactory(index);
+			if (Array.isArray(row))
+				row = ComponentConstruct((this.defaultChildConstructor) ? {defaultConstructor:this.defaultChildConstructor} : null, ...row);
+		}
+
+		const rowEl = Component.toEl(row);
+		rowEl.style.position = 'absolute';
+		rowEl.style.left     = '0';
+		rowEl.style.right    = '0';
+		rowEl.style.top      = (index * this.rowHeight)+'px';
+		rowEl.style.height   = this.rowHeight+'px';
+
+		this.visibleRows.set(index, row);
+		ComponentMount([this, this.el, this], row, {appendTo:this.spacer.el});
+		return row;
+	}
+
+	// unmount the row for the item at index and either keep it for recycling or destroy it
+	releaseRow(index) {
+		const row = this.visibleRows.get(index);
+		if (!row)
+			return;
+		this.visibleRows.delete(index);
+		ComponentUnmount([this, this.el, this], row);
+		if (this.updateRow)
+			this.rowPool.push(row);
+		else
+			(typeof row.destroy == 'function') ? row.destroy() : ComponentDestroyDOMNode(row);
+	}
+}
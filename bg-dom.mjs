@@ -1,5 +1,6 @@
 import {RegisterPackage} from './GlobalServices'
-RegisterPackage(__filename);
+// __filename only exists when loaded by the esm package (e.g. in atom). Plain nodejs (e.g. a test runner) has import.meta.url instead
+RegisterPackage((typeof __filename != 'undefined') ? __filename : new URL(import.meta.url).pathname);
 
 export * from './GlobalServices'
 export * from './Disposables'
@@ -10,6 +11,7 @@ export * from './DependentsGraph'
 export * from './PolyfillObjectMixin'
 export * from './component'
 export * from './componentCore'
+export * from './componentRender'
 export * from './ComponentParams'
 export * from './buttons'
 export * from './InputField'
@@ -18,6 +20,16 @@ export * from './panels'
 export * from './miscellaneous'
 export * from './examples'
 export * from './BGStylesheet'
+export * from './ThemeManager'
 export * from './BGError'
 export * from './TabBar'
 export * from './Tab'
+export * from './VirtualList'
+export * from './Dialog'
+export * from './Form'
+export * from './AutocompleteField'
+export * from './TreeView'
+export * from './DataTable'
+export * from './ContextMenu'
+export * from './Tooltips'
+export * from './CommandRegistry'
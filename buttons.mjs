@@ -3,9 +3,13 @@ import { ComponentParams }   from './ComponentParams'
 import {
 	reHTMLContent,
 	ComponentMakeDOMNode,
-	ComponentDestroyDOMNode
+	ComponentDestroyDOMNode,
+	ComponentBind,
+	ComponentHydrateContent
 }                            from './componentCore'
 import { Disposables }       from './Disposables'
+import { ComponentAddTooltip } from './Tooltips'
+import { CommandHost }       from './CommandRegistry'
 
 
 // Button is a BGComponent to represent html/dom buttons. It does not derive from Component but its equivalent to it. Button is
@@ -56,12 +60,19 @@ export class Button {
 		this.iconName      = componentParams.optParams.icon;
 		this.onActivatedCB = componentParams.getCompositeCB();
 
-		this.setLabel(componentParams.optParams.label);
+		// when hydrating, the label is already in the adopted node
+		if (componentParams.hydrateNode)
+			this.label = componentParams.optParams.label || '';
+		else
+			this.setLabel(componentParams.optParams.label);
 		this.el.onclick = (e)=>{this.rawOnClick(e)};
 
 		if (! componentParams.optParams["focusOnMouseClick"])
 			this.el.onmousedown = ()=>{this.lastFocused=document.activeElement}
 
+		// {bind:{...}} makes our properties follow model values (see ComponentBind)
+		ComponentBind(this, componentParams.bind);
+
 		// TODO: should this ComponentMount any specified child content? or should buttons not support child content?
 	}
 
@@ -94,7 +105,7 @@ export class Button {
 	}
 
 	addTooltip(text,cmdForKeyBinding) {
-		this.disposables.add(atom.tooltips.add(this.el, {title: text, keyBindingCommand: cmdForKeyBinding}));
+		this.disposables.add(ComponentAddTooltip(this, text, cmdForKeyBinding));
 	}
 }
 
@@ -156,11 +167,13 @@ export class ToggleButton extends Button {
 
 
 
-// CommandButton is a Button that invokes a Atom command when clicked. It is constructed from the command name and handles the
-// onActivatedCB itself. It gleans default values to create a tool tip
+// CommandButton is a Button that invokes a command when clicked. It is constructed from the command name and handles the
+// onActivatedCB itself. It gleans default values to create a tool tip from the command's displayName and description and the tool
+// tip shows the command's key binding. In atom it uses atom.commands and atom.keymaps and otherwise bg.commands and bg.keymaps
+// (see CommandRegistry) so it works the same in either.
 // properties
 // Params:
-//     cmdName  : the Atom command that the button will invoke. Same syntax as keymaps.
+//     cmdName  : the command that the button will invoke. Same syntax as keymaps.
 //     [name:][icon-<icnName> ][label] : The second parameter is a string that contains 1 to 3 attributes of the button.
 //           name : variable-like name used for the button. Useful to identify which button was activated when multiple buttons share
 //                a single onActivatedCB callback. A container component may also use this as the property name to store this button in.
@@ -168,33 +181,41 @@ export class ToggleButton extends Button {
 //           label: The text displayed in the button.
 //     options  : an object with various optional keys
 // Options:
-//     target   : target context node for the command. default is atom.workspace.getElement()
+//     target   : target context node for the command. default is atom.workspace.getElement() in atom and document.body otherwise
 //     <DOM properties and styles>    : See Component
 //     children : array of children components passed to Component::mount. See Component::mount
+// See Also:
+//     CommandRegistry, KeymapManager, CommandHost
 export class CommandButton extends Button {
 	constructor(tagIDClasses, cmdName, ...options) {
 		super(tagIDClasses, {paramNames:'target'}, ()=>this.onClick(),  ...options);
 		this.cmdName = cmdName;
 
-		this.cmdTarget = this.optParams["target"] || atom.workspace.getElement();
-		const allCommands = atom.commands.findCommands({target: this.cmdTarget});
+		const host = CommandHost();
+		this.cmdHost = host.commands;
+		this.cmdTarget = this.optParams["target"] || host.defaultTarget;
+		const allCommands = this.cmdHost.findCommands({target: this.cmdTarget});
 		const command = allCommands.filter((command) => command.name === cmdName)[0] || {displayName:'unknown', description:'unknown'};
 
 		if (!this.getLabel() && !this.iconName) {
-			this.setLabel(command.displayName);
+			if (this.componentParams.hydrateNode)
+				this.label = command.displayName;
+			else
+				this.setLabel(command.displayName);
 			this.toolTipTitle = command.description;
 		} else
 			this.toolTipTitle = command.displayName;
 
-		setTimeout(()=>{
-			this.toolTipDispose = atom.tooltips.add(this.el, {title: this.toolTipTitle, keyBindingCommand: this.cmdName}); //,  keyBindingTarget: this.cmdTarget
+		this.toolTipTimer = setTimeout(()=>{
+			this.toolTipDispose = ComponentAddTooltip(this, this.toolTipTitle, this.cmdName); //,  keyBindingTarget: this.cmdTarget
 		}, 1000);
 	}
 	onClick() {
-		atom.commands.dispatch(this.cmdTarget, this.cmdName);
+		this.cmdHost.dispatch(this.cmdTarget, this.cmdName);
 	}
 	destroy() {
-		this.toolTipDispose.dispose();
+		clearTimeout(this.toolTipTimer);
+		this.toolTipDispose && this.toolTipDispose.dispose();
 		super.destroy();
 	}
 }
@@ -253,6 +274,12 @@ export class RadioButtonGroup extends Component {
 		super(tagIDClasses, {defaultChildConstructor:OneShotButton}, '$div.btn-group.mutex', ...options);
 		this.value = initialValue;
 
+		// when hydrating, the Component constructor left the children to ComponentHydrate but we need them now
+		if (this.componentParams.hydrateNode) {
+			ComponentHydrateContent(this, this.componentParams);
+			this.componentParams.content = null;
+		}
+
 		// since we did not create the child buttons directly, iterate them to set our callback which implements the mutually exclusive nature
 		// if a child does not support onStateChangeCB, we expect it will ignore it and this will do no harm
 		for (const child of this.mounted) {
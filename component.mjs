@@ -17,11 +17,18 @@ import {
 	ComponentGetName,
 	ComponentGet,
 	ComponentMakeDOMNode,
-	ComponentDestroyDOMNode
+	ComponentDestroyDOMNode,
+	ComponentHydrate,
+	ComponentBind,
+	ComponentReconcile,
+	ComponentRegisterClassStyles,
+	ComponentUnregisterClassStyles
 }                                from './componentCore';
 import { ComponentParams }       from './ComponentParams';
+import { ComponentRenderToString } from './componentRender';
 import { Disposables }           from './Disposables';
 import { RegisterGlobalService } from './GlobalServices';
+import { ComponentAddTooltip }   from './Tooltips';
 import { BGError }               from './BGError';
 
 // LifeTest tracks all Component instances and records when significant state tranisitions ocur. When this is enabled, none of them
@@ -66,6 +73,9 @@ export const GCTest  =true && (global.FinalizationRegistry);
 //       ** named children become properties of the component so that code can easily navigate to them via <parent>.<childname>.
 //    * collects multiple content/children parameters in the constructor and uses mount() to make them children
 //    * onmount,onunmount, and onremount virtual functions can be overridden (feature from redom)
+//    * properties like the label can be bound to model values that update through the DependentsGraph ({bind:{...}} param)
+//    * derived classes can declare their css in a static 'styles' property that is scoped to their instances. See 'Class Scoped
+//      Styles' in componentCore
 //
 // Examples:
 //     new Component('$span.explanation This is how it is done'); // <span class="explanation">This is how it is done</span>
@@ -120,6 +130,7 @@ export const GCTest  =true && (global.FinalizationRegistry);
 //    content:<multiple> : innerHTML specified in multiple ways -- text, html, DOM node, Component instance, or an array of multiple of those
 //    paramNames:stringSet: (specified by derived classes) space separated list of additional parameter names that this type of component supports.
 //    defaultCB:function: a function that will be registered in the component's default callback event.
+//    bind:object    : {<propName>:[<model>,<channel>],...} makes the named properties follow model values. See ComponentBind.
 //    <Additional Component properties>  :<any> : any name documented by any class in the component hierarchy being created can specified
 //    <Style properties>:string: any style name can be specified. This library maintains a map of known style names. If you find that
 //                   it does not recognize the name you specify as a style, you can force it by moving it into a {styl: ..} sub-object.
@@ -174,7 +185,10 @@ export class Component
 		//       instead of reducing them to one 'label'
 		// TODO: consider if getLabel/setLabel methods should be moved to a derived "Input extends Component" class.
 		// TODO: consider renaming label to something like 'stringContent'
-		if (this.el && this.componentParams.optParams.label) {
+		// when hydrating, the label and content already exist in the DOM and ComponentHydrate will create the BGNodes for the content
+		const hydrating = !!componentParams.hydrateNode;
+
+		if (this.el && this.componentParams.optParams.label && !hydrating) {
 			this.label = this.componentParams.optParams.label;
 			if (/^@HTML/.test(this.label) || reHTMLContent.test(this.label))
 				this.el.innerHTML = this.label.replace(/^@HTML/,"");
@@ -182,7 +196,7 @@ export class Component
 				this.el.innerText = this.label.replace(/^@TEXT/,"");
 		}
 
-		if (this.el && this.componentParams.content)
+		if (this.el && this.componentParams.content && !hydrating)
 			this.mount(this.componentParams.content);
 
 		// if there is a defaultCB and the derived class did not specify a defaultCBName to capture it for its own purposes,
@@ -193,6 +207,9 @@ export class Component
 			// consume the defaultCB so that something else does not use it for another purpose (see comment above)
 			this.componentParams.callbacks['defaultCB'] = [];
 		}
+
+		// {bind:{...}} makes our properties follow model values (see ComponentBind)
+		ComponentBind(this, componentParams.bind);
 	}
 
 	destroy() {
@@ -314,6 +331,12 @@ export class Component
 		return ComponentUnmount([this, this.el, this], nameOrChild);
 	}
 
+	// make the named array child <arrayName> (e.g. 'rows[]') reflect the data in <items>, reusing the children whose keys still
+	// exist. See ComponentReconcile for details.
+	reconcile(arrayName, items, keyFn, makeFn, updateFn) {
+		return ComponentReconcile([this, this.el, this], arrayName, items, keyFn, makeFn, updateFn);
+	}
+
 	resetContent() {
 		ComponentDestroyChildren([this, this.el, this]);
 		this.setLabel("");
@@ -354,11 +377,9 @@ export class Component
 		return {x:this.el.clientWidth, y:this.el.clientHeight}
 	}
 
+	// uses atom.tooltips in atom and the built in bg.tooltips otherwise. See ComponentAddTooltip
 	addTooltip(text,cmdForKeyBinding) {
-		if (cmdForKeyBinding)
-			this.disposables.add(atom.tooltips.add(this.el, {title: text, keyBindingCommand: cmdForKeyBinding}));
-		else
-			this.disposables.add(atom.tooltips.add(this.el, {title: text}));
+		this.disposables.add(ComponentAddTooltip(this, text, cmdForKeyBinding));
 	}
 
 	hide() {this.el.style.display = 'none';}
@@ -420,6 +441,14 @@ Component.getName        = ComponentGetName;
 Component.getMountedName = ComponentGetMountedName;
 Component.get            = ComponentGet;
 Component.wrapNode       = ComponentParams.wrapNode;
+Component.renderToString = ComponentRenderToString;
+Component.hydrate        = ComponentHydrate;
+Component.reconcile      = ComponentReconcile;
+Component.registerClassStyles   = ComponentRegisterClassStyles;
+Component.unregisterClassStyles = ComponentUnregisterClassStyles;
+
+// new Component(...p) builds only what p describes so ComponentRenderToString can render it (derived classes must declare their own)
+Component.renderFromParams = true;
 
 lifeCycleChecker && (Component.lifeCycleChecker=lifeCycleChecker)
 
@@ -1,7 +1,15 @@
 import { BGError }            from './BGError.mjs';
-import { ComponentParams }    from './ComponentParams.mjs';
+import {
+	ComponentParams,
+	ComponentIsPropertyOnly,
+	reEmpty,
+	reHTMLContent,
+	reVarName
+}                             from './ComponentParams.mjs';
 import { Component }          from './component.mjs';
 import { domTreeChanges }     from './DomHooks.mjs';
+import { BGStylesheet }       from './BGStylesheet.mjs';
+import { ChangeRecord }       from './DependentsGraph.mjs';
 import icons                  from '@primer/octicons';
 
 // make aliases for some icon names
@@ -107,12 +115,13 @@ icons.close = icons.x;
 export const bgComponent       =Symbol.for('bgComponent');
 export const bgComponentName   =Symbol.for('bgComponentName');
 export const bgComponentParent =Symbol.for('bgComponentParent');
+export const bgComponentBinds  =Symbol.for('bgComponentBinds');
+export const bgComponentKey    =Symbol.for('bgComponentKey');
 
 
-// compiled common Regular Expressions
-export const reEmpty        = /^\s*$/;
-export const reHTMLContent  = /^\s*<[^>]+>/;
-export const reVarName      = /^[_a-zA-Z][_a-zA-Z0-9]*(\[.*\])?$/;
+// compiled common Regular Expressions. They are defined in ComponentParams so that code that does not have a DOM (like
+// componentRender) can use them without loading this library.
+export { reEmpty, reHTMLContent, reVarName };
 
 
 const xlinkns = 'http://www.w3.org/1999/xlink';
@@ -766,6 +775,8 @@ export function ComponentUnmount($parent, $child)
 	// remove the BG Node relation from the child if the child supports it
 	if (child[bgComponent] && ("parent" in child))
 		delete child["parent"];
+	if (child[bgComponent])
+		delete child[bgComponentParent];
 
 	lifeCycleChecker && lifeCycleChecker.mark(child, 'onUnmounted');
 	if (typeof child.onUnmount == 'function')
@@ -787,7 +798,9 @@ export function ComponentUnmount($parent, $child)
 export function Html(tagIDClasses, ...p)
 {
 	var componentParams = new ComponentParams(tagIDClasses, ...p);
-	return ComponentMakeDOMNode(componentParams);
+	var el = ComponentMakeDOMNode(componentParams);
+	ComponentBind(el, componentParams.bind);
+	return el;
 }
 
 
@@ -812,7 +825,15 @@ export function ComponentMakeDOMNode(componentParams, bgComp)
 {
 	// if the ctor params indicated that we are wrapping an existing node, use it, otherwise create a new one
 	var el = componentParams.wrapNode;
-	if (!el && (componentParams.tagName == 'icon' )) {
+	if (!el && componentParams.hydrateNode) {
+		// hydrating adopts a node that was created from the same params (e.g. by ComponentRenderToString) so the only things that
+		// could not have been expressed in the markup are the callbacks and the properties that do not have attributes like checked
+		el = componentParams.hydrateNode;
+		for (var propName in componentParams.props)
+			if (typeof componentParams.props[propName] === 'function' || ComponentIsPropertyOnly(el.localName, propName))
+				el[propName] = componentParams.props[propName];
+	}
+	else if (!el && (componentParams.tagName == 'icon' )) {
 		var iconName = componentParams.optParams.icon || componentParams.optParams.label;
 		var iconObj = icons[iconName];
 		if (!iconObj) {
@@ -866,6 +887,13 @@ export function ComponentMakeDOMNode(componentParams, bgComp)
 		for (var styleName in componentParams.styles)
 			el.style[styleName] = componentParams.styles[styleName] == null ? '' : componentParams.styles[styleName];
 	}
+	// add the scope classes of the static styles declared by bgComp's class hierarchy
+	if (bgComp) {
+		const scopeClasses = ComponentClassScopes(bgComp.constructor);
+		if (scopeClasses.length > 0)
+			el.classList.add(...scopeClasses);
+	}
+
 	global.lifeCycleChecker && lifeCycleChecker.mark(bgComp||el, 'ctor');
 	domTreeChanges.addToWatch(el);
 
@@ -884,6 +912,95 @@ export function ComponentMakeDOMNode(componentParams, bgComp)
 	return el;
 }
 
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// Class Scoped Styles
+// A class can declare the css that its instances need in a static 'styles' property. The first time an instance of the class is
+// made by ComponentMakeDOMNode, the styles are added to a BGStylesheet that is shared by all classes and the instance (and every
+// instance after it) gets a generated scope class like 'bgs-MyView-3'. Every selector in the styles is made relative to that scope
+// class so the rules of one class do not leak onto other elements that happen to use the same class names.
+//
+// Example:
+//    class MyView extends Component {
+//        static styles = {
+//            display:'flex',                            // the root element of each instance
+//            '.label'          : {fontWeight:'bold'},   // '.bgs-MyView-1 .label'
+//            '&.selected'      : {background:'blue'},   // '.bgs-MyView-1.selected'
+//            '@media (max-width:600px)': {'.label': {display:'none'}}
+//        }
+//    }
+//    // the css text form is also accepted
+//    class MyView2 extends Component {
+//        static styles = `& {display:flex}  .label {font-weight:bold}`
+//    }
+//
+// A derived class gets the scope classes of each class in its hierarchy that declares styles so the base class rules apply too.
+// Atom packages should call ComponentUnregisterClassStyles for their classes when they are deactivated.
+// See Also:
+//    CSSScopedRules (BGStylesheet) : for the syntax of the styles
+
+// Class -> {scopeClass, rule}. rule is the BGStyleRule handle of the class's styles or null when they are not in the stylesheet
+const classStyleRecords = new Map();
+// Class -> array of the classes in its hierarchy that declare static styles, from the base class to Class
+const classStylesCache = new WeakMap();
+var classStylesheet = null;
+var classScopeCount = 0;
+
+// usage: <string> ComponentRegisterClassStyles(<class> Class)
+// Add the static styles of Class to the shared stylesheet if they are not already there and return its scope class. This is called
+// automatically when the first instance is made so there is typically no need to call it directly.
+export function ComponentRegisterClassStyles(Class)
+{
+	var record = classStyleRecords.get(Class);
+	if (!record) {
+		record = {scopeClass:'bgs-'+(Class.name || 'Anonymous')+'-'+(++classScopeCount), rule:null};
+		classStyleRecords.set(Class, record);
+	}
+	if (!record.rule) {
+		if (!classStylesheet)
+			classStylesheet = new BGStylesheet();
+		// the handle keeps track of its CSSRules so other rules being deleted from the sheet does not affect it
+		record.rule = classStylesheet.rule('.'+record.scopeClass, Class.styles);
+	} else if (record.rule.isRemoved) {
+		// e.g. classStylesheet.deleteAllRules() was called
+		record.rule.update(Class.styles);
+	}
+	return record.scopeClass;
+}
+
+// usage: <boolean> ComponentUnregisterClassStyles(<class> Class)
+// Remove the rules of Class's static styles from the shared stylesheet. Existing instances keep their scope class so if another
+// instance is created later, the styles will be added again and apply to them too.
+// Return Value:
+//    false if the styles of Class were not registered
+export function ComponentUnregisterClassStyles(Class)
+{
+	const record = classStyleRecords.get(Class);
+	if (!record || !record.rule)
+		return false;
+	record.rule.remove();
+	record.rule = null;
+	return true;
+}
+
+// private helper to return the scope classes that instances of Class get, registering the styles as needed. The classes are in
+// order from the base class to Class.
+function ComponentClassScopes(Class)
+{
+	if (typeof Class != 'function' || Class === Object)
+		return [];
+	var stylesClasses = classStylesCache.get(Class);
+	if (!stylesClasses) {
+		stylesClasses = [];
+		for (var C=Class; C && C !== Object && C !== Function.prototype; C=Object.getPrototypeOf(C))
+			if (Object.prototype.hasOwnProperty.call(C, 'styles') && C.styles)
+				stylesClasses.unshift(C);
+		classStylesCache.set(Class, stylesClasses);
+	}
+	// register them each time because the rules may have been removed from the sheet since the last instance was made
+	return stylesClasses.map((C)=>ComponentRegisterClassStyles(C));
+}
+
+
 // usage: void ComponentDestroyDOMNode($bgComp)
 // This is the complement to ComponentMakeDOMNode. A DOMNode created by ComponentMakeDOMNode typically should be destroyed by this
 // function. If a BGNode was passed to ComponentMakeDOMNode to be linked with the new DOMNode, either that BGNode or the DOMNode
@@ -908,6 +1025,9 @@ export function ComponentDestroyDOMNode($bgComp)
 		bgCompEl.remove();
 	}
 
+	// stop following any data sources that were bound to this node
+	ComponentUnbind(bgComp);
+
 	if (bgCompObj) {
 		var namedChildren = bgCompObj.mounted.slice();
 		for (var childName of namedChildren) {
@@ -1005,15 +1125,288 @@ export function ComponentConstruct(...p) {
 }
 
 
+// usage: <BGNode> ComponentHydrate(<DOMNode> rootEl, <class> ComponentClass, ...p)
+// Adopt an existing DOM tree (typically markup produced on a server by ComponentRenderToString) into the BGNode hierarchy without
+// recreating any elements. This is the complement to ComponentRenderToString. The same construction params that rendered the
+// markup are passed in again and they are walked in parallel with the DOMNodes to create the BGNodes and link them to the
+// existing elements via ComponentMap. Named children are wired into their parents (e.g. myView.cntr1) and the bgComponentParent
+// links are made by ComponentMountAdd just like ComponentMount would have done.
+//
+// The class that creates each BGNode is determined the same way as it is in the browser path. ComponentClass is used for the root
+// node and the Constructor/defaultConstructor params (or the parent's defaultChildConstructor) are used for the children.
+// Those classes receive the {hydrateNode:<el>} param (after the other params so that positional params keep their places) and must
+// not create the label or child content when it is set. The Component class and the library controls (InputField, Button and
+// their derived classes) honor this. A derived class whose constructor builds additional DOM content should check
+// this.componentParams.hydrateNode. A class that needs its children during construction can call ComponentHydrateContent itself
+// and set componentParams.content to null so that they are not hydrated twice.
+//
+// Callbacks and properties that could not be expressed in the markup (e.g. {onclick:()=>{...}} or {checked:true}) are set on the
+// existing elements.
+//
+// Params:
+//    <rootEl>         : the existing DOMNode that corresponds to the top level node described by <p>
+//    <ComponentClass> : the class to construct the root BGNode. If null, the global default (global.bg.Component) is used.
+//    <p>              : the construction params (see 'man ComponentParams') that describe the tree under rootEl
+// Example:
+//    // server:  html = ComponentRenderToString(...myViewParams)
+//    // browser:
+//    const myView = ComponentHydrate(document.querySelector('.myView'), Component, ...myViewParams);
+//    myView.cntr1.value = "something..."
+// See Also:
+//    ComponentRenderToString
+export function ComponentHydrate(rootEl, ComponentClass, ...p)
+{
+	if (!rootEl || !rootEl.nodeType)
+		throw new BGError("ComponentHydrate: rootEl must be an existing DOMNode", {rootEl});
+
+	const Constructor = ComponentClass || global.bg.Component;
+	const bgComp = new Constructor(...p, {hydrateNode:rootEl});
+	ComponentHydrateContent(bgComp, bgComp.componentParams || new ComponentParams(...p));
+
+	// the nodes may have been connected to the document all along but from the perspective of the BGNodes, this is when they are
+	// connected.
+	if (rootEl.isConnected) {
+		FireDOMTreeEvent(bgComp, bgePreConnected);
+		FireDOMTreeEvent(bgComp, bgeConnected);
+	}
+	return bgComp;
+}
+
+// private helper for ComponentHydrateContent that returns the number of top level elements that an html label produces. The label
+// is set as the innerHTML of the node so all of its elements are in the DOM.
+function CountHTMLElements(html)
+{
+	const template = document.createElement('template');
+	template.innerHTML = html.replace(/^@HTML/,"");
+	return template.content.children.length;
+}
+
+// private helper for ComponentHydrateContent that returns the number of elements that an html content string produces. ComponentMount
+// only mounts the firstChild of the parsed html so this is 1 when that is an element and 0 when it is text or a comment.
+function CountHTMLContentElements(html)
+{
+	const template = document.createElement('template');
+	template.innerHTML = html.replace(/^@HTML/,"");
+	const firstChild = template.content.firstChild;
+	return (firstChild && firstChild.nodeType == 1 /* ELEMENT_NODE */) ? 1 : 0;
+}
+
+// usage: <void> ComponentHydrateContent(<bgComp> $parent, <ComponentParams> componentParams)
+// Walk the content of <componentParams> in parallel with the element children of <$parent>. This is the part of ComponentHydrate
+// that creates the child BGNodes. It mirrors the way that the Component constructor and ComponentMount create the DOM from the
+// content. Text content does not create elements so only html strings, BGComps and construction arrays advance the position in the
+// element children.
+export function ComponentHydrateContent($parent, componentParams)
+{
+	const [parentObj, parentEl, parent] = ComponentNormalize($parent);
+	const elChildren = parentEl.children;
+	var elIndex = 0;
+
+	// skip the elements that came from the label
+	const label = componentParams.optParams.label;
+	if (label && (/^@HTML/.test(label) || reHTMLContent.test(label)))
+		elIndex += CountHTMLElements(label);
+
+	for (const contentSingle of componentParams.content || []) {
+		if (contentSingle == null)
+			continue;
+
+		// an html string produces at most one element because only its first node is mounted
+		if (typeof contentSingle == 'string') {
+			if (/^@HTML/.test(contentSingle.trim()) || reHTMLContent.test(contentSingle))
+				elIndex += CountHTMLContentElements(contentSingle.trim());
+			continue;
+		}
+
+		const childEl = elChildren[elIndex++];
+		if (!childEl)
+			throw new BGError("ComponentHydrate: the existing DOM does not match the construction params. Ran out of child elements", {parent, contentSingle, componentParams});
+
+		// an existing BGComp was given in the content. The markup has a copy of it so replace the copy with the real one so that
+		// references to it remain valid.
+		if (!Array.isArray(contentSingle)) {
+			const [contentObj, contentEl, content] = ComponentNormalize(contentSingle);
+			parentEl.replaceChild(contentEl, childEl);
+			ComponentMountAdd([parentObj, parentEl, parent], null, [contentObj, contentEl, content]);
+			continue;
+		}
+
+		const child = ComponentConstruct(
+			(parent.defaultChildConstructor) ? {defaultConstructor:parent.defaultChildConstructor} : null,
+			{hydrateNode:childEl},
+			...contentSingle
+		);
+		ComponentMountAdd([parentObj, parentEl, parent], null, child);
+		ComponentHydrateContent(child, child.componentParams || new ComponentParams(...contentSingle));
+	}
+}
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+//// Data Binding
+//
+// A property of a BGComp (like its label or value) can be bound to a value in some model object so that the BGComp is updated
+// whenever that model fires the corresponding DependentsGraph channel. The model is any object. The channel name is also the
+// name of the property in the model that holds the value. Changing the value requires the model to fire the change.
+//    model.title = 'New Title';
+//    deps.fire({obj:model, channel:'title'});
+//
+// Bindings are typically specified declaratively with the 'bind' named parameter (see ComponentParams) and the base classes
+// (Component, Button, InputField) call ComponentBind at the end of their constructor.
+//    new Component("$h1", {bind:{label:[model,'title']}})
+//    new Editbox("amount: Amount <input/>", {bind:{value:[model,'amount']}})
+//
+// The BGComp is the target (obj2) of the relationship in the DependentsGraph and ComponentDestroyDOMNode removes the
+// relationships so destroying the BGComp is enough to clean up.
+
+
+// usage: <void> ComponentBind($bgComp, <object> bindings)
+// Make the properties of $bgComp named by the keys in bindings follow the model values given by the binding values. The current
+// model values are set immediately and then again each time the model fires the channel.
+// Params:
+//    <$bgComp>   : the BGComp whose properties will be updated.
+//    <bindings>  : object whose keys are the properties of $bgComp to update and values are the source. A source can be
+//                  [<model>,<channel>] or {obj:<model>, channel:<channel>}. The value is model[channel] and if that is a function
+//                  it is invoked to get the value.
+// Setting the Property:
+// For each key, if the BGNode has a set<Key> method (e.g. setLabel, setPressedState) it is called. Otherwise if the key is a property
+// of the BGNode, it is assigned and lastly, the key is assigned to the DOMNode.
+// See Also:
+//    ComponentBindWriteBack : update the model from the bound properties (InputField does this when the user commits a change)
+//    ComponentUnbind        : remove all the bindings of a BGComp
+export function ComponentBind($bgComp, bindings)
+{
+	const [bgCompObj,bgCompEl,bgComp] = ComponentNormalize($bgComp);
+	if (!bindings || Object.keys(bindings).length==0)
+		return;
+
+	// the DependentsGraph only supports one relationship between a channel and a target so when several properties follow the
+	// same source, we group them into one entry
+	const binds = bgComp[bgComponentBinds] || (bgComp[bgComponentBinds] = []);
+	for (const key in bindings) {
+		const [model, channel] = ComponentBindNormalizeSource(bindings[key], key, bgComp);
+		var bind = binds.find((b)=>b.model===model && b.channel===channel);
+		if (!bind) {
+			bind = {model, channel, keys:[]};
+			binds.push(bind);
+			const thisBind = bind;
+			deps.add({obj:model, channel}, bgComp, ()=>{ComponentBindUpdate([bgCompObj,bgCompEl,bgComp], thisBind)});
+		}
+		if (!bind.keys.includes(key))
+			bind.keys.push(key);
+	}
 
+	for (const bind of binds)
+		ComponentBindUpdate([bgCompObj,bgCompEl,bgComp], bind);
+}
 
 
+// usage: <void> ComponentBindRefresh($bgComp)
+// Set all the bound properties of $bgComp from the current values of their models again. Controls call this after a change that
+// can make a bound value valid that was not before (e.g. Selectbox and RadioField after they replace their choices).
+export function ComponentBindRefresh($bgComp)
+{
+	const [bgCompObj,bgCompEl,bgComp] = ComponentNormalize($bgComp);
+	const binds = bgComp && bgComp[bgComponentBinds];
+	if (!binds)
+		return;
+	for (const bind of binds)
+		ComponentBindUpdate([bgCompObj,bgCompEl,bgComp], bind);
+}
+
+
+// usage: <void> ComponentUnbind($bgComp)
+// Remove all the bindings of $bgComp that were created with ComponentBind. ComponentDestroyDOMNode calls this.
+export function ComponentUnbind($bgComp)
+{
+	const [bgCompObj,bgCompEl,bgComp] = ComponentNormalize($bgComp);
+	const binds = bgComp && bgComp[bgComponentBinds];
+	if (!binds)
+		return;
+	for (const bind of binds)
+		deps.remove({obj:bind.model, channel:bind.channel}, bgComp);
+	delete bgComp[bgComponentBinds];
+}
 
 
+// usage: <void> ComponentBindWriteBack($bgComp)
+// Copy the current values of the bound properties of $bgComp back into their models and fire the channels of the models that
+// changed. This is the reverse direction of ComponentBind and is used by controls whose bound properties are changed by the user.
+// Model properties whose values are functions are read only and are not written. The channel is fired with a ChangeRecord of kind
+// 'set' whose oldValue and newValue are the model values before and after the write.
+export function ComponentBindWriteBack($bgComp)
+{
+	const [bgCompObj,bgCompEl,bgComp] = ComponentNormalize($bgComp);
+	const binds = bgComp && bgComp[bgComponentBinds];
+	if (!binds)
+		return;
+	for (const bind of binds) {
+		if (typeof bind.model[bind.channel] == 'function')
+			continue;
+		const oldValue = bind.model[bind.channel];
+		var changed = false;
+		for (const key of bind.keys) {
+			const value = (bgCompObj && key in bgCompObj) ? bgCompObj[key] : bgCompEl[key];
+			if (bind.model[bind.channel] !== value) {
+				bind.model[bind.channel] = value;
+				changed = true;
+			}
+		}
+		if (changed) {
+			// the fire will call back to ComponentBindUpdate for this bind but its values already reflect the new value
+			bind.writingBack = true;
+			try {
+				const newValue = bind.model[bind.channel];
+				deps.fire({obj:bind.model, channel:bind.channel}, new ChangeRecord({source:bind.model, channel:bind.channel, kind:'set', oldValue, newValue}));
+			} finally {
+				bind.writingBack = false;
+			}
+		}
+	}
+}
 
 
+// private helper to return [model, channel] from the forms that a binding source can take
+function ComponentBindNormalizeSource(source, key, bgComp)
+{
+	if (Array.isArray(source) && source.length==2)
+		return source;
+	if (source && typeof source == 'object' && ('obj' in source) && ('channel' in source))
+		return [source.obj, source.channel];
+	throw new BGError("invalid binding source. Expected [<model>,<channel>] or {obj:<model>,channel:<channel>}", {key, source, bgComp});
+}
 
 
+// private helper to set the keys of one bind entry from the current value in the model.
+function ComponentBindUpdate([bgCompObj,bgCompEl,bgComp], bind)
+{
+	if (bind.writingBack || !(bind.channel in Object(bind.model)))
+		return;
+	var value = bind.model[bind.channel];
+	if (typeof value == 'function')
+		value = value.call(bind.model);
+	for (const key of bind.keys) {
+		const setterName = 'set'+key[0].toUpperCase()+key.slice(1);
+		if (bgCompObj && typeof bgCompObj[setterName] == 'function')
+			bgCompObj[setterName](value);
+		else if (bgCompObj && key in bgCompObj)
+			bgCompObj[key] = value;
+		else
+			bgCompEl[key] = value;
+	}
+}
 
 
 
@@ -1092,6 +1485,159 @@ export function ComponentReplaceChild($parent, $child, ...newContent) {
 }
 
 
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+//// Keyed Lists
+//
+// A named array child (e.g. 'rows[]') is often the view of an array of data items. ComponentReconcile updates the children to
+// reflect a new version of the data array without rebuilding the children that represent items that still exist.
+
+// usage: <array> ComponentReconcile($parent, <string> arrayName, <array> items, <function> keyFn, <function> makeFn, [<function> updateFn])
+// Make the named array child <arrayName> of $parent contain one child for each element of <items> in the same order. Children
+// are matched to items by key so existing children are reused (and moved if needed), children whose key is no longer in items
+// are destroyed and new children are made for new keys. The minimum number of DOM nodes are moved.
+//
+// After the call, parent[basename][i] and the mounted name 'basename[i]' of each child (and its class) corresponds to items[i].
+// New children receive the normal mount lifecycle (onPreMount/onMount and onConnected if the parent is connected) and removed
+// children are destroyed with ComponentDestroyChild so they receive onUnmount. Children that are reused do not receive any
+// lifecycle events even if they are moved.
+//
+// The key of each child is remembered in child[bgComponentKey]. Children that already exist in the named array but were not
+// created by ComponentReconcile do not have a key so they will be destroyed and remade on the first call.
+//
+// Params:
+//    <$parent>    : the BGComp that owns the named array
+//    <arrayName>  : the name of the array with or without the trailing []. e.g. 'rows[]' or 'rows'
+//    <items>      : the data array to reflect. Keys must be unique.
+//    <keyFn>      : function(item, index) that returns the key of item. Typically an id property of the item.
+//    <makeFn>     : function(item, index) that returns a new BGComp for item. It can also return an array of construction
+//                   params which will be passed to ComponentConstruct (with the parent's defaultChildConstructor)
+//    <updateFn>   : (optional) function(child, item, index) called for each reused child so that it can reflect changes in item
+// Return Value:
+//    the parent[basename] array
+// Example:
+//    ComponentReconcile(this, 'rows[]', records, (r)=>r.id, (r)=>new RecordRow(r), (row,r)=>row.update(r));
+// See Also:
+//    ComponentReplaceChildren : replaces all children without trying to reuse them
+export function ComponentReconcile($parent, arrayName, items, keyFn, makeFn, updateFn)
+{
+	const [parentObj, parentEl, parent] = ComponentNormalize($parent);
+	const basename = String(arrayName).replace(/\[\]$/,'');
+	if (!reVarName.test(basename))
+		throw new BGError("ComponentReconcile: arrayName must be a valid variable name optionally followed by '[]'", {arrayName, parent});
+	if (!(bgComponent in parent))
+		throw new BGError("ComponentReconcile: parent must be a BGNode to have a named array", {parent, arrayName});
+	if (parent[basename] != null && !Array.isArray(parent[basename]))
+		throw new BGError("ComponentReconcile: the parent already has a non-array member with that name", {parent, basename});
+
+	// the existing children in their current (DOM) order. Named arrays can have holes when children are unmounted individually
+	const oldChildren = (parent[basename] || []).filter((c)=>c != null);
+
+	// map the new keys to their items
+	const newKeys = items.map((item, i)=>keyFn(item, i));
+	const newKeySet = new Set();
+	for (const key of newKeys) {
+		if (newKeySet.has(key))
+			throw new BGError("ComponentReconcile: the key function returned the same key for more than one item", {key, arrayName, parent});
+		newKeySet.add(key);
+	}
+
+	// the new children are inserted before the node that follows the existing list so that the list keeps its place among other
+	// content in the parent. This needs to be determined before any existing children are removed.
+	const lastOldEl = oldChildren.length>0 && ComponentToEl(oldChildren[oldChildren.length-1]);
+	const containerEl = (lastOldEl && lastOldEl.parentNode) || parentEl;
+	const endAnchor   = (lastOldEl && lastOldEl.parentNode) ? lastOldEl.nextSibling : null;
+
+	// destroy the children whose keys are gone and index the ones that we will reuse
+	const reusable = new Map();
+	for (const child of oldChildren) {
+		const key = child[bgComponentKey];
+		if (key !== undefined && newKeySet.has(key) && !reusable.has(key))
+			reusable.set(key, {child, oldIndex:reusable.size});
+		else
+			ComponentDestroyChild([parentObj, parentEl, parent], child);
+	}
+
+	// release the names of the reused children. They will be renamed with their new index below. We do this as a separate pass so
+	// that renaming one child can not collide with the old name of another.
+	const ary = parent[basename] || (parent[basename] = []);
+	for (const {child} of reusable.values()) {
+		const [childObj, childEl] = ComponentNormalize(child);
+		const oldName = child[bgComponentName];
+		const i = parent.mounted.indexOf(oldName);
+		(i != -1) && parent.mounted.splice(i,1);
+		if (childEl && childEl.classList && oldName) childEl.classList.remove(oldName);
+	}
+	ary.length = 0;
+
+	// the reused children whose relative order does not change do not need to move. The largest such set is the longest increasing
+	// subsequence of their old indexes taken in the new order
+	const oldIndexes = [];
+	for (const key of newKeys)
+		reusable.has(key) && oldIndexes.push(reusable.get(key).oldIndex);
+	const stationary = longestIncreasingSubsequence(oldIndexes);
+
+	// walk the new items backwards so that the node that each child is placed before is already in its final position
+	var nextEl = endAnchor;
+	var reusedCount = oldIndexes.length;
+	for (var i=items.length-1; i>=0; i--) {
+		const name = basename+'['+i+']';
+		const entry = reusable.get(newKeys[i]);
+		if (entry) {
+			const [childObj, childEl, child] = ComponentNormalize(entry.child);
+			reusedCount--;
+			if (!stationary.has(oldIndexes[reusedCount]))
+				containerEl.insertBefore(childEl, nextEl);
+
+			// rename the child to its new index
+			ary[i] = child;
+			parent.mounted.push(name);
+			if (childEl && childEl.classList) childEl.classList.add(name);
+			if (bgComponent in child) child.name = name;
+			child[bgComponentName] = name;
+
+			updateFn && updateFn(child, items[i], i);
+			nextEl = childEl;
+		} else {
+			var newChild = makeFn(items[i], i);
+			if (Array.isArray(newChild))
+				newChild = ComponentConstruct((parent.defaultChildConstructor) ? {defaultConstructor:parent.defaultChildConstructor} : null, ...newChild);
+			const [childObj, childEl, child] = ComponentNormalize(newChild);
+			child[bgComponentKey] = newKeys[i];
+			ComponentMount([parentObj, parentEl, parent], name, child, nextEl || {appendTo:containerEl});
+			nextEl = childEl;
+		}
+	}
+
+	// the names were pushed in reverse order. Keep parent.mounted in the same order as the array
+	const firstName = parent.mounted.length - items.length;
+	parent.mounted.splice(firstName, items.length, ...parent.mounted.slice(firstName).reverse());
+
+	return ary;
+}
+
+
+// private helper that returns the Set of values in <sequence> that are part of its longest strictly increasing subsequence
+function longestIncreasingSubsequence(sequence)
+{
+	const tails = [];         // tails[k] is the index in sequence of the smallest tail of an increasing subsequence of length k+1
+	const prev  = new Array(sequence.length);
+	for (var i=0; i<sequence.length; i++) {
+		var lo=0, hi=tails.length;
+		while (lo<hi) {
+			const mid = (lo+hi)>>1;
+			if (sequence[tails[mid]] < sequence[i]) lo=mid+1; else hi=mid;
+		}
+		prev[i] = (lo>0) ? tails[lo-1] : -1;
+		tails[lo] = i;
+	}
+	const result = new Set();
+	for (var j = (tails.length>0) ? tails[tails.length-1] : -1; j!=-1; j=prev[j])
+		result.add(sequence[j]);
+	return result;
+}
+
+
 const sLastFire = Symbol.for('bg_sLastFire');
 
 // values for FireDOMTreeEvent methodName
@@ -1144,8 +1690,10 @@ export function FireDOMTreeEvent(startNode, methodName, propagationFlag) {
 
 	// walk the children.
 	// Note that its tempting to only fire the ones that are have the bgComponent symbol but they might have decentants that are
-	// even if they do not
-	if (bgEl) for (const child of bgEl.children)
+	// even if they do not.
+	// startNode can be a Text node (or a Comment) which has no children collection. That happens when a Text node that was
+	// created by setting an element's textContent is unmounted like any other child
+	if (bgEl && bgEl.children) for (const child of bgEl.children)
 		FireDOMTreeEvent(child, methodName, true);
 }
 
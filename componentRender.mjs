@@ -0,0 +1,283 @@
+import { BGError }            from './BGError';
+import {
+	ComponentParams,
+	ComponentIsPropertyOnly,
+	reHTMLContent
+}                             from './ComponentParams';
+import icons                  from '@primer/octicons';
+
+// make aliases for some icon names (same as componentCore which we do not import because it requires a DOM)
+icons.close = icons.x;
+
+// Library componentRender
+// This library renders BGComp hierarchies to HTML text without needing a live DOM 'document'. The main use case is a server (like
+// an nginx based app server) that wants to ship pre-rendered markup for a page that will later be scripted in the browser.
+//
+// The input is the same construction parameter syntax that the Component class accepts (see ComponentParams) so the same data
+// that describes a view can be used to build the DOM in the browser or to produce the HTML text on the server.
+//
+// The output tries to be exactly what the browser path (ComponentMakeDOMNode + ComponentMount) would produce for el.outerHTML.
+// In particular, named children add their name as a class in the same way that ComponentMountAdd does so that the css selectors
+// like '.myView .cntr1' work the same on the pre-rendered markup.
+//
+// Limitations:
+//    * Only the construction params are rendered. If a node is described with a {Constructor:SomeClass} param (or gets SomeClass
+//      from a defaultChildConstructor), the logic in SomeClass's constructor is not run because that code typically requires a live
+//      DOM. Classes like Button and InputField build markup that is not in their params so rendering them would silently produce
+//      the wrong html. ComponentRenderToString throws for them instead. A class whose DOM is exactly what its params describe can
+//      declare that with an own static property SomeClass.renderFromParams = true (the Component class does).
+//    * callbacks (function values) can not be expressed in HTML text so they are ignored. ComponentHydrate will attach them.
+//    * properties that the browser does not reflect to attributes (like checked, selected and the value of an <input>) are left
+//      out just like they are missing from el.outerHTML in the browser. ComponentHydrate sets them. Use defaultChecked,
+//      defaultSelected or defaultValue to render the checked, selected or value attribute.
+//    * BGNode and DOMNode objects in the content can only be rendered when a DOM exists (e.g. a DOM shim is loaded) because we
+//      use their outerHTML.
+
+
+
+// these elements do not have a closing tag in HTML
+const voidElements = new Set(['area','base','br','col','embed','hr','img','input','link','meta','param','source','track','wbr']);
+
+// DOMNode property names whose corresponding attribute name is not simply the lowercase version of the property name.
+const propToAttributeNames = {
+	className : 'class',
+	htmlFor   : 'for',
+	httpEquiv : 'http-equiv',
+	acceptCharset : 'accept-charset',
+	defaultValue    : 'value',
+	defaultChecked  : 'checked',
+	defaultSelected : 'selected'
+}
+
+
+// usage: <string> ComponentEscapeHTML(<string> text, <boolean> isAttribute)
+// return text with the characters that are significant to HTML replaced with their entities.
+export function ComponentEscapeHTML(text, isAttribute) {
+	text = String(text).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;');
+	if (isAttribute)
+		text = text.replace(/"/g,'&quot;');
+	return text;
+}
+
+
+// usage: <string> ComponentRenderToString(...p)
+// Create and return the HTML text that the browser would have as the outerHTML of the DOMNode created by new Component(...p)
+// This does not use the DOM so it can be used on a server to pre-render pages.
+// Params:
+//    <p> : an arbitrarily long list of parameters as described in 'man ComponentParams' (same as the Component constructor)
+// Example:
+//    const html = ComponentRenderToString("$div.myView", [
+//        "This is a view for something...",
+//        ["$div.content", {tabindex:-1}, [
+//            ["cntr1:$input", {type:"text"}],
+//            ["cntr2:$input", {type:"checkbox"}]
+//        ]]
+//    ]);
+// See Also:
+//    ComponentHydrate : to attach BGNodes to the markup produced by this function after it is loaded in the browser.
+export function ComponentRenderToString(...p) {
+	return renderComponentParams(new ComponentParams(...p));
+}
+
+
+// private helper to render one node described by a ComponentParams and its sub tree.
+// Params:
+//    <componentParams> : the reduced construction data of the node
+//    <mountedName>     : the name that the parent mounted the node with. This can be different from componentParams.name when
+//                        the node is in a named array like 'rows[]' in which case the mountedName has the index like 'rows[2]'
+function renderComponentParams(componentParams, mountedName) {
+	const Constructor = componentParams.Constructor || componentParams.defaultConstructor;
+	if (Constructor && !(Object.hasOwn(Constructor, 'renderFromParams') && Constructor.renderFromParams))
+		throw new BGError("ComponentRenderToString: this class builds DOM that is not described by its construction params so it can not be rendered to text", {Constructor:Constructor.name, name:mountedName || componentParams.name});
+
+	// icons are special b/c the SVG text from the icons library becomes the node
+	if (componentParams.tagName == 'icon') {
+		var iconName = componentParams.optParams.icon || componentParams.optParams.label;
+		var iconObj = icons[iconName];
+		if (!iconObj) {
+			iconObj = icons["alert"];
+			console.warn(`icon (${iconName}) not found. Used alert icon as standin`);
+		}
+		// the browser path does not apply the classes from the params to the icon's svg but ComponentMountAdd adds the name
+		return (mountedName)
+			? iconObj.toSVG({class:mountedName})
+			: iconObj.toSVG();
+	}
+
+	const tagName = (componentParams.tagName || 'div').toLowerCase();
+	const attributes = [];
+
+	if (componentParams.idName)
+		attributes.push(['id', componentParams.idName]);
+
+	var classNames = (componentParams.className || componentParams.name) ? componentParams.getClassNames() : '';
+	if (mountedName && !classNames.split(' ').includes(mountedName))
+		classNames = (classNames+' '+mountedName).trim();
+	if (classNames)
+		attributes.push(['class', classNames]);
+
+	var propContent = '';
+	for (const propName in componentParams.props) {
+		const propValue = componentParams.props[propName];
+
+		// callbacks and properties without attributes can not be expressed in html text
+		if (typeof propValue == 'function' || ComponentIsPropertyOnly(tagName, propName))
+			continue;
+
+		if (propName === 'innerText' || propName === 'textContent') {
+			propContent = (propValue == null) ? '' : ComponentEscapeHTML(propValue);
+		} else if (propName === 'innerHTML') {
+			propContent = (propValue == null) ? '' : String(propValue);
+		} else if (propName === 'dataset') {
+			for (const key in propValue||{})
+				if (propValue[key] != null)
+					attributes.push(['data-'+key.replace(/[A-Z]/g, (c)=>'-'+c.toLowerCase()), propValue[key]]);
+		} else if (propValue == null || propValue === false) {
+			continue;
+		} else {
+			const attrName = propToAttributeNames[propName] || propName.toLowerCase();
+			attributes.push([attrName, (propValue === true) ? '' : propValue]);
+		}
+	}
+
+	const styleText = renderStyles(componentParams.styles);
+	if (styleText)
+		attributes.push(['style', styleText]);
+
+	var html = '<'+tagName;
+	for (const [attrName, attrValue] of attributes)
+		html += ' '+attrName+'="'+ComponentEscapeHTML(attrValue, true)+'"';
+	html += '>';
+
+	if (voidElements.has(tagName))
+		return html;
+
+	// the props are set before the label and content are mounted so text from innerText, textContent or innerHTML comes first
+	html += propContent;
+
+	// the label is the first content of the node (see the Component constructor)
+	const label = componentParams.optParams.label;
+	if (label) {
+		if (/^@HTML/.test(label) || reHTMLContent.test(label))
+			html += label.replace(/^@HTML/,"");
+		else
+			html += ComponentEscapeHTML(label.replace(/^@TEXT/,""));
+	}
+
+	html += renderContent(componentParams.content, componentParams.defaultChildConstructor);
+
+	return html+'</'+tagName+'>';
+}
+
+
+// private helper to render the child content of a node. This follows the same rules as ComponentMount to interpret the content
+// and to determine the names that children are mounted with.
+function renderContent(content, defaultChildConstructor) {
+	var html = '';
+	const namesUsed = new Set();
+	const arrayIndexes = {};
+	for (var contentSingle of content || []) {
+		if (contentSingle == null)
+			continue;
+
+		// strings are either html or plain text
+		if (typeof contentSingle == 'string') {
+			if (/^@HTML/.test(contentSingle.trim()) || reHTMLContent.test(contentSingle))
+				html += firstHTMLNode(contentSingle.trim().replace(/^@HTML/,""));
+			else
+				html += ComponentEscapeHTML(contentSingle.replace(/^@TEXT/,""));
+			continue;
+		}
+
+		// existing DOMNode and BGNodes can only be rendered if they have been created with some DOM implementation
+		if (!Array.isArray(contentSingle)) {
+			const el = (contentSingle.nodeType) ? contentSingle : contentSingle.el;
+			if (el && typeof el.outerHTML == 'string')
+				html += el.outerHTML;
+			else if (el && el.nodeType == 3 /* TEXT_NODE */)
+				html += ComponentEscapeHTML(el.textContent);
+			else
+				throw new BGError("ComponentRenderToString: content object can not be rendered to text. Use construction params ([...]) instead of objects", {contentSingle});
+			continue;
+		}
+
+		// arrays are construction params of a child
+		const childParams = new ComponentParams(
+			(defaultChildConstructor) ? {defaultConstructor:defaultChildConstructor} : null,
+			...contentSingle
+		);
+
+		// resolve the name that ComponentMountAdd would give this child in its parent. Note that ComponentGetName falls back to the
+		// id when there is no name
+		var childName = childParams.name || childParams.idName;
+		var match;
+		if (childName && (match=/^(?<basename>[^[]+)\[(?<index>.*)\]$/.exec(childName))) {
+			if (!match.groups.index) {
+				match.groups.index = arrayIndexes[match.groups.basename] || 0;
+				childName = match.groups.basename+"["+match.groups.index+"]";
+			}
+			arrayIndexes[match.groups.basename] = Math.max(arrayIndexes[match.groups.basename] || 0, parseInt(match.groups.index)+1 || 0);
+		}
+		if (childName && namesUsed.has(childName))
+			throw new BGError("can not mount this child component because its name is already taken in the parent", {childName, child:contentSingle});
+		childName && namesUsed.add(childName);
+
+		html += renderComponentParams(childParams, childName);
+	}
+	return html;
+}
+
+
+// private helper that returns the text of the first node that html would produce when parsed. ComponentMount parses an html content
+// string and mounts only element.firstChild so anything after the first node is not in the DOM that the browser path builds.
+// The first node can be a text node, a comment or an element. For an element, nested elements with the same tagName are counted to
+// find its end tag. If the end tag is missing, the browser would close it at the end of the text so the rest of html is returned.
+function firstHTMLNode(html) {
+	if (!html)
+		return '';
+
+	// a text node extends to the next tag
+	if (html[0] != '<')
+		return html.replace(/<[\s\S]*$/, '');
+
+	if (html.startsWith('<!--')) {
+		const end = html.indexOf('-->');
+		return (end == -1) ? html : html.slice(0, end+3);
+	}
+
+	const openTag = /^<([a-zA-Z][^\s/>]*)[^>]*>/.exec(html);
+	if (!openTag)
+		return html;
+	const tagName = openTag[1].toLowerCase();
+	if (voidElements.has(tagName))
+		return openTag[0];
+
+	const reTag = new RegExp('<(/?)'+tagName+'(?=[\\s/>])[^>]*>', 'gi');
+	reTag.lastIndex = openTag[0].length;
+	var depth = 1;
+	var match;
+	while ((match = reTag.exec(html))) {
+		depth += (match[1]) ? -1 : 1;
+		if (depth == 0)
+			return html.slice(0, reTag.lastIndex);
+	}
+	return html;
+}
+
+
+// private helper to convert a styles object to the text of a style attribute
+function renderStyles(styles) {
+	const parts = [];
+	for (const styleName in styles) {
+		const styleValue = styles[styleName];
+		if (styleValue == null || styleValue === '')
+			continue;
+		const cssName = (styleName == 'cssFloat')
+			? 'float'
+			: (styleName.startsWith('--'))
+				? styleName
+				: styleName.replace(/[A-Z]/g, (c)=>'-'+c.toLowerCase());
+		parts.push(cssName+': '+styleValue+';');
+	}
+	return parts.join(' ');
+}
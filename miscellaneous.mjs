@@ -1,5 +1,4 @@
 import { Component } from './component'
-const { shell } = require("electron");
 import { BGError } from './BGError';
 import fs from 'fs';
 
@@ -102,7 +101,10 @@ global.console.bgtrace = function(label, ...p) {
 	this.groupEnd();
 }
 
+// electron is required when it is first needed so that this module (and bg-dom) can be imported where there is no electron and no
+// require like a plain nodejs test runner or a web build.
 export function OpenInNewBrowser(url) {
+	const { shell } = require("electron");
 	shell.openExternal(url);
 }
 
@@ -454,3 +456,14 @@ export function debounce(...p) {
 }
 
 var debounceTimers = new Map();
+
+// usage: <void> debounceCancel(<any> timerID)
+// cancel the pending call made with debounce(timerID, ...) so that its func is not called. An object that debounces its methods
+// with debounce(this, ...) should call this when it is destroyed. It does nothing if there is no pending call.
+export function debounceCancel(timerID) {
+	const debounceState = debounceTimers.get(timerID);
+	if (debounceState) {
+		clearTimeout(debounceState.timer);
+		debounceTimers.delete(timerID);
+	}
+}
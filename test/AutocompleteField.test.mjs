@@ -0,0 +1,152 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert                           from 'node:assert/strict';
+import {
+	mountForTest,
+	unmountForTest,
+	typeInto,
+	fireClick,
+	cleanupTests
+}                                       from '../testing.mjs';
+import { AutocompleteField }            from '../AutocompleteField.mjs';
+
+// let the promise callbacks run. setImmediate is not mocked.
+const settle = ()=>new Promise((resolve)=>setImmediate(resolve));
+
+// a suggest function whose calls are resolved by the test
+function controlledSuggest() {
+	const calls = [];
+	const suggest = (text)=>new Promise((resolve, reject)=>calls.push({text, resolve, reject}));
+	return {suggest, calls};
+}
+
+const displayed = (field)=>Array.from(field.suggestionList.el.children).map((itemEl)=>itemEl.textContent);
+
+describe('AutocompleteField', ()=>{
+	afterEach(()=>{
+		cleanupTests();
+		mock.timers.reset();
+	});
+
+	function makeField(params) {
+		mock.timers.enable({apis:['setTimeout']});
+		const field = mountForTest(new AutocompleteField('city: City <input/>', {delay:100, ...params}));
+		field.inputCntr.el.focus();
+		return field;
+	}
+
+	it('debounces typing before calling suggest and marks the matches', async ()=>{
+		const texts = [];
+		const field = makeField({suggest:(text)=>{texts.push(text); return ['Boston', 'Lisbon', {value:'bos', label:'BOS airport'}]}});
+		typeInto(field, 'bo', {commit:false});
+		mock.timers.tick(99);
+		assert.deepEqual(texts, []);
+		mock.timers.tick(1);
+		assert.deepEqual(texts, ['bo']);
+		await settle();
+		assert.equal(field.isOpen, true);
+		assert.deepEqual(displayed(field), ['Boston', 'Lisbon', 'BOS airport']);
+		assert.deepEqual(Array.from(field.suggestionList.el.querySelectorAll('mark')).map((mark)=>mark.textContent), ['Bo', 'bo', 'BO']);
+		assert.equal(field.inputCntr.el.getAttribute('aria-expanded'), 'true');
+	});
+
+	it('discards the results of a request when the text changed after it was made', async ()=>{
+		const {suggest, calls} = controlledSuggest();
+		const field = makeField({suggest});
+		typeInto(field, 'b', {commit:false});
+		mock.timers.tick(100);
+		typeInto(field, 'o', {commit:false});
+		mock.timers.tick(100);
+		assert.deepEqual(calls.map(({text})=>text), ['b', 'bo']);
+
+		// the newer request answers first and the stale answer arrives later
+		calls[1].resolve(['Boston']);
+		await settle();
+		calls[0].resolve(['Berlin', 'Boston']);
+		await settle();
+		assert.deepEqual(displayed(field), ['Boston']);
+
+		// a request that is still pending when the text changes is discarded too
+		typeInto(field, 's', {commit:false});
+		mock.timers.tick(100);
+		typeInto(field, 't', {commit:false});
+		calls[2].resolve(['Bos']);
+		await settle();
+		assert.deepEqual(displayed(field), ['Boston']);
+	});
+
+	it('ignores null suggestions', async ()=>{
+		const errors = [];
+		const field = makeField({suggest:()=>[null, 'Boston', undefined], onSuggestError:(e)=>errors.push(e)});
+		typeInto(field, 'b', {commit:false});
+		mock.timers.tick(100);
+		await settle();
+		assert.deepEqual(errors, []);
+		assert.deepEqual(displayed(field), ['Boston']);
+	});
+
+	it('closes the list and reports a failing suggest', async ()=>{
+		const errors = [];
+		const {suggest, calls} = controlledSuggest();
+		const field = makeField({suggest, onSuggestError:(e)=>errors.push(e.message)});
+		typeInto(field, 'b', {commit:false});
+		mock.timers.tick(100);
+		calls[0].reject(new Error('offline'));
+		await settle();
+		assert.deepEqual(errors, ['offline']);
+		assert.equal(field.isOpen, false);
+	});
+
+	it('ignores the requests that finish or are due after the field is destroyed', async ()=>{
+		const errors = [];
+		const {suggest, calls} = controlledSuggest();
+		const field = makeField({suggest, onSuggestError:(e)=>errors.push(e.message)});
+		typeInto(field, 'c', {commit:false});
+		const resolved = field.requestSuggestions('c');
+		const rejected = field.requestSuggestions('c');
+
+		unmountForTest(field);
+		field.destroy();
+		mock.timers.tick(100);
+		assert.equal(calls.length, 2);
+
+		calls[0].resolve(['Boston']);
+		calls[1].reject(new Error('offline'));
+		await resolved;
+		await rejected;
+		assert.deepEqual(errors, ['offline']);
+	});
+
+	it('chooses a suggestion with the keyboard or the mouse and commits it', async ()=>{
+		const activated = [];
+		const field = makeField({suggest:()=>['Boston', 'Berlin', 'Bern']});
+		field.inputCntr.el.addEventListener('change', ()=>activated.push(field.value));
+		typeInto(field, 'b', {commit:false});
+		mock.timers.tick(100);
+		await settle();
+
+		const key = (key)=>field.inputCntr.el.dispatchEvent(new KeyboardEvent('keydown', {key, bubbles:true, cancelable:true}));
+		key('ArrowDown');
+		key('ArrowDown');
+		key('ArrowUp');
+		key('ArrowUp');
+		assert.equal(field.highlightIndex, 2);
+		assert.equal(field.inputCntr.el.getAttribute('aria-activedescendant'), field.listID+'-2');
+		key('Enter');
+		assert.equal(field.value, 'Bern');
+		assert.equal(field.selectedSuggestion.value, 'Bern');
+		assert.equal(field.isOpen, false);
+
+		typeInto(field, 'e', {commit:false});
+		mock.timers.tick(100);
+		await settle();
+		fireClick(field.suggestionList.el.children[1]);
+		assert.equal(field.value, 'Berlin');
+		assert.deepEqual(activated, ['Bern', 'Berlin']);
+
+		typeInto(field, 'x', {commit:false});
+		mock.timers.tick(100);
+		await settle();
+		key('Escape');
+		assert.equal(field.isOpen, false);
+	});
+});
@@ -0,0 +1,115 @@
+import { describe, it }                  from 'node:test';
+import assert                            from 'node:assert/strict';
+import                                        '../DomShim.mjs';
+import { BGStylesheet, CSSScopedRules }  from '../BGStylesheet.mjs';
+
+// the css text of the rules of sheet without the placeholder rules (at index 0 and in the slots of deleted rules)
+const ruleTexts = (sheet)=>Array.from(sheet.dynStyles.cssRules).map((cssRule)=>cssRule.cssText).filter((text)=>!text.startsWith('#NOTHING'));
+
+describe('BGStylesheet', ()=>{
+	it('isEmpty ignores the placeholder rule', ()=>{
+		const sheet = new BGStylesheet();
+		assert.equal(sheet.isEmpty(), true);
+		sheet.addRule('.a { color: red; }');
+		assert.equal(sheet.isEmpty(), false);
+		sheet.deleteAllRules();
+		assert.equal(sheet.isEmpty(), true);
+		assert.equal(sheet.dynStyles.cssRules.length, 1);
+	});
+
+	it('addAllRules puts the rules after the placeholder', ()=>{
+		const sheet = new BGStylesheet();
+		sheet.addRule('.old { color: red; }');
+		sheet.addAllRules(['.a { color: red; }', '.b { color: blue; }']);
+		assert.deepEqual(ruleTexts(sheet), ['.a { color: red; }', '.b { color: blue; }']);
+		assert.notEqual(sheet.addRule('.c { color: green; }'), 0);
+	});
+
+	it('reuses the ruleIDs of deleted rules', ()=>{
+		const sheet = new BGStylesheet();
+		const id1 = sheet.addRule('.a { color: red; }');
+		const id2 = sheet.addRule('.b { color: red; }');
+		assert.deepEqual([id1, id2], [1, 2]);
+		sheet.deleteRule(id1);
+		assert.equal(sheet.addRule('.c { color: red; }'), id1);
+		assert.equal(sheet.updateRule(id2, '.d { color: red; }'), id2);
+		assert.deepEqual(ruleTexts(sheet), ['.c { color: red; }', '.d { color: red; }']);
+	});
+
+	it('rule() builds the rules from a styles object', ()=>{
+		const sheet = new BGStylesheet();
+		const handle = sheet.rule('.view', {gridTemplateColumns:'1fr 2fr', '--gutter':'4px', cssFloat:'left', color:'red !important'});
+		assert.equal(handle.cssRules.length, 1);
+		const style = handle.cssRules[0].style;
+		assert.equal(style.getPropertyValue('grid-template-columns'), '1fr 2fr');
+		assert.equal(style.getPropertyValue('--gutter'), '4px');
+		assert.equal(style.getPropertyValue('float'), 'left');
+		assert.equal(handle.isRemoved, false);
+	});
+
+	it('update() changes a flat rule in place', ()=>{
+		const sheet = new BGStylesheet();
+		const handle = sheet.rule('.view', {color:'red', margin:'1px'});
+		const cssRule = handle.cssRules[0];
+		handle.update({color:'blue', margin:null});
+		assert.equal(handle.cssRules[0], cssRule);
+		assert.equal(cssRule.style.getPropertyValue('color'), 'blue');
+		assert.equal(cssRule.style.getPropertyValue('margin'), '');
+		assert.equal(sheet.dynStyles.cssRules.length, 2);
+	});
+
+	it('update() rebuilds the rules when nested rules change', ()=>{
+		const sheet = new BGStylesheet();
+		const handle = sheet.rule('.view', {color:'red'});
+		const cssRule = handle.cssRules[0];
+		handle.update({'&:hover':{color:'blue'}});
+		assert.notEqual(handle.cssRules[0], cssRule);
+		assert.deepEqual(handle.cssRules.map((cssRule)=>cssRule.selectorText), ['.view', '.view:hover']);
+		handle.update({'&:hover':null});
+		assert.deepEqual(handle.cssRules.map((cssRule)=>cssRule.selectorText), ['.view']);
+		assert.deepEqual(ruleTexts(sheet), ['.view { color: red; }']);
+	});
+
+	it('scopes nested & selectors, descendant selectors and @media', ()=>{
+		assert.deepEqual(CSSScopedRules({
+			display:'grid',
+			'&.selected, & > .dragger': {background:'blue'},
+			'.label, .icon': {padding:0},
+			'@media (max-width:600px)': {display:'block', '.label': {display:'none'}}
+		}, '.view'), [
+			'.view { display: grid; }',
+			'.view.selected, .view > .dragger { background: blue; }',
+			'.view .label, .view .icon { padding: 0; }',
+			'@media (max-width:600px) { .view { display: block; } .view .label { display: none; } }'
+		]);
+
+		const sheet = new BGStylesheet();
+		const handle = sheet.rule('.view', {'@media (max-width:600px)': {display:'block'}});
+		assert.equal(handle.cssRules[0].conditionText, '(max-width:600px)');
+		assert.equal(handle.cssRules[0].cssRules[0].cssText, '.view { display: block; }');
+	});
+
+	it('remove() deletes the rules and update() adds them again', ()=>{
+		const sheet = new BGStylesheet();
+		const handle = sheet.rule('.view', {color:'red'});
+		handle.remove();
+		assert.equal(handle.isRemoved, true);
+		assert.deepEqual(ruleTexts(sheet), []);
+		handle.update({color:'blue'});
+		assert.equal(handle.isRemoved, false);
+		assert.deepEqual(ruleTexts(sheet), ['.view { color: blue; }']);
+	});
+
+	it('a handle adds its rules again after deleteAllRules', ()=>{
+		const sheet = new BGStylesheet();
+		const handle = sheet.rule('.view', {color:'red'});
+		const other  = sheet.rule('.other', {color:'green'});
+		sheet.deleteAllRules();
+		assert.equal(handle.isRemoved, true);
+		assert.equal(sheet.isEmpty(), true);
+		handle.update({margin:'1px'});
+		assert.equal(handle.isRemoved, false);
+		assert.deepEqual(ruleTexts(sheet), ['.view { color: red; margin: 1px; }']);
+		assert.equal(other.isRemoved, true);
+	});
+});
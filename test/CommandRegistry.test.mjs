@@ -0,0 +1,126 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert                           from 'node:assert/strict';
+import {
+	mountForTest,
+	cleanupTests
+}                                       from '../testing.mjs';
+import { Component }                    from '../component.mjs';
+import { commands, keymaps, CommandHost } from '../CommandRegistry.mjs';
+import { tooltips }                     from '../Tooltips.mjs';
+
+const pressKey = (el, key, init={})=>el.dispatchEvent(new KeyboardEvent('keydown', {key, bubbles:true, cancelable:true, ...init}));
+
+describe('CommandRegistry and KeymapManager', ()=>{
+	const disposables = [];
+	afterEach(()=>{
+		for (const disposable of disposables.splice(0))
+			disposable.dispose();
+		keymaps.clearPending();
+		cleanupTests();
+		mock.timers.reset();
+	});
+
+	// an editor inside a panel. log records '<command> <handler owner>' for each handler called
+	function setup() {
+		const panel = mountForTest(new Component('panel:$div.my-panel', [new Component('editor:$div.my-editor', {tabIndex:0})]));
+		const log = [];
+		const record = (name)=>(event)=>log.push(event.type+' '+name);
+		disposables.push(
+			commands.add('.my-panel', {'app:save':record('panel'), 'app:close':record('panel')}),
+			commands.add(panel.editor, 'app:save', {didDispatch:record('editor'), displayName:'Save Document'})
+		);
+		return {panel, editor:panel.editor, log};
+	}
+
+	it('dispatches to the target and its ancestors until propagation is stopped', ()=>{
+		const {editor, log} = setup();
+		assert.equal(commands.dispatch(editor, 'app:save'), true);
+		assert.deepEqual(log, ['app:save editor', 'app:save panel']);
+
+		log.length = 0;
+		disposables.push(commands.add(editor, 'app:save', (event)=>{ log.push('stopper'); event.stopPropagation(); }));
+		commands.dispatch(editor, 'app:save');
+		assert.deepEqual(log, ['stopper', 'app:save editor']);
+
+		log.length = 0;
+		disposables.push(commands.add(editor, 'app:save', (event)=>{ log.push('immediate'); event.stopImmediatePropagation(); }));
+		commands.dispatch(editor, 'app:save', {reason:'test'});
+		assert.deepEqual(log, ['immediate']);
+
+		assert.equal(commands.dispatch(editor, 'app:unknown'), false);
+		assert.equal(commands.dispatch(document.body, 'app:close'), false);
+		assert.throws(()=>commands.add('.x', 'app:bad', null), /handler must be a function/);
+	});
+
+	it('lists the commands available at a target with their display names', ()=>{
+		const {editor, panel} = setup();
+		const found = (target)=>commands.findCommands({target}).filter((command)=>command.name.startsWith('app:'));
+		assert.deepEqual(found(editor), [
+			{name:'app:save',  displayName:'Save Document', description:'Save Document'},
+			{name:'app:close', displayName:'App: Close',    description:'App: Close'}
+		]);
+		assert.deepEqual(found(panel).map((command)=>command.displayName), ['App: Save', 'App: Close']);
+
+		disposables.shift().dispose();
+		assert.deepEqual(found(panel), []);
+	});
+
+	it('dispatches the command bound to a keystroke to the focused element', ()=>{
+		const {editor, log} = setup();
+		disposables.push(keymaps.add('test', {
+			'.my-panel' : {'ctrl-s':'app:save', 'ctrl-W':'app:close'},
+			'.my-editor': {'ctrl-s':'app:close'}
+		}));
+		editor.el.focus();
+		assert.equal(pressKey(editor.el, 'w', {ctrlKey:true, shiftKey:true}), false);
+		assert.equal(pressKey(editor.el, 's', {ctrlKey:true}), false);
+		assert.deepEqual(log, ['app:close panel', 'app:close panel']);
+
+		// keys that a component already handled are ignored
+		editor.el.addEventListener('keydown', (e)=>e.preventDefault(), {once:true});
+		pressKey(editor.el, 's', {ctrlKey:true});
+		assert.equal(log.length, 2);
+		assert.equal(pressKey(editor.el, 'x', {ctrlKey:true}), true);
+	});
+
+	it('waits for the rest of a multi-stroke sequence', ()=>{
+		mock.timers.enable({apis:['setTimeout']});
+		const {editor, log} = setup();
+		disposables.push(keymaps.add('test', {'.my-panel': {'ctrl-k ctrl-s':'app:save', 'ctrl-s':'app:close'}}));
+
+		assert.equal(pressKey(editor.el, 'k', {ctrlKey:true}), false);
+		assert.deepEqual(log, []);
+		pressKey(editor.el, 's', {ctrlKey:true});
+		assert.deepEqual(log, ['app:save editor', 'app:save panel']);
+
+		// a keystroke that does not continue the sequence is tried on its own
+		log.length = 0;
+		pressKey(editor.el, 'k', {ctrlKey:true});
+		pressKey(editor.el, 'x');
+		pressKey(editor.el, 's', {ctrlKey:true});
+		assert.deepEqual(log, ['app:close panel']);
+
+		// the pending keystrokes are dropped after a second
+		log.length = 0;
+		pressKey(editor.el, 'k', {ctrlKey:true});
+		mock.timers.tick(1000);
+		pressKey(editor.el, 's', {ctrlKey:true});
+		assert.deepEqual(log, ['app:close panel']);
+	});
+
+	it('normalizes keystrokes and provides them to the tooltips', ()=>{
+		disposables.push(keymaps.add('test', {'body': {'shift-ctrl-P':'app:palette', 'ctrl-k ctrl-c':'app:comment', 'alt-ArrowUp':'app:up'}}));
+		assert.deepEqual(keymaps.findKeyBindings({command:'app:palette'}).map((binding)=>binding.keystrokes), ['ctrl-shift-p']);
+		assert.equal(keymaps.findKeyBindings({keystrokes:'alt-up'})[0].command, 'app:up');
+		assert.equal(keymaps.keystrokesFor('app:comment'), 'Ctrl-K Ctrl-C');
+		assert.equal(keymaps.keystrokesFor('app:none'), null);
+		assert.equal(tooltips.keymapLookup('app:palette'), 'Ctrl-Shift-P');
+		assert.equal(keymaps.keystrokeForKeyboardEvent(new KeyboardEvent('keydown', {key:'?', shiftKey:true})), '?');
+		assert.equal(keymaps.keystrokeForKeyboardEvent(new KeyboardEvent('keydown', {key:'Shift', shiftKey:true})), null);
+		assert.throws(()=>keymaps.add('test', {'body': {'hyper-x':'app:x'}}), /unknown modifier 'hyper'/);
+	});
+
+	it('CommandHost uses the bg services outside of atom', ()=>{
+		assert.deepEqual(CommandHost(), {commands, keymaps, defaultTarget:document.body});
+	});
+});
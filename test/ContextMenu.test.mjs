@@ -0,0 +1,141 @@
+import { describe, it, afterEach } from 'node:test';
+import assert                     from 'node:assert/strict';
+import {
+	mountForTest,
+	fireClick,
+	cleanupTests
+}                                 from '../testing.mjs';
+import { Component }              from '../component.mjs';
+import { ContextMenu }            from '../ContextMenu.mjs';
+
+const pressKey = (key)=>document.activeElement.dispatchEvent(new KeyboardEvent('keydown', {key, bubbles:true, cancelable:true}));
+const openMenus = ()=>Array.from(document.querySelectorAll('.bg-context-menu'));
+const labels = (menuEl)=>Array.from(menuEl.querySelectorAll('li:not(.separator)')).map((li)=>li.textContent);
+
+function rightClick(comp, init={clientX:20, clientY:30}) {
+	return comp.el.dispatchEvent(new MouseEvent('contextmenu', {bubbles:true, cancelable:true, button:2, ...init}));
+}
+
+describe('ContextMenu', ()=>{
+	const disposables = [];
+	afterEach(()=>{
+		for (const disposable of disposables.splice(0))
+			disposable.dispose();
+		cleanupTests();
+	});
+
+	// a view with a context menu that records the clicks as '<label> <target name>'
+	function makeView(extraItems=[]) {
+		const view = mountForTest(new Component('files:$div', {tabIndex:0}, 'files'));
+		view.log = [];
+		view.sortBy = 'name';
+		const record = (item, target)=>view.log.push(item.label+' '+target.name);
+		disposables.push(Component.addContextMenu(view, (target)=>[
+			{label:'Open',   click:record},
+			{label:'Rename', click:record, enabled:false},
+			{label:'Hidden', click:record, visible:false},
+			'-',
+			{label:'Sort By', submenu:[
+				{label:'Name', type:'radio', checked:target.sortBy=='name', click:(item)=>{target.sortBy='name'; record(item, target)}},
+				{label:'Date', type:'radio', checked:target.sortBy=='date', click:(item)=>{target.sortBy='date'; record(item, target)}}
+			]},
+			...extraItems
+		]));
+		return view;
+	}
+
+	it('opens at the mouse with the items for the target', ()=>{
+		const view = makeView();
+		assert.equal(rightClick(view), false);
+		const [menuEl] = openMenus();
+		assert.deepEqual(labels(menuEl), ['Open', 'Rename', 'Sort By']);
+		assert.equal(menuEl.style.left, '20px');
+		assert.equal(menuEl.style.top, '30px');
+		assert.equal(menuEl.querySelector('li:nth-child(2)').getAttribute('aria-disabled'), 'true');
+		assert.equal(document.activeElement.textContent, 'Open');
+	});
+
+	it('calls the click of the item and closes, returning the focus', ()=>{
+		const view = makeView();
+		view.el.focus();
+		rightClick(view);
+		fireClick(openMenus()[0].querySelector('li:nth-child(2)'));
+		assert.equal(openMenus().length, 1);
+		fireClick(openMenus()[0].firstChild);
+		assert.deepEqual(view.log, ['Open files']);
+		assert.equal(openMenus().length, 0);
+		assert.equal(document.activeElement, view.el);
+	});
+
+	it('navigates with the keyboard into a submenu and checks radio items', ()=>{
+		const view = makeView();
+		rightClick(view);
+		pressKey('ArrowDown');
+		assert.equal(document.activeElement.textContent, 'Sort By');
+		pressKey('ArrowRight');
+		const [, submenuEl] = openMenus();
+		assert.deepEqual(labels(submenuEl), ['Name', 'Date']);
+		assert.equal(submenuEl.firstChild.getAttribute('aria-checked'), 'true');
+		assert.equal(document.activeElement.textContent, 'Name');
+
+		pressKey('ArrowLeft');
+		assert.equal(openMenus().length, 1);
+		assert.equal(document.activeElement.textContent, 'Sort By');
+
+		pressKey('Enter');
+		pressKey('End');
+		pressKey(' ');
+		assert.deepEqual(view.log, ['Date files']);
+		assert.equal(openMenus().length, 0);
+
+		// the items function sees the new state the next time the menu opens
+		rightClick(view);
+		pressKey('End');
+		pressKey('ArrowRight');
+		assert.equal(openMenus()[1].lastChild.getAttribute('aria-checked'), 'true');
+		pressKey('Escape');
+		pressKey('Escape');
+		assert.equal(openMenus().length, 0);
+	});
+
+	it('toggles checkbox items', ()=>{
+		const showHidden = {label:'Show Hidden', type:'checkbox', checked:false};
+		const view = makeView([showHidden]);
+		rightClick(view);
+		fireClick(openMenus()[0].lastChild);
+		assert.equal(showHidden.checked, true);
+		rightClick(view);
+		assert.equal(openMenus()[0].lastChild.getAttribute('aria-checked'), 'true');
+	});
+
+	it('closes when the user clicks outside and when it is removed from the comp', ()=>{
+		const view = makeView();
+		const other = mountForTest(new Component('$button', 'other'));
+		rightClick(view);
+		other.el.dispatchEvent(new MouseEvent('mousedown', {bubbles:true}));
+		assert.equal(openMenus().length, 0);
+
+		rightClick(view);
+		disposables.pop().dispose();
+		assert.equal(openMenus().length, 0);
+		assert.equal(rightClick(view), true);
+		assert.equal(openMenus().length, 0);
+	});
+
+	it('only has one open menu at a time', ()=>{
+		const first = new ContextMenu([{label:'A'}]);
+		const second = new ContextMenu([{label:'B'}]);
+		first.open(0, 0);
+		second.open(0, 0);
+		assert.equal(first.isOpen, false);
+		assert.deepEqual(openMenus().map(labels), [['B']]);
+		first.destroy();
+		second.destroy();
+	});
+
+	it('throws for an item without a label', ()=>{
+		const menu = new ContextMenu([{click:()=>{}}]);
+		assert.throws(()=>menu.renderItems(menu.items), /must be '-' or an object with a label/);
+		menu.destroy();
+	});
+});
@@ -0,0 +1,115 @@
+import { describe, it, afterEach } from 'node:test';
+import assert                     from 'node:assert/strict';
+import {
+	mountForTest,
+	fireClick,
+	cleanupTests
+}                                 from '../testing.mjs';
+import { DataTable }              from '../DataTable.mjs';
+
+const invoices = ()=>[
+	{id:1, customer:'Bob',   amount:30},
+	{id:2, customer:'alice', amount:5},
+	{id:3, customer:'Carl',  amount:12.5}
+];
+
+function makeTable(params) {
+	return mountForTest(new DataTable('invoices:', {
+		columns: [
+			{key:'id', label:'#', width:60},
+			{key:'customer'},
+			{key:'amount', formatter:(value)=>value.toFixed(2), minWidth:40}
+		],
+		rows  : invoices(),
+		rowKey: 'id',
+		...params
+	}));
+}
+
+const displayedIds = (table)=>table.rows.map((row)=>row.data.id);
+
+describe('DataTable', ()=>{
+	afterEach(cleanupTests);
+
+	it('renders the header and a row of named cells for each row data', ()=>{
+		const table = makeTable();
+		assert.deepEqual(Object.keys(table.headerCells), ['id', 'customer', 'amount']);
+		assert.equal(table.headerCells.id.label.el.textContent, '#');
+		assert.equal(table.rows.length, 3);
+		assert.equal(table.rows[2].cells.amount.el.textContent, '12.50');
+		assert.equal(table.colgroup.el.children[0].style.width, '60px');
+	});
+
+	it('setRows reuses the rows whose key still exists', ()=>{
+		const table = makeTable();
+		const [row1, row2, row3] = table.rows;
+		table.setRows([{id:3, customer:'Carl', amount:99}, {id:4, customer:'Dan', amount:1}, {id:1, customer:'Bob', amount:30}]);
+		assert.deepEqual(displayedIds(table), [3, 4, 1]);
+		assert.equal(table.rows[0], row3);
+		assert.equal(table.rows[2], row1);
+		assert.ok(!table.rows.includes(row2));
+		assert.equal(row3.cells.amount.el.textContent, '99.00');
+		assert.deepEqual(Array.from(table.body.el.children), table.rows.map((row)=>row.el));
+	});
+
+	it('sorts by a column and reverses when the header is clicked again', ()=>{
+		const table = makeTable();
+		fireClick(table.headerCells.amount);
+		assert.deepEqual(displayedIds(table), [2, 3, 1]);
+		assert.equal(table.headerCells.amount.el.getAttribute('aria-sort'), 'ascending');
+		assert.ok(table.headerCells.amount.el.classList.contains('sort-asc'));
+
+		fireClick(table.headerCells.amount);
+		assert.deepEqual(displayedIds(table), [1, 3, 2]);
+		assert.equal(table.headerCells.amount.el.getAttribute('aria-sort'), 'descending');
+		assert.equal(table.headerCells.id.el.getAttribute('aria-sort'), 'none');
+
+		// strings compare without case and the sort is kept when the rows change
+		table.sortBy('customer', 'asc');
+		assert.deepEqual(displayedIds(table), [2, 1, 3]);
+		table.setRows([...invoices(), {id:4, customer:'Ann', amount:0}]);
+		assert.deepEqual(displayedIds(table), [2, 4, 1, 3]);
+
+		table.sortBy(null);
+		assert.deepEqual(displayedIds(table), [1, 2, 3, 4]);
+	});
+
+	it('resizes a column by dragging the handle in its header', ()=>{
+		const table = makeTable();
+		const resizer = table.headerCells.amount.el.querySelector('.bg-column-resizer');
+		Object.defineProperty(table.headerCells.amount.el, 'getBoundingClientRect', {value:()=>({width:100})});
+		resizer.dispatchEvent(new PointerEvent('pointerdown', {bubbles:true, cancelable:true, clientX:200, pointerId:5}));
+		assert.ok(resizer.hasPointerCapture(5));
+		resizer.dispatchEvent(new PointerEvent('pointermove', {bubbles:true, clientX:250, pointerId:5}));
+		assert.equal(table.colgroup.el.children[2].style.width, '150px');
+
+		// the width does not go below minWidth
+		resizer.dispatchEvent(new PointerEvent('pointermove', {bubbles:true, clientX:0, pointerId:5}));
+		assert.equal(table.colgroup.el.children[2].style.width, '40px');
+		resizer.dispatchEvent(new PointerEvent('pointerup', {bubbles:true, clientX:0, pointerId:5}));
+		assert.ok(!resizer.hasPointerCapture(5));
+
+		// clicking the handle does not sort
+		fireClick(resizer);
+		assert.equal(table.sortKey, null);
+	});
+
+	it('selects rows with click, ctrl-click and shift-click and fires the selection channel', ()=>{
+		const table = makeTable({selectable:'multiple'});
+		const fired = [];
+		const view = {};
+		deps.add({obj:table, channel:'selection'}, view, (change, selectedRows)=>fired.push(selectedRows.map((rowData)=>rowData.id)));
+
+		fireClick(table.rows[0].cells.customer);
+		fireClick(table.rows[2].cells.customer, {shiftKey:true});
+		fireClick(table.rows[1].cells.customer, {ctrlKey:true});
+		assert.deepEqual(fired, [[1], [1,2,3], [1,3]]);
+		assert.equal(table.rows[1].el.getAttribute('aria-selected'), 'false');
+		assert.ok(table.rows[2].el.classList.contains('selected'));
+
+		// rows that are removed leave the selection
+		table.setRows(table.data.slice(1));
+		assert.deepEqual(table.getSelectedRows().map((rowData)=>rowData.id), [3]);
+		deps.objectDestroyed(view);
+	});
+});
@@ -0,0 +1,676 @@
+import { describe, it, mock }            from 'node:test';
+import assert                            from 'node:assert/strict';
+import {
+	DependentsGraph,
+	ChangeRecord,
+	ObservableModel
+}                                       from '../DependentsGraph.mjs';
+
+// a dependent that records the onDepChanged calls it receives
+class Recorder {
+	constructor(name, log) {
+		this.name  = name;
+		this.log   = log;
+		this.calls = [];
+	}
+	onDepChanged(change, ...p) {
+		this.calls.push({change, p});
+		this.log && this.log.push(this.name);
+	}
+}
+
+describe('DependentsGraph transactions', ()=>{
+	it('notifies a dependent of several sources once with all of their changes', ()=>{
+		const a = {}, b = {};
+		const view = new Recorder('view');
+		deps.add(a, view);
+		deps.add(b, view);
+		deps.transaction(()=>{
+			deps.fire(a, 'a1');
+			deps.fire(b, 'b1');
+			deps.fire(a, 'a2');
+		});
+		assert.equal(view.calls.length, 1);
+		const {change, p} = view.calls[0];
+		assert.deepEqual(change.changes.map((record)=>record.newValue), ['a1', 'a2', 'b1']);
+		assert.deepEqual(p, ['b1']);
+		assert.deepEqual(change.sourceParams, [
+			{obj:a, channel:deps.fAll, params:['a2']},
+			{obj:b, channel:deps.fAll, params:['b1']}
+		]);
+		deps.objectDestroyed(view);
+	});
+
+	it('does not propagate while the transaction runs', ()=>{
+		const a = {};
+		const view = new Recorder('view');
+		deps.add(a, view);
+		const result = deps.transaction(()=>{
+			assert.equal(deps.fire(a, 1), undefined);
+			assert.equal(view.calls.length, 0);
+			return 'result';
+		});
+		assert.equal(result, 'result');
+		assert.equal(view.calls.length, 1);
+		deps.objectDestroyed(view);
+	});
+
+	it('coalesces a diamond so the bottom is notified once after both sides', ()=>{
+		const log = [];
+		const top = {};
+		const left = {}, right = {};
+		const bottom = new Recorder('bottom', log);
+		deps.add(top, left);
+		deps.add(top, right);
+		deps.add(left, bottom);
+		deps.add(right, bottom);
+		deps.transaction(()=>deps.fire(top, 'x'));
+		assert.equal(bottom.calls.length, 1);
+		assert.deepEqual(bottom.calls[0].change.changes.map((record)=>record.newValue), ['x']);
+		[top, left, right, bottom].forEach((obj)=>deps.objectDestroyed(obj));
+	});
+
+	it('calls each custom propagationFn once with the merged records of its source', ()=>{
+		const a = {}, b = {};
+		const view = {};
+		const calls = [];
+		deps.add(a, view, (change, ...p)=>calls.push(['a', change.changes.length, p]));
+		deps.add({obj:b, channel:'size'}, view, (change, ...p)=>calls.push(['b', change.changes.length, p]));
+		deps.transaction(()=>{
+			deps.fire(a, 1);
+			deps.fire(a, 2);
+			deps.fire({obj:b, channel:'size'}, 3);
+		});
+		assert.deepEqual(calls, [['a', 2, [2]], ['b', 1, [3]]]);
+		deps.objectDestroyed(view);
+	});
+
+	it('only propagates at the end of the outermost transaction', ()=>{
+		const a = {};
+		const view = new Recorder('view');
+		deps.add(a, view);
+		deps.transaction(()=>{
+			deps.transaction(()=>deps.fire(a, 1));
+			assert.equal(view.calls.length, 0);
+			deps.fire(a, 2);
+		});
+		assert.equal(view.calls.length, 1);
+		assert.equal(view.calls[0].change.changes.length, 2);
+		deps.objectDestroyed(view);
+	});
+
+	it('discards the fires of a transaction that throws', ()=>{
+		const a = {};
+		const view = new Recorder('view');
+		deps.add(a, view);
+		assert.throws(()=>deps.transaction(()=>{
+			deps.fire(a, 1);
+			throw new Error('abort');
+		}), /abort/);
+		assert.equal(deps.transactionDepth, 0);
+		assert.equal(view.calls.length, 0);
+
+		deps.fire(a, 2);
+		assert.equal(view.calls.length, 1);
+		deps.objectDestroyed(view);
+	});
+
+	it('keeps the fires of the outer transaction when a nested one throws', ()=>{
+		const a = {}, b = {};
+		const view = new Recorder('view');
+		deps.add(a, view);
+		deps.add(b, view);
+		deps.transaction(()=>{
+			deps.fire(a, 'kept');
+			assert.throws(()=>deps.transaction(()=>{
+				deps.fire(b, 'dropped');
+				throw new Error('abort');
+			}));
+		});
+		assert.equal(view.calls.length, 1);
+		assert.deepEqual(view.calls[0].change.changes.map((record)=>record.newValue), ['kept']);
+		deps.objectDestroyed(view);
+	});
+
+	it('transactionAsync propagates after the promise resolves and discards on rejection', async ()=>{
+		const a = {};
+		const view = new Recorder('view');
+		deps.add(a, view);
+		const pending = deps.transactionAsync(async ()=>{
+			deps.fire(a, 1);
+			await Promise.resolve();
+			deps.fire(a, 2);
+			return 'done';
+		});
+		assert.equal(view.calls.length, 0);
+		assert.equal(await pending, 'done');
+		assert.equal(view.calls.length, 1);
+		assert.equal(view.calls[0].change.changes.length, 2);
+
+		await assert.rejects(deps.transactionAsync(async ()=>{
+			deps.fire(a, 3);
+			throw new Error('abort');
+		}), /abort/);
+		assert.equal(view.calls.length, 1);
+		deps.objectDestroyed(view);
+	});
+
+	it('keeps the fires of an overlapping transactionAsync when another one rejects', async ()=>{
+		const a = {}, b = {};
+		const view = new Recorder('view');
+		deps.add(a, view);
+		deps.add(b, view);
+		var rejectInner, resolveOuter;
+		const outer = deps.transactionAsync(async ()=>{
+			deps.fire(a, 'before');
+			await new Promise((resolve)=>resolveOuter = resolve);
+		});
+		const inner = deps.transactionAsync(async ()=>{
+			deps.fire(b, 'dropped');
+			await new Promise((resolve, reject)=>rejectInner = reject);
+		});
+		resolveOuter();
+		await outer;
+		assert.equal(deps.transactionDepth, 1);
+		assert.equal(view.calls.length, 0);
+
+		rejectInner(new Error('abort'));
+		await assert.rejects(inner, /abort/);
+		assert.equal(deps.transactionDepth, 0);
+		assert.equal(deps.pendingFires.size, 0);
+		assert.equal(view.calls.length, 1);
+		assert.deepEqual(view.calls[0].change.changes.map((record)=>record.newValue), ['before']);
+		deps.objectDestroyed(view);
+	});
+
+	it('discards the fires made while a rejected inner transaction was the last one started', async ()=>{
+		const a = {};
+		const view = new Recorder('view');
+		deps.add(a, view);
+		var rejectInner;
+		const outer = deps.transactionAsync(async ()=>{
+			deps.fire(a, 1);
+			const inner = deps.transactionAsync(()=>new Promise((resolve, reject)=>rejectInner = reject));
+			deps.fire(a, 2);
+			rejectInner(new Error('abort'));
+			await assert.rejects(inner, /abort/);
+			deps.fire(a, 3);
+		});
+		await outer;
+		assert.deepEqual(view.calls.map(({change})=>change.changes.map((record)=>record.newValue)), [[1, 3]]);
+		deps.objectDestroyed(view);
+	});
+});
+
+describe('DependentsGraph change records', ()=>{
+	it('merges the fires between changeStart and changeEnd', ()=>{
+		const a = {};
+		const view = new Recorder('view');
+		deps.add(a, view);
+		deps.changeStart(a);
+		deps.changeStart(a);
+		deps.fire(a, 1);
+		deps.changeEnd(a);
+		deps.fire(a, 2);
+		assert.equal(view.calls.length, 0);
+		deps.changeEnd(a, 3);
+		assert.equal(view.calls.length, 1);
+		const {change, p} = view.calls[0];
+		assert.deepEqual(change.changes.map((record)=>record.newValue), [1, 2, 3]);
+		assert.equal(change.newValue, 3);
+		assert.deepEqual(p, [3]);
+		deps.objectDestroyed(view);
+	});
+
+	it('propagates one record when a changeStart/changeEnd pair has no fires', ()=>{
+		const a = {};
+		const view = new Recorder('view');
+		deps.add(a, view);
+		deps.changeStart(a);
+		deps.changeEnd(a);
+		assert.equal(view.calls.length, 1);
+		assert.equal(view.calls[0].change.kind, 'change');
+		assert.equal(view.calls[0].change.changes.length, 1);
+		deps.objectDestroyed(view);
+	});
+
+	it('passes a ChangeRecord given to fire as is', ()=>{
+		const a = {};
+		const view = new Recorder('view');
+		deps.add({obj:a, channel:'title'}, view);
+		const record = new ChangeRecord({source:a, channel:'title', kind:'set', oldValue:'x', newValue:'y'});
+		deps.fire({obj:a, channel:'title'}, record);
+		const {change} = view.calls[0];
+		assert.equal(change.kind, 'set');
+		assert.equal(change.oldValue, 'x');
+		assert.equal(change.newValue, 'y');
+		assert.deepEqual(change.changes, [record]);
+		deps.objectDestroyed(view);
+	});
+
+	it('Merge returns null for an empty list', ()=>{
+		assert.equal(ChangeRecord.Merge([]), null);
+	});
+
+	it('merges the records of debounced fires', ()=>{
+		mock.timers.enable({apis:['setTimeout']});
+		try {
+			const a = {};
+			const view = {};
+			const calls = [];
+			deps.add(a, view, {debounce:100, propagationFn:(change, ...p)=>calls.push({change, p})});
+			deps.fire(a, 1);
+			deps.fire(a, 2);
+			mock.timers.tick(50);
+			deps.fire(a, 3);
+			mock.timers.tick(99);
+			assert.equal(calls.length, 0);
+			mock.timers.tick(1);
+			assert.equal(calls.length, 1);
+			assert.deepEqual(calls[0].change.changes.map((record)=>record.newValue), [1, 2, 3]);
+			assert.equal(calls[0].change.oldValue, undefined);
+			assert.equal(calls[0].change.newValue, 3);
+			assert.deepEqual(calls[0].p, [3]);
+			deps.objectDestroyed(view);
+		} finally {
+			mock.timers.reset();
+		}
+	});
+});
+
+describe('DependentsGraph cycle detection', ()=>{
+	// build a -> b -> c,d (c depends on the 'x' channel of b which depends on a) and a diamond top -> left,right -> bottom
+	function makeGraph() {
+		const g = {a:{name:'a'}, b:{name:'b'}, c:{name:'c'}, d:{name:'d'}, top:{}, left:{}, right:{}, bottom:{}};
+		deps.add(g.a, g.b);
+		deps.add({obj:g.b, channel:'x'}, g.c);
+		deps.add(g.b, g.d);
+		deps.add(g.top, g.left);
+		deps.add(g.top, g.right);
+		deps.add(g.left, g.bottom);
+		deps.add(g.right, g.bottom);
+		return g;
+	}
+	function destroyGraph(g) {
+		for (const name in g)
+			deps.objectDestroyed(g[name]);
+	}
+	function withCycleMode(cycleMode, fn) {
+		const prevCycleMode = deps.cycleMode;
+		deps.cycleMode = cycleMode;
+		const warn = mock.method(console, 'warn', ()=>{});
+		try {
+			return fn(warn);
+		} finally {
+			warn.mock.restore();
+			deps.cycleMode = prevCycleMode;
+		}
+	}
+
+	it('findPath returns the chain of relations or null', ()=>{
+		const g = makeGraph();
+		assert.deepEqual(deps.findPath(g.a, g.c), [g.a, g.b, g.c]);
+		assert.equal(deps.findPath(g.c, g.a), null);
+		assert.equal(deps.findPath(g.left, g.right), null);
+		destroyGraph(g);
+	});
+
+	it("'ignore' adds cycles without checking", ()=>withCycleMode('ignore', (warn)=>{
+		const g = makeGraph();
+		deps.add(g.b, g.a);
+		deps.add(g.c, g.a);
+		assert.equal(warn.mock.callCount(), 0);
+		assert.ok(deps.getCNode(g.c, deps.fAll).targets.has(g.a));
+		destroyGraph(g);
+	}));
+
+	it("'warn' reports direct and indirect cycles and adds them", ()=>withCycleMode('warn', (warn)=>{
+		const g = makeGraph();
+		deps.add(g.b, g.a);
+		assert.equal(warn.mock.callCount(), 1);
+		assert.deepEqual(warn.mock.calls[0].arguments[1].cycle, [g.b, g.a, g.b]);
+		deps.add(g.d, g.a);
+		assert.equal(warn.mock.callCount(), 2);
+		assert.deepEqual(warn.mock.calls[1].arguments[1].cycle, [g.d, g.a, g.b, g.d]);
+		assert.ok(deps.getCNode(g.d, deps.fAll).targets.has(g.a));
+		destroyGraph(g);
+	}));
+
+	it("'throw' rejects direct and indirect cycles without adding them", ()=>withCycleMode('throw', ()=>{
+		const g = makeGraph();
+		assert.throws(()=>deps.add(g.b, g.a), /dependency cycle/);
+		assert.throws(()=>deps.add(g.d, g.a), /dependency cycle/);
+		assert.throws(()=>deps.add(g.a, g.a), /dependency cycle/);
+		assert.equal(deps.findPath(g.d, g.a), null);
+		assert.equal(deps.nodes.get(g.d).channels.size, 0);
+		destroyGraph(g);
+	}));
+
+	it("follows the channels so 'throw' accepts a loop that a change can not travel around", ()=>withCycleMode('throw', (warn)=>{
+		const g = makeGraph();
+		// b passes the change of a on with deps.fAll which c does not depend on
+		deps.add(g.c, g.a);
+		assert.equal(warn.mock.callCount(), 0);
+		assert.ok(deps.getCNode(g.c, deps.fAll).targets.has(g.a));
+		destroyGraph(g);
+	}));
+
+	it("only warns about a cycle through an object whose onDepChanged may fire the channel", ()=>withCycleMode('throw', (warn)=>{
+		const g = makeGraph();
+		const handler = {onDepChanged() {}};
+		deps.add({obj:handler, channel:'y'}, g.a);
+		deps.add(g.a, handler);
+		assert.equal(warn.mock.callCount(), 1);
+		assert.match(warn.mock.calls[0].arguments[0], /may create/);
+		assert.deepEqual(warn.mock.calls[0].arguments[1].cycle, [g.a, handler, g.a]);
+		assert.ok(deps.getCNode(g.a, deps.fAll).targets.has(handler));
+		deps.objectDestroyed(handler);
+		destroyGraph(g);
+	}));
+
+	it("warns by default", ()=>{
+		assert.equal(new DependentsGraph().cycleMode, 'warn');
+	});
+
+	it('does not flag an acyclic diamond', ()=>withCycleMode('throw', (warn)=>{
+		const g = makeGraph();
+		const extra = {};
+		deps.add(g.top, g.bottom);
+		deps.add(g.bottom, extra);
+		deps.add(g.left, extra);
+		assert.equal(warn.mock.callCount(), 0);
+		destroyGraph(g);
+		deps.objectDestroyed(extra);
+	}));
+});
+
+describe('DependentsGraph propagation order', ()=>{
+	// the diamond top -> left,right -> bottom where left and right pass the change through and bottom records it
+	function makeDiamond(log) {
+		const g = {top:{}, left:{name:'left'}, right:{name:'right'}, bottom:new Recorder('bottom', log)};
+		for (const side of [g.left, g.right]) {
+			deps.add(g.top, side, (change, ...p)=>{
+				log.push(side.name);
+				deps.fire(side, ...p);
+			});
+			deps.add(side, g.bottom);
+		}
+		return g;
+	}
+	function destroyGraph(g) {
+		for (const name in g)
+			deps.objectDestroyed(g[name]);
+	}
+
+	it("'recursive' notifies the bottom of a diamond once per path, depth first", ()=>{
+		const log = [];
+		const g = makeDiamond(log);
+		deps.fire(g.top, 'x');
+		assert.deepEqual(log, ['left', 'bottom', 'right', 'bottom']);
+		assert.equal(g.bottom.calls.length, 2);
+		destroyGraph(g);
+	});
+
+	it("'topological' notifies each object once after everything it depends on", ()=>{
+		deps.propagationMode = 'topological';
+		try {
+			const log = [];
+			const g = makeDiamond(log);
+			assert.equal(deps.fire(g.top, 'x'), undefined);
+			assert.deepEqual(log.slice(0,2).sort(), ['left', 'right']);
+			assert.deepEqual(log.slice(2), ['bottom']);
+			assert.equal(g.bottom.calls.length, 1);
+			assert.deepEqual(new Set(g.bottom.calls[0].change.changes.map((record)=>record.source)), new Set([g.left, g.right]));
+
+			log.length = 0;
+			deps.fire(g.top, 'y');
+			assert.deepEqual(log.slice(2), ['bottom']);
+			assert.equal(g.bottom.calls.length, 2);
+			destroyGraph(g);
+		} finally {
+			deps.propagationMode = 'recursive';
+		}
+	});
+
+	it("'topological' notifies the objects of a cycle once", ()=>{
+		deps.propagationMode = 'topological';
+		// the default cycleMode warns about the cycle when it is made and when propagation stops around it
+		const warn = mock.method(console, 'warn', ()=>{});
+		try {
+			const log = [];
+			const a = {}, b = {}, c = {};
+			deps.add(a, b, ()=>{log.push('b'); deps.fire(b)});
+			deps.add(b, c, ()=>{log.push('c'); deps.fire(c)});
+			deps.add(c, b, ()=>{log.push('b'); deps.fire(b)});
+			deps.fire(a, 'x');
+			assert.deepEqual(log, ['b', 'c']);
+			assert.equal(warn.mock.callCount(), 2);
+			[a, b, c].forEach((obj)=>deps.objectDestroyed(obj));
+		} finally {
+			warn.mock.restore();
+			deps.propagationMode = 'recursive';
+		}
+	});
+});
+
+describe('DependentsGraph computed values', ()=>{
+	it('caches the value until a source it read fires', ()=>{
+		const person = {first:'Ada', last:'Lovelace'};
+		var runs = 0;
+		const fullName = deps.computed(()=>{runs++; return deps.get(person,'first')+' '+deps.get(person,'last')});
+		assert.equal(runs, 0);
+		assert.equal(fullName.value, 'Ada Lovelace');
+		assert.equal(fullName.value, 'Ada Lovelace');
+		assert.equal(runs, 1);
+
+		person.last = 'Byron';
+		deps.fire({obj:person, channel:'last'});
+		assert.equal(fullName.isValid, false);
+		assert.equal(runs, 1);
+		assert.equal(fullName.value, 'Ada Byron');
+		assert.equal(runs, 2);
+
+		// a channel that was not read does not invalidate it
+		deps.fire({obj:person, channel:'age'});
+		assert.equal(fullName.isValid, true);
+		fullName.dispose();
+	});
+
+	it('tracks only the sources read by the last evaluation', ()=>{
+		const model = {useA:true, a:1, b:2};
+		const picked = deps.computed(()=>deps.get(model,'useA') ? deps.get(model,'a') : deps.get(model,'b'));
+		assert.equal(picked.value, 1);
+		deps.fire({obj:model, channel:'b'});
+		assert.equal(picked.isValid, true);
+
+		model.useA = false;
+		deps.fire({obj:model, channel:'useA'});
+		assert.equal(picked.value, 2);
+		deps.fire({obj:model, channel:'a'});
+		assert.equal(picked.isValid, true);
+		deps.fire({obj:model, channel:'b'});
+		assert.equal(picked.isValid, false);
+		picked.dispose();
+	});
+
+	it('does not track what is read in untracked or peek', ()=>{
+		const model = {a:1, b:2};
+		const sum = deps.computed(()=>deps.get(model,'a') + deps.untracked(()=>deps.get(model,'b')));
+		assert.equal(sum.value, 3);
+		deps.fire({obj:model, channel:'b'});
+		assert.equal(sum.isValid, true);
+
+		const outer = deps.computed(()=>sum.peek()*10);
+		assert.equal(outer.value, 30);
+		deps.fire({obj:model, channel:'a'});
+		assert.equal(sum.isValid, false);
+		assert.equal(outer.isValid, true);
+		sum.dispose();
+		outer.dispose();
+	});
+
+	it('invalidates a chain of computed values and fires its channels', ()=>{
+		const model = {price:2, count:3};
+		const total = deps.computed(()=>deps.get(model,'price')*deps.get(model,'count'));
+		const label = deps.computed(()=>'total: '+total.value);
+		const changes = [];
+		const view = {onDepChanged(change) {changes.push(change)}};
+		deps.add({obj:label, channel:'value'}, view);
+		assert.equal(label.value, 'total: 6');
+
+		model.count = 4;
+		deps.fire({obj:model, channel:'count'});
+		assert.equal(total.isValid, false);
+		assert.equal(label.isValid, false);
+		assert.equal(changes.length, 1);
+		assert.equal(changes[0].kind, 'invalidate');
+		assert.equal(changes[0].oldValue, 'total: 6');
+		assert.equal(label.value, 'total: 8');
+
+		// an invalid computed does not fire again until it is read
+		deps.fire({obj:model, channel:'count'});
+		deps.fire({obj:model, channel:'count'});
+		assert.equal(changes.length, 2);
+		deps.objectDestroyed(view);
+		label.dispose();
+		total.dispose();
+	});
+
+	it('removes its relations when it is disposed', ()=>{
+		const model = {a:1};
+		const value = deps.computed(()=>deps.get(model,'a'));
+		assert.equal(value.value, 1);
+		assert.ok(deps.getCNode(model, 'a', true).targets.has(value));
+		value.dispose();
+		assert.equal(value.isValid, false);
+		assert.equal(deps.getCNode(model, 'a', true).targets.has(value), false);
+		deps.fire({obj:model, channel:'a'});
+		assert.equal(value.isValid, false);
+	});
+});
+
+describe('DependentsGraph observables', ()=>{
+	// add a dependent of {obj,channel} that records the ChangeRecords it receives
+	function watch($obj) {
+		const records = [];
+		const view = {onDepChanged(change) {records.push(...change.changes)}};
+		deps.add($obj, view);
+		return records;
+	}
+
+	it('fires the property channel and fAll when a property is set', ()=>{
+		const model = deps.observable({title:'a'});
+		assert.ok(deps.isObservable(model));
+		const titleRecords = watch({obj:model, channel:'title'});
+		const allRecords = watch(model);
+		model.title = 'b';
+		assert.equal(titleRecords.length, 1);
+		const {source, channel, kind, property, oldValue, newValue} = titleRecords[0];
+		assert.deepEqual({source, channel, kind, property, oldValue, newValue}, {source:model, channel:'title', kind:'set', property:'title', oldValue:'a', newValue:'b'});
+		assert.equal(allRecords.length, 1);
+
+		// assigning the same value does not fire
+		model.title = 'b';
+		assert.equal(titleRecords.length, 1);
+
+		// adding a new property fires
+		model.subtitle = undefined;
+		assert.equal(allRecords.length, 2);
+	});
+
+	it('fires a delete record when a property is deleted', ()=>{
+		const model = deps.observable({title:'a'});
+		const records = watch({obj:model, channel:'title'});
+		delete model.title;
+		delete model.missing;
+		assert.equal(records.length, 1);
+		assert.equal(records[0].kind, 'delete');
+		assert.equal(records[0].oldValue, 'a');
+		assert.equal('title' in model, false);
+	});
+
+	it('fires one splice record for each array mutation', ()=>{
+		const list = deps.observable(['a', 'b', 'c']);
+		const records = watch(list);
+		list.splice(1, 1, 'x', 'y');
+		assert.deepEqual(Array.from(list), ['a', 'x', 'y', 'c']);
+		list.push('d');
+		list.pop();
+		list[0] = 'z';
+		list.length = 2;
+		list.splice(0, 0);
+		assert.deepEqual(records.map(({kind, index, removed, added})=>({kind, index, removed, added})), [
+			{kind:'splice', index:1, removed:['b'], added:['x','y']},
+			{kind:'splice', index:4, removed:[], added:['d']},
+			{kind:'splice', index:4, removed:['d'], added:[]},
+			{kind:'splice', index:0, removed:['a'], added:['z']},
+			{kind:'splice', index:2, removed:['y','c'], added:[]}
+		]);
+		assert.equal(list.reverse(), list);
+	});
+
+	it('makes nested plain objects and arrays observable', ()=>{
+		class Point {constructor() {this.x = 0}}
+		const model = deps.observable({address:{city:'a'}, tags:[], point:new Point()});
+		assert.ok(deps.isObservable(model.address));
+		assert.ok(deps.isObservable(model.tags));
+		assert.equal(deps.isObservable(model.point), false);
+		const records = watch({obj:model.address, channel:'city'});
+		model.address.city = 'b';
+		assert.equal(records.length, 1);
+
+		model.other = {n:1};
+		assert.ok(deps.isObservable(model.other));
+		assert.equal(deps.observable(model.other), model.other);
+	});
+
+	it('ObservableModel fires for the assignments in its methods', ()=>{
+		class Todo extends ObservableModel {
+			constructor(title) { super(); this.title = title; this.done = false; }
+			toggle() { this.done = !this.done; }
+		}
+		const todo = new Todo('write docs');
+		const records = watch({obj:todo, channel:'done'});
+		todo.toggle();
+		assert.deepEqual(records.map(({oldValue, newValue})=>[oldValue, newValue]), [[false, true]]);
+	});
+
+	it('notifies a dependent of a property and fAll once per change', ()=>{
+		const model = deps.observable({title:'a'});
+		var calls = 0;
+		const view = {onDepChanged() {calls++}};
+		deps.add(model, view);
+		deps.add({obj:model, channel:'title'}, view);
+		model.title = 'b';
+		assert.equal(calls, 1);
+		deps.objectDestroyed(view);
+	});
+
+	it('only starts a transaction when none is active', ()=>{
+		const model = deps.observable({a:1, b:2});
+		const startTransaction = mock.method(deps, 'startTransaction');
+		try {
+			model.a = 10;
+			assert.equal(startTransaction.mock.callCount(), 1);
+			deps.transaction(()=>{
+				model.a = 11;
+				model.b = 12;
+			});
+			assert.equal(startTransaction.mock.callCount(), 2);
+		} finally {
+			startTransaction.mock.restore();
+		}
+	});
+
+	it('is tracked by computed values', ()=>{
+		const model = deps.observable({first:'Ada', tags:['x']});
+		const summary = deps.computed(()=>model.first+':'+model.tags.length);
+		assert.equal(summary.value, 'Ada:1');
+		model.tags.push('y');
+		assert.equal(summary.isValid, false);
+		assert.equal(summary.value, 'Ada:2');
+		model.first = 'Grace';
+		assert.equal(summary.value, 'Grace:2');
+		summary.dispose();
+	});
+});
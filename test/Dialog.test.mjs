@@ -0,0 +1,125 @@
+import { describe, it, afterEach } from 'node:test';
+import assert                     from 'node:assert/strict';
+import {
+	mountForTest,
+	fireClick,
+	typeInto,
+	cleanupTests
+}                                 from '../testing.mjs';
+import { Component }              from '../component.mjs';
+import { Dialog }                 from '../Dialog.mjs';
+
+const pressKey = (el, key, init={})=>el.dispatchEvent(new KeyboardEvent('keydown', {key, bubbles:true, cancelable:true, ...init}));
+
+describe('Dialog', ()=>{
+	const dialogs = [];
+	afterEach(()=>{
+		for (const dlg of dialogs.splice(0))
+			dlg.destroy();
+		cleanupTests();
+	});
+
+	function makeDialog(...p) {
+		const dlg = new Dialog(...p);
+		dialogs.push(dlg);
+		return dlg;
+	}
+
+	it('resolves with the button that closes it and returns the focus', async ()=>{
+		const opener = mountForTest(new Component('$button', 'open'));
+		opener.el.focus();
+		const dlg = makeDialog({title:'Save Changes?', buttons:{save:'Save', discard:"Don't Save", cancel:'Cancel'}}, 'The document has unsaved changes.');
+		const result = dlg.show();
+		assert.equal(dlg.isOpen, true);
+		assert.equal(dlg.show(), result);
+		assert.ok(dlg.el.isConnected);
+		assert.equal(document.querySelectorAll('.bg-dialog-overlay').length, 1);
+		assert.equal(document.activeElement, dlg.buttonBar.save.el);
+		assert.ok(dlg.buttonBar.save.el.classList.contains('btn-primary'));
+
+		fireClick(dlg.buttonBar.discard);
+		assert.equal(await result, 'discard');
+		assert.equal(dlg.isOpen, false);
+		assert.equal(dlg.el.isConnected, false);
+		assert.equal(document.querySelectorAll('.bg-dialog-overlay').length, 0);
+		assert.equal(document.activeElement, opener.el);
+	});
+
+	it('activates the cancel button with Escape and the default button with Enter', async ()=>{
+		const dlg = makeDialog({buttons:['yes', 'no', 'cancel'], defaultButton:'no'});
+		var result = dlg.show();
+		pressKey(document.activeElement, 'Escape');
+		assert.equal(await result, 'cancel');
+
+		result = dlg.show();
+		pressKey(dlg.el, 'Enter');
+		assert.equal(await result, 'no');
+
+		const noCancel = makeDialog({buttons:['ok']});
+		result = noCancel.show();
+		pressKey(noCancel.el, 'Escape');
+		assert.equal(await result, null);
+	});
+
+	it('keeps Tab and Shift-Tab inside the dialog', ()=>{
+		const dlg = makeDialog({buttons:{ok:'OK', cancel:'Cancel'}}, [new Component('$input', {type:'text'})]);
+		dlg.show();
+		const [input, ok, cancel] = dlg.getFocusable();
+		assert.equal(document.activeElement, input);
+
+		cancel.focus();
+		assert.equal(pressKey(cancel, 'Tab'), false);
+		assert.equal(document.activeElement, input);
+
+		assert.equal(pressKey(input, 'Tab', {shiftKey:true}), false);
+		assert.equal(document.activeElement, cancel);
+
+		// in the middle, the browser moves the focus normally
+		ok.focus();
+		assert.equal(pressKey(ok, 'Tab'), true);
+
+		// the focus moving outside of the top dialog is brought back
+		const outside = mountForTest(new Component('$button', 'outside'));
+		outside.el.focus();
+		assert.equal(document.activeElement, input);
+	});
+
+	it('confirm resolves true only for OK', async ()=>{
+		var answer = Dialog.confirm('Delete the file?');
+		fireClick(document.querySelector('.bg-dialog .ok'));
+		assert.equal(await answer, true);
+
+		answer = Dialog.confirm('Delete the file?');
+		pressKey(document.activeElement, 'Escape');
+		assert.equal(await answer, false);
+		assert.equal(document.querySelectorAll('.bg-dialog').length, 0);
+	});
+
+	it('displays the confirm and prompt messages as text', async ()=>{
+		var answer = Dialog.confirm('Delete <b>notes.txt</b>?');
+		var messageEl = document.querySelector('.bg-dialog .message');
+		assert.equal(messageEl.textContent, 'Delete <b>notes.txt</b>?');
+		assert.equal(messageEl.querySelector('b'), null);
+		pressKey(document.activeElement, 'Escape');
+		await answer;
+
+		answer = Dialog.prompt('<img src=x onerror=alert(1)> name:');
+		messageEl = document.querySelector('.bg-dialog .message');
+		assert.equal(messageEl.textContent, '<img src=x onerror=alert(1)> name:');
+		assert.equal(messageEl.children.length, 0);
+		pressKey(document.activeElement, 'Escape');
+		await answer;
+	});
+
+	it('prompt resolves with the text entered or null when cancelled', async ()=>{
+		var answer = Dialog.prompt('New name:', 'old');
+		const input = document.querySelector('.bg-dialog input');
+		assert.equal(document.activeElement, input);
+		typeInto(input, 'new\n', {replace:true, commit:false});
+		assert.equal(await answer, 'new');
+
+		answer = Dialog.prompt('New name:', 'old');
+		pressKey(document.activeElement, 'Escape');
+		assert.equal(await answer, null);
+	});
+});
@@ -0,0 +1,199 @@
+import { describe, it } from 'node:test';
+import assert           from 'node:assert/strict';
+import '../DomShim.mjs';
+
+// these are the behaviors of the DomShim that bg-dom and the testing harness rely on. The expected values are what a browser does.
+describe('DomShim', ()=>{
+	it('installs the DOM globals', ()=>{
+		assert.equal(typeof document.createElement, 'function');
+		assert.equal(window.document, document);
+		assert.ok(document.body instanceof HTMLElement);
+		assert.ok(document.createElement('input') instanceof HTMLInputElement);
+	});
+
+	it('parses innerHTML into nodes and serializes them back', ()=>{
+		const div = document.createElement('div');
+		div.innerHTML = '<p class="a" data-x-y="1">one &amp; <b>two</b></p><!-- c -->text<br><input type="text">';
+		assert.equal(div.childNodes.length, 5);
+		assert.equal(div.children.length, 3);
+		const p = div.firstChild;
+		assert.equal(p.tagName, 'P');
+		assert.equal(p.textContent, 'one & two');
+		assert.equal(p.dataset.xY, '1');
+		assert.equal(div.childNodes[1].nodeType, Node.COMMENT_NODE);
+		assert.equal(div.childNodes[2].nodeType, Node.TEXT_NODE);
+		assert.equal(div.innerHTML, '<p class="a" data-x-y="1">one &amp; <b>two</b></p><!-- c -->text<br><input type="text">');
+		assert.equal(p.outerHTML, '<p class="a" data-x-y="1">one &amp; <b>two</b></p>');
+	});
+
+	it('closes elements that the html leaves open', ()=>{
+		const div = document.createElement('div');
+		div.innerHTML = '<p><b>a</p>b<span>x';
+		assert.equal(div.innerHTML, '<p><b>a</b></p>b<span>x</span>');
+	});
+
+	it('keeps the tree links consistent', ()=>{
+		const parent = document.createElement('div');
+		const a = document.createElement('a');
+		const b = document.createElement('b');
+		const text = document.createTextNode('t');
+		parent.append(a, text, b);
+		assert.equal(parent.firstChild, a);
+		assert.equal(parent.lastChild, b);
+		assert.equal(parent.firstElementChild, a);
+		assert.equal(a.nextSibling, text);
+		assert.equal(a.nextElementSibling, b);
+		assert.equal(b.previousSibling, text);
+		assert.deepEqual(Array.from(parent.children), [a, b]);
+
+		parent.insertBefore(b, a);
+		assert.deepEqual(Array.from(parent.childNodes), [b, a, text]);
+
+		const other = document.createElement('div');
+		other.appendChild(a);
+		assert.equal(a.parentNode, other);
+		assert.deepEqual(Array.from(parent.childNodes), [b, text]);
+
+		b.remove();
+		assert.equal(b.parentNode, null);
+		assert.deepEqual(Array.from(parent.childNodes), [text]);
+	});
+
+	it('moves the children of a DocumentFragment when it is inserted', ()=>{
+		const frag = document.createDocumentFragment();
+		frag.append(document.createElement('i'), 'x');
+		const div = document.createElement('div');
+		div.appendChild(frag);
+		assert.equal(div.innerHTML, '<i></i>x');
+		assert.equal(frag.childNodes.length, 0);
+	});
+
+	it('reports isConnected for nodes in the document', ()=>{
+		const div = document.createElement('div');
+		const span = div.appendChild(document.createElement('span'));
+		assert.equal(span.isConnected, false);
+		document.body.appendChild(div);
+		assert.equal(span.isConnected, true);
+		div.remove();
+		assert.equal(span.isConnected, false);
+	});
+
+	it('dispatches events through the capture, target and bubble phases', ()=>{
+		const outer = document.createElement('div');
+		const inner = outer.appendChild(document.createElement('span'));
+		const order = [];
+		outer.addEventListener('click', (e)=>order.push('outer capture '+e.eventPhase), true);
+		outer.addEventListener('click', (e)=>order.push('outer bubble '+e.eventPhase));
+		inner.addEventListener('click', (e)=>order.push('inner '+e.eventPhase));
+		inner.dispatchEvent(new MouseEvent('click', {bubbles:true}));
+		assert.deepEqual(order, ['outer capture 1', 'inner 2', 'outer bubble 3']);
+
+		order.length = 0;
+		inner.dispatchEvent(new MouseEvent('click', {bubbles:false}));
+		assert.deepEqual(order, ['outer capture 1', 'inner 2']);
+	});
+
+	it('supports stopPropagation, preventDefault, once and removeEventListener', ()=>{
+		const outer = document.createElement('div');
+		const inner = outer.appendChild(document.createElement('span'));
+		var outerCount = 0, onceCount = 0;
+		const onOuter = ()=>outerCount++;
+		outer.addEventListener('keydown', onOuter);
+		inner.addEventListener('keydown', ()=>onceCount++, {once:true});
+		inner.addEventListener('keydown', (e)=>{e.preventDefault(); e.stopPropagation()});
+
+		const event = new KeyboardEvent('keydown', {key:'a', bubbles:true, cancelable:true});
+		assert.equal(inner.dispatchEvent(event), false);
+		assert.equal(event.defaultPrevented, true);
+		assert.equal(outerCount, 0);
+
+		outer.dispatchEvent(new KeyboardEvent('keydown', {key:'a', bubbles:true}));
+		outer.removeEventListener('keydown', onOuter);
+		outer.dispatchEvent(new KeyboardEvent('keydown', {key:'a', bubbles:true}));
+		inner.dispatchEvent(new KeyboardEvent('keydown', {key:'a', bubbles:true}));
+		assert.equal(outerCount, 1);
+		assert.equal(onceCount, 1);
+	});
+
+	it('calls the on<event> properties', ()=>{
+		const button = document.createElement('button');
+		var clicked = 0;
+		button.onclick = ()=>clicked++;
+		button.click();
+		assert.equal(clicked, 1);
+	});
+
+	it('reflects classList and className', ()=>{
+		const el = document.createElement('div');
+		el.className = 'a b';
+		el.classList.add('c', 'a');
+		el.classList.remove('b');
+		assert.equal(el.className, 'a c');
+		assert.equal(el.classList.contains('c'), true);
+		assert.equal(el.classList.toggle('c'), false);
+		assert.equal(el.classList.toggle('d', true), true);
+		assert.equal(el.getAttribute('class'), 'a d');
+		assert.equal(el.classList.length, 2);
+	});
+
+	it('reflects the style properties and the style attribute', ()=>{
+		const el = document.createElement('div');
+		el.style.backgroundColor = 'red';
+		el.style.setProperty('--my-var', '2px');
+		assert.equal(el.style.getPropertyValue('background-color'), 'red');
+		assert.equal(el.style.getPropertyValue('--my-var'), '2px');
+		assert.match(el.getAttribute('style'), /background-color: red;/);
+
+		el.setAttribute('style', 'width: 10px; float: left');
+		assert.equal(el.style.width, '10px');
+		assert.equal(el.style.cssFloat, 'left');
+		assert.equal(el.style.backgroundColor, '');
+		el.style.width = '';
+		assert.equal(el.getAttribute('style'), 'float: left;');
+	});
+
+	it('finds elements with css selectors', ()=>{
+		const div = document.createElement('div');
+		div.innerHTML = '<ul id="l"><li class="a">1</li><li class="b">2</li><li class="a b">3</li></ul>';
+		assert.equal(div.querySelectorAll('li.a').length, 2);
+		assert.equal(div.querySelector('#l > li:nth-child(2)').textContent, '2');
+		assert.equal(div.querySelector('.a.b').textContent, '3');
+		assert.equal(div.querySelector('li:not(.a)').textContent, '2');
+		assert.equal(div.querySelector('li').closest('ul').id, 'l');
+		assert.equal(div.querySelector('.missing'), null);
+	});
+
+	it('implements the form control values and the click activation', ()=>{
+		const checkbox = document.createElement('input');
+		checkbox.type = 'checkbox';
+		var changes = 0;
+		checkbox.addEventListener('change', ()=>changes++);
+		checkbox.click();
+		assert.equal(checkbox.checked, true);
+		assert.equal(changes, 1);
+
+		const input = document.createElement('input');
+		input.setAttribute('value', 'default');
+		assert.equal(input.value, 'default');
+		input.value = 'typed';
+		assert.equal(input.getAttribute('value'), 'default');
+
+		const select = document.createElement('select');
+		select.innerHTML = '<option value="1">one</option><option value="2" selected>two</option>';
+		assert.equal(select.value, '2');
+		select.value = '1';
+		assert.equal(select.selectedIndex, 0);
+	});
+
+	it('tracks focus in document.activeElement', ()=>{
+		const input = document.body.appendChild(document.createElement('input'));
+		var focused = 0;
+		input.addEventListener('focus', ()=>focused++);
+		input.focus();
+		assert.equal(document.activeElement, input);
+		assert.equal(focused, 1);
+		input.blur();
+		assert.equal(document.activeElement, document.body);
+		input.remove();
+	});
+});
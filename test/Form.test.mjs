@@ -0,0 +1,91 @@
+import { describe, it, afterEach } from 'node:test';
+import assert                     from 'node:assert/strict';
+import {
+	mountForTest,
+	fireClick,
+	typeInto,
+	cleanupTests
+}                                 from '../testing.mjs';
+import { Component }              from '../component.mjs';
+import { Editbox, Checkbox }      from '../InputField.mjs';
+import { Form }                   from '../Form.mjs';
+
+const required = (value)=>(value.trim() == '') ? 'required' : true;
+
+// a form whose fields are nested in a layout Component and include a named array
+function makeForm(params) {
+	const submitted = [];
+	const form = mountForTest(new Form('settings:', (values)=>submitted.push(values), params, [
+		new Component('account:$fieldset', [
+			new Editbox('userName: User Name <input/>', {validate:required}),
+			new Checkbox('notify: <input/> Send me notifications')
+		]),
+		new Editbox('phones[]: Phone <input/>'),
+		new Editbox('phones[]: Phone <input/>')
+	]));
+	form.submitted = submitted;
+	return form;
+}
+
+describe('Form', ()=>{
+	afterEach(()=>cleanupTests());
+
+	it('finds the nested fields and sets and gets their values', ()=>{
+		const form = makeForm();
+		assert.deepEqual(Array.from(form.getFields().keys()).sort(), ['notify', 'phones[0]', 'phones[1]', 'userName']);
+		form.setValues({userName:'bob', notify:true, phones:['555-1234', '555-9876']});
+		assert.deepEqual(form.getValues(), {userName:'bob', notify:true, phones:['555-1234', '555-9876']});
+		assert.equal(form.isDirty(), false);
+	});
+
+	it('tracks the dirty fields as the user types', ()=>{
+		const form = makeForm();
+		form.setValues({userName:'bob'});
+		const userName = form.account.userName;
+
+		typeInto(userName, 'by');
+		assert.equal(form.isDirty('userName'), true);
+		assert.deepEqual(form.getDirtyFields(), ['userName']);
+		assert.ok(userName.el.classList.contains('dirty'));
+		assert.ok(form.el.classList.contains('dirty'));
+
+		// changing it back to the clean value makes it clean again
+		typeInto(userName, 'bob', {replace:true});
+		assert.equal(form.isDirty(), false);
+		assert.equal(form.el.classList.contains('dirty'), false);
+
+		fireClick(form.account.notify.inputCntr);
+		assert.deepEqual(form.getDirtyFields(), ['notify']);
+		form.markClean();
+		assert.equal(form.isDirty(), false);
+		assert.equal(form.account.notify.el.classList.contains('dirty'), false);
+		assert.throws(()=>form.isDirty('missing'), /no field with that name/);
+	});
+
+	it('does not submit until the fields are valid and displays the errors', ()=>{
+		const form = makeForm();
+		const userName = form.account.userName;
+		form.el.requestSubmit();
+		assert.deepEqual(form.submitted, []);
+		assert.deepEqual(form.errors, {userName:'required'});
+		assert.ok(userName.el.classList.contains('invalid'));
+		assert.equal(userName.inputCntr.el.getAttribute('aria-invalid'), 'true');
+		assert.equal(userName.el.nextSibling.textContent, 'required');
+		assert.equal(document.activeElement, userName.inputCntr.el);
+
+		// an invalid field is validated again as the user types
+		typeInto(userName, 'bob', {commit:false});
+		assert.equal(userName.el.classList.contains('invalid'), false);
+		assert.equal(form.el.querySelector('.bg-field-error'), null);
+
+		form.el.requestSubmit();
+		assert.deepEqual(form.submitted, [{userName:'bob', notify:false, phones:['', '']}]);
+	});
+
+	it('validates on each change with validateOnChange', ()=>{
+		const form = makeForm({validateOnChange:true});
+		typeInto(form.account.userName, ' ');
+		assert.deepEqual(form.errors, {userName:'required'});
+		assert.ok(form.account.userName.el.classList.contains('invalid'));
+	});
+});
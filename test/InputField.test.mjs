@@ -0,0 +1,110 @@
+import { describe, it, afterEach } from 'node:test';
+import assert                     from 'node:assert/strict';
+import {
+	mountForTest,
+	typeInto,
+	cleanupTests
+}                                 from '../testing.mjs';
+import {
+	NumberField,
+	RangeField,
+	DateField,
+	ColorField,
+	TextAreaField,
+	FileField
+}                                 from '../InputField.mjs';
+import { Form }                   from '../Form.mjs';
+
+// move a slider the way the user does. input events while dragging and change when it is released
+function drag(field, ...values) {
+	const el = field.inputCntr.el;
+	for (const value of values) {
+		el.value = String(value);
+		el.dispatchEvent(new InputEvent('input', {bubbles:true}));
+	}
+	el.dispatchEvent(new Event('change', {bubbles:true}));
+}
+
+describe('InputField types', ()=>{
+	afterEach(()=>cleanupTests());
+
+	it('NumberField values are numbers or null', ()=>{
+		const activated = [];
+		const field = mountForTest(new NumberField('qty: Quantity <input/>', {min:1, max:99}, (f)=>activated.push(f.value)));
+		assert.equal(field.inputCntr.el.type, 'number');
+		assert.equal(field.value, null);
+		typeInto(field, '12');
+		assert.equal(field.value, 12);
+		assert.deepEqual(activated, [12]);
+		field.value = 3.5;
+		assert.equal(field.inputCntr.el.value, '3.5');
+		field.value = null;
+		assert.equal(field.value, null);
+	});
+
+	it('RangeField updates its readout while it is dragged', ()=>{
+		const typing = [], activated = [];
+		const field = mountForTest(new RangeField('volume: Volume <input/>', {
+			min:0, max:100, value:20,
+			formatReadout:(v)=>v+'%',
+			onTypingCB:(f)=>typing.push(f.value)
+		}, (f)=>activated.push(f.value)));
+		assert.equal(field.readout.el.textContent, '20%');
+		drag(field, 30, 45);
+		assert.deepEqual(typing, [30, 45]);
+		assert.deepEqual(activated, [45]);
+		assert.equal(field.readout.el.textContent, '45%');
+		field.value = 5;
+		assert.equal(field.readout.el.textContent, '5%');
+	});
+
+	it('DateField values are local midnight Dates and compare by time in a Form', ()=>{
+		const form = mountForTest(new Form([new DateField('due: Due <input/>')]));
+		const field = form.due;
+		assert.equal(field.value, null);
+		form.setValues({due:new Date(2024, 1, 29, 15, 30)});
+		assert.equal(field.inputCntr.el.value, '2024-02-29');
+		assert.equal(field.value.getTime(), new Date(2024, 1, 29).getTime());
+		assert.equal(form.isDirty(), false);
+
+		typeInto(field, '2024-03-01', {replace:true});
+		assert.equal(form.isDirty('due'), true);
+		field.value = '';
+		assert.equal(field.value, null);
+	});
+
+	it('ColorField values are lower case hex', ()=>{
+		const field = mountForTest(new ColorField('color: Color <input/>'));
+		field.value = '#FFAA00';
+		assert.equal(field.value, '#ffaa00');
+	});
+
+	it('TextAreaField grows to fit its content', ()=>{
+		const field = mountForTest(new TextAreaField('notes: Notes <br/><input/>', {rows:2}));
+		const el = field.inputCntr.el;
+		assert.equal(el.localName, 'textarea');
+		assert.equal(el.style.overflowY, 'hidden');
+
+		// the shim does not do layout so provide the height of the content
+		Object.defineProperty(el, 'scrollHeight', {configurable:true, get:()=>el.value.split('\n').length*16});
+		typeInto(field, 'one\ntwo\nthree');
+		assert.equal(field.value, 'one\ntwo\nthree');
+		assert.equal(el.style.height, '48px');
+		field.value = 'one';
+		assert.equal(el.style.height, '16px');
+
+		const fixed = mountForTest(new TextAreaField('notes: Notes <input/>', {autoGrow:false}));
+		typeInto(fixed, 'one\ntwo');
+		assert.equal(fixed.inputCntr.el.style.height, '');
+	});
+
+	it('FileField can only be cleared', ()=>{
+		const single = mountForTest(new FileField('file: File <input/>'));
+		const multiple = mountForTest(new FileField('files: Files <input/>', {multiple:true}));
+		assert.equal(single.value, null);
+		assert.deepEqual(multiple.value, []);
+		single.value = null;
+		multiple.value = [];
+		assert.throws(()=>{single.value = 'a.txt'}, /can only be set to null/);
+	});
+});
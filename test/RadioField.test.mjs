@@ -0,0 +1,95 @@
+import { describe, it, afterEach } from 'node:test';
+import assert                     from 'node:assert/strict';
+import {
+	mountForTest,
+	fireClick,
+	cleanupTests
+}                                 from '../testing.mjs';
+import { RadioField }             from '../InputField.mjs';
+
+const pressKey = (el, key)=>el.dispatchEvent(new KeyboardEvent('keydown', {key, bubbles:true, cancelable:true}));
+const tabbable = (field)=>field.getRadios().filter((radio)=>radio.tabIndex == 0).map((radio)=>radio.value);
+
+describe('RadioField', ()=>{
+	afterEach(()=>cleanupTests());
+
+	function makeField(params) {
+		const log = [];
+		const field = mountForTest(new RadioField('size: Size <input/>', {
+			choices    : 's:Small,m*:Medium,l:Large',
+			onTypingCB : (f)=>log.push('typing '+f.value),
+			...params
+		}, (f)=>log.push('activated '+f.value)));
+		field.log = log;
+		return field;
+	}
+
+	it('makes one radio per choice in a named group', ()=>{
+		const field = makeField();
+		const radios = field.getRadios();
+		assert.deepEqual(radios.map((radio)=>radio.value), ['s', 'm', 'l']);
+		assert.equal(new Set(radios.map((radio)=>radio.name)).size, 1);
+		assert.equal(radios[0].name, field.groupName);
+		assert.deepEqual(Array.from(field.el.querySelectorAll('label.bg-radio')).map((label)=>label.textContent.trim()), ['Small', 'Medium', 'Large']);
+		assert.equal(field.inputCntr.el.getAttribute('role'), 'radiogroup');
+		assert.equal(field.value, 'm');
+		assert.deepEqual(tabbable(field), ['m']);
+	});
+
+	it('gives fields with the same name separate radio groups', ()=>{
+		const field1 = makeField();
+		const field2 = makeField();
+		assert.notEqual(field1.groupName, field2.groupName);
+		field2.value = 's';
+		assert.equal(field1.value, 'm');
+		assert.equal(field2.value, 's');
+	});
+
+	it('selects a choice when it is clicked', ()=>{
+		const field = makeField();
+		fireClick(field.getRadios()[2]);
+		assert.equal(field.value, 'l');
+		assert.deepEqual(field.log, ['typing l', 'activated l']);
+		assert.deepEqual(tabbable(field), ['l']);
+	});
+
+	it('moves the selection with the arrow keys, skipping disabled choices', ()=>{
+		const field = makeField({choices:[{value:'s', label:'Small', selected:true}, {value:'m', label:'Medium', disabled:true}, 'l:Large']});
+		const [small, , large] = field.getRadios();
+		small.focus();
+		pressKey(small, 'ArrowRight');
+		assert.equal(field.value, 'l');
+		assert.equal(document.activeElement, large);
+		pressKey(large, 'ArrowRight');
+		assert.equal(field.value, 's');
+		pressKey(small, 'End');
+		pressKey(large, 'Home');
+		assert.deepEqual(field.log, ['typing l', 'activated l', 'typing s', 'activated s', 'typing l', 'activated l', 'typing s', 'activated s']);
+		assert.deepEqual(tabbable(field), ['s']);
+	});
+
+	it('sets the value and replaces the choices', ()=>{
+		const field = makeField();
+		field.value = 's';
+		assert.deepEqual(field.getRadios().map((radio)=>radio.checked), [true, false, false]);
+		field.value = null;
+		assert.equal(field.value, null);
+		assert.deepEqual(tabbable(field), ['s']);
+
+		field.replaceOptions(['x:Extra', 'y*:Why']);
+		assert.equal(field.value, 'y');
+		field.addOption('z:Zed');
+		assert.deepEqual(field.getRadios().map((radio)=>radio.value), ['x', 'y', 'z']);
+	});
+
+	it('checks the bound value once its choice exists', ()=>{
+		const model = {size:'l'};
+		const field = mountForTest(new RadioField('size: Size <input/>', {bind:{value:[model,'size']}}));
+		assert.equal(field.value, null);
+		field.replaceOptions('s:Small,l:Large');
+		assert.equal(field.value, 'l');
+
+		fireClick(field.getRadios()[0]);
+		assert.equal(model.size, 's');
+	});
+});
@@ -0,0 +1,78 @@
+import { describe, it, afterEach } from 'node:test';
+import assert                     from 'node:assert/strict';
+import {
+	mountForTest,
+	cleanupTests
+}                                 from '../testing.mjs';
+import { Selectbox }              from '../InputField.mjs';
+
+// select options the way the user does and commit the change
+function choose(field, ...values) {
+	for (const option of field.inputCntr.el.options)
+		option.selected = values.includes(option.value);
+	field.inputCntr.el.dispatchEvent(new Event('change', {bubbles:true}));
+}
+
+const optionValues = (field)=>Array.from(field.inputCntr.el.options).map((option)=>option.value);
+
+describe('Selectbox', ()=>{
+	afterEach(()=>cleanupTests());
+
+	it('makes options and optgroups from the choices', ()=>{
+		const field = mountForTest(new Selectbox('fontSize: Font Size <input/>', {choices:[
+			{label:'Small', choices:'10,11,12'},
+			{label:'Large', choices:'14,16*:16,18', disabled:true},
+			{value:'custom', label:'Custom...', disabled:true}
+		]}));
+		const groups = Array.from(field.el.querySelectorAll('optgroup'));
+		assert.deepEqual(groups.map((group)=>group.label), ['Small', 'Large']);
+		assert.deepEqual(groups.map((group)=>group.disabled), [false, true]);
+		assert.deepEqual(optionValues(field), ['10', '11', '12', '14', '16', '18', 'custom']);
+		assert.equal(field.inputCntr.el.options[6].disabled, true);
+		assert.equal(field.value, '16');
+	});
+
+	it('selects by value and reports the user choice', ()=>{
+		const activated = [];
+		const field = mountForTest(new Selectbox('size: Size <input/>', {choices:'s:Small,m*:Medium,l:Large'}, (f)=>activated.push(f.value)));
+		field.value = 'l';
+		assert.equal(field.inputCntr.el.selectedIndex, 2);
+		field.value = null;
+		assert.equal(field.value, null);
+		assert.throws(()=>{field.value = ['s', 'l']}, /only one value can be selected/);
+
+		choose(field, 's');
+		assert.deepEqual(activated, ['s']);
+	});
+
+	it('returns arrays of values in multiple mode', ()=>{
+		const field = mountForTest(new Selectbox('tags: Tags <input/>', {multiple:true, choices:'a*:A,b:B,c*:C'}));
+		assert.equal(field.multiple, true);
+		assert.deepEqual(field.value, ['a', 'c']);
+		field.value = 'b';
+		assert.deepEqual(field.value, ['b']);
+		field.value = ['a', 'b'];
+		assert.deepEqual(field.value, ['a', 'b']);
+		field.value = null;
+		assert.deepEqual(field.value, []);
+	});
+
+	it('keeps the bound value when the choices are replaced and writes the user choice back', ()=>{
+		const model = {size:'l'};
+		const field = mountForTest(new Selectbox('size: Size <input/>', {bind:{value:[model,'size']}}));
+		field.replaceOptions('s:Small,l:Large');
+		assert.equal(field.value, 'l');
+		field.addOption('xl:Extra Large');
+		assert.deepEqual(optionValues(field), ['s', 'l', 'xl']);
+
+		choose(field, 'xl');
+		assert.equal(model.size, 'xl');
+		model.size = 's';
+		deps.fire({obj:model, channel:'size'});
+		assert.equal(field.value, 's');
+	});
+
+	it('makes choices from a map', ()=>{
+		assert.deepEqual(Selectbox.optionsFromMap({r:'Red', g:'Green'}), [{value:'r', label:'Red'}, {value:'g', label:'Green'}]);
+	});
+});
@@ -0,0 +1,138 @@
+import { describe, it, afterEach } from 'node:test';
+import assert                     from 'node:assert/strict';
+import {
+	mountForTest,
+	unmountForTest,
+	cleanupTests
+}                                 from '../testing.mjs';
+import { Component }              from '../component.mjs';
+import { ThemeManager }           from '../ThemeManager.mjs';
+
+// a localStorage for restoreTheme and saveTheme
+const storage = new Map();
+global.localStorage = {
+	getItem(key)        {return storage.has(key) ? storage.get(key) : null},
+	setItem(key, value) {storage.set(key, String(value))}
+};
+
+// return the custom properties that the rules of manager's sheet set for selector
+function ruleProperties(manager, selector) {
+	const cssRule = Array.from(manager.sheet.dynStyles.cssRules).find((cssRule)=>cssRule.selectorText == selector);
+	return cssRule && cssRule.style.getPropertyValue('--cBorders');
+}
+
+describe('ThemeManager', ()=>{
+	afterEach(()=>{
+		cleanupTests();
+		storage.clear();
+	});
+
+	it('applies a theme to the document and saves it', ()=>{
+		const manager = new ThemeManager();
+		manager.applyTheme('dark');
+		assert.equal(manager.theme, 'dark');
+		assert.equal(ruleProperties(manager, ':root'), '#444c56');
+		assert.equal(storage.get(manager.storageKey), 'dark');
+
+		manager.applyTheme('light', null, {persist:false});
+		assert.equal(ruleProperties(manager, ':root'), '#d0d7de');
+		assert.equal(storage.get(manager.storageKey), 'dark');
+		assert.throws(()=>manager.applyTheme('missing'), /not defined/);
+	});
+
+	it('applies a theme to a subtree', ()=>{
+		const manager = new ThemeManager();
+		manager.applyTheme('light');
+		const view = mountForTest(new Component('$div', [['child:$span']]));
+		manager.applyTheme('dark', view);
+		const scopeClass = manager.scopes.get(view.el).scopeClass;
+		assert.ok(view.el.classList.contains(scopeClass));
+		assert.equal(ruleProperties(manager, '.'+scopeClass), '#444c56');
+		assert.equal(manager.getThemeFor(view.child), 'dark');
+		assert.equal(manager.getPropertyValue('cBorders', view.child), '#444c56');
+		assert.equal(manager.getThemeFor(document.body), 'light');
+
+		manager.applyTheme(null, view);
+		assert.ok(!view.el.classList.contains(scopeClass));
+		assert.equal(ruleProperties(manager, '.'+scopeClass), undefined);
+		assert.equal(manager.getThemeFor(view.child), 'light');
+	});
+
+	it('updates the places a theme is applied when it is redefined', ()=>{
+		const manager = new ThemeManager();
+		const view = mountForTest(new Component('$div'));
+		manager.defineTheme('custom', {cBorders:'#111'}, 'light');
+		manager.applyTheme('custom');
+		manager.applyTheme('custom', view);
+		manager.defineTheme('custom', {cBorders:'#222'}, 'light');
+		assert.equal(ruleProperties(manager, ':root'), '#222');
+		assert.equal(ruleProperties(manager, '.'+manager.scopes.get(view.el).scopeClass), '#222');
+		assert.equal(manager.getTheme('custom')['--cBackground'], '#ffffff');
+	});
+
+	it('restoreTheme selects the saved theme or the default', ()=>{
+		const manager = new ThemeManager();
+		assert.equal(manager.restoreTheme('dark'), 'dark');
+		storage.set(manager.storageKey, 'light');
+		assert.equal(manager.restoreTheme('dark'), 'light');
+		storage.set(manager.storageKey, 'removed');
+		assert.equal(manager.restoreTheme(), 'light');
+		assert.equal(manager.theme, 'light');
+	});
+
+	it("fires the 'theme' channel", ()=>{
+		const manager = new ThemeManager();
+		const view = mountForTest(new Component('$div'));
+		const fired = [];
+		const watcher = {};
+		deps.add({obj:manager, channel:'theme'}, watcher, (change, {themeName, scope})=>fired.push([themeName, scope]));
+		manager.applyTheme('dark');
+		manager.applyTheme('light', view);
+		assert.deepEqual(fired, [['dark', null], ['light', view.el]]);
+		deps.objectDestroyed(watcher);
+	});
+
+	it('keeps the themes, the document theme and the scoped themes when it replaces an older manager', ()=>{
+		const prevManager = new ThemeManager();
+		const view = mountForTest(new Component('$div'));
+		prevManager.defineTheme('custom', {cBorders:'#333'}, 'dark');
+		prevManager.applyTheme('dark');
+		prevManager.applyTheme('custom', view);
+		const scopeClass = prevManager.scopes.get(view.el).scopeClass;
+
+		const manager = new ThemeManager(prevManager);
+		assert.equal(manager.theme, 'dark');
+		assert.equal(manager.getThemeFor(view), 'custom');
+		assert.equal(ruleProperties(manager, '.'+scopeClass), '#333');
+		assert.equal(ruleProperties(prevManager, '.'+scopeClass), undefined);
+
+		// the new manager manages the migrated scope and does not reuse its class
+		manager.defineTheme('custom', {cBorders:'#444'}, 'dark');
+		assert.equal(ruleProperties(manager, '.'+scopeClass), '#444');
+		const other = mountForTest(new Component('$div'));
+		manager.applyTheme('light', other);
+		assert.notEqual(manager.scopes.get(other.el).scopeClass, scopeClass);
+	});
+
+	it('removes a scoped theme when its component is destroyed', ()=>{
+		const prevManager = new ThemeManager();
+		const view1 = mountForTest(new Component('$div'));
+		const view2 = mountForTest(new Component('$div'));
+		prevManager.applyTheme('dark', view1);
+		const scopeClass1 = prevManager.scopes.get(view1.el).scopeClass;
+		unmountForTest(view1);
+		view1.destroy();
+		assert.equal(prevManager.scopes.size, 0);
+		assert.equal(ruleProperties(prevManager, '.'+scopeClass1), undefined);
+
+		// a scope that moved to a newer manager is removed from that one
+		prevManager.applyTheme('dark', view2);
+		const scopeClass2 = prevManager.scopes.get(view2.el).scopeClass;
+		const manager = new ThemeManager(prevManager);
+		assert.equal(prevManager.scopes.size, 0);
+		unmountForTest(view2);
+		view2.destroy();
+		assert.equal(manager.scopes.size, 0);
+		assert.equal(ruleProperties(manager, '.'+scopeClass2), undefined);
+	});
+});
@@ -0,0 +1,110 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert                           from 'node:assert/strict';
+import {
+	mountForTest,
+	cleanupTests
+}                                       from '../testing.mjs';
+import { Component }                    from '../component.mjs';
+import { TooltipManager, tooltips, ComponentAddTooltip } from '../Tooltips.mjs';
+
+const fire = (comp, type, init={})=>comp.el.dispatchEvent(new (/^key/.test(type) ? KeyboardEvent : MouseEvent)(type, {bubbles:false, ...init}));
+const tooltipEl = ()=>document.querySelector('.bg-tooltip');
+
+describe('Tooltips', ()=>{
+	const disposables = [];
+	afterEach(()=>{
+		for (const disposable of disposables.splice(0))
+			disposable.dispose();
+		cleanupTests();
+		mock.timers.reset();
+	});
+
+	function setup(options) {
+		mock.timers.enable({apis:['setTimeout']});
+		const manager = new TooltipManager();
+		const target = mountForTest(new Component('save:$button', 'Save'));
+		disposables.push(manager.add(target, options));
+		return {manager, target};
+	}
+
+	it('shows the tooltip after the delay and hides it when the mouse leaves', ()=>{
+		const {target} = setup({title:'Save the file'});
+		fire(target, 'mouseenter');
+		mock.timers.tick(499);
+		assert.equal(tooltipEl(), null);
+		mock.timers.tick(1);
+		assert.equal(tooltipEl().textContent, 'Save the file');
+		assert.equal(tooltipEl().getAttribute('role'), 'tooltip');
+		assert.equal(target.el.getAttribute('aria-describedby'), tooltipEl().id);
+
+		fire(target, 'mouseleave');
+		assert.equal(tooltipEl(), null);
+		assert.equal(target.el.hasAttribute('aria-describedby'), false);
+	});
+
+	it('does not show when the mouse leaves before the delay', ()=>{
+		const {target} = setup({title:'Save the file', delay:100});
+		fire(target, 'mouseenter');
+		mock.timers.tick(50);
+		fire(target, 'mouseleave');
+		mock.timers.tick(100);
+		assert.equal(tooltipEl(), null);
+	});
+
+	it('shows on focus and hides on Escape and mousedown', ()=>{
+		const {target} = setup({title:'Save the file', delay:0});
+		fire(target, 'focusin');
+		assert.ok(tooltipEl());
+		fire(target, 'keydown', {key:'Escape'});
+		assert.equal(tooltipEl(), null);
+		fire(target, 'mouseenter');
+		fire(target, 'mousedown');
+		assert.equal(tooltipEl(), null);
+	});
+
+	it('displays the keystrokes of the command and makes new rich content each time', ()=>{
+		const made = [];
+		const {manager, target} = setup({
+			title:()=>{ const comp = new Component('$b', 'Save'); made.push(comp); return comp; },
+			keyBindingCommand:'core:save',
+			delay:0
+		});
+		manager.setKeymapLookup((command)=>(command == 'core:save') ? 'Ctrl-S' : null);
+		fire(target, 'mouseenter');
+		assert.equal(tooltipEl().innerHTML, '<b>Save</b> <span class="keystroke">Ctrl-S</span>');
+		fire(target, 'mouseleave');
+		assert.equal(made[0].el, null);
+
+		fire(target, 'mouseenter');
+		assert.equal(made.length, 2);
+		assert.equal(new TooltipManager(manager).keymapLookup, manager.keymapLookup);
+	});
+
+	it('flips to the other side when the preferred side does not fit', ()=>{
+		const {target} = setup({title:'Save', delay:0});
+		mock.method(target.el, 'getBoundingClientRect', ()=>({left:100, right:140, top:2, bottom:22, width:40, height:20}));
+		fire(target, 'mouseenter');
+		assert.equal(tooltipEl().dataset.placement, 'bottom');
+		assert.equal(tooltipEl().style.top, '28px');
+		assert.equal(tooltipEl().style.left, '120px');
+	});
+
+	it('removes the tooltip from the target when disposed', ()=>{
+		const {target} = setup({title:'Save', delay:0});
+		fire(target, 'mouseenter');
+		disposables.pop().dispose();
+		assert.equal(tooltipEl(), null);
+		fire(target, 'mouseenter');
+		assert.equal(tooltipEl(), null);
+		assert.throws(()=>new TooltipManager().add(target, {}), /title option is required/);
+	});
+
+	it('ComponentAddTooltip uses the global manager outside of atom', ()=>{
+		mock.timers.enable({apis:['setTimeout']});
+		const target = mountForTest(new Component('$button', 'Go'));
+		disposables.push(ComponentAddTooltip(target, 'Go now', 'app:go'));
+		fire(target, 'mouseenter');
+		mock.timers.tick(tooltips.delay);
+		assert.equal(tooltipEl().firstChild.textContent, 'Go now');
+	});
+});
@@ -0,0 +1,156 @@
+import { describe, it, afterEach } from 'node:test';
+import assert                     from 'node:assert/strict';
+import {
+	mountForTest,
+	unmountForTest,
+	fireClick,
+	cleanupTests
+}                                 from '../testing.mjs';
+import { TreeView }               from '../TreeView.mjs';
+
+const names = (nodes)=>nodes.map((node)=>node.itemName);
+
+// returns a promise along with the functions that settle it so that a test can decide when a loadChildren call finishes
+function deferred() {
+	const ret = {};
+	ret.promise = new Promise((resolve, reject)=>Object.assign(ret, {resolve, reject}));
+	return ret;
+}
+
+// records the selections fired on the 'selection' channel of tree
+function watchSelection(tree) {
+	const fired = [];
+	const watcher = {};
+	deps.add({obj:tree, channel:'selection'}, watcher, (change, selectedNodes)=>fired.push(names(selectedNodes)));
+	return fired;
+}
+
+describe('TreeView', ()=>{
+	afterEach(()=>cleanupTests());
+
+	it('loads the children when a node is first expanded', async ()=>{
+		const loaded = [];
+		const tree = mountForTest(new TreeView('files:', {
+			loadChildren: (node)=>{
+				loaded.push(node.isRoot ? '<root>' : node.itemName);
+				return Promise.resolve(node.isRoot ? [{name:'src', hasChildren:true}, 'README'] : ['main', 'util']);
+			}
+		}));
+		await tree.rootLoaded;
+		assert.deepEqual(names(tree.getVisibleNodes()), ['src', 'README']);
+		assert.equal(tree.src.el.getAttribute('aria-expanded'), 'false');
+
+		await tree.src.expand();
+		assert.deepEqual(loaded, ['<root>', 'src']);
+		assert.deepEqual(names(tree.getVisibleNodes()), ['src', 'main', 'util', 'README']);
+
+		tree.src.collapse();
+		await tree.src.expand();
+		assert.deepEqual(loaded, ['<root>', 'src']);
+	});
+
+	it('reloads with loadChildren without modifying the items', async ()=>{
+		var version = 1;
+		const items = [{name:'docs', children:['a']}];
+		const tree = mountForTest(new TreeView('files:', {items, loadChildren:()=>['v'+version]}));
+		await tree.rootLoaded;
+		await tree.docs.expand();
+		assert.deepEqual(names(tree.docs.childNodes), ['a']);
+
+		version = 2;
+		await tree.docs.reload();
+		assert.deepEqual(names(tree.docs.childNodes), ['v2']);
+		assert.deepEqual(items, [{name:'docs', children:['a']}]);
+		assert.deepEqual(tree.docs.childItems, ['v2']);
+
+		version = 3;
+		await tree.docs.reload();
+		assert.deepEqual(names(tree.docs.childNodes), ['v3']);
+	});
+
+	it('reloads from the same items when there is no loadChildren', async ()=>{
+		const tree = mountForTest(new TreeView('files:', {items:[{name:'docs', children:['a', 'b']}]}));
+		await tree.rootLoaded;
+		await tree.docs.expand();
+		const before = tree.docs.childNodes[0];
+		await tree.docs.reload();
+		assert.deepEqual(names(tree.docs.childNodes), ['a', 'b']);
+		assert.notEqual(tree.docs.childNodes[0], before);
+	});
+
+	it('selects with click, ctrl-click and shift-click and fires the selection channel', async ()=>{
+		const tree = mountForTest(new TreeView('files:', {items:['a', 'b', 'c', 'd']}));
+		await tree.rootLoaded;
+		const fired = watchSelection(tree);
+		fireClick(tree.a.row);
+		fireClick(tree.c.row, {shiftKey:true});
+		fireClick(tree.b.row, {ctrlKey:true});
+		assert.deepEqual(fired, [['a'], ['a', 'b', 'c'], ['a', 'c']]);
+		assert.equal(tree.c.el.getAttribute('aria-selected'), 'true');
+		assert.equal(tree.b.el.classList.contains('selected'), false);
+	});
+
+	it('fires the selection channel when selected nodes are destroyed by a reload', async ()=>{
+		var children = ['x', 'y'];
+		const tree = mountForTest(new TreeView('files:', {
+			loadChildren: (node)=>(node.isRoot) ? [{name:'dir', hasChildren:true}, 'file'] : children
+		}));
+		await tree.rootLoaded;
+		await tree.dir.expand();
+		const fired = watchSelection(tree);
+		tree.select(tree.dir.getChild('y'));
+		tree.select(tree.file, {add:true});
+
+		children = ['z'];
+		await tree.dir.reload();
+		assert.deepEqual(fired, [['y'], ['y', 'file'], ['file']]);
+		assert.deepEqual(names(tree.getSelection()), ['file']);
+
+		// nothing selected was destroyed so the channel is not fired again
+		await tree.dir.reload();
+		assert.equal(fired.length, 3);
+	});
+
+	it('resolves a pending load without touching the nodes when the tree is destroyed', async ()=>{
+		const pending = {a:deferred(), b:deferred()};
+		const tree = mountForTest(new TreeView('files:', {
+			loadChildren: (node)=>(node.isRoot) ? [{name:'a', hasChildren:true}, {name:'b', hasChildren:true}] : pending[node.itemName].promise
+		}));
+		await tree.rootLoaded;
+		const a = tree.a.expand();
+		const b = tree.b.expand();
+		const nodeA = tree.a;
+
+		unmountForTest(tree);
+		tree.destroy();
+		pending.a.resolve(['x']);
+		pending.b.reject(new Error('offline'));
+		assert.equal(await a, nodeA);
+		await b;
+		assert.deepEqual(nodeA.childNodes, []);
+	});
+
+	it('discards the children of a load that was pending when reload was called', async ()=>{
+		const loads = [];
+		const tree = mountForTest(new TreeView('files:', {
+			loadChildren: (node)=>{
+				if (node.isRoot)
+					return [{name:'dir', hasChildren:true}];
+				loads.push(deferred());
+				return loads.at(-1).promise;
+			}
+		}));
+		await tree.rootLoaded;
+		const first = tree.dir.expand();
+		const second = tree.dir.reload();
+		assert.equal(loads.length, 2);
+
+		loads[1].resolve(['new']);
+		await second;
+		loads[0].resolve(['old']);
+		await first;
+		assert.deepEqual(names(tree.dir.childNodes), ['new']);
+		assert.equal(tree.dir.isLoaded, true);
+		assert.equal(tree.dir.el.classList.contains('loading'), false);
+	});
+});
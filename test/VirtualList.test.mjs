@@ -0,0 +1,109 @@
+import { describe, it, afterEach } from 'node:test';
+import assert                     from 'node:assert/strict';
+import {
+	mountForTest,
+	unmountForTest,
+	cleanupTests
+}                                 from '../testing.mjs';
+import { Component }              from '../component.mjs';
+import { VirtualList }            from '../VirtualList.mjs';
+
+// a row that counts its lifecycle events
+class CountingRow extends Component {
+	constructor(index, counts) {
+		super('$div.row', String(index));
+		this.index  = index;
+		this.counts = counts;
+	}
+	onConnected()    {this.counts.connected++}
+	onDisconnected() {this.counts.disconnected++}
+}
+
+// make a VirtualList with a 100px viewport of 10px rows (10 visible rows plus 2 overscan rows on each side)
+async function makeList({recycle=true, itemCount=1000}={}) {
+	const counts = {created:0, connected:0, disconnected:0, updated:0};
+	const list = new VirtualList({
+		itemCount,
+		rowHeight : 10,
+		overscan  : 2,
+		rowFactory: (i)=>{counts.created++; return new CountingRow(i, counts)},
+		updateRow : recycle ? (row, i)=>{counts.updated++; row.index = i; row.setLabel(String(i))} : undefined
+	});
+	Object.defineProperty(list.el, 'clientHeight', {value:100});
+	mountForTest(list);
+	await Promise.resolve();   // onConnected renders in a microtask
+	return {list, counts};
+}
+
+function scrollTo(list, scrollTop) {
+	list.el.scrollTop = scrollTop;
+	list.el.dispatchEvent(new Event('scroll'));
+}
+
+const mountedIndexes = (list)=>Array.from(list.visibleRows.keys()).sort((a,b)=>a-b);
+
+describe('VirtualList', ()=>{
+	afterEach(cleanupTests);
+
+	it('mounts only the rows in the viewport plus overscan', async ()=>{
+		const {list} = await makeList();
+		assert.deepEqual(mountedIndexes(list), [0,1,2,3,4,5,6,7,8,9,10,11]);
+		assert.equal(list.spacer.el.style.height, '10000px');
+		assert.equal(list.spacer.el.children.length, 12);
+		assert.equal(list.getRow(3).el.style.top, '30px');
+
+		scrollTo(list, 5000);
+		assert.deepEqual(mountedIndexes(list), [498,499,500,501,502,503,504,505,506,507,508,509,510,511]);
+		assert.equal(list.spacer.el.children.length, 14);
+		assert.equal(list.getRow(500).el.textContent, '500');
+		assert.equal(list.getRow(500).el.style.top, '5000px');
+	});
+
+	it('recycles the rows that leave the range', async ()=>{
+		const {list, counts} = await makeList();
+		scrollTo(list, 50);
+		scrollTo(list, 5000);
+		scrollTo(list, 0);
+		scrollTo(list, 2000);
+		// no more rows are made than the most that are mounted at once
+		assert.equal(counts.created, 14);
+		assert.ok(counts.updated > 0);
+		assert.equal(list.rowPool.length + list.visibleRows.size, counts.created);
+		assert.equal(list.getRow(200).el.textContent, '200');
+	});
+
+	it('gives rows connect and disconnect events as they come and go', async ()=>{
+		for (const recycle of [true, false]) {
+			const {list, counts} = await makeList({recycle});
+			assert.equal(counts.connected, 12);
+			assert.equal(counts.disconnected, 0);
+			scrollTo(list, 5000);
+			assert.equal(counts.connected, 12+14);
+			assert.equal(counts.disconnected, 12);
+			assert.equal(counts.connected - counts.disconnected, list.visibleRows.size);
+
+			unmountForTest(list);
+			assert.equal(counts.disconnected, counts.connected);
+		}
+	});
+
+	it('clamps the scroll position when the item count shrinks', async ()=>{
+		const {list} = await makeList();
+		scrollTo(list, 5000);
+		list.setItemCount(20);
+		assert.equal(list.el.scrollTop, 100);
+		assert.deepEqual(mountedIndexes(list), [8,9,10,11,12,13,14,15,16,17,18,19]);
+
+		list.setItemCount(5);
+		assert.equal(list.el.scrollTop, 0);
+		assert.deepEqual(mountedIndexes(list), [0,1,2,3,4]);
+	});
+
+	it('refresh updates the mounted rows', async ()=>{
+		const {list} = await makeList({recycle:false});
+		const row = list.getRow(1);
+		list.refresh();
+		assert.notEqual(list.getRow(1), row);
+		assert.equal(list.getRow(1).el.textContent, '1');
+	});
+});
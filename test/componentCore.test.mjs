@@ -0,0 +1,375 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert                      from 'node:assert/strict';
+import {
+	mountForTest,
+	fireClick,
+	typeInto,
+	cleanupTests
+}                                  from '../testing.mjs';
+import { Component }               from '../component.mjs';
+import {
+	ComponentHydrate,
+	ComponentBindRefresh,
+	ComponentBindWriteBack,
+	ComponentUnbind,
+	ComponentReconcile,
+	ComponentRegisterClassStyles,
+	ComponentUnregisterClassStyles
+}                                  from '../componentCore.mjs';
+import { Editbox, RangeField }     from '../InputField.mjs';
+import { Button, RadioButtonGroup } from '../buttons.mjs';
+import { ComponentRenderToString } from '../componentRender.mjs';
+
+// the html content strings only contribute their first node to the DOM so the named children after them must still line up
+const params = ['$div.v', '<b>label</b><i>2</i>', [
+	'<b>a</b><i>b</i>',
+	['x:$span','X'],
+	'plain text',
+	'<i>tail</i> text',
+	['items[]:$li','a'],
+	['items[]:$li','b']
+]];
+
+// parse html into a detached container and return its first element
+function parse(html) {
+	const host = document.createElement('div');
+	host.innerHTML = html;
+	return host.firstElementChild;
+}
+
+function checkHydrated(rootEl, view) {
+	assert.equal(view.el, rootEl);
+	assert.equal(view.x.el, rootEl.querySelector('span.x'));
+	assert.equal(view.items.length, 2);
+	assert.equal(view.items[0].el, rootEl.querySelector('li.items\\[0\\]'));
+	assert.equal(view.items[1].el.textContent, 'b');
+}
+
+describe('ComponentHydrate', ()=>{
+	afterEach(()=>cleanupTests());
+
+	it('hydrates the DOM built by the Component constructor', ()=>{
+		const rootEl = parse(new Component(...params).el.outerHTML);
+		checkHydrated(rootEl, ComponentHydrate(rootEl, null, ...params));
+	});
+
+	it('hydrates the html made by ComponentRenderToString', ()=>{
+		const rootEl = parse(ComponentRenderToString(...params));
+		checkHydrated(rootEl, ComponentHydrate(rootEl, null, ...params));
+	});
+
+	it('throws when the DOM does not match the params', ()=>{
+		const rootEl = parse('<div class="v"></div>');
+		assert.throws(()=>ComponentHydrate(rootEl, null, '$div.v', [['x:$span','X']]), /Ran out of child elements/);
+	});
+
+	it('adopts the label and input of an Editbox instead of building them again', ()=>{
+		const onActivated = mock.fn();
+		const rootEl = parse(new Editbox('name: Name <input/>').el.outerHTML);
+		const inputEl = rootEl.querySelector('input');
+		const field = ComponentHydrate(rootEl, Editbox, 'name: Name <input/>', onActivated);
+
+		assert.equal(field.el, rootEl);
+		assert.equal(field.inputCntr.el, inputEl);
+		assert.equal(rootEl.querySelectorAll('input').length, 1);
+		assert.equal(rootEl.outerHTML, '<label class="name">Name <input type="text" class="inputCntr" name="name"></label>');
+
+		mountForTest(field);
+		typeInto(field, 'bob');
+		assert.equal(field.value, 'bob');
+		assert.equal(onActivated.mock.callCount(), 1);
+	});
+
+	it('adopts the parts that a RangeField adds after its input', ()=>{
+		const rootEl = parse(new RangeField('vol: Volume <input/>').el.outerHTML);
+		const readoutEl = rootEl.querySelector('output');
+		const field = ComponentHydrate(rootEl, RangeField, 'vol: Volume <input/>');
+
+		assert.equal(field.readout.el, readoutEl);
+		assert.equal(rootEl.querySelectorAll('output').length, 1);
+	});
+
+	it('adopts a Button without replacing its label', ()=>{
+		const onActivated = mock.fn();
+		const rootEl = parse(new Button('ok: <b>OK</b>').el.outerHTML);
+		const labelEl = rootEl.firstElementChild;
+		const btn = ComponentHydrate(rootEl, Button, 'ok: <b>OK</b>', onActivated);
+
+		assert.equal(btn.getLabel(), '<b>OK</b>');
+		assert.equal(rootEl.firstElementChild, labelEl);
+		mountForTest(btn);
+		fireClick(btn);
+		assert.equal(onActivated.mock.callCount(), 1);
+	});
+
+	it('gives a RadioButtonGroup its hydrated buttons during construction', ()=>{
+		const params = ['mode', 'a', [['a:A'], ['b:B']]];
+		const rootEl = parse(new RadioButtonGroup(...params).el.outerHTML);
+		const group = ComponentHydrate(rootEl, RadioButtonGroup, ...params);
+
+		assert.equal(group.b.el, rootEl.querySelector('button.b'));
+		assert.equal(group.a.isPressed(), true);
+		mountForTest(group);
+		fireClick(group.b);
+		assert.equal(group.value, 'b');
+		assert.equal(group.a.isPressed(), false);
+	});
+});
+
+describe('data binding', ()=>{
+	afterEach(()=>cleanupTests());
+
+	const isBound = (model, channel, comp)=>deps.getCNode(model, channel).targets.has(comp);
+
+	it('sets the bound properties now and each time the model fires', ()=>{
+		const model = {title:'A', tip:()=>'computed'};
+		const heading = mountForTest(new Component('$h1', {bind:{label:[model,'title'], title:{obj:model, channel:'tip'}}}));
+		assert.equal(heading.el.textContent, 'A');
+		assert.equal(heading.el.title, 'computed');
+
+		model.title = 'B';
+		deps.fire({obj:model, channel:'title'});
+		assert.equal(heading.el.textContent, 'B');
+	});
+
+	it('refreshes the bound properties without a fire', ()=>{
+		const model = {title:'A'};
+		const heading = mountForTest(new Component('$h1', {bind:{label:[model,'title']}}));
+		model.title = 'B';
+		assert.equal(heading.el.textContent, 'A');
+		ComponentBindRefresh(heading);
+		assert.equal(heading.el.textContent, 'B');
+	});
+
+	it('writes the value back and fires a ChangeRecord with the old and new values', ()=>{
+		const model = {amount:'5'};
+		const changes = [];
+		const watcher = {};
+		deps.add({obj:model, channel:'amount'}, watcher, (change)=>changes.push(change));
+		const field = mountForTest(new Editbox('amount: Amount <input/>', {bind:{value:[model,'amount']}}));
+		assert.equal(field.value, '5');
+
+		typeInto(field, '12', {replace:true});
+		assert.equal(model.amount, '12');
+		assert.equal(changes.length, 1);
+		assert.equal(changes[0].kind, 'set');
+		assert.equal(changes[0].source, model);
+		assert.equal(changes[0].channel, 'amount');
+		assert.equal(changes[0].oldValue, '5');
+		assert.equal(changes[0].newValue, '12');
+
+		// nothing changed so nothing is fired
+		ComponentBindWriteBack(field);
+		assert.equal(changes.length, 1);
+		deps.objectDestroyed(watcher);
+	});
+
+	it('does not write back to read only model properties', ()=>{
+		const model = {title:()=>'fixed'};
+		const heading = mountForTest(new Component('$h1', {bind:{title:[model,'title']}}));
+		heading.el.title = 'changed';
+		ComponentBindWriteBack(heading);
+		assert.equal(model.title(), 'fixed');
+	});
+
+	it('removes the bindings with ComponentUnbind and when the comp is destroyed', ()=>{
+		const model = {title:'A'};
+		const unbound = mountForTest(new Component('$h1', {bind:{label:[model,'title']}}));
+		const destroyed = new Component('$h2', {bind:{label:[model,'title']}});
+		assert.ok(isBound(model, 'title', unbound));
+		assert.ok(isBound(model, 'title', destroyed));
+
+		ComponentUnbind(unbound);
+		destroyed.destroy();
+		assert.equal(isBound(model, 'title', unbound), false);
+		assert.equal(isBound(model, 'title', destroyed), false);
+
+		model.title = 'B';
+		deps.fire({obj:model, channel:'title'});
+		assert.equal(unbound.el.textContent, 'A');
+	});
+});
+
+describe('ComponentReconcile', ()=>{
+	afterEach(()=>cleanupTests());
+
+	const item = (id)=>({id, label:id.toUpperCase()});
+
+	// a list with a header before the rows. made counts the rows made by makeFn and updated the rows passed to updateFn
+	function makeList() {
+		const list = mountForTest(new Component('$ul', [['header:$li','header']]));
+		list.made = [];
+		list.updated = [];
+		list.reconcile = (ids)=>ComponentReconcile(list, 'rows[]', ids.map(item), (it)=>it.id,
+			(it)=>{list.made.push(it.id); return new Component('$li', it.label)},
+			(row, it, i)=>list.updated.push(it.id+i));
+		return list;
+	}
+
+	const texts = (list)=>Array.from(list.el.children).map((el)=>el.textContent);
+
+	// the elements of the rows that reconcile moves (as opposed to inserting new ones)
+	function recordMoves(list, action) {
+		const existing = new Set(Array.from(list.el.children));
+		const spy = mock.method(list.el, 'insertBefore');
+		try {
+			action();
+		} finally {
+			spy.mock.restore();
+		}
+		return spy.mock.calls.map((call)=>call.arguments[0]).filter((el)=>existing.has(el)).map((el)=>el.textContent);
+	}
+
+	function checkNames(list, ids) {
+		assert.equal(list.rows.length, ids.length);
+		ids.forEach((id, i)=>{
+			assert.equal(list.rows[i].el.textContent, id.toUpperCase());
+			assert.equal(list.rows[i].name, 'rows['+i+']');
+			assert.ok(list.rows[i].el.classList.contains('rows['+i+']'));
+		});
+		assert.deepEqual(list.mounted.filter((name)=>name.startsWith('rows[')), ids.map((id, i)=>'rows['+i+']'));
+	}
+
+	it('makes the rows after the other content of the parent', ()=>{
+		const list = makeList();
+		const rows = list.reconcile(['a', 'b', 'c']);
+		assert.equal(rows, list.rows);
+		assert.deepEqual(texts(list), ['header', 'A', 'B', 'C']);
+		assert.deepEqual(list.made.sort(), ['a', 'b', 'c']);
+		checkNames(list, ['a', 'b', 'c']);
+	});
+
+	it('reuses the rows and moves only the ones outside the longest increasing run', ()=>{
+		const list = makeList();
+		list.reconcile(['a', 'b', 'c', 'd', 'e']);
+		const [a, b, c, d, e] = list.rows;
+		list.made.length = 0;
+
+		assert.deepEqual(recordMoves(list, ()=>list.reconcile(['b', 'c', 'd', 'e', 'a'])), ['A']);
+		assert.deepEqual(texts(list), ['header', 'B', 'C', 'D', 'E', 'A']);
+		assert.deepEqual(list.rows, [b, c, d, e, a]);
+		assert.deepEqual(list.made, []);
+		assert.deepEqual(list.updated.sort(), ['a4', 'b0', 'c1', 'd2', 'e3']);
+		checkNames(list, ['b', 'c', 'd', 'e', 'a']);
+
+		assert.equal(recordMoves(list, ()=>list.reconcile(['a', 'e', 'd', 'c', 'b'])).length, 4);
+		assert.deepEqual(texts(list), ['header', 'A', 'E', 'D', 'C', 'B']);
+		assert.deepEqual(list.rows, [a, e, d, c, b]);
+		checkNames(list, ['a', 'e', 'd', 'c', 'b']);
+	});
+
+	it('destroys the rows whose keys are gone and makes the new ones in place', ()=>{
+		const list = makeList();
+		list.reconcile(['a', 'b', 'c', 'd']);
+		const [a, b, c, d] = list.rows;
+		list.made.length = 0;
+
+		assert.deepEqual(recordMoves(list, ()=>list.reconcile(['a', 'x', 'c'])), []);
+		assert.deepEqual(texts(list), ['header', 'A', 'X', 'C']);
+		assert.deepEqual(list.made, ['x']);
+		assert.equal(list.rows[0], a);
+		assert.equal(list.rows[2], c);
+		assert.equal(b.el, null);
+		assert.equal(d.el, null);
+		checkNames(list, ['a', 'x', 'c']);
+	});
+
+	it('empties the list and fills it again', ()=>{
+		const list = makeList();
+		list.reconcile(['a', 'b']);
+		const [a] = list.rows;
+
+		list.reconcile([]);
+		assert.deepEqual(texts(list), ['header']);
+		assert.equal(a.el, null);
+		checkNames(list, []);
+
+		list.made.length = 0;
+		list.reconcile(['a', 'b']);
+		assert.deepEqual(texts(list), ['header', 'A', 'B']);
+		assert.deepEqual(list.made.sort(), ['a', 'b']);
+		assert.notEqual(list.rows[0], a);
+		checkNames(list, ['a', 'b']);
+	});
+
+	it('throws when two items have the same key', ()=>{
+		const list = makeList();
+		assert.throws(()=>list.reconcile(['a', 'a']), /the same key/);
+	});
+});
+
+describe('class scoped styles', ()=>{
+	afterEach(()=>cleanupTests());
+
+	// the css text of all the rules in the document without the placeholder rules of BGStylesheet
+	const documentRules = ()=>Array.from(document.head.querySelectorAll('style'))
+		.flatMap((styleEl)=>Array.from(styleEl.sheet.cssRules))
+		.map((cssRule)=>cssRule.cssText)
+		.filter((text)=>!text.startsWith('#NOTHING'));
+	const rulesOf = (scopeClass)=>documentRules().filter((text)=>text.startsWith('.'+scopeClass));
+
+	it('adds the static styles of a class once, scoped to a generated class', ()=>{
+		class StyledView extends Component {
+			static styles = {display:'flex', '.label':{fontWeight:'bold'}, '&.selected':{color:'blue'}};
+		}
+		const view1 = mountForTest(new StyledView('$div'));
+		const scopeClass = Array.from(view1.el.classList).find((name)=>name.startsWith('bgs-StyledView-'));
+		assert.ok(scopeClass);
+		assert.deepEqual(rulesOf(scopeClass), [
+			`.${scopeClass} { display: flex; }`,
+			`.${scopeClass} .label { font-weight: bold; }`,
+			`.${scopeClass}.selected { color: blue; }`
+		]);
+
+		const view2 = mountForTest(new StyledView('$div'));
+		assert.equal(view2.el.classList.contains(scopeClass), true);
+		assert.equal(rulesOf(scopeClass).length, 3);
+		assert.equal(ComponentRegisterClassStyles(StyledView), scopeClass);
+	});
+
+	it('gives a derived class the scope classes of its ancestors, base class first', ()=>{
+		class BaseView extends Component {
+			static styles = {color:'red'};
+		}
+		class PlainView extends BaseView {}
+		class DerivedView extends BaseView {
+			static styles = {color:'green'};
+		}
+		const base = ComponentRegisterClassStyles(BaseView);
+		const derived = ComponentRegisterClassStyles(DerivedView);
+		assert.deepEqual(Array.from(new DerivedView('$div').el.classList), [base, derived]);
+		assert.deepEqual(Array.from(new PlainView('$div').el.classList), [base]);
+	});
+
+	it('removes the rules when the class is unregistered and adds them again for the next instance', ()=>{
+		class GoneView extends Component {
+			static styles = {display:'grid'};
+		}
+		const scopeClass = ComponentRegisterClassStyles(GoneView);
+		new GoneView('$div');
+		assert.equal(ComponentUnregisterClassStyles(GoneView), true);
+		assert.deepEqual(rulesOf(scopeClass), []);
+		assert.equal(ComponentUnregisterClassStyles(GoneView), false);
+
+		assert.equal(new GoneView('$div').el.classList.contains(scopeClass), true);
+		assert.deepEqual(rulesOf(scopeClass), [`.${scopeClass} { display: grid; }`]);
+	});
+
+	it('adds the rules again for the next instance after they were deleted from the sheet', ()=>{
+		class WipedView extends Component {
+			static styles = {display:'block'};
+		}
+		const scopeClass = ComponentRegisterClassStyles(WipedView);
+		new WipedView('$div');
+		for (const styleEl of document.head.querySelectorAll('style')) {
+			const sheet = styleEl.sheet;
+			for (var i=sheet.cssRules.length-1; i>=0; i--)
+				if (sheet.cssRules[i].cssText.startsWith('.'+scopeClass))
+					sheet.deleteRule(i);
+		}
+		assert.deepEqual(rulesOf(scopeClass), []);
+
+		new WipedView('$div');
+		assert.deepEqual(rulesOf(scopeClass), [`.${scopeClass} { display: block; }`]);
+	});
+});
@@ -0,0 +1,41 @@
+import { describe, it }            from 'node:test';
+import assert                      from 'node:assert/strict';
+import                                  '../testing.mjs';
+import { Component }               from '../component.mjs';
+import { Button }                  from '../buttons.mjs';
+import { Editbox }                 from '../InputField.mjs';
+import { ComponentRenderToString } from '../componentRender.mjs';
+
+// each case is rendered to text and built by the browser path (the Component constructor) under the DOM shim. The text must be
+// the same as the el.outerHTML of the DOM.
+const cases = {
+	'named children and array children' : ['$ul.list', [['items[]:$li','a'],['items[]:$li','b'],['$li#last','c']]],
+	'attributes that need escaping'     : ['$div.v', {title:'t "q"', tabindex:-1}, [['$input', {type:'text', defaultValue:'v'}]]],
+	'plain text content'                : ['$div.v', ['plain & <text>']],
+	'an html label with several nodes'  : ['$div.v', '<b>label</b><i>x</i>', [['c:$span','x']]],
+	'only the first node of html content (siblings)'     : ['$div.v', ['<b>a</b><i>b</i>', ['x:$span','X']]],
+	'only the first node of html content (trailing text)': ['$div.v', ['<i>tail</i> text']],
+	'only the first node of html content (nested tags)'  : ['$div.v', ['<div><div>x</div>y</div><p>z</p>']],
+	'only the first node of html content (text first)'   : ['$div.v', ['@HTML hello <b>x</b>']],
+	'only the first node of html content (void, comment)': ['$div.v', ['<br><hr>', '<!-- c --><b>x</b>']]
+};
+
+describe('ComponentRenderToString', ()=>{
+	for (const name in cases) {
+		it(`renders the same html as the browser path: ${name}`, ()=>{
+			const params = cases[name];
+			assert.equal(ComponentRenderToString(...params), new Component(...params).el.outerHTML);
+		});
+	}
+
+	it('renders a child whose Constructor is Component', ()=>{
+		const params = ['$div.v', [['x:$span', {Constructor:Component}, 'X']]];
+		assert.equal(ComponentRenderToString(...params), new Component(...params).el.outerHTML);
+	});
+
+	it('throws for the controls that build DOM their params do not describe', ()=>{
+		assert.throws(()=>ComponentRenderToString('$div.v', [['ok:OK', {Constructor:Button}]]), /can not be rendered to text/);
+		assert.throws(()=>ComponentRenderToString('$div.v', [['name: Name <input/>', {Constructor:Editbox}]]), /can not be rendered to text/);
+		assert.throws(()=>ComponentRenderToString('$div.v', {defaultChildConstructor:Button}, [['ok:OK']]), /can not be rendered to text/);
+	});
+});
@@ -0,0 +1,17 @@
+import { register }     from 'node:module';
+import { isMainThread } from 'node:worker_threads';
+
+// The bg-dom modules import each other without the .mjs extension because they are loaded by the esm package in atom. Plain
+// nodejs requires the extension so the tests load this resolve hook with node --import ./test/esmResolve.mjs (see npm test).
+if (isMainThread)
+	register(import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+	try {
+		return await nextResolve(specifier, context);
+	} catch (e) {
+		if (!specifier.startsWith('.') || specifier.endsWith('.mjs'))
+			throw e;
+		return nextResolve(specifier+'.mjs', context);
+	}
+}
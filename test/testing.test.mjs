@@ -0,0 +1,64 @@
+import { describe, it, afterEach } from 'node:test';
+import assert                     from 'node:assert/strict';
+import {
+	mountForTest,
+	unmountForTest,
+	fireClick,
+	typeInto,
+	expectLifecycle,
+	cleanupTests
+}                                 from '../testing.mjs';
+import { Component }              from '../component.mjs';
+import { Button }                 from '../buttons.mjs';
+import { Editbox, Checkbox }      from '../InputField.mjs';
+
+// smoke tests of the testing harness itself. They also show how component tests are written with it.
+describe('testing', ()=>{
+	afterEach(cleanupTests);
+
+	it('mounts into the document and records the lifecycle', ()=>{
+		const view = mountForTest(new Component('$div.view', [['child:$span','x']]));
+		assert.ok(view.el.isConnected);
+		assert.equal(document.body.querySelector('.view span').textContent, 'x');
+		expectLifecycle(view, ['onPreConnected','onConnected']);
+		expectLifecycle(view, ['onPreDisconnected','onDisconnected'], ()=>unmountForTest(view));
+		assert.ok(!view.el.isConnected);
+	});
+
+	it('throws when the lifecycle does not match', ()=>{
+		const view = mountForTest(new Component('$div'));
+		assert.throws(()=>expectLifecycle(view, ['onDisconnected']), /expectLifecycle: expected/);
+	});
+
+	it('clicks buttons and checkboxes', ()=>{
+		var activated = 0;
+		const btn = mountForTest(new Button("Go", ()=>activated++));
+		fireClick(btn);
+		assert.equal(activated, 1);
+
+		const cb = mountForTest(new Checkbox('cb: Check <input/>'));
+		fireClick(cb.inputCntr);
+		assert.equal(cb.inputCntr.el.checked, true);
+	});
+
+	it('types into an editbox and writes back its binding', ()=>{
+		const model = {name:'old'};
+		const eb = mountForTest(new Editbox('name: Name <input/>', {bind:{value:[model,'name']}}));
+		assert.equal(eb.value, 'old');
+		typeInto(eb, 'new', {replace:true});
+		assert.equal(eb.value, 'new');
+		assert.equal(model.name, 'new');
+	});
+
+	it('loads the package entry without electron', async ()=>{
+		const bgdom = await import('bg-dom');
+		const btn = mountForTest(new bgdom.Button("Go"));
+		assert.ok(btn.el.isConnected);
+	});
+
+	it('cleanupTests empties the document', ()=>{
+		mountForTest(new Component('$div.leftover'));
+		cleanupTests();
+		assert.equal(document.body.querySelector('.leftover'), null);
+	});
+});
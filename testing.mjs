@@ -0,0 +1,228 @@
+import { domShimInstalled }   from './DomShim'
+import                             './DependentsGraph'
+import                             './component'
+import {
+	ComponentNormalize,
+	ComponentToEl,
+	ComponentMount,
+	ComponentUnmount,
+	ComponentDestroyDOMNode
+}                             from './componentCore'
+import { BGError }            from './BGError'
+
+// Library testing
+// This library supports writing unit tests for BGComps that run in plain nodejs (e.g. with node:test, mocha or jest) without
+// electron or a browser. Import it as 'bg-dom/testing' before anything else that uses the DOM.
+//
+// Importing this library...
+//    * loads DomShim which installs a lightweight DOM (window, document, Node, Element, events, etc...) as globals if there is not
+//      already a document. If a test runner provides its own DOM (like jsdom), that one is used instead.
+//    * loads componentCore which installs the DOMTreeConnectWatcher patches (DomHooks) on the DOM's Node and Element prototypes so
+//      that the onPreConnected/onConnected/onPreDisconnected/onDisconnected lifecycle events are fired just like in atom.
+//    * creates the global deps (DependentsGraph) that Component bindings use.
+//
+// The helper functions simulate what a user would do and record what the component does in response.
+//    mountForTest(comp)           : mount comp into a container that is connected to the document
+//    fireClick(comp)              : press and release the mouse on comp
+//    typeInto(editbox, text)      : focus the input of editbox, type text one character at a time and then commit it
+//    expectLifecycle(comp, events): assert which lifecycle events comp received
+//    cleanupTests()               : unmount and destroy everything mounted with mountForTest. Call it from an afterEach hook.
+//
+// Example:
+//    import { mountForTest, fireClick, expectLifecycle, cleanupTests } from 'bg-dom/testing';
+//    import { Button }                                                 from 'bg-dom';
+//
+//    afterEach(cleanupTests);
+//    it('activates when clicked', ()=>{
+//        var activated = 0;
+//        const btn = mountForTest(new Button("Go", ()=>activated++));
+//        expectLifecycle(btn, ['onPreConnected','onConnected']);
+//        fireClick(btn);
+//        assert.equal(activated, 1);
+//    });
+// See Also:
+//    DomShim : the DOM implementation used when there is no other DOM
+//    LifecycleChecker (componentCore) : counts the lifecycle events of all nodes for debugging leaks
+
+export { domShimInstalled };
+
+// the names of the lifecycle methods that recordLifecycle tracks
+export const lifecycleEvents = ['onPreMount','onMount','onPreUnmount','onUnmount','onPreConnected','onConnected','onPreDisconnected','onDisconnected'];
+
+const sLifecycleLog = Symbol.for('bgTestLifecycleLog');
+
+// the nodes mounted by mountForTest that cleanupTests will remove
+const mountedForTest = new Set();
+var testContainer;
+
+
+// usage: <BGComp> mountForTest(<BGComp> comp)
+// Mount comp in a container element that is connected to the document so that it is in the same state as a component that is
+// displayed in the workspace. Lifecycle recording (see recordLifecycle) is started before it is mounted so that the mount and
+// connect events can be checked with expectLifecycle.
+// Params:
+//    <comp> : the BGNode or DOMNode to mount
+// Return Value:
+//    the comp is returned so that the construction can be done inline like mountForTest(new MyView(...))
+export function mountForTest($comp) {
+	if (!testContainer || !testContainer.isConnected) {
+		testContainer = document.createElement('div');
+		testContainer.className = 'bg-test-container';
+		document.body.appendChild(testContainer);
+	}
+	recordLifecycle($comp);
+	ComponentMount(testContainer, $comp);
+	mountedForTest.add($comp);
+	return $comp;
+}
+
+// usage: <void> unmountForTest(<BGComp> comp)
+// Unmount a comp that was mounted with mountForTest. It is not destroyed so it can be mounted again.
+export function unmountForTest($comp) {
+	mountedForTest.delete($comp);
+	const el = ComponentToEl($comp);
+	if (el && el.parentNode === testContainer)
+		ComponentUnmount(testContainer, $comp);
+}
+
+// usage: <void> cleanupTests()
+// Unmount and destroy every comp mounted with mountForTest so that the next test starts with an empty document body.
+export function cleanupTests() {
+	for (const $comp of Array.from(mountedForTest)) {
+		unmountForTest($comp);
+		(typeof $comp.destroy == 'function') ? $comp.destroy() : ComponentDestroyDOMNode($comp);
+	}
+	testContainer && testContainer.remove();
+	testContainer = null;
+}
+
+
+// usage: <Array> recordLifecycle(<BGComp> comp)
+// Start recording the lifecycle methods called on comp. The methods are wrapped so that the original methods (if any) are still
+// called. Recording the same comp again has no effect. Note that the events that FireDOMTreeEvent propagates to descendants are
+// only recorded for the descendants that are also recorded.
+// Return Value:
+//    the array that receives the names of the lifecycle methods in the order they are called
+export function recordLifecycle($comp) {
+	const [bgObj, bgEl, bgComp] = ComponentNormalize($comp);
+	if (!bgComp[sLifecycleLog]) {
+		const log = bgComp[sLifecycleLog] = [];
+		for (const eventName of lifecycleEvents) {
+			const original = bgComp[eventName];
+			bgComp[eventName] = function(...p) {
+				log.push(eventName);
+				return (typeof original == 'function') ? original.apply(this, p) : undefined;
+			}
+		}
+	}
+	return bgComp[sLifecycleLog];
+}
+
+// usage: <Array> expectLifecycle(<BGComp> comp, <Array> expected [, <function> action])
+// Assert that the lifecycle events that comp received are <expected>. Only the kinds of events that are named in <expected> are
+// compared so expectLifecycle(comp, ['onConnected']) passes even if onMount was also called. The recorded events are cleared
+// after a successful check so that the next call only sees the events that happen after this one.
+// Params:
+//    <comp>     : a comp that is being recorded by recordLifecycle or mountForTest
+//    <expected> : array of lifecycle method names in the order they should have been called
+//    <action>   : (optional) if given, only the events that happen while action() runs are compared. If action returns a promise,
+//                 the check is done when it resolves and expectLifecycle returns a promise.
+// Return Value:
+//    the array of compared events
+// Exceptions:
+//    BGError is thrown if the events do not match
+// Example:
+//    expectLifecycle(view, ['onPreDisconnected','onDisconnected'], ()=>unmountForTest(view));
+export function expectLifecycle($comp, expected, action) {
+	const [bgObj, bgEl, bgComp] = ComponentNormalize($comp);
+	const log = bgComp[sLifecycleLog];
+	if (!log)
+		throw new BGError("expectLifecycle: the comp is not being recorded. Use mountForTest or recordLifecycle first", {comp:$comp});
+
+	const check = (start)=>{
+		const kinds = new Set(expected);
+		const actual = log.slice(start).filter((eventName)=>kinds.has(eventName));
+		if (actual.length != expected.length || actual.some((eventName,i)=>eventName != expected[i]))
+			throw new BGError(`expectLifecycle: expected [${expected.join(',')}] but the comp received [${actual.join(',')}]`, {comp:$comp, expected, actual, log:log.slice()});
+		log.length = 0;
+		return actual;
+	}
+
+	if (!action)
+		return check(0);
+
+	const start = log.length;
+	const result = action();
+	return (result && typeof result.then == 'function')
+		? result.then(()=>check(start))
+		: check(start);
+}
+
+
+// usage: <boolean> fireClick(<BGComp> comp [, <object> options])
+// Simulate the user pressing and releasing the primary mouse button on comp. This dispatches mousedown and mouseup and then calls
+// el.click() which dispatches the click event and performs the default activation (e.g. toggling a checkbox). el.click() can not
+// pass modifier keys so when <options> are given (or the element has no click method like an svg icon), the click event is
+// dispatched with them instead and there is no default activation.
+// Params:
+//    <comp>    : the BGNode or DOMNode to click
+//    <options> : MouseEvent init options like {ctrlKey:true}
+// Return Value:
+//    false if the element is disabled and nothing was dispatched
+export function fireClick($comp, options={}) {
+	const el = ComponentToEl($comp);
+	if (el.disabled)
+		return false;
+	const init = {bubbles:true, cancelable:true, composed:true, button:0, ...options};
+	el.dispatchEvent(new MouseEvent('mousedown', {...init, buttons:1}));
+	el.dispatchEvent(new MouseEvent('mouseup',   init));
+	if (typeof el.click == 'function' && Object.keys(options).length == 0)
+		el.click();
+	else
+		el.dispatchEvent(new MouseEvent('click', {...init, detail:1}));
+	return true;
+}
+
+
+// usage: <BGComp> typeInto(<BGComp> editbox, <string> text [, <object> options])
+// Simulate the user typing text into editbox and then committing it. The input is focused and for each character keydown, input
+// and keyup are dispatched and the value is updated. A '\n' is sent as the Enter key and only changes the value of a textarea. At
+// the end, a change event commits the value which is what makes InputField call onActivated and write back its bindings.
+// Params:
+//    <editbox> : an InputField (the inputCntr receives the typing) or an <input>, <textarea> or <select> BGNode or DOMNode
+//    <text>    : the characters to type
+//    <options> :
+//        replace:boolean : (default false) clear the existing value before typing as if the user selected it all first
+//        commit:boolean  : (default true) fire the change event at the end. Use false to test the intermediate typing state.
+// Return Value:
+//    editbox is returned
+export function typeInto($editbox, text, {replace=false, commit=true}={}) {
+	const [bgObj, bgEl] = ComponentNormalize($editbox);
+	const inputEl = (bgObj && bgObj.inputCntr) ? ComponentToEl(bgObj.inputCntr) : bgEl;
+	if (!inputEl || !('value' in inputEl))
+		throw new BGError("typeInto: the comp does not have an input element to type into", {editbox:$editbox});
+	if (inputEl.disabled || inputEl.readOnly)
+		return $editbox;
+
+	inputEl.focus();
+	const isMultiline = inputEl.localName == 'textarea';
+
+	if (replace && inputEl.value != '') {
+		inputEl.value = '';
+		inputEl.dispatchEvent(new InputEvent('input', {bubbles:true, composed:true, inputType:'deleteContentBackward'}));
+	}
+
+	for (const ch of String(text)) {
+		const key = (ch == '\n') ? 'Enter' : ch;
+		const keydown = new KeyboardEvent('keydown', {key, bubbles:true, cancelable:true, composed:true});
+		if (inputEl.dispatchEvent(keydown) && (ch != '\n' || isMultiline)) {
+			inputEl.value += ch;
+			inputEl.dispatchEvent(new InputEvent('input', {bubbles:true, composed:true, data:ch, inputType:(ch=='\n') ? 'insertLineBreak' : 'insertText'}));
+		}
+		inputEl.dispatchEvent(new KeyboardEvent('keyup', {key, bubbles:true, cancelable:true, composed:true}));
+	}
+
+	if (commit)
+		inputEl.dispatchEvent(new Event('change', {bubbles:true}));
+	return $editbox;
+}